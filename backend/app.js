@@ -16,6 +16,9 @@ import authRoutes from './routes/authRoutes.js';
 import projectRoutes from './routes/projectRoutes.js';
 import meetingRoutes from './routes/meetingRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import viewRoutes from './routes/viewRoutes.js';
 
 // Import utilities
 import logger from './utils/logger.js';
@@ -72,6 +75,9 @@ const createApp = () => {
   app.use('/api/projects', projectRoutes);
   app.use('/api/meetings', meetingRoutes);
   app.use('/api/tasks', taskRoutes);
+  app.use('/api/templates', templateRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/views', viewRoutes);
 
   // Root endpoint
   app.get('/', (req, res) => {
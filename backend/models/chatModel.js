@@ -0,0 +1,54 @@
+// Project chat model: questions answered from the project's meetings and
+// tasks. Each user has their own conversations per project; messages are
+// stored on the conversation with the citations of each answer.
+
+import Joi from 'joi';
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
+
+export const CHAT_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant'
+};
+
+// Chat request validation schema; without conversation_id a new conversation starts
+export const chatRequestSchema = Joi.object({
+  message: Joi.string().required().min(1).max(2000).trim(),
+  conversation_id: Joi.string()
+});
+
+export const validateChatRequest = (chatData) => {
+  return chatRequestSchema.validate(chatData, { abortEarly: false });
+};
+
+// Conversation data transformation helpers
+export const transformConversationForAirtable = (conversationData) => {
+  const now = new Date().toISOString();
+
+  return {
+    project_id: conversationData.project_id,
+    user_id: conversationData.user_id,
+    title: conversationData.title,
+    messages: stringifyJsonField(conversationData.messages || []),
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformConversationFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    project_id: airtableRecord.fields.project_id,
+    user_id: airtableRecord.fields.user_id,
+    title: airtableRecord.fields.title,
+    messages: parseJsonField(airtableRecord.fields.messages, []),
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+export default {
+  CHAT_ROLES,
+  validateChatRequest,
+  transformConversationForAirtable,
+  transformConversationFromAirtable
+};
@@ -0,0 +1,123 @@
+// Decision model for the per-project decision register
+// Decisions are taken from generated MOMs (one record per decision in
+// mom_structured) or entered by hand, and keep their own status afterwards.
+
+import Joi from 'joi';
+import { paginationKeys } from '../utils/pagination.js';
+
+// Decision status enum
+export const DECISION_STATUS = {
+  ACTIVE: 'active',
+  SUPERSEDED: 'superseded', // Replaced by a later decision (superseded_by)
+  REVERTED: 'reverted' // Undone without a replacement
+};
+
+// Where a decision was recorded from
+export const DECISION_SOURCE = {
+  MOM: 'mom',
+  MANUAL: 'manual'
+};
+
+const decisionFields = {
+  decision: Joi.string().min(1).max(1000).trim(),
+  rationale: Joi.string().max(2000).allow('').trim(),
+  owner: Joi.string().max(255).allow('').trim(),
+  status_note: Joi.string().max(1000).allow('').trim()
+};
+
+// Manual decision validation schema
+export const decisionSchema = Joi.object({
+  ...decisionFields,
+  decision: decisionFields.decision.required(),
+  meeting_id: Joi.string(),
+  transcript_timestamp: Joi.number().min(0), // Seconds into the meeting recording
+  decided_at: Joi.date().iso(),
+  supersedes: Joi.array().items(Joi.string()).unique().default([]) // Earlier decisions this one replaces
+});
+
+// Decision update schema; superseded_by marks the decision superseded
+export const decisionUpdateSchema = Joi.object({
+  ...decisionFields,
+  status: Joi.string().valid(...Object.values(DECISION_STATUS)),
+  superseded_by: Joi.string().allow(null)
+}).min(1);
+
+// Decision register filters
+export const decisionFiltersSchema = Joi.object({
+  project_id: Joi.string(), // Only for listing across projects
+  status: Joi.string().valid(...Object.values(DECISION_STATUS)),
+  source: Joi.string().valid(...Object.values(DECISION_SOURCE)),
+  meeting_id: Joi.string(),
+  owner: Joi.string().trim().max(255),
+  q: Joi.string().trim().max(200),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  ...paginationKeys
+});
+
+// Helper functions for decision validation
+export const validateDecision = (decisionData) => {
+  return decisionSchema.validate(decisionData, { abortEarly: false });
+};
+
+export const validateDecisionUpdate = (updateData) => {
+  return decisionUpdateSchema.validate(updateData, { abortEarly: false });
+};
+
+export const validateDecisionFilters = (filters) => {
+  return decisionFiltersSchema.validate(filters, { abortEarly: false });
+};
+
+// Decision data transformation helpers
+export const transformDecisionForAirtable = (decisionData) => {
+  const now = new Date().toISOString();
+
+  return {
+    project_id: decisionData.project_id,
+    meeting_id: decisionData.meeting_id || undefined,
+    decision: decisionData.decision,
+    rationale: decisionData.rationale || '',
+    owner: decisionData.owner || '',
+    status: decisionData.status || DECISION_STATUS.ACTIVE,
+    status_note: decisionData.status_note || '',
+    superseded_by: decisionData.superseded_by || undefined,
+    source: decisionData.source || DECISION_SOURCE.MANUAL,
+    transcript_timestamp: decisionData.transcript_timestamp ?? undefined,
+    transcript_excerpt: decisionData.transcript_excerpt || '',
+    decided_at: decisionData.decided_at || now,
+    created_by: decisionData.created_by,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformDecisionFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    project_id: airtableRecord.fields.project_id,
+    meeting_id: airtableRecord.fields.meeting_id || null,
+    decision: airtableRecord.fields.decision,
+    rationale: airtableRecord.fields.rationale || '',
+    owner: airtableRecord.fields.owner || '',
+    status: airtableRecord.fields.status,
+    status_note: airtableRecord.fields.status_note || '',
+    superseded_by: airtableRecord.fields.superseded_by || null,
+    source: airtableRecord.fields.source,
+    transcript_timestamp: airtableRecord.fields.transcript_timestamp ?? null,
+    transcript_excerpt: airtableRecord.fields.transcript_excerpt || '',
+    decided_at: airtableRecord.fields.decided_at,
+    created_by: airtableRecord.fields.created_by,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+export default {
+  DECISION_STATUS,
+  DECISION_SOURCE,
+  validateDecision,
+  validateDecisionUpdate,
+  validateDecisionFilters,
+  transformDecisionForAirtable,
+  transformDecisionFromAirtable
+};
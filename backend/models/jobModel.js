@@ -0,0 +1,69 @@
+// Job model for the persisted background job queue
+// Jobs are stored through the repository layer so they survive restarts
+
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
+
+// Job status enum
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Job types handled by the worker
+export const JOB_TYPES = {
+  PROCESS_MEETING: 'meeting.process',
+  TRANSLATE_MEETING: 'meeting.translate',
+  INDEX_MEETING: 'meeting.index'
+};
+
+// Job data transformation helpers
+export const transformJobForAirtable = (jobData) => {
+  const now = new Date().toISOString();
+
+  return {
+    type: jobData.type,
+    status: jobData.status || JOB_STATUS.QUEUED,
+    payload: stringifyJsonField(jobData.payload || {}),
+    attempts: jobData.attempts || 0,
+    max_attempts: jobData.max_attempts,
+    run_at: jobData.run_at || now,
+    checkpoints: stringifyJsonField(jobData.checkpoints || {}),
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformJobFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    type: airtableRecord.fields.type,
+    status: airtableRecord.fields.status,
+    payload: parseJsonField(airtableRecord.fields.payload, {}),
+    attempts: airtableRecord.fields.attempts || 0,
+    max_attempts: airtableRecord.fields.max_attempts,
+    run_at: airtableRecord.fields.run_at,
+    last_error: airtableRecord.fields.last_error,
+    checkpoints: parseJsonField(airtableRecord.fields.checkpoints, {}),
+    result: parseJsonField(airtableRecord.fields.result),
+    started_at: airtableRecord.fields.started_at,
+    completed_at: airtableRecord.fields.completed_at,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+// Exponential backoff: base, 2x base, 4x base ... capped at maxDelay
+export const calculateBackoff = (attempts, baseDelay, maxDelay) => {
+  const delay = baseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, maxDelay);
+};
+
+export default {
+  JOB_STATUS,
+  JOB_TYPES,
+  transformJobForAirtable,
+  transformJobFromAirtable,
+  calculateBackoff
+};
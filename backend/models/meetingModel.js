@@ -2,6 +2,21 @@
 // Since we're using Airtable, this serves as a schema definition and validation layer
 
 import Joi from 'joi';
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
+import { TASK_PRIORITY } from './taskModel.js';
+import { isTranscriptionLanguage, isSupportedLanguage } from '../utils/languages.js';
+import { createSearchMatcher } from '../utils/searchQuery.js';
+import { paginationKeys } from '../utils/pagination.js';
+
+// Spoken language: ISO 639-1 code, or "auto" to detect it
+const languageField = Joi.string().trim().lowercase().custom((value, helpers) => {
+  return isTranscriptionLanguage(value) ? value : helpers.message('"language" must be a supported ISO 639-1 code or "auto"');
+});
+
+// Language the MOM and summary are written in
+const outputLanguageField = Joi.string().trim().lowercase().custom((value, helpers) => {
+  return isSupportedLanguage(value) ? value : helpers.message('"output_language" must be a supported ISO 639-1 code');
+});
 
 // Meeting validation schema
 export const meetingSchema = Joi.object({
@@ -30,7 +45,72 @@ export const meetingUploadSchema = Joi.object({
   project_id: Joi.string().required(),
   title: Joi.string().required().min(1).max(255).trim(),
   participants: Joi.string().allow(''), // Comma-separated string from form data
-  date: Joi.date().iso().default(() => new Date())
+  date: Joi.date().iso().default(() => new Date()),
+  language: languageField.allow(''), // Overrides the project's transcription language
+  output_language: outputLanguageField.allow(''), // Overrides the project's output language
+  template_id: Joi.string().allow('') // MOM template; the general template when empty
+});
+
+// Meeting reprocess validation schema
+export const REPROCESSABLE_STEPS = ['transcribe', 'diarize', 'mom', 'action_items', 'summary'];
+
+export const meetingReprocessSchema = Joi.object({
+  steps: Joi.array().items(Joi.string().valid(...REPROCESSABLE_STEPS)).min(1).unique().default(REPROCESSABLE_STEPS),
+  source: Joi.string().valid('recording', 'transcript'),
+  language: languageField,
+  output_language: outputLanguageField,
+  template_id: Joi.string() // Switch the MOM template; needs the mom step
+});
+
+// Speaker label to participant mapping; a null name clears the label's mapping
+export const speakerMapUpdateSchema = Joi.object({
+  speakers: Joi.object()
+    .pattern(Joi.string().pattern(/^SPEAKER_\d+$/), Joi.string().trim().min(1).max(255).allow(null))
+    .min(1)
+    .required()
+});
+
+// Action item proposal status: AI-extracted items wait as drafts until reviewed
+export const PROPOSAL_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  MERGED: 'merged'
+};
+
+const proposalFields = {
+  task: Joi.string().min(1).max(255).trim(),
+  assignee: Joi.string().max(255).trim(),
+  deadline: Joi.string().max(255).trim(),
+  priority: Joi.string().lowercase().valid(...Object.values(TASK_PRIORITY)),
+  category: Joi.string().max(100).trim()
+};
+
+// Reviewer edits to a draft proposal
+export const proposalUpdateSchema = Joi.object(proposalFields).min(1);
+
+// Combine several drafts into one; omitted fields are taken from the merged drafts
+export const proposalMergeSchema = Joi.object({
+  proposal_ids: Joi.array().items(Joi.string()).min(2).unique().required(),
+  ...proposalFields
+});
+
+export const proposalRejectSchema = Joi.object({
+  reason: Joi.string().max(500).allow('')
+});
+
+// Approve selected drafts, or every draft when proposal_ids is omitted
+export const proposalApproveSchema = Joi.object({
+  proposal_ids: Joi.array().items(Joi.string()).min(1).unique()
+});
+
+// Meeting outputs that can be translated
+export const TRANSLATABLE_FIELDS = ['transcript', 'mom', 'summary'];
+
+// Translate a meeting's outputs into another language
+export const translationRequestSchema = Joi.object({
+  language: outputLanguageField.required(),
+  fields: Joi.array().items(Joi.string().valid(...TRANSLATABLE_FIELDS)).min(1).unique().default(TRANSLATABLE_FIELDS)
 });
 
 // Meeting query filters validation schema
@@ -41,7 +121,8 @@ export const meetingFiltersSchema = Joi.object({
   has_transcript: Joi.boolean(),
   has_mom: Joi.boolean(),
   has_summary: Joi.boolean(),
-  search: Joi.string().max(255)
+  search: Joi.string().max(255),
+  ...paginationKeys
 });
 
 // File upload validation
@@ -75,6 +156,34 @@ export const validateMeetingUpload = (uploadData) => {
   return meetingUploadSchema.validate(uploadData, { abortEarly: false });
 };
 
+export const validateMeetingReprocess = (reprocessData) => {
+  return meetingReprocessSchema.validate(reprocessData, { abortEarly: false });
+};
+
+export const validateSpeakerMapUpdate = (speakerData) => {
+  return speakerMapUpdateSchema.validate(speakerData, { abortEarly: false });
+};
+
+export const validateTranslationRequest = (translationData) => {
+  return translationRequestSchema.validate(translationData, { abortEarly: false });
+};
+
+export const validateProposalUpdate = (updateData) => {
+  return proposalUpdateSchema.validate(updateData, { abortEarly: false });
+};
+
+export const validateProposalMerge = (mergeData) => {
+  return proposalMergeSchema.validate(mergeData, { abortEarly: false });
+};
+
+export const validateProposalReject = (rejectData) => {
+  return proposalRejectSchema.validate(rejectData, { abortEarly: false });
+};
+
+export const validateProposalApprove = (approveData) => {
+  return proposalApproveSchema.validate(approveData, { abortEarly: false });
+};
+
 export const validateMeetingFilters = (filters) => {
   return meetingFiltersSchema.validate(filters, { abortEarly: false });
 };
@@ -89,11 +198,17 @@ export const transformMeetingForAirtable = (meetingData) => {
     project_id: [meetingData.project_id], // Airtable linked record format
     title: meetingData.title,
     date: meetingData.date || new Date().toISOString(),
+    participants: formatParticipants(meetingData.participants || []),
     recording_url: meetingData.recording_url || '',
+    recording_file: stringifyJsonField(meetingData.recording_file),
     transcript: meetingData.transcript || '',
     mom: meetingData.mom || '',
     summary: meetingData.summary || '',
     action_points: meetingData.action_points || [],
+    processing_status: meetingData.processing_status || AI_PROCESSING_STATUS.PENDING,
+    language: meetingData.language || undefined,
+    output_language: meetingData.output_language || undefined,
+    template_id: meetingData.template_id || undefined,
     created_at: new Date().toISOString()
   };
 };
@@ -104,15 +219,109 @@ export const transformMeetingFromAirtable = (airtableRecord) => {
     project_id: airtableRecord.fields.project_id?.[0] || '',
     title: airtableRecord.fields.title,
     date: airtableRecord.fields.date,
+    participants: parseParticipants(airtableRecord.fields.participants),
     recording_url: airtableRecord.fields.recording_url,
+    recording_file: parseJsonField(airtableRecord.fields.recording_file),
     transcript: airtableRecord.fields.transcript,
     mom: airtableRecord.fields.mom,
     summary: airtableRecord.fields.summary,
     action_points: airtableRecord.fields.action_points || [],
+    processing_status: airtableRecord.fields.processing_status,
+    processing_step: airtableRecord.fields.processing_step,
+    processing_error: airtableRecord.fields.processing_error,
+    processing_steps: parseJsonField(airtableRecord.fields.processing_steps, {}),
+    processing_started_at: airtableRecord.fields.processing_started_at,
+    processing_completed_at: airtableRecord.fields.processing_completed_at,
+    processing_job_id: airtableRecord.fields.processing_job_id,
+    action_item_proposals: parseJsonField(airtableRecord.fields.action_item_proposals, []),
+    transcript_segments: parseJsonField(airtableRecord.fields.transcript_segments, []),
+    speaker_map: parseJsonField(airtableRecord.fields.speaker_map, {}),
+    mom_structured: parseJsonField(airtableRecord.fields.mom_structured),
+    language: airtableRecord.fields.language || null,
+    detected_language: airtableRecord.fields.detected_language || null,
+    output_language: airtableRecord.fields.output_language || null,
+    template_id: airtableRecord.fields.template_id || null,
+    created_at: airtableRecord.fields.created_at
+  };
+};
+
+// Meeting version transformation helpers
+export const transformMeetingVersionForAirtable = (versionData) => {
+  return {
+    meeting_id: versionData.meeting_id,
+    version: versionData.version,
+    transcript: versionData.transcript || '',
+    transcript_segments: stringifyJsonField(versionData.transcript_segments || []),
+    speaker_map: stringifyJsonField(versionData.speaker_map || {}),
+    mom: versionData.mom || '',
+    mom_structured: stringifyJsonField(versionData.mom_structured ?? null),
+    summary: versionData.summary || '',
+    action_points: stringifyJsonField(versionData.action_points || []),
+    action_item_proposals: stringifyJsonField(versionData.action_item_proposals || []),
+    reprocessed_steps: stringifyJsonField(versionData.reprocessed_steps || []),
+    created_by: versionData.created_by,
+    created_at: new Date().toISOString()
+  };
+};
+
+export const transformMeetingVersionFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    meeting_id: airtableRecord.fields.meeting_id,
+    version: airtableRecord.fields.version,
+    transcript: airtableRecord.fields.transcript,
+    transcript_segments: parseJsonField(airtableRecord.fields.transcript_segments, []),
+    speaker_map: parseJsonField(airtableRecord.fields.speaker_map, {}),
+    mom: airtableRecord.fields.mom,
+    mom_structured: parseJsonField(airtableRecord.fields.mom_structured),
+    summary: airtableRecord.fields.summary,
+    action_points: parseJsonField(airtableRecord.fields.action_points, []),
+    action_item_proposals: parseJsonField(airtableRecord.fields.action_item_proposals, []),
+    reprocessed_steps: parseJsonField(airtableRecord.fields.reprocessed_steps, []),
+    created_by: airtableRecord.fields.created_by,
     created_at: airtableRecord.fields.created_at
   };
 };
 
+// Meeting translation transformation helpers
+export const transformMeetingTranslationForAirtable = (translationData) => {
+  const now = new Date().toISOString();
+
+  return {
+    meeting_id: translationData.meeting_id,
+    language: translationData.language,
+    source_language: translationData.source_language || undefined,
+    status: translationData.status || AI_PROCESSING_STATUS.PENDING,
+    translated_fields: stringifyJsonField(translationData.translated_fields || []),
+    transcript: translationData.transcript || '',
+    mom: translationData.mom || '',
+    summary: translationData.summary || '',
+    job_id: translationData.job_id || undefined,
+    created_by: translationData.created_by,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformMeetingTranslationFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    meeting_id: airtableRecord.fields.meeting_id,
+    language: airtableRecord.fields.language,
+    source_language: airtableRecord.fields.source_language || null,
+    status: airtableRecord.fields.status,
+    translated_fields: parseJsonField(airtableRecord.fields.translated_fields, []),
+    transcript: airtableRecord.fields.transcript || '',
+    mom: airtableRecord.fields.mom || '',
+    summary: airtableRecord.fields.summary || '',
+    error: airtableRecord.fields.error || null,
+    job_id: airtableRecord.fields.job_id || null,
+    created_by: airtableRecord.fields.created_by,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
 // Meeting processing helpers
 export const parseParticipants = (participantsString) => {
   if (!participantsString || typeof participantsString !== 'string') {
@@ -165,22 +374,26 @@ export const calculateMeetingStats = (meetings) => {
   return stats;
 };
 
-// Meeting search helpers
-export const searchMeetings = (meetings, searchTerm) => {
-  if (!searchTerm || searchTerm.trim() === '') {
-    return meetings;
-  }
+// Text of a meeting searched by keyword queries
+export const getMeetingSearchText = (meeting) => {
+  return [meeting.title, meeting.transcript, meeting.mom, meeting.summary].filter(Boolean).join('\n');
+};
 
-  const term = searchTerm.toLowerCase().trim();
-  
-  return meetings.filter(meeting => {
-    return (
-      meeting.title?.toLowerCase().includes(term) ||
-      meeting.transcript?.toLowerCase().includes(term) ||
-      meeting.mom?.toLowerCase().includes(term) ||
-      meeting.summary?.toLowerCase().includes(term)
-    );
-  });
+// Meeting filter helpers (meetingFiltersSchema); search takes the keyword
+// query syntax of utils/searchQuery.js
+export const filterMeetings = (meetings, filters = {}) => {
+  const matcher = filters.search ? createSearchMatcher(filters.search) : null;
+  const hasContent = (meeting, field) => filters[`has_${field}`] === undefined || !!meeting[field] === filters[`has_${field}`];
+
+  return meetings.filter(meeting => (
+    (!filters.project_id || meeting.project_id === filters.project_id)
+    && (!filters.date_from || new Date(meeting.date) >= new Date(filters.date_from))
+    && (!filters.date_to || new Date(meeting.date) <= new Date(filters.date_to))
+    && hasContent(meeting, 'transcript')
+    && hasContent(meeting, 'mom')
+    && hasContent(meeting, 'summary')
+    && (!matcher || matcher.matches(getMeetingSearchText(meeting)))
+  ));
 };
 
 // Meeting sorting helpers
@@ -241,17 +454,30 @@ export const generateFileName = (originalName, prefix = 'meeting') => {
 
 export default {
   AI_PROCESSING_STATUS,
+  PROPOSAL_STATUS,
   validateMeeting,
   validateMeetingUpdate,
   validateMeetingUpload,
+  validateMeetingReprocess,
+  validateSpeakerMapUpdate,
+  validateTranslationRequest,
+  validateProposalUpdate,
+  validateProposalMerge,
+  validateProposalReject,
+  validateProposalApprove,
   validateMeetingFilters,
   validateFileUpload,
   transformMeetingForAirtable,
   transformMeetingFromAirtable,
+  transformMeetingVersionForAirtable,
+  transformMeetingVersionFromAirtable,
+  transformMeetingTranslationForAirtable,
+  transformMeetingTranslationFromAirtable,
   parseParticipants,
   formatParticipants,
   calculateMeetingStats,
-  searchMeetings,
+  getMeetingSearchText,
+  filterMeetings,
   sortMeetings,
   isValidAudioFile,
   isValidVideoFile,
@@ -0,0 +1,58 @@
+// Structured Minutes of Meeting (MOM) model
+// The model writes the MOM as JSON: fixed fields that can be queried across
+// meetings (decisions, risks, ...) plus one entry per template section, which
+// either points at one of those fields or carries the section's own content.
+// The readable MOM is rendered from it (see utils/momRenderer.js).
+
+import Joi from 'joi';
+
+// Structured fields a template section can be rendered from
+export const MOM_FIELDS = {
+  OVERVIEW: 'overview',
+  ATTENDEES: 'attendees',
+  DISCUSSION_POINTS: 'discussion_points',
+  DECISIONS: 'decisions',
+  RISKS: 'risks',
+  NEXT_STEPS: 'next_steps',
+  NEXT_MEETING: 'next_meeting'
+};
+
+const text = (max) => Joi.string().max(max).allow('').trim().default('');
+
+export const momDecisionSchema = Joi.object({
+  decision: Joi.string().required().min(1).max(1000).trim(),
+  rationale: text(2000),
+  owner: text(255) // Who made or owns the decision, if mentioned
+});
+
+export const structuredMomSchema = Joi.object({
+  overview: text(5000),
+  attendees: Joi.array().items(Joi.string().trim().min(1).max(255)).default([]),
+  discussion_points: Joi.array().items(Joi.object({
+    topic: Joi.string().required().min(1).max(500).trim(),
+    summary: text(5000)
+  })).default([]),
+  decisions: Joi.array().items(momDecisionSchema).default([]),
+  risks: Joi.array().items(Joi.object({
+    risk: Joi.string().required().min(1).max(1000).trim(),
+    mitigation: text(2000)
+  })).default([]),
+  next_steps: Joi.array().items(Joi.string().trim().min(1).max(1000)).default([]),
+  next_meeting: Joi.string().max(500).trim().allow(null).empty('').default(null),
+  // Template sections in order; field names the structured field a section shows
+  sections: Joi.array().items(Joi.object({
+    title: Joi.string().required().min(1).max(100).trim(),
+    field: Joi.string().valid(...Object.values(MOM_FIELDS)).allow(null).empty('').default(null),
+    content: text(10000)
+  })).default([])
+});
+
+// Validation helper; unknown keys from the model are dropped
+export const validateStructuredMom = (momData) => {
+  return structuredMomSchema.validate(momData, { abortEarly: false, stripUnknown: true });
+};
+
+export default {
+  MOM_FIELDS,
+  validateStructuredMom
+};
@@ -0,0 +1,98 @@
+// Project model for data validation and structure
+// Since we're using Airtable, this serves as a schema definition and validation layer
+
+import Joi from 'joi';
+import { isValidTimeZone } from '../utils/deadlineParser.js';
+import { isTranscriptionLanguage, isSupportedLanguage } from '../utils/languages.js';
+
+// IANA timezone name, e.g. Europe/Berlin
+const timezoneField = Joi.string().custom((value, helpers) => {
+  return isValidTimeZone(value) ? value : helpers.message('"timezone" must be a valid IANA timezone');
+});
+
+// Default transcription language: ISO 639-1 code, or "auto" to detect it
+const languageField = Joi.string().trim().lowercase().custom((value, helpers) => {
+  return isTranscriptionLanguage(value) ? value : helpers.message('"language" must be a supported ISO 639-1 code or "auto"');
+});
+
+// Language for the MOM and summary; null means the meeting's own language
+const outputLanguageField = Joi.string().trim().lowercase().allow(null).custom((value, helpers) => {
+  return isSupportedLanguage(value) ? value : helpers.message('"output_language" must be a supported ISO 639-1 code');
+});
+
+// Project validation schema
+export const projectSchema = Joi.object({
+  name: Joi.string().required().min(1).max(255).trim(),
+  members: Joi.array().items(Joi.string()).default([]),
+  timezone: timezoneField,
+  language: languageField,
+  output_language: outputLanguageField
+});
+
+// Project update validation schema
+export const projectUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(255).trim(),
+  members: Joi.array().items(Joi.string()),
+  timezone: timezoneField,
+  language: languageField,
+  output_language: outputLanguageField
+}).min(1); // At least one field must be provided
+
+// Helper functions for project validation
+export const validateProject = (projectData) => {
+  return projectSchema.validate(projectData, { abortEarly: false });
+};
+
+export const validateProjectUpdate = (updateData) => {
+  return projectUpdateSchema.validate(updateData, { abortEarly: false });
+};
+
+// Project data transformation helpers
+export const transformProjectForAirtable = (projectData) => {
+  return {
+    name: projectData.name,
+    created_by: projectData.created_by,
+    members: projectData.members || [],
+    timezone: projectData.timezone || undefined,
+    language: projectData.language || undefined,
+    output_language: projectData.output_language || undefined,
+    created_at: new Date().toISOString()
+  };
+};
+
+export const transformProjectFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    name: airtableRecord.fields.name,
+    created_by: airtableRecord.fields.created_by,
+    members: airtableRecord.fields.members || [],
+    meetings: airtableRecord.fields.meetings || [],
+    timezone: airtableRecord.fields.timezone || null,
+    language: airtableRecord.fields.language || null,
+    output_language: airtableRecord.fields.output_language || null,
+    created_at: airtableRecord.fields.created_at
+  };
+};
+
+// Access helpers
+// Roles that can see and manage every project
+export const ADMIN_ROLES = ['super_admin', 'project_admin'];
+
+export const isProjectMember = (project, userId) => {
+  return project.created_by === userId || project.members.includes(userId);
+};
+
+export const canAccessProject = (project, user) => {
+  const isAdmin = ADMIN_ROLES.includes(user.role);
+  return isAdmin || isProjectMember(project, user.id);
+};
+
+export default {
+  ADMIN_ROLES,
+  validateProject,
+  validateProjectUpdate,
+  transformProjectForAirtable,
+  transformProjectFromAirtable,
+  isProjectMember,
+  canAccessProject
+};
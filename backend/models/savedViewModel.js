@@ -0,0 +1,157 @@
+// Saved view model: a named task or meeting list with its filters, sort
+// order and columns. Personal views are only visible to their author; shared
+// views belong to a project and are visible to all of its members.
+
+import Joi from 'joi';
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
+import { paginationKeys } from '../utils/pagination.js';
+import { taskFiltersSchema } from './taskModel.js';
+import { meetingFiltersSchema } from './meetingModel.js';
+
+// Kinds of records a view lists
+export const VIEW_ENTITIES = {
+  TASK: 'task',
+  MEETING: 'meeting'
+};
+
+export const VIEW_SCOPES = {
+  PERSONAL: 'personal',
+  PROJECT: 'project' // Shared with the members of project_id
+};
+
+// Fields a view can sort on, per entity
+export const VIEW_SORT_FIELDS = {
+  [VIEW_ENTITIES.TASK]: ['name', 'status', 'priority', 'deadline', 'created_at'],
+  [VIEW_ENTITIES.MEETING]: ['title', 'date', 'processing_status', 'created_at']
+};
+
+// Fields a view can show as columns, per entity
+export const VIEW_COLUMNS = {
+  [VIEW_ENTITIES.TASK]: [
+    'name', 'description', 'status', 'priority', 'deadline', 'owner_id', 'assignee_name',
+    'team', 'source_meeting', 'needs_assignment', 'created_at'
+  ],
+  [VIEW_ENTITIES.MEETING]: [
+    'title', 'date', 'processing_status', 'has_transcript', 'has_mom', 'has_summary', 'recording_url', 'created_at'
+  ]
+};
+
+export const DEFAULT_VIEW_SORT = {
+  [VIEW_ENTITIES.TASK]: [{ field: 'deadline', direction: 'asc' }],
+  [VIEW_ENTITIES.MEETING]: [{ field: 'date', direction: 'desc' }]
+};
+
+export const DEFAULT_VIEW_COLUMNS = {
+  [VIEW_ENTITIES.TASK]: ['name', 'status', 'priority', 'deadline', 'owner_id'],
+  [VIEW_ENTITIES.MEETING]: ['title', 'date', 'processing_status', 'has_mom']
+};
+
+// Stored filters are the list filters of the entity, without pagination
+const VIEW_FILTER_SCHEMAS = {
+  [VIEW_ENTITIES.TASK]: taskFiltersSchema,
+  [VIEW_ENTITIES.MEETING]: meetingFiltersSchema.keys({ limit: Joi.forbidden(), cursor: Joi.forbidden() })
+};
+
+// Filters, sort and columns of a view of the given entity
+const viewSettings = (entity) => ({
+  filters: VIEW_FILTER_SCHEMAS[entity],
+  sort: Joi.array().items(Joi.object({
+    field: Joi.string().valid(...VIEW_SORT_FIELDS[entity]).required(),
+    direction: Joi.string().valid('asc', 'desc').default('asc')
+  })).max(3),
+  columns: Joi.array().items(Joi.string().valid(...VIEW_COLUMNS[entity])).min(1).unique()
+});
+
+const bySettingsOf = (key) => Joi.when('entity', {
+  switch: Object.values(VIEW_ENTITIES).map(entity => ({ is: entity, then: viewSettings(entity)[key] }))
+});
+
+const viewName = Joi.string().min(1).max(100).trim();
+
+// Saved view validation schema; shared views need a project_id
+export const savedViewSchema = Joi.object({
+  name: viewName.required(),
+  entity: Joi.string().valid(...Object.values(VIEW_ENTITIES)).required(),
+  scope: Joi.string().valid(...Object.values(VIEW_SCOPES)).default(VIEW_SCOPES.PERSONAL),
+  project_id: Joi.string().when('scope', { is: VIEW_SCOPES.PROJECT, then: Joi.required() }),
+  filters: bySettingsOf('filters').default({}),
+  sort: bySettingsOf('sort').default([]),
+  columns: bySettingsOf('columns')
+});
+
+// Saved view update validation schemas per entity; the entity, scope and
+// project cannot change
+const savedViewUpdateSchemas = Object.fromEntries(Object.values(VIEW_ENTITIES).map(entity => [
+  entity,
+  Joi.object({ name: viewName, ...viewSettings(entity) }).min(1)
+]));
+
+// Saved view list filters
+export const savedViewListSchema = Joi.object({
+  entity: Joi.string().valid(...Object.values(VIEW_ENTITIES)),
+  project_id: Joi.string(),
+  ...paginationKeys
+});
+
+// Helper functions for saved view validation
+export const validateSavedView = (viewData) => {
+  return savedViewSchema.validate(viewData, { abortEarly: false });
+};
+
+export const validateSavedViewUpdate = (updateData, entity) => {
+  return savedViewUpdateSchemas[entity].validate(updateData, { abortEarly: false });
+};
+
+export const validateSavedViewList = (query) => {
+  return savedViewListSchema.validate(query, { abortEarly: false });
+};
+
+// Saved view data transformation helpers
+export const transformSavedViewForAirtable = (viewData) => {
+  const now = new Date().toISOString();
+
+  return {
+    name: viewData.name,
+    entity: viewData.entity,
+    scope: viewData.scope || VIEW_SCOPES.PERSONAL,
+    project_id: viewData.project_id || undefined,
+    filters: stringifyJsonField(viewData.filters || {}),
+    sort: stringifyJsonField(viewData.sort || []),
+    columns: stringifyJsonField(viewData.columns || DEFAULT_VIEW_COLUMNS[viewData.entity]),
+    created_by: viewData.created_by,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformSavedViewFromAirtable = (airtableRecord) => {
+  const entity = airtableRecord.fields.entity;
+
+  return {
+    id: airtableRecord.id,
+    name: airtableRecord.fields.name,
+    entity,
+    scope: airtableRecord.fields.scope || VIEW_SCOPES.PERSONAL,
+    project_id: airtableRecord.fields.project_id || null,
+    filters: parseJsonField(airtableRecord.fields.filters, {}),
+    sort: parseJsonField(airtableRecord.fields.sort, []),
+    columns: parseJsonField(airtableRecord.fields.columns, DEFAULT_VIEW_COLUMNS[entity] || []),
+    created_by: airtableRecord.fields.created_by,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+export default {
+  VIEW_ENTITIES,
+  VIEW_SCOPES,
+  VIEW_SORT_FIELDS,
+  VIEW_COLUMNS,
+  DEFAULT_VIEW_SORT,
+  DEFAULT_VIEW_COLUMNS,
+  validateSavedView,
+  validateSavedViewUpdate,
+  validateSavedViewList,
+  transformSavedViewForAirtable,
+  transformSavedViewFromAirtable
+};
@@ -0,0 +1,65 @@
+// Search request models
+// Semantic search runs over the meeting chunks in the vector index: each
+// transcript passage and MOM chunk is embedded once the meeting is processed.
+// Keyword search matches meetings, tasks and projects against a query in the
+// syntax of utils/searchQuery.js, with the meeting list filters.
+
+import Joi from 'joi';
+import { meetingFiltersSchema } from './meetingModel.js';
+
+// Kinds of meeting content in the index
+export const SEARCH_SOURCES = {
+  TRANSCRIPT: 'transcript',
+  MOM: 'mom'
+};
+
+// Semantic search query validation schema
+export const semanticSearchSchema = Joi.object({
+  q: Joi.string().required().min(1).max(500).trim(),
+  project: Joi.string(), // Search a single project instead of all accessible ones
+  source: Joi.string().valid(...Object.values(SEARCH_SOURCES)),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Record types covered by keyword search
+export const KEYWORD_SEARCH_TYPES = {
+  MEETING: 'meeting',
+  TASK: 'task',
+  PROJECT: 'project'
+};
+
+const typeNames = Object.values(KEYWORD_SEARCH_TYPES).join('|');
+
+// Keyword search query validation schema; q replaces the meeting filters' search,
+// limit and cursor come with the meeting filters
+export const keywordSearchSchema = meetingFiltersSchema.keys({
+  q: Joi.string().required().min(1).max(500).trim(),
+  search: Joi.forbidden(),
+  types: Joi.string().pattern(new RegExp(`^(${typeNames})(,(${typeNames}))*$`)) // Comma-separated, all types by default
+    .messages({ 'string.pattern.base': `"types" must be a comma-separated list of ${Object.values(KEYWORD_SEARCH_TYPES).join(', ')}` })
+});
+
+// Reindex request validation schema
+export const reindexSchema = Joi.object({
+  project_id: Joi.string().required()
+});
+
+export const validateSemanticSearch = (query) => {
+  return semanticSearchSchema.validate(query, { abortEarly: false });
+};
+
+export const validateKeywordSearch = (query) => {
+  return keywordSearchSchema.validate(query, { abortEarly: false });
+};
+
+export const validateReindex = (reindexData) => {
+  return reindexSchema.validate(reindexData, { abortEarly: false });
+};
+
+export default {
+  SEARCH_SOURCES,
+  KEYWORD_SEARCH_TYPES,
+  validateSemanticSearch,
+  validateKeywordSearch,
+  validateReindex
+};
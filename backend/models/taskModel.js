@@ -2,6 +2,7 @@
 // Since we're using Airtable, this serves as a schema definition and validation layer
 
 import Joi from 'joi';
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
 
 // Task status enum
 export const TASK_STATUS = {
@@ -19,6 +20,31 @@ export const TASK_PRIORITY = {
   URGENT: 'urgent'
 };
 
+// Priority order for sorting (urgent > high > medium > low)
+export const TASK_PRIORITY_RANK = {
+  [TASK_PRIORITY.URGENT]: 4,
+  [TASK_PRIORITY.HIGH]: 3,
+  [TASK_PRIORITY.MEDIUM]: 2,
+  [TASK_PRIORITY.LOW]: 1
+};
+
+// Rank of a priority for comparisons; missing or unknown priorities rank lowest
+export const getPriorityRank = (priority) => TASK_PRIORITY_RANK[priority?.toLowerCase()] || 0;
+
+// Placeholder the AI uses for an action item's unknown assignee or deadline
+export const NOT_SPECIFIED = 'Not specified';
+
+export const isSpecified = (value) => !!value && value !== NOT_SPECIFIED;
+
+// Task activity event types
+export const TASK_ACTIVITY_TYPES = {
+  CREATED: 'created',
+  STATUS_CHANGED: 'status_changed',
+  ASSIGNED: 'assigned', // owner_id changed
+  UPDATED: 'updated', // Name, description, priority or deadline changed
+  COMMENTED: 'commented'
+};
+
 // Task validation schema
 export const taskSchema = Joi.object({
   name: Joi.string().required().min(1).max(255).trim(),
@@ -29,6 +55,7 @@ export const taskSchema = Joi.object({
   deadline: Joi.date().iso().allow(null),
   team: Joi.string().allow(''),
   source_meeting: Joi.string().allow(''),
+  parent_id: Joi.string().allow(null), // Makes the task a subtask
 });
 
 // Task update validation schema
@@ -39,6 +66,7 @@ export const taskUpdateSchema = Joi.object({
   priority: Joi.string().valid(...Object.values(TASK_PRIORITY)),
   deadline: Joi.date().iso().allow(null),
   team: Joi.string().allow(''),
+  parent_id: Joi.string().allow(null), // null makes a subtask a top-level task again
 }).min(1); // At least one field must be provided
 
 // Task status update validation schema
@@ -67,14 +95,35 @@ export const bulkTaskUpdateSchema = Joi.object({
 // Task creation from action items schema
 export const actionItemSchema = Joi.object({
   task: Joi.string().required().min(1).max(255),
-  assignee: Joi.string().default('Not specified'),
-  deadline: Joi.string().default('Not specified'),
+  assignee: Joi.string().default(NOT_SPECIFIED),
+  deadline: Joi.string().default(NOT_SPECIFIED),
   priority: Joi.string().valid(...Object.values(TASK_PRIORITY)).default(TASK_PRIORITY.MEDIUM),
   category: Joi.string().default('General')
 });
 
 export const actionItemsArraySchema = Joi.array().items(actionItemSchema);
 
+// Manual assignment of a task from the needs-assignment queue
+export const taskAssignSchema = Joi.object({
+  owner_id: Joi.string().required()
+});
+
+// Task dependency validation schema: the task is blocked by blocked_by
+export const taskDependencySchema = Joi.object({
+  blocked_by: Joi.string().required()
+});
+
+// Task comment validation schema; parent_id replies in another comment's thread
+export const taskCommentSchema = Joi.object({
+  body: Joi.string().required().min(1).max(5000).trim(),
+  parent_id: Joi.string()
+});
+
+// Task comment edit validation schema
+export const taskCommentUpdateSchema = Joi.object({
+  body: Joi.string().required().min(1).max(5000).trim()
+});
+
 // Helper functions for task validation
 export const validateTask = (taskData) => {
   return taskSchema.validate(taskData, { abortEarly: false });
@@ -100,6 +149,22 @@ export const validateActionItems = (actionItems) => {
   return actionItemsArraySchema.validate(actionItems, { abortEarly: false });
 };
 
+export const validateTaskAssign = (assignData) => {
+  return taskAssignSchema.validate(assignData, { abortEarly: false });
+};
+
+export const validateTaskDependency = (dependencyData) => {
+  return taskDependencySchema.validate(dependencyData, { abortEarly: false });
+};
+
+export const validateTaskComment = (commentData) => {
+  return taskCommentSchema.validate(commentData, { abortEarly: false });
+};
+
+export const validateTaskCommentUpdate = (updateData) => {
+  return taskCommentUpdateSchema.validate(updateData, { abortEarly: false });
+};
+
 // Task data transformation helpers
 export const transformTaskForAirtable = (taskData) => {
   return {
@@ -109,8 +174,17 @@ export const transformTaskForAirtable = (taskData) => {
     status: taskData.status || TASK_STATUS.PENDING,
     priority: taskData.priority || TASK_PRIORITY.MEDIUM,
     deadline: taskData.deadline || null,
+    deadline_text: taskData.deadline_text || undefined,
+    deadline_needs_review: !!taskData.deadline_needs_review,
+    deadline_note: taskData.deadline_note || undefined,
     team: taskData.team || '',
-    source_meeting: taskData.source_meeting || '',
+    source_meeting: taskData.source_meeting ? [taskData.source_meeting] : undefined, // Airtable linked record format
+    assignee_name: taskData.assignee_name || undefined,
+    assignee_confidence: taskData.assignee_confidence ?? undefined,
+    assignee_suggestions: taskData.assignee_suggestions ? stringifyJsonField(taskData.assignee_suggestions) : undefined,
+    needs_assignment: !!taskData.needs_assignment,
+    parent_id: taskData.parent_id || undefined,
+    blocked_by: taskData.blocked_by?.length ? stringifyJsonField(taskData.blocked_by) : undefined,
     created_at: new Date().toISOString()
   };
 };
@@ -124,8 +198,72 @@ export const transformTaskFromAirtable = (airtableRecord) => {
     status: airtableRecord.fields.status,
     priority: airtableRecord.fields.priority,
     deadline: airtableRecord.fields.deadline,
+    deadline_text: airtableRecord.fields.deadline_text,
+    deadline_needs_review: !!airtableRecord.fields.deadline_needs_review,
+    deadline_note: airtableRecord.fields.deadline_note,
     team: airtableRecord.fields.team,
     source_meeting: airtableRecord.fields.source_meeting,
+    assignee_name: airtableRecord.fields.assignee_name,
+    assignee_confidence: airtableRecord.fields.assignee_confidence,
+    assignee_suggestions: parseJsonField(airtableRecord.fields.assignee_suggestions, []),
+    needs_assignment: !!airtableRecord.fields.needs_assignment,
+    parent_id: airtableRecord.fields.parent_id || null,
+    blocked_by: parseJsonField(airtableRecord.fields.blocked_by, []),
+    created_at: airtableRecord.fields.created_at
+  };
+};
+
+// Task comment transformation helpers
+export const transformTaskCommentForAirtable = (commentData) => {
+  const now = new Date().toISOString();
+
+  return {
+    task_id: commentData.task_id,
+    parent_id: commentData.parent_id || undefined,
+    author_id: commentData.author_id,
+    body: commentData.body,
+    mentions: stringifyJsonField(commentData.mentions || []),
+    deleted: false,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformTaskCommentFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    task_id: airtableRecord.fields.task_id,
+    parent_id: airtableRecord.fields.parent_id || null,
+    author_id: airtableRecord.fields.author_id,
+    body: airtableRecord.fields.body || '',
+    mentions: parseJsonField(airtableRecord.fields.mentions, []),
+    deleted: !!airtableRecord.fields.deleted,
+    edited_at: airtableRecord.fields.edited_at || null,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+// Task activity transformation helpers
+export const transformTaskActivityForAirtable = (activityData) => {
+  return {
+    task_id: activityData.task_id,
+    type: activityData.type,
+    actor_id: activityData.actor_id || undefined,
+    changes: stringifyJsonField(activityData.changes || {}),
+    comment_id: activityData.comment_id || undefined,
+    created_at: new Date().toISOString()
+  };
+};
+
+export const transformTaskActivityFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    task_id: airtableRecord.fields.task_id,
+    type: airtableRecord.fields.type,
+    actor_id: airtableRecord.fields.actor_id || null, // Empty for automatic changes
+    changes: parseJsonField(airtableRecord.fields.changes, {}),
+    comment_id: airtableRecord.fields.comment_id || null,
     created_at: airtableRecord.fields.created_at
   };
 };
@@ -169,6 +307,24 @@ export const calculateTaskStats = (tasks) => {
   return stats;
 };
 
+// Task filter helpers (taskFiltersSchema). project and team both match the
+// task's project; overdue and due_soon leave out done tasks, due_soon looks
+// the given number of days ahead.
+export const filterTasks = (tasks, filters = {}, now = new Date()) => {
+  const soonLimit = new Date(now.getTime() + (filters.days || 7) * 24 * 60 * 60 * 1000);
+  const isOpenWithDeadline = (task) => !!task.deadline && task.status !== TASK_STATUS.DONE;
+
+  return tasks.filter(task => (
+    (!filters.status || task.status === filters.status)
+    && (!filters.priority || task.priority === filters.priority)
+    && (!filters.team || task.team === filters.team)
+    && (!filters.project || task.team === filters.project)
+    && (!filters.assignee || task.owner_id === filters.assignee)
+    && (!filters.overdue || (isOpenWithDeadline(task) && new Date(task.deadline) < now))
+    && (!filters.due_soon || (isOpenWithDeadline(task) && new Date(task.deadline) >= now && new Date(task.deadline) <= soonLimit))
+  ));
+};
+
 // Task sorting helpers
 export const sortTasks = (tasks, sortBy = 'created_at', sortOrder = 'desc') => {
   return tasks.sort((a, b) => {
@@ -183,14 +339,8 @@ export const sortTasks = (tasks, sortBy = 'created_at', sortOrder = 'desc') => {
 
     // Handle priority sorting (urgent > high > medium > low)
     if (sortBy === 'priority') {
-      const priorityOrder = {
-        [TASK_PRIORITY.URGENT]: 4,
-        [TASK_PRIORITY.HIGH]: 3,
-        [TASK_PRIORITY.MEDIUM]: 2,
-        [TASK_PRIORITY.LOW]: 1
-      };
-      aValue = priorityOrder[aValue] || 0;
-      bValue = priorityOrder[bValue] || 0;
+      aValue = TASK_PRIORITY_RANK[aValue] || 0;
+      bValue = TASK_PRIORITY_RANK[bValue] || 0;
     }
 
     if (sortOrder === 'asc') {
@@ -204,14 +354,28 @@ export const sortTasks = (tasks, sortBy = 'created_at', sortOrder = 'desc') => {
 export default {
   TASK_STATUS,
   TASK_PRIORITY,
+  TASK_PRIORITY_RANK,
+  getPriorityRank,
+  NOT_SPECIFIED,
+  isSpecified,
+  TASK_ACTIVITY_TYPES,
   validateTask,
   validateTaskUpdate,
   validateTaskStatus,
   validateTaskFilters,
   validateBulkTaskUpdate,
   validateActionItems,
+  validateTaskAssign,
+  validateTaskDependency,
+  validateTaskComment,
+  validateTaskCommentUpdate,
   transformTaskForAirtable,
   transformTaskFromAirtable,
+  transformTaskCommentForAirtable,
+  transformTaskCommentFromAirtable,
+  transformTaskActivityForAirtable,
+  transformTaskActivityFromAirtable,
   calculateTaskStats,
+  filterTasks,
   sortTasks
 };
@@ -0,0 +1,177 @@
+// MOM template model for data validation and structure
+// A template decides which sections the Minutes of Meeting have, extra
+// instructions for the model and the output format. Built-in templates live
+// in code; custom ones are stored per project (or globally by admins).
+
+import Joi from 'joi';
+import { parseJsonField, stringifyJsonField } from '../utils/jsonFields.js';
+
+// Meeting types a template is written for
+export const TEMPLATE_TYPES = {
+  GENERAL: 'general',
+  STANDUP: 'standup',
+  RETRO: 'retro',
+  CLIENT_CALL: 'client_call',
+  INTERVIEW: 'interview',
+  CUSTOM: 'custom'
+};
+
+export const TEMPLATE_OUTPUT_FORMATS = {
+  MARKDOWN: 'markdown',
+  PLAIN_TEXT: 'plain_text'
+};
+
+const BUILT_IN_PREFIX = 'builtin_';
+
+export const DEFAULT_TEMPLATE_ID = `${BUILT_IN_PREFIX}${TEMPLATE_TYPES.GENERAL}`;
+
+const builtIn = (type, name, description, sections, instructions) => ({
+  id: `${BUILT_IN_PREFIX}${type}`,
+  name,
+  type,
+  description,
+  project_id: null,
+  sections: sections.map(([title, sectionInstructions = '']) => ({ title, instructions: sectionInstructions })),
+  instructions,
+  output_format: TEMPLATE_OUTPUT_FORMATS.MARKDOWN,
+  built_in: true
+});
+
+// Read-only templates available to every project
+export const BUILT_IN_TEMPLATES = [
+  builtIn(TEMPLATE_TYPES.GENERAL, 'General meeting', 'Comprehensive minutes for any meeting', [
+    ['Meeting Overview'],
+    ['Attendees'],
+    ['Key Discussion Points'],
+    ['Decisions Made'],
+    ['Risks and Open Issues'],
+    ['Action Items', 'with responsible persons if mentioned'],
+    ['Next Steps'],
+    ['Next Meeting', 'if mentioned']
+  ], 'Make it professional, concise, and well-organized.'),
+
+  builtIn(TEMPLATE_TYPES.STANDUP, 'Daily stand-up', 'Short per-person status updates', [
+    ['Attendees'],
+    ['Completed Since Last Stand-up', 'grouped by person'],
+    ['Planned Today', 'grouped by person'],
+    ['Blockers', 'with who is blocked and who can help'],
+    ['Action Items', 'with responsible persons if mentioned']
+  ], 'Keep it brief: one or two bullet points per person per section. Leave out small talk.'),
+
+  builtIn(TEMPLATE_TYPES.RETRO, 'Retrospective', 'What went well, what did not and what to change', [
+    ['Attendees'],
+    ['What Went Well'],
+    ['What Did Not Go Well'],
+    ['Ideas and Improvements'],
+    ['Action Items', 'with responsible persons if mentioned'],
+    ['Follow-ups From the Previous Retrospective', 'if mentioned']
+  ], 'Capture the team\'s own words for problems and ideas. Do not assign blame to individuals.'),
+
+  builtIn(TEMPLATE_TYPES.CLIENT_CALL, 'Client call', 'Requirements, commitments and open questions with a client', [
+    ['Meeting Overview'],
+    ['Attendees', 'separate client and internal participants where possible'],
+    ['Client Requirements and Feedback'],
+    ['Decisions and Commitments', 'note who committed to what, on which side'],
+    ['Open Questions'],
+    ['Action Items', 'with responsible persons, marking client-side items'],
+    ['Next Meeting', 'if mentioned']
+  ], 'Write it so it can be shared with the client: professional, neutral and free of internal-only remarks.'),
+
+  builtIn(TEMPLATE_TYPES.INTERVIEW, 'Interview', 'Candidate interview notes', [
+    ['Candidate and Role'],
+    ['Interviewers'],
+    ['Topics and Answers', 'summarise each question area and the candidate\'s answer'],
+    ['Strengths'],
+    ['Concerns'],
+    ['Recommendation', 'only if an interviewer stated one'],
+    ['Next Steps']
+  ], 'Stay factual and stick to what was said. Do not invent assessments or scores.')
+];
+
+export const isBuiltInTemplateId = (id) => typeof id === 'string' && id.startsWith(BUILT_IN_PREFIX);
+
+export const getBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.find(template => template.id === id) || null;
+
+const sectionSchema = Joi.object({
+  title: Joi.string().required().min(1).max(100).trim(),
+  instructions: Joi.string().max(500).allow('').trim().default('')
+});
+
+const templateFields = {
+  name: Joi.string().min(1).max(100).trim(),
+  type: Joi.string().valid(...Object.values(TEMPLATE_TYPES)),
+  description: Joi.string().max(500).allow('').trim(),
+  sections: Joi.array().items(sectionSchema).min(1).max(15),
+  instructions: Joi.string().max(2000).allow('').trim(),
+  output_format: Joi.string().valid(...Object.values(TEMPLATE_OUTPUT_FORMATS))
+};
+
+// Template validation schema; templates without a project_id are global
+export const templateSchema = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  type: templateFields.type.default(TEMPLATE_TYPES.CUSTOM),
+  sections: templateFields.sections.required(),
+  output_format: templateFields.output_format.default(TEMPLATE_OUTPUT_FORMATS.MARKDOWN),
+  project_id: Joi.string()
+});
+
+// Template update validation schema; the scope (project_id) cannot change
+export const templateUpdateSchema = Joi.object(templateFields).min(1);
+
+// Helper functions for template validation
+export const validateTemplate = (templateData) => {
+  return templateSchema.validate(templateData, { abortEarly: false });
+};
+
+export const validateTemplateUpdate = (updateData) => {
+  return templateUpdateSchema.validate(updateData, { abortEarly: false });
+};
+
+// Template data transformation helpers
+export const transformTemplateForAirtable = (templateData) => {
+  const now = new Date().toISOString();
+
+  return {
+    name: templateData.name,
+    type: templateData.type || TEMPLATE_TYPES.CUSTOM,
+    description: templateData.description || '',
+    project_id: templateData.project_id || undefined,
+    sections: stringifyJsonField(templateData.sections || []),
+    instructions: templateData.instructions || '',
+    output_format: templateData.output_format || TEMPLATE_OUTPUT_FORMATS.MARKDOWN,
+    created_by: templateData.created_by,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+export const transformTemplateFromAirtable = (airtableRecord) => {
+  return {
+    id: airtableRecord.id,
+    name: airtableRecord.fields.name,
+    type: airtableRecord.fields.type,
+    description: airtableRecord.fields.description || '',
+    project_id: airtableRecord.fields.project_id || null,
+    sections: parseJsonField(airtableRecord.fields.sections, []),
+    instructions: airtableRecord.fields.instructions || '',
+    output_format: airtableRecord.fields.output_format || TEMPLATE_OUTPUT_FORMATS.MARKDOWN,
+    built_in: false,
+    created_by: airtableRecord.fields.created_by,
+    created_at: airtableRecord.fields.created_at,
+    updated_at: airtableRecord.fields.updated_at
+  };
+};
+
+export default {
+  TEMPLATE_TYPES,
+  TEMPLATE_OUTPUT_FORMATS,
+  DEFAULT_TEMPLATE_ID,
+  BUILT_IN_TEMPLATES,
+  isBuiltInTemplateId,
+  getBuiltInTemplate,
+  validateTemplate,
+  validateTemplateUpdate,
+  transformTemplateForAirtable,
+  transformTemplateFromAirtable
+};
@@ -0,0 +1,57 @@
+// Shared repository behaviour on top of a data driver table adapter.
+// Drivers return records as { id, fields }; repositories turn them into
+// plain domain objects using the model transform helpers.
+
+export class BaseRepository {
+  constructor(driver, tableName, fromRecord) {
+    this.driver = driver;
+    this.tableName = tableName;
+    this.fromRecord = fromRecord;
+  }
+
+  get table() {
+    return this.driver.table(this.tableName);
+  }
+
+  // Map domain keys to record fields; subclasses override for linked fields
+  toFields(data) {
+    return { ...data };
+  }
+
+  // Fields for a brand new record; subclasses add defaults and created_at
+  toCreateFields(data) {
+    return this.toFields(data);
+  }
+
+  async findById(id) {
+    const record = await this.table.find(id);
+    return record ? this.fromRecord(record) : null;
+  }
+
+  async findAll({ where = [], sort = [], fields } = {}) {
+    const records = await this.table.select({ where, sort, fields });
+    return records.map(this.fromRecord);
+  }
+
+  async createMany(items) {
+    if (items.length === 0) return [];
+    const records = await this.table.create(items.map(item => this.toCreateFields(item)));
+    return records.map(this.fromRecord);
+  }
+
+  async create(data) {
+    const [created] = await this.createMany([data]);
+    return created;
+  }
+
+  async update(id, updates) {
+    const record = await this.table.update(id, this.toFields(updates));
+    return this.fromRecord(record);
+  }
+
+  async delete(id) {
+    await this.table.destroy(id);
+  }
+}
+
+export default BaseRepository;
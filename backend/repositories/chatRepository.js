@@ -0,0 +1,35 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { transformConversationForAirtable, transformConversationFromAirtable } from '../models/chatModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Project chat conversations, one record per conversation with its messages
+export class ChatConversationRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.CHAT_CONVERSATIONS, transformConversationFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    if ('messages' in data) {
+      fields.messages = stringifyJsonField(data.messages);
+    }
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformConversationForAirtable(data);
+  }
+
+  async listByProjectAndUser(projectId, userId) {
+    return this.findAll({
+      where: [
+        { field: FIELDS.CHAT_CONVERSATIONS.PROJECT_ID, value: projectId },
+        { field: FIELDS.CHAT_CONVERSATIONS.USER_ID, value: userId },
+      ],
+      sort: [{ field: FIELDS.CHAT_CONVERSATIONS.UPDATED_AT, direction: 'desc' }]
+    });
+  }
+}
+
+export default ChatConversationRepository;
@@ -0,0 +1,34 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { transformDecisionForAirtable, transformDecisionFromAirtable } from '../models/decisionModel.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Per-project decision register
+export class DecisionRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.DECISIONS, transformDecisionFromAirtable);
+  }
+
+  toFields(data) {
+    return { ...data, updated_at: new Date().toISOString() };
+  }
+
+  toCreateFields(data) {
+    return transformDecisionForAirtable(data);
+  }
+
+  async listByProject(projectId) {
+    return this.findAll({
+      where: [{ field: FIELDS.DECISIONS.PROJECT_ID, value: projectId }],
+      sort: [{ field: FIELDS.DECISIONS.DECIDED_AT, direction: 'desc' }]
+    });
+  }
+
+  async listByMeeting(meetingId) {
+    return this.findAll({
+      where: [{ field: FIELDS.DECISIONS.MEETING_ID, value: meetingId }],
+      sort: [{ field: FIELDS.DECISIONS.CREATED_AT, direction: 'asc' }]
+    });
+  }
+}
+
+export default DecisionRepository;
@@ -0,0 +1,96 @@
+import { getTable } from '../../../config/airtableConfig.js';
+
+// Airtable accepts at most 10 records per create call
+const AIRTABLE_BATCH_SIZE = 10;
+
+// Escape a value for use inside a single-quoted Airtable formula string
+const escapeFormulaValue = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+};
+
+// Compile a driver-agnostic where clause into an Airtable formula
+const compileCondition = (condition) => {
+  if (condition.or) {
+    return `OR(${condition.or.map(compileCondition).join(', ')})`;
+  }
+
+  // Checkbox fields are blank rather than false when unchecked
+  if (typeof condition.value === 'boolean') {
+    return condition.value ? `{${condition.field}}` : `NOT({${condition.field}})`;
+  }
+
+  const value = escapeFormulaValue(condition.value);
+
+  if (condition.op === 'contains') {
+    return `FIND('${value}', {${condition.field}})>0`;
+  }
+
+  return `{${condition.field}} = '${value}'`;
+};
+
+export const compileWhere = (where = []) => {
+  if (where.length === 0) return '';
+  if (where.length === 1) return compileCondition(where[0]);
+  return `AND(${where.map(compileCondition).join(', ')})`;
+};
+
+const toRecord = (airtableRecord) => ({
+  id: airtableRecord.id,
+  fields: { ...airtableRecord.fields },
+});
+
+// Airtable-backed table adapter
+const createAirtableTable = (tableName) => {
+  const table = getTable(tableName);
+
+  return {
+    find: async (id) => {
+      try {
+        const record = await table.find(id);
+        return toRecord(record);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    select: async ({ where = [], sort = [], fields } = {}) => {
+      const options = {};
+      const formula = compileWhere(where);
+      if (formula) options.filterByFormula = formula;
+      if (sort.length > 0) options.sort = sort;
+      if (fields) options.fields = fields;
+
+      const records = await table.select(options).all();
+      return records.map(toRecord);
+    },
+
+    create: async (fieldsList) => {
+      const created = [];
+      for (let i = 0; i < fieldsList.length; i += AIRTABLE_BATCH_SIZE) {
+        const batch = fieldsList.slice(i, i + AIRTABLE_BATCH_SIZE).map(fields => ({ fields }));
+        const records = await table.create(batch);
+        created.push(...records.map(toRecord));
+      }
+      return created;
+    },
+
+    update: async (id, fields) => {
+      const records = await table.update([{ id, fields }]);
+      return toRecord(records[0]);
+    },
+
+    destroy: async (id) => {
+      await table.destroy([id]);
+    },
+  };
+};
+
+export const createAirtableDriver = () => ({
+  name: 'airtable',
+  table: createAirtableTable,
+});
+
+export default createAirtableDriver;
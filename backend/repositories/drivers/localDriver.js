@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Local embedded driver: keeps every table in a single JSON file so the API
+// can run without any external data service (offline development, CI).
+
+const generateRecordId = () => `rec${crypto.randomBytes(7).toString('hex')}`;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Drop undefined/null values the same way Airtable ignores empty cells
+const compactFields = (fields) => {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+  );
+};
+
+const matchesCondition = (record, condition) => {
+  if (condition.or) {
+    return condition.or.some(inner => matchesCondition(record, inner));
+  }
+
+  const fieldValue = record.fields[condition.field];
+  const expected = condition.value;
+
+  if (condition.op === 'contains') {
+    if (Array.isArray(fieldValue)) return fieldValue.includes(expected);
+    return typeof fieldValue === 'string' && fieldValue.includes(String(expected));
+  }
+
+  // Checkbox semantics: a missing value counts as false
+  if (typeof expected === 'boolean') return !!fieldValue === expected;
+
+  // Linked record / multi-select fields are stored as arrays
+  if (Array.isArray(fieldValue)) return fieldValue.includes(expected);
+  return fieldValue === expected;
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a > b ? 1 : -1;
+};
+
+const sortRecords = (records, sort) => {
+  return records.sort((a, b) => {
+    for (const { field, direction = 'asc' } of sort) {
+      const result = compareValues(a.fields[field], b.fields[field]);
+      if (result !== 0) {
+        // Empty values always sort last regardless of direction
+        const aEmpty = a.fields[field] === undefined || a.fields[field] === null;
+        const bEmpty = b.fields[field] === undefined || b.fields[field] === null;
+        if (aEmpty || bEmpty) return result;
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+};
+
+export const createLocalDriver = ({ filePath }) => {
+  let store = null;
+
+  const load = () => {
+    if (store) return store;
+
+    if (fs.existsSync(filePath)) {
+      store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else {
+      store = {};
+    }
+    return store;
+  };
+
+  // Write to a temp file first so a crash never leaves a truncated store
+  const persist = () => {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  const getRows = (tableName) => {
+    const data = load();
+    if (!data[tableName]) {
+      data[tableName] = [];
+    }
+    return data[tableName];
+  };
+
+  const createLocalTable = (tableName) => ({
+    find: async (id) => {
+      const record = getRows(tableName).find(row => row.id === id);
+      return record ? clone(record) : null;
+    },
+
+    select: async ({ where = [], sort = [], fields } = {}) => {
+      let records = getRows(tableName).filter(row => where.every(condition => matchesCondition(row, condition)));
+      records = sortRecords(clone(records), sort);
+
+      if (fields) {
+        records = records.map(record => ({
+          ...record,
+          fields: Object.fromEntries(fields.filter(f => f in record.fields).map(f => [f, record.fields[f]])),
+        }));
+      }
+
+      return records;
+    },
+
+    create: async (fieldsList) => {
+      const rows = getRows(tableName);
+      const created = fieldsList.map(fields => ({
+        id: generateRecordId(),
+        createdTime: new Date().toISOString(),
+        fields: compactFields(clone(fields)),
+      }));
+
+      rows.push(...created);
+      persist();
+      return clone(created);
+    },
+
+    update: async (id, fields) => {
+      const record = getRows(tableName).find(row => row.id === id);
+      if (!record) {
+        const error = new Error(`Record ${id} not found in ${tableName}`);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      Object.entries(clone(fields)).forEach(([key, value]) => {
+        if (value === undefined || value === null) {
+          delete record.fields[key];
+        } else {
+          record.fields[key] = value;
+        }
+      });
+
+      persist();
+      return clone(record);
+    },
+
+    destroy: async (id) => {
+      const rows = getRows(tableName);
+      const index = rows.findIndex(row => row.id === id);
+      if (index !== -1) {
+        rows.splice(index, 1);
+        persist();
+      }
+    },
+  });
+
+  return {
+    name: 'local',
+    table: createLocalTable,
+  };
+};
+
+export default createLocalDriver;
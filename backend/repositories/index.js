@@ -0,0 +1,100 @@
+// Repository registry
+// Selects the data driver from the DATA_DRIVER environment variable:
+//   airtable - Airtable base (requires AIRTABLE_API_KEY and AIRTABLE_BASE_ID)
+//   local    - embedded JSON store on disk (LOCAL_DATA_PATH), no external service
+// When DATA_DRIVER is not set, Airtable is used if configured, otherwise local.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isAirtableConfigured } from '../../config/airtableConfig.js';
+import { createAirtableDriver } from './drivers/airtableDriver.js';
+import { createLocalDriver } from './drivers/localDriver.js';
+import { ProjectRepository } from './projectRepository.js';
+import { MeetingRepository, MeetingVersionRepository, MeetingTranslationRepository } from './meetingRepository.js';
+import { TaskRepository, TaskCommentRepository, TaskActivityRepository } from './taskRepository.js';
+import { JobRepository } from './jobRepository.js';
+import { TemplateRepository } from './templateRepository.js';
+import { DecisionRepository } from './decisionRepository.js';
+import { ChatConversationRepository } from './chatRepository.js';
+import { SavedViewRepository } from './savedViewRepository.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DRIVERS = {
+  AIRTABLE: 'airtable',
+  LOCAL: 'local'
+};
+
+const DEFAULT_LOCAL_DATA_PATH = path.join(__dirname, '../data/meetmind.json');
+
+export const getDataDriverName = () => {
+  const configured = process.env.DATA_DRIVER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return isAirtableConfigured() ? DATA_DRIVERS.AIRTABLE : DATA_DRIVERS.LOCAL;
+};
+
+let driver = null;
+
+// Drivers are created lazily so environment variables loaded at startup are honoured
+export const getDataDriver = () => {
+  if (driver) return driver;
+
+  const driverName = getDataDriverName();
+
+  switch (driverName) {
+    case DATA_DRIVERS.AIRTABLE:
+      driver = createAirtableDriver();
+      break;
+    case DATA_DRIVERS.LOCAL:
+      driver = createLocalDriver({
+        filePath: process.env.LOCAL_DATA_PATH || DEFAULT_LOCAL_DATA_PATH
+      });
+      break;
+    default:
+      throw new Error(`Unknown DATA_DRIVER "${driverName}". Expected one of: ${Object.values(DATA_DRIVERS).join(', ')}`);
+  }
+
+  return driver;
+};
+
+// Repositories resolve the driver on every call through this proxy
+const lazyDriver = {
+  get name() {
+    return getDataDriver().name;
+  },
+  table: (tableName) => getDataDriver().table(tableName),
+};
+
+export const projectRepository = new ProjectRepository(lazyDriver);
+export const meetingRepository = new MeetingRepository(lazyDriver);
+export const meetingVersionRepository = new MeetingVersionRepository(lazyDriver);
+export const meetingTranslationRepository = new MeetingTranslationRepository(lazyDriver);
+export const taskRepository = new TaskRepository(lazyDriver);
+export const taskCommentRepository = new TaskCommentRepository(lazyDriver);
+export const taskActivityRepository = new TaskActivityRepository(lazyDriver);
+export const jobRepository = new JobRepository(lazyDriver);
+export const templateRepository = new TemplateRepository(lazyDriver);
+export const decisionRepository = new DecisionRepository(lazyDriver);
+export const chatConversationRepository = new ChatConversationRepository(lazyDriver);
+export const savedViewRepository = new SavedViewRepository(lazyDriver);
+
+export default {
+  DATA_DRIVERS,
+  getDataDriverName,
+  getDataDriver,
+  projectRepository,
+  meetingRepository,
+  meetingVersionRepository,
+  meetingTranslationRepository,
+  taskRepository,
+  taskCommentRepository,
+  taskActivityRepository,
+  jobRepository,
+  templateRepository,
+  decisionRepository,
+  chatConversationRepository,
+  savedViewRepository
+};
@@ -0,0 +1,48 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { JOB_STATUS, transformJobForAirtable, transformJobFromAirtable } from '../models/jobModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Job keys holding structured values
+const JSON_FIELDS = ['payload', 'checkpoints', 'result'];
+
+export class JobRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.JOBS, transformJobFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    JSON_FIELDS.forEach(key => {
+      if (key in data) fields[key] = stringifyJsonField(data[key]);
+    });
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformJobForAirtable(data);
+  }
+
+  async listByStatus(status) {
+    return this.findAll({
+      where: [{ field: FIELDS.JOBS.STATUS, value: status }],
+      sort: [{ field: FIELDS.JOBS.RUN_AT, direction: 'asc' }]
+    });
+  }
+
+  // Queued jobs whose scheduled run time has passed, oldest first
+  async listDue(now = new Date()) {
+    const queued = await this.listByStatus(JOB_STATUS.QUEUED);
+    return queued.filter(job => !job.run_at || new Date(job.run_at) <= now);
+  }
+
+  // Jobs of any type and status working on a meeting; the payload is not filterable, so all jobs are scanned
+  async listByMeeting(meetingId) {
+    const jobs = await this.findAll({
+      sort: [{ field: FIELDS.JOBS.CREATED_AT, direction: 'asc' }]
+    });
+    return jobs.filter(job => job.payload.meeting_id === meetingId);
+  }
+}
+
+export default JobRepository;
@@ -0,0 +1,109 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import {
+  transformMeetingForAirtable,
+  transformMeetingFromAirtable,
+  transformMeetingVersionForAirtable,
+  transformMeetingVersionFromAirtable,
+  transformMeetingTranslationForAirtable,
+  transformMeetingTranslationFromAirtable,
+  formatParticipants
+} from '../models/meetingModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Meeting keys holding structured values
+const JSON_FIELDS = [
+  FIELDS.MEETINGS.PROCESSING_STEPS,
+  FIELDS.MEETINGS.RECORDING_FILE,
+  FIELDS.MEETINGS.ACTION_ITEM_PROPOSALS,
+  FIELDS.MEETINGS.TRANSCRIPT_SEGMENTS,
+  FIELDS.MEETINGS.SPEAKER_MAP,
+  FIELDS.MEETINGS.MOM_STRUCTURED,
+];
+
+export class MeetingRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.MEETINGS, transformMeetingFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data };
+    if (data.project_id) {
+      fields[FIELDS.MEETINGS.PROJECT_ID] = [data.project_id]; // Airtable linked record format
+    }
+    if (Array.isArray(data.participants)) {
+      fields[FIELDS.MEETINGS.PARTICIPANTS] = formatParticipants(data.participants);
+    }
+    JSON_FIELDS.forEach(key => {
+      if (key in data) fields[key] = stringifyJsonField(data[key]);
+    });
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformMeetingForAirtable(data);
+  }
+
+  async listByProject(projectId) {
+    return this.findAll({
+      where: [{ field: FIELDS.MEETINGS.PROJECT_ID, value: projectId }],
+      sort: [{ field: FIELDS.MEETINGS.DATE, direction: 'desc' }]
+    });
+  }
+}
+
+// Snapshots of earlier AI outputs, kept when a meeting is reprocessed
+export class MeetingVersionRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.MEETING_VERSIONS, transformMeetingVersionFromAirtable);
+  }
+
+  toCreateFields(data) {
+    return transformMeetingVersionForAirtable(data);
+  }
+
+  async listByMeeting(meetingId) {
+    return this.findAll({
+      where: [{ field: FIELDS.MEETING_VERSIONS.MEETING_ID, value: meetingId }],
+      sort: [{ field: FIELDS.MEETING_VERSIONS.VERSION, direction: 'desc' }]
+    });
+  }
+}
+
+// Translated transcript, MOM and summary, one record per meeting and language
+export class MeetingTranslationRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.MEETING_TRANSLATIONS, transformMeetingTranslationFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    if ('translated_fields' in data) {
+      fields.translated_fields = stringifyJsonField(data.translated_fields);
+    }
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformMeetingTranslationForAirtable(data);
+  }
+
+  async listByMeeting(meetingId) {
+    return this.findAll({
+      where: [{ field: FIELDS.MEETING_TRANSLATIONS.MEETING_ID, value: meetingId }],
+      sort: [{ field: FIELDS.MEETING_TRANSLATIONS.LANGUAGE, direction: 'asc' }]
+    });
+  }
+
+  async findByMeetingAndLanguage(meetingId, language) {
+    const [translation] = await this.findAll({
+      where: [
+        { field: FIELDS.MEETING_TRANSLATIONS.MEETING_ID, value: meetingId },
+        { field: FIELDS.MEETING_TRANSLATIONS.LANGUAGE, value: language }
+      ]
+    });
+    return translation || null;
+  }
+}
+
+export default MeetingRepository;
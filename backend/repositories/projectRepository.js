@@ -0,0 +1,32 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { transformProjectForAirtable, transformProjectFromAirtable } from '../models/projectModel.js';
+import { BaseRepository } from './baseRepository.js';
+
+export class ProjectRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.PROJECTS, transformProjectFromAirtable);
+  }
+
+  toCreateFields(data) {
+    return transformProjectForAirtable(data);
+  }
+
+  // Projects the user created or is a member of; all projects when no user is given
+  async listForUser(userId = null) {
+    const where = userId
+      ? [{
+          or: [
+            { field: FIELDS.PROJECTS.CREATED_BY, value: userId },
+            { field: FIELDS.PROJECTS.MEMBERS, op: 'contains', value: userId },
+          ]
+        }]
+      : [];
+
+    return this.findAll({
+      where,
+      sort: [{ field: FIELDS.PROJECTS.CREATED_AT, direction: 'desc' }]
+    });
+  }
+}
+
+export default ProjectRepository;
@@ -0,0 +1,44 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { transformSavedViewForAirtable, transformSavedViewFromAirtable, VIEW_SCOPES } from '../models/savedViewModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Saved task and meeting views, personal or shared per project
+export class SavedViewRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.SAVED_VIEWS, transformSavedViewFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    ['filters', 'sort', 'columns'].forEach(field => {
+      if (field in data) {
+        fields[field] = stringifyJsonField(data[field]);
+      }
+    });
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformSavedViewForAirtable(data);
+  }
+
+  async listByCreator(userId) {
+    return this.findAll({
+      where: [{ field: FIELDS.SAVED_VIEWS.CREATED_BY, value: userId }],
+      sort: [{ field: FIELDS.SAVED_VIEWS.NAME, direction: 'asc' }]
+    });
+  }
+
+  async listSharedByProject(projectId) {
+    return this.findAll({
+      where: [
+        { field: FIELDS.SAVED_VIEWS.PROJECT_ID, value: projectId },
+        { field: FIELDS.SAVED_VIEWS.SCOPE, value: VIEW_SCOPES.PROJECT },
+      ],
+      sort: [{ field: FIELDS.SAVED_VIEWS.NAME, direction: 'asc' }]
+    });
+  }
+}
+
+export default SavedViewRepository;
@@ -0,0 +1,100 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import {
+  transformTaskForAirtable,
+  transformTaskFromAirtable,
+  transformTaskCommentForAirtable,
+  transformTaskCommentFromAirtable,
+  transformTaskActivityForAirtable,
+  transformTaskActivityFromAirtable
+} from '../models/taskModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Task keys holding structured values
+const JSON_FIELDS = [FIELDS.TASKS.ASSIGNEE_SUGGESTIONS, FIELDS.TASKS.BLOCKED_BY];
+
+// Query filter keys accepted by list() and the task fields they match
+const FILTER_FIELDS = {
+  owner_id: FIELDS.TASKS.OWNER_ID,
+  team: FIELDS.TASKS.TEAM,
+  status: FIELDS.TASKS.STATUS,
+  priority: FIELDS.TASKS.PRIORITY,
+  source_meeting: FIELDS.TASKS.SOURCE_MEETING,
+  needs_assignment: FIELDS.TASKS.NEEDS_ASSIGNMENT,
+  parent_id: FIELDS.TASKS.PARENT_ID,
+};
+
+export class TaskRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.TASKS, transformTaskFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data };
+    if (data.source_meeting) {
+      fields[FIELDS.TASKS.SOURCE_MEETING] = [data.source_meeting]; // Airtable linked record format
+    }
+    JSON_FIELDS.forEach(key => {
+      if (key in data) fields[key] = stringifyJsonField(data[key]);
+    });
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformTaskForAirtable(data);
+  }
+
+  async list(filters = {}, sort = []) {
+    const where = Object.entries(filters)
+      .filter(([key, value]) => FILTER_FIELDS[key] && value !== undefined && value !== null)
+      .map(([key, value]) => ({ field: FILTER_FIELDS[key], value }));
+
+    return this.findAll({ where, sort });
+  }
+}
+
+// Comments on tasks; replies point at the top-level comment of their thread
+export class TaskCommentRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.TASK_COMMENTS, transformTaskCommentFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    if ('mentions' in data) {
+      fields.mentions = stringifyJsonField(data.mentions);
+    }
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformTaskCommentForAirtable(data);
+  }
+
+  async listByTask(taskId) {
+    return this.findAll({
+      where: [{ field: FIELDS.TASK_COMMENTS.TASK_ID, value: taskId }],
+      sort: [{ field: FIELDS.TASK_COMMENTS.CREATED_AT, direction: 'asc' }]
+    });
+  }
+}
+
+// Task activity timeline: creation, status changes, reassignments, edits and comments
+export class TaskActivityRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.TASK_ACTIVITY, transformTaskActivityFromAirtable);
+  }
+
+  toCreateFields(data) {
+    return transformTaskActivityForAirtable(data);
+  }
+
+  async listByTask(taskId) {
+    return this.findAll({
+      where: [{ field: FIELDS.TASK_ACTIVITY.TASK_ID, value: taskId }],
+      sort: [{ field: FIELDS.TASK_ACTIVITY.CREATED_AT, direction: 'asc' }]
+    });
+  }
+}
+
+export default TaskRepository;
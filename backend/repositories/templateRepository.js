@@ -0,0 +1,31 @@
+import { TABLES, FIELDS } from '../../config/airtableConfig.js';
+import { transformTemplateForAirtable, transformTemplateFromAirtable } from '../models/templateModel.js';
+import { stringifyJsonField } from '../utils/jsonFields.js';
+import { BaseRepository } from './baseRepository.js';
+
+// Stored MOM templates; built-in templates are not stored (see templateModel.js)
+export class TemplateRepository extends BaseRepository {
+  constructor(driver) {
+    super(driver, TABLES.TEMPLATES, transformTemplateFromAirtable);
+  }
+
+  toFields(data) {
+    const fields = { ...data, updated_at: new Date().toISOString() };
+    if ('sections' in data) {
+      fields.sections = stringifyJsonField(data.sections);
+    }
+    return fields;
+  }
+
+  toCreateFields(data) {
+    return transformTemplateForAirtable(data);
+  }
+
+  async listAll() {
+    return this.findAll({
+      sort: [{ field: FIELDS.TEMPLATES.NAME, direction: 'asc' }]
+    });
+  }
+}
+
+export default TemplateRepository;
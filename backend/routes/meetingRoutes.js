@@ -1,16 +1,69 @@
 import express from 'express';
 import multer from 'multer';
-import { getTable, TABLES, FIELDS, isAirtableConfigured } from '../../config/airtableConfig.js';
+import {
+  meetingRepository,
+  meetingVersionRepository,
+  taskRepository,
+  jobRepository
+} from '../repositories/index.js';
+import { JOB_STATUS } from '../models/jobModel.js';
+import {
+  parseParticipants,
+  validateMeetingUpload,
+  validateMeetingReprocess,
+  validateSpeakerMapUpdate,
+  validateTranslationRequest,
+  validateProposalUpdate,
+  validateProposalMerge,
+  validateProposalReject,
+  validateProposalApprove,
+  validateMeetingFilters,
+  filterMeetings,
+  PROPOSAL_STATUS
+} from '../models/meetingModel.js';
 import { protect, authorize } from '../utils/auth.js';
 import { asyncHandler, AppError } from '../utils/errorHandler.js';
-import { processCompleteeMeeting } from '../services/aiService.js';
-import { createTasksFromActionItems } from '../services/taskService.js';
+import { loadAccessibleProject, loadAccessibleMeeting } from '../services/accessService.js';
+import { enqueueMeetingProcessing, reprocessMeeting, deleteMeeting, RECORDING_STORAGE } from '../services/meetingPipeline.js';
+import {
+  listProposals,
+  updateProposal,
+  mergeProposals,
+  rejectProposal,
+  approveProposals
+} from '../services/actionItemReviewService.js';
+import {
+  requestTranslation,
+  listTranslations,
+  getCompletedTranslation,
+  isTranslationStale
+} from '../services/translationService.js';
+import { assertTemplateUsableForProject, resolveMomTemplate } from '../services/templateService.js';
+import { listProjectDecisions, listDecisionsForUser, syncMeetingDecisions } from '../services/decisionService.js';
+import { requestMeetingIndexing } from '../services/searchService.js';
+import { validateStructuredMom } from '../models/momModel.js';
+import { validateDecisionFilters } from '../models/decisionModel.js';
+import { renderMom } from '../utils/momRenderer.js';
+import { getSpeakerLabels, applySpeakerMap, summarizeSpeakers } from '../utils/transcriptSegments.js';
+import { getDefaultTranscriptionLanguage } from '../utils/languages.js';
+import { TRANSCRIPT_FORMATS, TRANSCRIPT_CONTENT_TYPES, toSrt, toVtt, toPlainText } from '../utils/transcriptFormats.js';
+import { paginate } from '../utils/pagination.js';
 import { uploadFile, saveFileLocally, isGCSConfigured } from '../../config/googleCloudConfig.js';
 import logger from '../utils/logger.js';
 import fs from 'fs';
 
 const router = express.Router();
 
+// Action item review is limited to the project creator and admins
+const assertCanReview = (project, user) => {
+  const isCreator = project.created_by === user.id;
+  const isAdmin = ['super_admin', 'project_admin'].includes(user.role);
+
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied. Only project creator or admin can review action items', 403);
+  }
+};
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -37,71 +90,70 @@ const upload = multer({
 // @route   POST /api/meetings/upload
 // @access  Private
 router.post('/upload', protect, upload.single('recording'), asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
-  const { project_id, title, participants } = req.body;
   const userId = req.user.id;
 
   if (!req.file) {
     throw new AppError('Please upload a recording file', 400);
   }
 
-  if (!project_id || !title) {
-    throw new AppError('Project ID and meeting title are required', 400);
+  const { error, value } = validateMeetingUpload(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
 
+  const { project_id, title, participants } = value;
+
   // Verify user has access to the project
-  const projectsTable = getTable(TABLES.PROJECTS);
-  try {
-    const projectRecord = await projectsTable.find(project_id);
-    const isCreator = projectRecord.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isMember = projectRecord.fields[FIELDS.PROJECTS.MEMBERS]?.includes(userId);
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const project = await loadAccessibleProject(project_id, req.user);
 
-    if (!isCreator && !isMember && !isAdmin) {
-      throw new AppError('Access denied to this project', 403);
-    }
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
-    }
-    throw error;
+  if (value.template_id) {
+    await assertTemplateUsableForProject(value.template_id, project_id);
   }
 
   try {
-    // Upload file to storage
+    // Upload file to storage, remembering where it went so it can be reprocessed
     let fileUrl;
-    let fileName;
+    let recording;
+    const fileInfo = { originalname: req.file.originalname, mimetype: req.file.mimetype };
 
     if (isGCSConfigured()) {
       const uploadResult = await uploadFile(req.file, req.file.originalname, 'meetings');
       fileUrl = uploadResult.signedUrl;
-      fileName = uploadResult.fileName;
+      recording = { storage: RECORDING_STORAGE.GCS, path: uploadResult.fileName, ...fileInfo };
     } else {
       const uploadResult = await saveFileLocally(req.file, req.file.originalname, 'uploads/meetings');
       fileUrl = uploadResult.publicUrl;
-      fileName = uploadResult.fileName;
+      recording = { storage: RECORDING_STORAGE.LOCAL, path: uploadResult.localPath, ...fileInfo };
     }
 
+    const participantList = parseParticipants(participants);
+
     // Create initial meeting record
-    const meetingsTable = getTable(TABLES.MEETINGS);
-    const meetingRecord = await meetingsTable.create([
-      {
-        fields: {
-          [FIELDS.MEETINGS.PROJECT_ID]: [project_id],
-          [FIELDS.MEETINGS.TITLE]: title,
-          [FIELDS.MEETINGS.DATE]: new Date().toISOString(),
-          [FIELDS.MEETINGS.RECORDING_URL]: fileUrl,
-          [FIELDS.MEETINGS.CREATED_AT]: new Date().toISOString(),
-        }
-      }
-    ]);
+    const meeting = await meetingRepository.create({
+      project_id,
+      title,
+      date: new Date().toISOString(),
+      participants: participantList,
+      recording_url: fileUrl,
+      recording_file: recording,
+      // Upload settings override the project's defaults
+      language: value.language || project.language || getDefaultTranscriptionLanguage(),
+      output_language: value.output_language || project.output_language || null,
+      template_id: value.template_id || null,
+    });
 
-    const meetingId = meetingRecord[0].id;
+    const meetingId = meeting.id;
+
+    // Queue AI processing; the job survives restarts and retries with backoff
+    const job = await enqueueMeetingProcessing({
+      meetingId,
+      projectId: project_id,
+      title,
+      participants: participantList,
+      recording,
+    });
 
-    // Process with AI in background
     res.status(202).json({
       success: true,
       data: {
@@ -111,195 +163,504 @@ router.post('/upload', protect, upload.single('recording'), asyncHandler(async (
           project_id,
           recording_url: fileUrl,
           status: 'processing',
+          job_id: job.id,
           message: 'Meeting uploaded successfully. AI processing started.'
         }
       }
     });
-
-    // Process AI analysis asynchronously
-    processAIAnalysis(req.file, title, participants ? participants.split(',') : [], meetingId, project_id)
-      .catch(error => {
-        logger.error('AI processing failed:', error);
-        // Update meeting record with error status
-        meetingsTable.update([
-          {
-            id: meetingId,
-            fields: {
-              [FIELDS.MEETINGS.MOM]: `AI processing failed: ${error.message}`,
-            }
-          }
-        ]).catch(updateError => {
-          logger.error('Failed to update meeting with error status:', updateError);
-        });
-      });
-
   } catch (error) {
     logger.error('Meeting upload error:', error);
     throw new AppError('Failed to upload meeting recording', 500);
   }
 }));
 
-// Helper function for AI processing
-async function processAIAnalysis(file, title, participants, meetingId, projectId) {
-  try {
-    logger.info(`Starting AI processing for meeting: ${meetingId}`);
-
-    // Process meeting with AI
-    const aiResults = await processCompleteeMeeting(file, title, participants);
-
-    // Update meeting record with AI results
-    const meetingsTable = getTable(TABLES.MEETINGS);
-    await meetingsTable.update([
-      {
-        id: meetingId,
-        fields: {
-          [FIELDS.MEETINGS.TRANSCRIPT]: aiResults.transcription.text,
-          [FIELDS.MEETINGS.MOM]: aiResults.mom,
-          [FIELDS.MEETINGS.SUMMARY]: aiResults.emailSummary,
-        }
-      }
-    ]);
-
-    // Create tasks from action items
-    if (aiResults.actionItems && aiResults.actionItems.length > 0) {
-      const tasks = await createTasksFromActionItems(aiResults.actionItems, meetingId, projectId);
-      
-      // Link tasks to meeting
-      const taskIds = tasks.map(task => task.id);
-      await meetingsTable.update([
-        {
-          id: meetingId,
-          fields: {
-            [FIELDS.MEETINGS.ACTION_POINTS]: taskIds,
-          }
-        }
-      ]);
-    }
+// @desc    Get decisions from the decision registers of the user's projects
+// @route   GET /api/meetings/decisions?project_id=&status=&q=&limit=&cursor=
+// @access  Private
+router.get('/decisions', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateDecisionFilters(req.query);
 
-    logger.info(`AI processing completed for meeting: ${meetingId}`);
-  } catch (error) {
-    logger.error(`AI processing failed for meeting ${meetingId}:`, error);
-    throw error;
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
-}
 
-// @desc    Get meeting details
-// @route   GET /api/meetings/:id
+  let decisions;
+  if (value.project_id) {
+    await loadAccessibleProject(value.project_id, req.user);
+    decisions = await listProjectDecisions(value.project_id, value);
+  } else {
+    decisions = await listDecisionsForUser(req.user, value);
+  }
+
+  const { items, pagination } = paginate(decisions, {
+    sort: [{ field: 'decided_at', direction: 'desc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  res.json({
+    success: true,
+    data: { decisions: items, count: pagination.total, pagination }
+  });
+}));
+
+// @desc    Get meeting details, optionally with transcript, MOM and summary in a translated language
+// @route   GET /api/meetings/:id?lang=
 // @access  Private
 router.get('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+  const lang = req.query.lang?.toLowerCase();
+
+  // The original language needs no translation
+  const translation = lang && lang !== meeting.detected_language && lang !== meeting.language
+    ? await getCompletedTranslation(meeting.id, lang)
+    : null;
+  const translated = (field) => (translation?.translated_fields.includes(field) ? translation[field] : meeting[field]);
+
+  // Get related tasks
+  const taskRecords = await taskRepository.list({ source_meeting: meeting.id });
+
+  const tasks = taskRecords.map(task => ({
+    id: task.id,
+    name: task.name,
+    owner_id: task.owner_id,
+    status: task.status,
+    deadline: task.deadline,
+    priority: task.priority,
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      meeting: {
+        id: meeting.id,
+        project_id: meeting.project_id,
+        title: meeting.title,
+        date: meeting.date,
+        participants: meeting.participants,
+        recording_url: meeting.recording_url,
+        language: meeting.language,
+        detected_language: meeting.detected_language,
+        output_language: meeting.output_language,
+        template_id: meeting.template_id,
+        transcript: translated('transcript'),
+        mom: translated('mom'),
+        mom_structured: meeting.mom_structured,
+        summary: translated('summary'),
+        translation: translation ? {
+          language: translation.language,
+          source_language: translation.source_language,
+          fields: translation.translated_fields,
+          stale: isTranslationStale(translation, meeting),
+          updated_at: translation.updated_at,
+        } : null,
+        processing_status: meeting.processing_status,
+        processing_error: meeting.processing_error,
+        tasks,
+        action_items_pending_review: listProposals(meeting, PROPOSAL_STATUS.DRAFT).length,
+        created_at: meeting.created_at,
+      }
+    }
+  });
+}));
+
+// @desc    Get AI processing status for a meeting
+// @route   GET /api/meetings/:id/status
+// @access  Private
+router.get('/:id/status', protect, asyncHandler(async (req, res) => {
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+
+  const job = meeting.processing_job_id
+    ? await jobRepository.findById(meeting.processing_job_id)
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      status: {
+        meeting_id: meeting.id,
+        processing_status: meeting.processing_status,
+        current_step: meeting.processing_step || null,
+        error: meeting.processing_error || null,
+        steps: meeting.processing_steps,
+        started_at: meeting.processing_started_at || null,
+        completed_at: meeting.processing_completed_at || null,
+        job: job ? {
+          id: job.id,
+          status: job.status,
+          attempts: job.attempts,
+          max_attempts: job.max_attempts,
+          next_attempt_at: job.status === JOB_STATUS.QUEUED ? job.run_at : null,
+          last_error: job.last_error || null,
+        } : null,
+      }
+    }
+  });
+}));
+
+// @desc    Translate a meeting's transcript, MOM and summary
+// @route   POST /api/meetings/:id/translations
+// @access  Private
+router.post('/:id/translations', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTranslationRequest(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
 
-  const meetingId = req.params.id;
-  const userId = req.user.id;
-  const meetingsTable = getTable(TABLES.MEETINGS);
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
 
-  try {
-    const record = await meetingsTable.find(meetingId);
-    
-    // Verify user has access to the project
-    const projectId = record.fields[FIELDS.MEETINGS.PROJECT_ID][0];
-    const projectsTable = getTable(TABLES.PROJECTS);
-    const projectRecord = await projectsTable.find(projectId);
-    
-    const isCreator = projectRecord.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isMember = projectRecord.fields[FIELDS.PROJECTS.MEMBERS]?.includes(userId);
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const translation = await requestTranslation({
+    meeting,
+    language: value.language,
+    fields: value.fields,
+    userId: req.user.id,
+  });
 
-    if (!isCreator && !isMember && !isAdmin) {
-      throw new AppError('Access denied to this meeting', 403);
+  res.status(202).json({
+    success: true,
+    data: {
+      translation: {
+        id: translation.id,
+        language: translation.language,
+        status: translation.status,
+        job_id: translation.job_id,
+        message: 'Translation started.'
+      }
     }
+  });
+}));
 
-    // Get related tasks
-    const tasksTable = getTable(TABLES.TASKS);
-    const taskRecords = await tasksTable.select({
-      filterByFormula: `{${FIELDS.TASKS.SOURCE_MEETING}} = '${meetingId}'`
-    }).all();
-
-    const tasks = taskRecords.map(task => ({
-      id: task.id,
-      name: task.fields[FIELDS.TASKS.NAME],
-      owner_id: task.fields[FIELDS.TASKS.OWNER_ID],
-      status: task.fields[FIELDS.TASKS.STATUS],
-      deadline: task.fields[FIELDS.TASKS.DEADLINE],
-      priority: task.fields[FIELDS.TASKS.PRIORITY],
-    }));
-
-    const meeting = {
-      id: record.id,
-      project_id: projectId,
-      title: record.fields[FIELDS.MEETINGS.TITLE],
-      date: record.fields[FIELDS.MEETINGS.DATE],
-      recording_url: record.fields[FIELDS.MEETINGS.RECORDING_URL],
-      transcript: record.fields[FIELDS.MEETINGS.TRANSCRIPT],
-      mom: record.fields[FIELDS.MEETINGS.MOM],
-      summary: record.fields[FIELDS.MEETINGS.SUMMARY],
-      tasks,
-      created_at: record.fields[FIELDS.MEETINGS.CREATED_AT],
-    };
-
-    res.json({
-      success: true,
-      data: { meeting }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Meeting not found', 404);
+// @desc    List a meeting's translations
+// @route   GET /api/meetings/:id/translations
+// @access  Private
+router.get('/:id/translations', protect, asyncHandler(async (req, res) => {
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+  const translations = await listTranslations(meeting.id);
+
+  res.json({
+    success: true,
+    data: {
+      translations: translations.map(translation => ({
+        id: translation.id,
+        language: translation.language,
+        source_language: translation.source_language,
+        status: translation.status,
+        fields: translation.translated_fields,
+        error: translation.error,
+        stale: isTranslationStale(translation, meeting),
+        created_by: translation.created_by,
+        updated_at: translation.updated_at,
+      })),
+      count: translations.length
+    }
+  });
+}));
+
+// @desc    Get the structured transcript with speaker labels, or export it
+// @route   GET /api/meetings/:id/transcript?format=json|srt|vtt|txt
+// @access  Private
+router.get('/:id/transcript', protect, asyncHandler(async (req, res) => {
+  const format = req.query.format || TRANSCRIPT_FORMATS.JSON;
+
+  if (!Object.values(TRANSCRIPT_FORMATS).includes(format)) {
+    throw new AppError(`Invalid format. Must be one of: ${Object.values(TRANSCRIPT_FORMATS).join(', ')}`, 400);
+  }
+
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+  const segments = meeting.transcript_segments;
+
+  if (format !== TRANSCRIPT_FORMATS.JSON) {
+    const namedSegments = applySpeakerMap(segments, meeting.speaker_map);
+    let body;
+
+    if (format === TRANSCRIPT_FORMATS.TXT && segments.length === 0) {
+      // Meetings transcribed before timestamps were stored only have the text
+      body = `${meeting.title}\n\n${meeting.transcript || ''}\n`;
+    } else if (segments.length === 0) {
+      throw new AppError('No timestamped transcript available for this meeting. Reprocess the transcribe step first.', 400);
+    } else if (format === TRANSCRIPT_FORMATS.SRT) {
+      body = toSrt(namedSegments);
+    } else if (format === TRANSCRIPT_FORMATS.VTT) {
+      body = toVtt(namedSegments);
+    } else {
+      body = toPlainText(namedSegments, { title: meeting.title, date: meeting.date });
     }
-    throw error;
+
+    const fileName = `${(meeting.title || 'transcript').replace(/[^a-zA-Z0-9]+/g, '_')}.${format}`;
+
+    res.set('Content-Type', TRANSCRIPT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(body);
   }
+
+  res.json({
+    success: true,
+    data: {
+      transcript: {
+        meeting_id: meeting.id,
+        diarized: getSpeakerLabels(segments).length > 0,
+        speakers: summarizeSpeakers(segments, meeting.speaker_map),
+        segments: applySpeakerMap(segments, meeting.speaker_map),
+        text: meeting.transcript || '',
+      }
+    }
+  });
 }));
 
-// @desc    Get all meetings for a project
-// @route   GET /api/meetings/project/:projectId
+// @desc    Map speaker labels to meeting participants
+// @route   PUT /api/meetings/:id/speakers
 // @access  Private
-router.get('/project/:projectId', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
+router.put('/:id/speakers', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateSpeakerMapUpdate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
 
-  const projectId = req.params.projectId;
-  const userId = req.user.id;
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+  const labels = getSpeakerLabels(meeting.transcript_segments);
 
-  // Verify user has access to the project
-  const projectsTable = getTable(TABLES.PROJECTS);
-  try {
-    const projectRecord = await projectsTable.find(projectId);
-    const isCreator = projectRecord.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isMember = projectRecord.fields[FIELDS.PROJECTS.MEMBERS]?.includes(userId);
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const unknownLabels = Object.keys(value.speakers).filter(label => !labels.includes(label));
+  if (unknownLabels.length > 0) {
+    throw new AppError(`Unknown speaker labels: ${unknownLabels.join(', ')}`, 400);
+  }
+
+  // Speakers can only be mapped to people listed as participants
+  const unknownNames = Object.values(value.speakers)
+    .filter(name => name && !meeting.participants.includes(name));
+  if (unknownNames.length > 0) {
+    throw new AppError(`Not a participant of this meeting: ${unknownNames.join(', ')}. Add them to the participants first.`, 400);
+  }
 
-    if (!isCreator && !isMember && !isAdmin) {
-      throw new AppError('Access denied to this project', 403);
+  const speakerMap = { ...meeting.speaker_map };
+  Object.entries(value.speakers).forEach(([label, name]) => {
+    if (name) {
+      speakerMap[label] = name;
+    } else {
+      delete speakerMap[label];
     }
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
+  });
+
+  const updatedMeeting = await meetingRepository.update(meeting.id, { speaker_map: speakerMap });
+
+  // Indexed transcript passages name the speakers
+  await requestMeetingIndexing(meeting.id);
+
+  logger.info(`Speaker map updated for meeting: ${meeting.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: {
+      speakers: summarizeSpeakers(updatedMeeting.transcript_segments, updatedMeeting.speaker_map)
     }
-    throw error;
+  });
+}));
+
+// @desc    Re-run AI analysis for selected steps
+// @route   POST /api/meetings/:id/reprocess
+// @access  Private
+router.post('/:id/reprocess', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateMeetingReprocess(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
 
-  const meetingsTable = getTable(TABLES.MEETINGS);
-  const records = await meetingsTable.select({
-    filterByFormula: `{${FIELDS.MEETINGS.PROJECT_ID}} = '${projectId}'`,
-    sort: [{ field: FIELDS.MEETINGS.DATE, direction: 'desc' }]
-  }).all();
-
-  const meetings = records.map(record => ({
-    id: record.id,
-    title: record.fields[FIELDS.MEETINGS.TITLE],
-    date: record.fields[FIELDS.MEETINGS.DATE],
-    recording_url: record.fields[FIELDS.MEETINGS.RECORDING_URL],
-    has_transcript: !!record.fields[FIELDS.MEETINGS.TRANSCRIPT],
-    has_mom: !!record.fields[FIELDS.MEETINGS.MOM],
-    has_summary: !!record.fields[FIELDS.MEETINGS.SUMMARY],
-    created_at: record.fields[FIELDS.MEETINGS.CREATED_AT],
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+
+  if (value.template_id) {
+    await assertTemplateUsableForProject(value.template_id, meeting.project_id);
+  }
+
+  const { job, version } = await reprocessMeeting({
+    meeting,
+    steps: value.steps,
+    source: value.source,
+    language: value.language,
+    outputLanguage: value.output_language,
+    templateId: value.template_id,
+    userId: req.user.id,
+  });
+
+  logger.info(`Meeting reprocess requested: ${meeting.id} by user: ${req.user.id}`);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      meeting: {
+        id: meeting.id,
+        status: 'processing',
+        job_id: job.id,
+        steps: version.reprocessed_steps,
+        previous_version: version.version,
+        message: 'AI reprocessing started.'
+      }
+    }
+  });
+}));
+
+// @desc    Get prior versions of a meeting's AI outputs
+// @route   GET /api/meetings/:id/versions
+// @access  Private
+router.get('/:id/versions', protect, asyncHandler(async (req, res) => {
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+
+  const versions = await meetingVersionRepository.listByMeeting(meeting.id);
+
+  res.json({
+    success: true,
+    data: { versions }
+  });
+}));
+
+// @desc    Get AI-extracted action item proposals
+// @route   GET /api/meetings/:id/action-items
+// @access  Private
+router.get('/:id/action-items', protect, asyncHandler(async (req, res) => {
+  const { meeting } = await loadAccessibleMeeting(req.params.id, req.user);
+  const { status } = req.query;
+
+  if (status && !Object.values(PROPOSAL_STATUS).includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${Object.values(PROPOSAL_STATUS).join(', ')}`, 400);
+  }
+
+  const proposals = listProposals(meeting, status);
+
+  res.json({
+    success: true,
+    data: {
+      proposals,
+      count: proposals.length
+    }
+  });
+}));
+
+// @desc    Merge draft action items into one
+// @route   POST /api/meetings/:id/action-items/merge
+// @access  Private (project creator or admin)
+router.post('/:id/action-items/merge', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateProposalMerge(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { meeting, project } = await loadAccessibleMeeting(req.params.id, req.user);
+  assertCanReview(project, req.user);
+
+  const { proposal_ids: proposalIds, ...overrides } = value;
+  const proposal = await mergeProposals(meeting, proposalIds, overrides, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { proposal }
+  });
+}));
+
+// @desc    Approve draft action items and create tasks from them
+// @route   POST /api/meetings/:id/action-items/approve
+// @access  Private (project creator or admin)
+router.post('/:id/action-items/approve', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateProposalApprove(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { meeting, project } = await loadAccessibleMeeting(req.params.id, req.user);
+  assertCanReview(project, req.user);
+
+  const { proposals, tasks } = await approveProposals(meeting, value.proposal_ids, req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      proposals,
+      tasks
+    }
+  });
+}));
+
+// @desc    Edit a draft action item
+// @route   PUT /api/meetings/:id/action-items/:proposalId
+// @access  Private (project creator or admin)
+router.put('/:id/action-items/:proposalId', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateProposalUpdate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { meeting, project } = await loadAccessibleMeeting(req.params.id, req.user);
+  assertCanReview(project, req.user);
+
+  const proposal = await updateProposal(meeting, req.params.proposalId, value, req.user.id);
+
+  res.json({
+    success: true,
+    data: { proposal }
+  });
+}));
+
+// @desc    Reject a draft action item
+// @route   POST /api/meetings/:id/action-items/:proposalId/reject
+// @access  Private (project creator or admin)
+router.post('/:id/action-items/:proposalId/reject', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateProposalReject(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { meeting, project } = await loadAccessibleMeeting(req.params.id, req.user);
+  assertCanReview(project, req.user);
+
+  const proposal = await rejectProposal(meeting, req.params.proposalId, value.reason, req.user.id);
+
+  res.json({
+    success: true,
+    data: { proposal }
+  });
+}));
+
+// @desc    Get all meetings for a project
+// @route   GET /api/meetings/project/:projectId?date_from=&date_to=&has_transcript=&has_mom=&has_summary=&search=&limit=&cursor=
+// @access  Private
+router.get('/project/:projectId', protect, asyncHandler(async (req, res) => {
+  const projectId = req.params.projectId;
+  const { error, value } = validateMeetingFilters(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  // Verify user has access to the project
+  await loadAccessibleProject(projectId, req.user);
+
+  const records = filterMeetings(await meetingRepository.listByProject(projectId), { ...value, project_id: projectId });
+
+  const { items, pagination } = paginate(records, {
+    sort: [{ field: 'date', direction: 'desc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  const meetings = items.map(meeting => ({
+    id: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    recording_url: meeting.recording_url,
+    has_transcript: !!meeting.transcript,
+    has_mom: !!meeting.mom,
+    has_summary: !!meeting.summary,
+    processing_status: meeting.processing_status,
+    created_at: meeting.created_at,
   }));
 
   res.json({
     success: true,
-    data: { meetings }
+    data: { meetings, pagination }
   });
 }));
 
@@ -307,105 +668,81 @@ router.get('/project/:projectId', protect, asyncHandler(async (req, res) => {
 // @route   PUT /api/meetings/:id
 // @access  Private
 router.put('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
   const meetingId = req.params.id;
   const userId = req.user.id;
-  const { title, mom, summary } = req.body;
-  const meetingsTable = getTable(TABLES.MEETINGS);
+  const { title, mom, mom_structured, summary } = req.body;
 
-  try {
-    const record = await meetingsTable.find(meetingId);
-    
-    // Verify user has access to the project
-    const projectId = record.fields[FIELDS.MEETINGS.PROJECT_ID][0];
-    const projectsTable = getTable(TABLES.PROJECTS);
-    const projectRecord = await projectsTable.find(projectId);
-    
-    const isCreator = projectRecord.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isMember = projectRecord.fields[FIELDS.PROJECTS.MEMBERS]?.includes(userId);
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const { meeting } = await loadAccessibleMeeting(meetingId, req.user);
+
+  const updates = {};
+  if (title) updates.title = title;
+  if (mom) updates.mom = mom;
+  if (summary) updates.summary = summary;
+
+  // An edited structured MOM replaces the rendered MOM as well
+  if (mom_structured) {
+    const { error, value } = validateStructuredMom(mom_structured);
 
-    if (!isCreator && !isMember && !isAdmin) {
-      throw new AppError('Access denied to this meeting', 403);
+    if (error) {
+      throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
     }
 
-    const updateFields = {};
-    if (title) updateFields[FIELDS.MEETINGS.TITLE] = title;
-    if (mom) updateFields[FIELDS.MEETINGS.MOM] = mom;
-    if (summary) updateFields[FIELDS.MEETINGS.SUMMARY] = summary;
+    const template = await resolveMomTemplate(meeting.template_id);
+    updates.mom_structured = value;
+    updates.mom = renderMom(value, { title: title || meeting.title, outputFormat: template.output_format });
+  }
 
-    const updatedRecord = await meetingsTable.update([
-      {
-        id: meetingId,
-        fields: updateFields
-      }
-    ]);
+  const updatedMeeting = await meetingRepository.update(meetingId, updates);
 
-    logger.info(`Meeting updated: ${meetingId} by user: ${userId}`);
+  if (updates.mom_structured) {
+    await syncMeetingDecisions(updatedMeeting);
+  }
 
-    res.json({
-      success: true,
-      data: {
-        meeting: {
-          id: updatedRecord[0].id,
-          title: updatedRecord[0].fields[FIELDS.MEETINGS.TITLE],
-          mom: updatedRecord[0].fields[FIELDS.MEETINGS.MOM],
-          summary: updatedRecord[0].fields[FIELDS.MEETINGS.SUMMARY],
-        }
+  if (updates.mom) {
+    await requestMeetingIndexing(meetingId);
+  }
+
+  logger.info(`Meeting updated: ${meetingId} by user: ${userId}`);
+
+  res.json({
+    success: true,
+    data: {
+      meeting: {
+        id: updatedMeeting.id,
+        title: updatedMeeting.title,
+        mom: updatedMeeting.mom,
+        mom_structured: updatedMeeting.mom_structured,
+        summary: updatedMeeting.summary,
       }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Meeting not found', 404);
     }
-    throw error;
-  }
+  });
 }));
 
 // @desc    Delete meeting
 // @route   DELETE /api/meetings/:id
 // @access  Private (creator or admin)
 router.delete('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
   const meetingId = req.params.id;
   const userId = req.user.id;
-  const meetingsTable = getTable(TABLES.MEETINGS);
 
-  try {
-    const record = await meetingsTable.find(meetingId);
-    
-    // Verify user has access to delete
-    const projectId = record.fields[FIELDS.MEETINGS.PROJECT_ID][0];
-    const projectsTable = getTable(TABLES.PROJECTS);
-    const projectRecord = await projectsTable.find(projectId);
-    
-    const isCreator = projectRecord.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const { meeting, project } = await loadAccessibleMeeting(meetingId, req.user);
 
-    if (!isCreator && !isAdmin) {
-      throw new AppError('Access denied. Only project creator or admin can delete meetings', 403);
-    }
+  // Verify user has access to delete
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
 
-    await meetingsTable.destroy([meetingId]);
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied. Only project creator or admin can delete meetings', 403);
+  }
 
-    logger.info(`Meeting deleted: ${meetingId} by user: ${userId}`);
+  await deleteMeeting(meeting);
 
-    res.json({
-      success: true,
-      data: { message: 'Meeting deleted successfully' }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Meeting not found', 404);
-    }
-    throw error;
-  }
+  logger.info(`Meeting deleted: ${meetingId} by user: ${userId}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Meeting deleted successfully' }
+  });
 }));
 
 export default router;
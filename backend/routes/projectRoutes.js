@@ -1,5 +1,27 @@
 import express from 'express';
-import { getTable, TABLES, FIELDS, isAirtableConfigured } from '../../config/airtableConfig.js';
+import { projectRepository, meetingRepository } from '../repositories/index.js';
+import { canAccessProject } from '../models/projectModel.js';
+import { loadAccessibleProject } from '../services/accessService.js';
+import { getUnassignedProjectTasks } from '../services/taskService.js';
+import { getProjectDependencyGraph } from '../services/taskDependencyService.js';
+import {
+  listProjectDecisions,
+  getProjectDecision,
+  createDecision,
+  updateDecision,
+  deleteDecision
+} from '../services/decisionService.js';
+import {
+  askProjectQuestion,
+  listConversations,
+  getConversation,
+  deleteConversation
+} from '../services/chatService.js';
+import { validateDecision, validateDecisionUpdate, validateDecisionFilters } from '../models/decisionModel.js';
+import { validateChatRequest } from '../models/chatModel.js';
+import { isValidTimeZone } from '../utils/deadlineParser.js';
+import { validatePagination, paginate } from '../utils/pagination.js';
+import { isTranscriptionLanguage, isSupportedLanguage } from '../utils/languages.js';
 import { protect, authorize } from '../utils/auth.js';
 import { asyncHandler, AppError } from '../utils/errorHandler.js';
 import logger from '../utils/logger.js';
@@ -7,43 +29,25 @@ import logger from '../utils/logger.js';
 const router = express.Router();
 
 // @desc    Get all projects for user
-// @route   GET /api/projects
+// @route   GET /api/projects?limit=&cursor=
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
-  const projectsTable = getTable(TABLES.PROJECTS);
   const userId = req.user.id;
+  const { error, value } = validatePagination(req.query);
 
-  // Get projects where user is creator or member
-  let filterFormula;
-  if (req.user.role === 'super_admin') {
-    // Super admin can see all projects
-    filterFormula = '';
-  } else {
-    // Regular users see projects they created or are members of
-    filterFormula = `OR({${FIELDS.PROJECTS.CREATED_BY}} = '${userId}', FIND('${userId}', {${FIELDS.PROJECTS.MEMBERS}})>0)`;
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
 
-  const records = await projectsTable.select({
-    filterByFormula: filterFormula,
-    sort: [{ field: FIELDS.PROJECTS.CREATED_AT, direction: 'desc' }]
-  }).all();
-
-  const projects = records.map(record => ({
-    id: record.id,
-    name: record.fields[FIELDS.PROJECTS.NAME],
-    created_by: record.fields[FIELDS.PROJECTS.CREATED_BY],
-    members: record.fields[FIELDS.PROJECTS.MEMBERS] || [],
-    meetings: record.fields[FIELDS.PROJECTS.MEETINGS] || [],
-    created_at: record.fields[FIELDS.PROJECTS.CREATED_AT],
-  }));
+  // Super admin can see all projects, regular users see projects they created or are members of
+  const { items: projects, pagination } = paginate(
+    await projectRepository.listForUser(req.user.role === 'super_admin' ? null : userId),
+    { sort: [{ field: 'created_at', direction: 'desc' }], limit: value.limit, cursor: value.cursor }
+  );
 
   res.json({
     success: true,
-    data: { projects }
+    data: { projects, pagination }
   });
 }));
 
@@ -51,47 +55,42 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 // @route   POST /api/projects
 // @access  Private (team_member and above)
 router.post('/', protect, authorize('super_admin', 'project_admin', 'team_member'), asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
-  const { name, members = [] } = req.body;
+  const { name, members = [], timezone, language, output_language } = req.body;
   const userId = req.user.id;
 
   if (!name) {
     throw new AppError('Project name is required', 400);
   }
 
-  const projectsTable = getTable(TABLES.PROJECTS);
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new AppError('Invalid timezone. Use an IANA name such as Europe/Berlin', 400);
+  }
+
+  if (language && !isTranscriptionLanguage(language)) {
+    throw new AppError('Invalid language. Use an ISO 639-1 code such as es, or auto to detect it', 400);
+  }
+
+  if (output_language && !isSupportedLanguage(output_language)) {
+    throw new AppError('Invalid output language. Use an ISO 639-1 code such as en', 400);
+  }
 
   // Add creator to members if not already included
   const allMembers = [...new Set([userId, ...members])];
 
-  const record = await projectsTable.create([
-    {
-      fields: {
-        [FIELDS.PROJECTS.NAME]: name,
-        [FIELDS.PROJECTS.CREATED_BY]: userId,
-        [FIELDS.PROJECTS.MEMBERS]: allMembers,
-        [FIELDS.PROJECTS.CREATED_AT]: new Date().toISOString(),
-      }
-    }
-  ]);
+  const project = await projectRepository.create({
+    name,
+    created_by: userId,
+    members: allMembers,
+    timezone,
+    language,
+    output_language,
+  });
 
-  logger.info(`Project created: ${record[0].id} by user: ${userId}`);
+  logger.info(`Project created: ${project.id} by user: ${userId}`);
 
   res.status(201).json({
     success: true,
-    data: {
-      project: {
-        id: record[0].id,
-        name: record[0].fields[FIELDS.PROJECTS.NAME],
-        created_by: record[0].fields[FIELDS.PROJECTS.CREATED_BY],
-        members: record[0].fields[FIELDS.PROJECTS.MEMBERS],
-        meetings: [],
-        created_at: record[0].fields[FIELDS.PROJECTS.CREATED_AT],
-      }
-    }
+    data: { project }
   });
 }));
 
@@ -99,279 +98,452 @@ router.post('/', protect, authorize('super_admin', 'project_admin', 'team_member
 // @route   GET /api/projects/:id
 // @access  Private
 router.get('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
+  const projectId = req.params.id;
+  const project = await projectRepository.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
 
-  const projectId = req.params.id;
-  const userId = req.user.id;
-  const projectsTable = getTable(TABLES.PROJECTS);
-
-  try {
-    const record = await projectsTable.find(projectId);
-    
-    // Check if user has access to this project
-    const isCreator = record.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isMember = record.fields[FIELDS.PROJECTS.MEMBERS]?.includes(userId);
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
-
-    if (!isCreator && !isMember && !isAdmin) {
-      throw new AppError('Access denied to this project', 403);
-    }
+  // Check if user has access to this project
+  if (!canAccessProject(project, req.user)) {
+    throw new AppError('Access denied to this project', 403);
+  }
+
+  // Get related meetings
+  const meetingRecords = await meetingRepository.listByProject(projectId);
+
+  const meetings = meetingRecords.map(meeting => ({
+    id: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    recording_url: meeting.recording_url,
+    mom: meeting.mom,
+    summary: meeting.summary,
+    created_at: meeting.created_at,
+  }));
 
-    // Get related meetings
-    const meetingsTable = getTable(TABLES.MEETINGS);
-    const meetingRecords = await meetingsTable.select({
-      filterByFormula: `{${FIELDS.MEETINGS.PROJECT_ID}} = '${projectId}'`,
-      sort: [{ field: FIELDS.MEETINGS.DATE, direction: 'desc' }]
-    }).all();
-
-    const meetings = meetingRecords.map(meeting => ({
-      id: meeting.id,
-      title: meeting.fields[FIELDS.MEETINGS.TITLE],
-      date: meeting.fields[FIELDS.MEETINGS.DATE],
-      recording_url: meeting.fields[FIELDS.MEETINGS.RECORDING_URL],
-      mom: meeting.fields[FIELDS.MEETINGS.MOM],
-      summary: meeting.fields[FIELDS.MEETINGS.SUMMARY],
-      created_at: meeting.fields[FIELDS.MEETINGS.CREATED_AT],
-    }));
-
-    const project = {
-      id: record.id,
-      name: record.fields[FIELDS.PROJECTS.NAME],
-      created_by: record.fields[FIELDS.PROJECTS.CREATED_BY],
-      members: record.fields[FIELDS.PROJECTS.MEMBERS] || [],
-      meetings,
-      created_at: record.fields[FIELDS.PROJECTS.CREATED_AT],
-    };
-
-    res.json({
-      success: true,
-      data: { project }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
+  res.json({
+    success: true,
+    data: {
+      project: { ...project, meetings }
     }
-    throw error;
-  }
+  });
 }));
 
 // @desc    Update project
 // @route   PUT /api/projects/:id
 // @access  Private (creator or admin)
 router.put('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
   const projectId = req.params.id;
   const userId = req.user.id;
-  const { name, members } = req.body;
-  const projectsTable = getTable(TABLES.PROJECTS);
-
-  try {
-    const record = await projectsTable.find(projectId);
-    
-    // Check if user can modify this project
-    const isCreator = record.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
-
-    if (!isCreator && !isAdmin) {
-      throw new AppError('Access denied. Only project creator or admin can modify project', 403);
-    }
+  const { name, members, timezone, language, output_language } = req.body;
+
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new AppError('Invalid timezone. Use an IANA name such as Europe/Berlin', 400);
+  }
 
-    const updateFields = {};
-    if (name) updateFields[FIELDS.PROJECTS.NAME] = name;
-    if (members) updateFields[FIELDS.PROJECTS.MEMBERS] = members;
+  if (language && !isTranscriptionLanguage(language)) {
+    throw new AppError('Invalid language. Use an ISO 639-1 code such as es, or auto to detect it', 400);
+  }
 
-    const updatedRecord = await projectsTable.update([
-      {
-        id: projectId,
-        fields: updateFields
-      }
-    ]);
-
-    logger.info(`Project updated: ${projectId} by user: ${userId}`);
-
-    res.json({
-      success: true,
-      data: {
-        project: {
-          id: updatedRecord[0].id,
-          name: updatedRecord[0].fields[FIELDS.PROJECTS.NAME],
-          created_by: updatedRecord[0].fields[FIELDS.PROJECTS.CREATED_BY],
-          members: updatedRecord[0].fields[FIELDS.PROJECTS.MEMBERS],
-          created_at: updatedRecord[0].fields[FIELDS.PROJECTS.CREATED_AT],
-        }
+  if (output_language && !isSupportedLanguage(output_language)) {
+    throw new AppError('Invalid output language. Use an ISO 639-1 code such as en', 400);
+  }
+
+  const project = await projectRepository.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  // Check if user can modify this project
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied. Only project creator or admin can modify project', 403);
+  }
+
+  const updates = {};
+  if (name) updates.name = name;
+  if (members) updates.members = members;
+  if (timezone) updates.timezone = timezone;
+  if (language) updates.language = language;
+  if (output_language !== undefined) updates.output_language = output_language || null; // null follows the meeting's language
+
+  const updatedProject = await projectRepository.update(projectId, updates);
+
+  logger.info(`Project updated: ${projectId} by user: ${userId}`);
+
+  res.json({
+    success: true,
+    data: {
+      project: {
+        id: updatedProject.id,
+        name: updatedProject.name,
+        created_by: updatedProject.created_by,
+        members: updatedProject.members,
+        timezone: updatedProject.timezone,
+        language: updatedProject.language,
+        output_language: updatedProject.output_language,
+        created_at: updatedProject.created_at,
       }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
     }
-    throw error;
-  }
+  });
 }));
 
 // @desc    Delete project
 // @route   DELETE /api/projects/:id
 // @access  Private (creator or super admin)
 router.delete('/:id', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
   const projectId = req.params.id;
   const userId = req.user.id;
-  const projectsTable = getTable(TABLES.PROJECTS);
 
-  try {
-    const record = await projectsTable.find(projectId);
-    
-    // Check if user can delete this project
-    const isCreator = record.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isSuperAdmin = req.user.role === 'super_admin';
-
-    if (!isCreator && !isSuperAdmin) {
-      throw new AppError('Access denied. Only project creator or super admin can delete project', 403);
-    }
+  const project = await projectRepository.findById(projectId);
 
-    await projectsTable.destroy([projectId]);
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
 
-    logger.info(`Project deleted: ${projectId} by user: ${userId}`);
+  // Check if user can delete this project
+  const isCreator = project.created_by === userId;
+  const isSuperAdmin = req.user.role === 'super_admin';
 
-    res.json({
-      success: true,
-      data: { message: 'Project deleted successfully' }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
-    }
-    throw error;
+  if (!isCreator && !isSuperAdmin) {
+    throw new AppError('Access denied. Only project creator or super admin can delete project', 403);
   }
+
+  await projectRepository.delete(projectId);
+
+  logger.info(`Project deleted: ${projectId} by user: ${userId}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Project deleted successfully' }
+  });
 }));
 
 // @desc    Add member to project
 // @route   POST /api/projects/:id/members
 // @access  Private (creator or admin)
 router.post('/:id/members', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
-  }
-
   const projectId = req.params.id;
   const userId = req.user.id;
   const { member_id } = req.body;
-  const projectsTable = getTable(TABLES.PROJECTS);
 
   if (!member_id) {
     throw new AppError('Member ID is required', 400);
   }
 
-  try {
-    const record = await projectsTable.find(projectId);
-    
-    // Check if user can modify this project
-    const isCreator = record.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const project = await projectRepository.findById(projectId);
 
-    if (!isCreator && !isAdmin) {
-      throw new AppError('Access denied', 403);
-    }
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
 
-    const currentMembers = record.fields[FIELDS.PROJECTS.MEMBERS] || [];
-    
-    if (currentMembers.includes(member_id)) {
-      throw new AppError('User is already a member of this project', 400);
-    }
+  // Check if user can modify this project
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
 
-    const updatedMembers = [...currentMembers, member_id];
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied', 403);
+  }
 
-    const updatedRecord = await projectsTable.update([
-      {
-        id: projectId,
-        fields: {
-          [FIELDS.PROJECTS.MEMBERS]: updatedMembers
-        }
-      }
-    ]);
-
-    logger.info(`Member added to project: ${projectId}, member: ${member_id}`);
-
-    res.json({
-      success: true,
-      data: {
-        project: {
-          id: updatedRecord[0].id,
-          members: updatedRecord[0].fields[FIELDS.PROJECTS.MEMBERS],
-        },
-        message: 'Member added successfully'
-      }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
-    }
-    throw error;
+  if (project.members.includes(member_id)) {
+    throw new AppError('User is already a member of this project', 400);
   }
+
+  const updatedProject = await projectRepository.update(projectId, {
+    members: [...project.members, member_id]
+  });
+
+  logger.info(`Member added to project: ${projectId}, member: ${member_id}`);
+
+  res.json({
+    success: true,
+    data: {
+      project: {
+        id: updatedProject.id,
+        members: updatedProject.members,
+      },
+      message: 'Member added successfully'
+    }
+  });
 }));
 
 // @desc    Remove member from project
 // @route   DELETE /api/projects/:id/members/:memberId
 // @access  Private (creator or admin)
 router.delete('/:id/members/:memberId', protect, asyncHandler(async (req, res) => {
-  if (!isAirtableConfigured()) {
-    throw new AppError('Airtable not configured', 500);
+  const projectId = req.params.id;
+  const memberId = req.params.memberId;
+  const userId = req.user.id;
+
+  const project = await projectRepository.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
 
+  // Check if user can modify this project
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const updatedProject = await projectRepository.update(projectId, {
+    members: project.members.filter(id => id !== memberId)
+  });
+
+  logger.info(`Member removed from project: ${projectId}, member: ${memberId}`);
+
+  res.json({
+    success: true,
+    data: {
+      project: {
+        id: updatedProject.id,
+        members: updatedProject.members,
+      },
+      message: 'Member removed successfully'
+    }
+  });
+}));
+
+// @desc    Get tasks whose assignee could not be resolved
+// @route   GET /api/projects/:id/needs-assignment?limit=&cursor=
+// @access  Private (creator or admin)
+router.get('/:id/needs-assignment', protect, asyncHandler(async (req, res) => {
   const projectId = req.params.id;
-  const memberId = req.params.memberId;
   const userId = req.user.id;
-  const projectsTable = getTable(TABLES.PROJECTS);
+  const { error, value } = validatePagination(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
 
-  try {
-    const record = await projectsTable.find(projectId);
-    
-    // Check if user can modify this project
-    const isCreator = record.fields[FIELDS.PROJECTS.CREATED_BY] === userId;
-    const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+  const project = await projectRepository.findById(projectId);
 
-    if (!isCreator && !isAdmin) {
-      throw new AppError('Access denied', 403);
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const { items: tasks, pagination } = paginate(await getUnassignedProjectTasks(projectId), {
+    sort: [{ field: 'created_at', direction: 'desc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      tasks,
+      count: pagination.total,
+      pagination
     }
+  });
+}));
 
-    const currentMembers = record.fields[FIELDS.PROJECTS.MEMBERS] || [];
-    const updatedMembers = currentMembers.filter(id => id !== memberId);
+// @desc    Get the project's task dependency graph: blocking and subtask links between its tasks
+// @route   GET /api/projects/:id/dependency-graph
+// @access  Private
+router.get('/:id/dependency-graph', protect, asyncHandler(async (req, res) => {
+  await loadAccessibleProject(req.params.id, req.user);
 
-    const updatedRecord = await projectsTable.update([
-      {
-        id: projectId,
-        fields: {
-          [FIELDS.PROJECTS.MEMBERS]: updatedMembers
-        }
-      }
-    ]);
-
-    logger.info(`Member removed from project: ${projectId}, member: ${memberId}`);
-
-    res.json({
-      success: true,
-      data: {
-        project: {
-          id: updatedRecord[0].id,
-          members: updatedRecord[0].fields[FIELDS.PROJECTS.MEMBERS],
-        },
-        message: 'Member removed successfully'
-      }
-    });
-  } catch (error) {
-    if (error.statusCode === 404) {
-      throw new AppError('Project not found', 404);
+  const graph = await getProjectDependencyGraph(req.params.id);
+
+  res.json({
+    success: true,
+    data: graph
+  });
+}));
+
+// @desc    Get the project's decision register
+// @route   GET /api/projects/:id/decisions?status=&source=&meeting_id=&owner=&q=&from=&to=&limit=&cursor=
+// @access  Private
+router.get('/:id/decisions', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateDecisionFilters(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  await loadAccessibleProject(req.params.id, req.user);
+
+  const { items: decisions, pagination } = paginate(await listProjectDecisions(req.params.id, value), {
+    sort: [{ field: 'decided_at', direction: 'desc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      decisions,
+      count: pagination.total,
+      pagination
     }
-    throw error;
+  });
+}));
+
+// @desc    Add a decision to the project's register
+// @route   POST /api/projects/:id/decisions
+// @access  Private
+router.post('/:id/decisions', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateDecision(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
   }
+
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  const decision = await createDecision(project, value, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { decision }
+  });
+}));
+
+// @desc    Update a decision or change its status
+// @route   PUT /api/projects/:id/decisions/:decisionId
+// @access  Private
+router.put('/:id/decisions/:decisionId', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateDecisionUpdate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  const decision = await updateDecision(project, req.params.decisionId, value);
+
+  logger.info(`Decision updated: ${decision.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { decision }
+  });
+}));
+
+// @desc    Delete a decision from the register
+// @route   DELETE /api/projects/:id/decisions/:decisionId
+// @access  Private (decision author, project creator or admin)
+router.delete('/:id/decisions/:decisionId', protect, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const project = await loadAccessibleProject(req.params.id, req.user);
+  const decision = await getProjectDecision(project.id, req.params.decisionId);
+
+  const isAuthor = decision.created_by === userId;
+  const isCreator = project.created_by === userId;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+
+  if (!isAuthor && !isCreator && !isAdmin) {
+    throw new AppError('Access denied. Only the decision author, project creator or admin can delete decisions', 403);
+  }
+
+  await deleteDecision(project, decision.id);
+
+  logger.info(`Decision deleted: ${decision.id} by user: ${userId}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Decision deleted successfully' }
+  });
+}));
+
+// @desc    Ask a question about the project's meetings, decisions and tasks
+// @route   POST /api/projects/:id/chat
+// @access  Private
+router.post('/:id/chat', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateChatRequest(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  const reply = await askProjectQuestion({
+    project,
+    userId: req.user.id,
+    message: value.message,
+    conversationId: value.conversation_id
+  });
+
+  res.json({
+    success: true,
+    data: reply
+  });
+}));
+
+// @desc    Get the user's chat conversations in the project
+// @route   GET /api/projects/:id/chat/conversations?limit=&cursor=
+// @access  Private
+router.get('/:id/chat/conversations', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validatePagination(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  const { items: conversations, pagination } = paginate(await listConversations(project.id, req.user.id), {
+    sort: [{ field: 'updated_at', direction: 'desc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      conversations,
+      count: pagination.total,
+      pagination
+    }
+  });
+}));
+
+// @desc    Get a chat conversation with its messages and citations
+// @route   GET /api/projects/:id/chat/conversations/:conversationId
+// @access  Private (conversation owner)
+router.get('/:id/chat/conversations/:conversationId', protect, asyncHandler(async (req, res) => {
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  const conversation = await getConversation(req.params.conversationId, project.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: { conversation }
+  });
+}));
+
+// @desc    Delete a chat conversation
+// @route   DELETE /api/projects/:id/chat/conversations/:conversationId
+// @access  Private (conversation owner)
+router.delete('/:id/chat/conversations/:conversationId', protect, asyncHandler(async (req, res) => {
+  const project = await loadAccessibleProject(req.params.id, req.user);
+
+  await deleteConversation(req.params.conversationId, project.id, req.user.id);
+
+  logger.info(`Chat conversation deleted: ${req.params.conversationId} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Conversation deleted successfully' }
+  });
 }));
 
 export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import { projectRepository } from '../repositories/index.js';
+import { validateSemanticSearch, validateKeywordSearch, validateReindex } from '../models/searchModel.js';
+import { loadAccessibleProject } from '../services/accessService.js';
+import { semanticSearch, keywordSearch, reindexProject } from '../services/searchService.js';
+import { protect } from '../utils/auth.js';
+import { asyncHandler, AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @desc    Search meeting transcripts and MOMs by meaning
+// @route   GET /api/search?q=&project=&source=&limit=
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateSemanticSearch(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const projects = value.project
+    ? [await loadAccessibleProject(value.project, req.user)]
+    : await projectRepository.listForUser(req.user.role === 'super_admin' ? null : req.user.id);
+
+  const results = await semanticSearch({
+    query: value.q,
+    projectIds: projects.map(project => project.id),
+    source: value.source,
+    limit: value.limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      query: value.q,
+      results,
+      count: results.length
+    }
+  });
+}));
+
+// @desc    Search meetings, tasks and projects by keyword
+// @route   GET /api/search/keyword?q=&types=&project_id=&date_from=&date_to=&has_transcript=&has_mom=&has_summary=&limit=&cursor=
+// @access  Private
+router.get('/keyword', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateKeywordSearch(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  if (value.project_id) {
+    await loadAccessibleProject(value.project_id, req.user);
+  }
+
+  const { q, types, limit, cursor, ...filters } = value;
+
+  const search = await keywordSearch({
+    user: req.user,
+    query: q,
+    filters,
+    types: types ? [...new Set(types.split(','))] : undefined,
+    limit,
+    cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      query: q,
+      ...search
+    }
+  });
+}));
+
+// @desc    Rebuild the search index for a project's meetings
+// @route   POST /api/search/reindex
+// @access  Private (project creator or admin)
+router.post('/reindex', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateReindex(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const project = await loadAccessibleProject(value.project_id, req.user);
+
+  const isCreator = project.created_by === req.user.id;
+  const isAdmin = ['super_admin', 'project_admin'].includes(req.user.role);
+
+  if (!isCreator && !isAdmin) {
+    throw new AppError('Access denied. Only project creator or admin can reindex a project', 403);
+  }
+
+  const meetings = await reindexProject(project.id);
+
+  logger.info(`Search reindex of project ${project.id} requested by user: ${req.user.id}`);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      meetings,
+      message: 'Reindexing started.'
+    }
+  });
+}));
+
+export default router;
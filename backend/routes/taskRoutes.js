@@ -1,6 +1,7 @@
 import express from 'express';
 import { protect, authorize } from '../utils/auth.js';
 import { asyncHandler, AppError } from '../utils/errorHandler.js';
+import { validatePagination, paginate } from '../utils/pagination.js';
 import {
   createTask,
   getUserTasks,
@@ -8,31 +9,89 @@ import {
   updateTaskStatus,
   updateTask,
   deleteTask,
-  getTaskStatistics
+  getTaskStatistics,
+  assignTask
 } from '../services/taskService.js';
+import { loadAccessibleTask } from '../services/accessService.js';
+import {
+  listTaskComments,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+  listTaskActivity
+} from '../services/taskActivityService.js';
+import {
+  assertCanEditTaskLinks,
+  addTaskDependency,
+  removeTaskDependency,
+  resolveParentForNewTask,
+  getTaskLinks
+} from '../services/taskDependencyService.js';
+import {
+  validateTaskAssign,
+  validateTaskComment,
+  validateTaskCommentUpdate,
+  validateTaskDependency,
+  TASK_PRIORITY_RANK
+} from '../models/taskModel.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// List orders, matching the task service queries
+const USER_TASK_SORT = [
+  { field: 'deadline', direction: 'asc' },
+  { field: 'created_at', direction: 'desc' }
+];
+const PROJECT_TASK_SORT = [
+  { field: 'priority_rank', direction: 'desc' },
+  { field: 'deadline', direction: 'asc' }
+];
+
+// One page of a project's tasks; priorities sort by rank rather than by name
+const paginateProjectTasks = (tasks, page) => {
+  const { items, pagination } = paginate(
+    tasks.map(task => ({ ...task, priority_rank: TASK_PRIORITY_RANK[task.priority] || 0 })),
+    { sort: PROJECT_TASK_SORT, ...page }
+  );
+
+  return {
+    items: items.map(({ priority_rank, ...task }) => task),
+    pagination
+  };
+};
+
+// Pagination query of a task list
+const getPagination = (query) => {
+  const { error, value } = validatePagination(query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  return { limit: value.limit, cursor: value.cursor };
+};
+
 // @desc    Get user's tasks
-// @route   GET /api/tasks
+// @route   GET /api/tasks?status=&priority=&team=&project=&limit=&cursor=
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { status, priority, team, project } = req.query;
+  const page = getPagination(req.query);
 
   const filters = {};
   if (status) filters.status = status;
   if (priority) filters.priority = priority;
   if (team) filters.team = team;
 
-  const tasks = project 
-    ? await getProjectTasks(project, filters)
-    : await getUserTasks(userId, filters);
+  const { items: tasks, pagination } = project
+    ? paginateProjectTasks(await getProjectTasks(project, filters), page)
+    : paginate(await getUserTasks(userId, filters), { sort: USER_TASK_SORT, ...page });
 
   res.json({
     success: true,
-    data: { tasks }
+    data: { tasks, pagination }
   });
 }));
 
@@ -40,7 +99,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 // @route   POST /api/tasks
 // @access  Private
 router.post('/', protect, asyncHandler(async (req, res) => {
-  const { name, description, deadline, priority, team, assignee } = req.body;
+  const { name, description, deadline, priority, team, assignee, parent_id } = req.body;
   const userId = req.user.id;
 
   if (!name) {
@@ -56,7 +115,14 @@ router.post('/', protect, asyncHandler(async (req, res) => {
     owner_id: assignee || userId, // Allow assigning to others if provided
   };
 
-  const task = await createTask(taskData);
+  // A subtask lives in its parent's project
+  if (parent_id) {
+    const parent = await resolveParentForNewTask(parent_id, taskData, req.user);
+    taskData.team = team || parent.team;
+    taskData.parent_id = parent.id;
+  }
+
+  const task = await createTask(taskData, userId);
 
   logger.info(`Task created: ${task.id} by user: ${userId}`);
 
@@ -121,6 +187,24 @@ router.patch('/:id/status', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Assign a task to a project member
+// @route   PATCH /api/tasks/:id/assign
+// @access  Private (project creator or admin)
+router.patch('/:id/assign', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTaskAssign(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const task = await assignTask(req.params.id, value.owner_id, req.user);
+
+  res.json({
+    success: true,
+    data: { task }
+  });
+}));
+
 // @desc    Update task details
 // @route   PUT /api/tasks/:id
 // @access  Private
@@ -145,6 +229,10 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
     }
   }
 
+  if (updates.parent_id !== undefined && updates.parent_id !== null && typeof updates.parent_id !== 'string') {
+    throw new AppError('parent_id must be a task id or null', 400);
+  }
+
   const task = await updateTask(taskId, updates, userId);
 
   logger.info(`Task updated: ${taskId} by user: ${userId}`);
@@ -155,6 +243,148 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get a task's comment threads, oldest first
+// @route   GET /api/tasks/:id/comments?limit=&cursor=
+// @access  Private (project members, or the owner for tasks outside a project)
+router.get('/:id/comments', protect, asyncHandler(async (req, res) => {
+  const page = getPagination(req.query);
+  const { task } = await loadAccessibleTask(req.params.id, req.user);
+
+  const { items: comments, pagination } = paginate(await listTaskComments(task.id), {
+    sort: [{ field: 'created_at', direction: 'asc' }],
+    ...page
+  });
+
+  res.json({
+    success: true,
+    data: { comments, pagination }
+  });
+}));
+
+// @desc    Comment on a task, or reply in a thread with parent_id; @mentions name project members
+// @route   POST /api/tasks/:id/comments
+// @access  Private (project members, or the owner for tasks outside a project)
+router.post('/:id/comments', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTaskComment(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { task, project } = await loadAccessibleTask(req.params.id, req.user);
+
+  const comment = await addTaskComment(task, project, value, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { comment }
+  });
+}));
+
+// @desc    Edit a task comment
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (comment author)
+router.put('/:id/comments/:commentId', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTaskCommentUpdate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { task, project } = await loadAccessibleTask(req.params.id, req.user);
+
+  const comment = await updateTaskComment(task, project, req.params.commentId, value.body, req.user.id);
+
+  res.json({
+    success: true,
+    data: { comment }
+  });
+}));
+
+// @desc    Delete a task comment
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (comment author, project creator or admin)
+router.delete('/:id/comments/:commentId', protect, asyncHandler(async (req, res) => {
+  const { task, project } = await loadAccessibleTask(req.params.id, req.user);
+
+  await deleteTaskComment(task, project, req.params.commentId, req.user);
+
+  logger.info(`Comment ${req.params.commentId} deleted from task ${task.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Comment deleted successfully' }
+  });
+}));
+
+// @desc    Get a task's activity timeline: creation, status changes, reassignments, edits and comments
+// @route   GET /api/tasks/:id/activity?limit=&cursor=
+// @access  Private (project members, or the owner for tasks outside a project)
+router.get('/:id/activity', protect, asyncHandler(async (req, res) => {
+  const page = getPagination(req.query);
+  const { task } = await loadAccessibleTask(req.params.id, req.user);
+
+  const { items: activity, pagination } = paginate(await listTaskActivity(task.id), {
+    sort: [{ field: 'created_at', direction: 'asc' }],
+    ...page
+  });
+
+  res.json({
+    success: true,
+    data: { activity, pagination }
+  });
+}));
+
+// @desc    Get a task's parent, subtasks, the tasks blocking it and the tasks it blocks
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private (project members, or the owner for tasks outside a project)
+router.get('/:id/dependencies', protect, asyncHandler(async (req, res) => {
+  const { task } = await loadAccessibleTask(req.params.id, req.user);
+
+  const links = await getTaskLinks(task);
+
+  res.json({
+    success: true,
+    data: links
+  });
+}));
+
+// @desc    Mark a task as blocked by another task of its project
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private (task owner, project creator or admin)
+router.post('/:id/dependencies', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTaskDependency(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { task } = await loadAccessibleTask(req.params.id, req.user);
+  await assertCanEditTaskLinks(task, req.user);
+
+  const updatedTask = await addTaskDependency(task, value.blocked_by, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { task: updatedTask }
+  });
+}));
+
+// @desc    Remove a blocking task from a task
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @access  Private (task owner, project creator or admin)
+router.delete('/:id/dependencies/:blockerId', protect, asyncHandler(async (req, res) => {
+  const { task } = await loadAccessibleTask(req.params.id, req.user);
+  await assertCanEditTaskLinks(task, req.user);
+
+  const updatedTask = await removeTaskDependency(task, req.params.blockerId, req.user.id);
+
+  res.json({
+    success: true,
+    data: { task: updatedTask }
+  });
+}));
+
 // @desc    Delete task
 // @route   DELETE /api/tasks/:id
 // @access  Private
@@ -188,21 +418,22 @@ router.get('/stats/overview', protect, asyncHandler(async (req, res) => {
 }));
 
 // @desc    Get tasks for a specific project
-// @route   GET /api/tasks/project/:projectId
+// @route   GET /api/tasks/project/:projectId?status=&assignee=&limit=&cursor=
 // @access  Private
 router.get('/project/:projectId', protect, asyncHandler(async (req, res) => {
   const projectId = req.params.projectId;
   const { status, assignee } = req.query;
+  const page = getPagination(req.query);
 
   const filters = {};
   if (status) filters.status = status;
   if (assignee) filters.assignee = assignee;
 
-  const tasks = await getProjectTasks(projectId, filters);
+  const { items: tasks, pagination } = paginateProjectTasks(await getProjectTasks(projectId, filters), page);
 
   res.json({
     success: true,
-    data: { tasks }
+    data: { tasks, pagination }
   });
 }));
 
@@ -259,11 +490,12 @@ router.patch('/bulk/status', protect, asyncHandler(async (req, res) => {
 }));
 
 // @desc    Get overdue tasks
-// @route   GET /api/tasks/overdue
+// @route   GET /api/tasks/overdue?project=&limit=&cursor=
 // @access  Private
 router.get('/overdue/list', protect, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { project } = req.query;
+  const page = getPagination(req.query);
 
   const filters = project ? { team: project } : {};
   const allTasks = await getUserTasks(userId, filters);
@@ -274,21 +506,25 @@ router.get('/overdue/list', protect, asyncHandler(async (req, res) => {
     return new Date(task.deadline) < new Date();
   });
 
+  const { items: tasks, pagination } = paginate(overdueTasks, { sort: USER_TASK_SORT, ...page });
+
   res.json({
     success: true,
     data: { 
-      tasks: overdueTasks,
-      count: overdueTasks.length
+      tasks,
+      count: pagination.total,
+      pagination
     }
   });
 }));
 
 // @desc    Get tasks due soon (next 7 days)
-// @route   GET /api/tasks/due-soon
+// @route   GET /api/tasks/due-soon?project=&days=&limit=&cursor=
 // @access  Private
 router.get('/due-soon/list', protect, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { project, days = 7 } = req.query;
+  const page = getPagination(req.query);
 
   const filters = project ? { team: project } : {};
   const allTasks = await getUserTasks(userId, filters);
@@ -304,12 +540,15 @@ router.get('/due-soon/list', protect, asyncHandler(async (req, res) => {
     return deadline >= new Date() && deadline <= futureDate;
   });
 
+  const { items: tasks, pagination } = paginate(dueSoonTasks, { sort: USER_TASK_SORT, ...page });
+
   res.json({
     success: true,
     data: { 
-      tasks: dueSoonTasks,
-      count: dueSoonTasks.length,
-      days_ahead: daysAhead
+      tasks,
+      count: pagination.total,
+      days_ahead: daysAhead,
+      pagination
     }
   });
 }));
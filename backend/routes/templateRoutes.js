@@ -0,0 +1,120 @@
+import express from 'express';
+import { templateRepository } from '../repositories/index.js';
+import { validateTemplate, validateTemplateUpdate } from '../models/templateModel.js';
+import { loadAccessibleProject } from '../services/accessService.js';
+import {
+  listTemplatesForUser,
+  getAccessibleTemplate,
+  assertCanManageTemplate
+} from '../services/templateService.js';
+import { protect, authorize } from '../utils/auth.js';
+import { asyncHandler, AppError } from '../utils/errorHandler.js';
+import { validatePagination, paginate } from '../utils/pagination.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @desc    Get MOM templates available to the user
+// @route   GET /api/templates?project_id=&type=&limit=&cursor=
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validatePagination(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { project_id: projectId, type } = value;
+
+  // Built-in templates first, then by name
+  const { items: templates, pagination } = paginate(await listTemplatesForUser(req.user, { projectId, type }), {
+    sort: [{ field: 'built_in', direction: 'desc' }, { field: 'name', direction: 'asc' }],
+    limit: value.limit,
+    cursor: value.cursor
+  });
+
+  res.json({
+    success: true,
+    data: { templates, pagination }
+  });
+}));
+
+// @desc    Create MOM template
+// @route   POST /api/templates
+// @access  Private (project members for project templates, admins for global ones)
+router.post('/', protect, authorize('super_admin', 'project_admin', 'team_member'), asyncHandler(async (req, res) => {
+  const { error, value } = validateTemplate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  if (value.project_id) {
+    await loadAccessibleProject(value.project_id, req.user);
+  } else if (!['super_admin', 'project_admin'].includes(req.user.role)) {
+    throw new AppError('Only admins can create global templates. Set project_id to create a project template', 403);
+  }
+
+  const template = await templateRepository.create({ ...value, created_by: req.user.id });
+
+  logger.info(`Template created: ${template.id} by user: ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: { template }
+  });
+}));
+
+// @desc    Get single MOM template
+// @route   GET /api/templates/:id
+// @access  Private
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const { template } = await getAccessibleTemplate(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { template }
+  });
+}));
+
+// @desc    Update MOM template
+// @route   PUT /api/templates/:id
+// @access  Private (template author, project creator or admin)
+router.put('/:id', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateTemplateUpdate(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { template, project } = await getAccessibleTemplate(req.params.id, req.user);
+  assertCanManageTemplate(template, project, req.user);
+
+  const updatedTemplate = await templateRepository.update(template.id, value);
+
+  logger.info(`Template updated: ${template.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { template: updatedTemplate }
+  });
+}));
+
+// @desc    Delete MOM template
+// @route   DELETE /api/templates/:id
+// @access  Private (template author, project creator or admin)
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const { template, project } = await getAccessibleTemplate(req.params.id, req.user);
+  assertCanManageTemplate(template, project, req.user);
+
+  await templateRepository.delete(template.id);
+
+  logger.info(`Template deleted: ${template.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Template deleted successfully' }
+  });
+}));
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import { savedViewRepository } from '../repositories/index.js';
+import { validateSavedView, validateSavedViewUpdate, validateSavedViewList } from '../models/savedViewModel.js';
+import { loadAccessibleProject } from '../services/accessService.js';
+import {
+  listSavedViews,
+  getAccessibleSavedView,
+  assertCanManageSavedView,
+  runSavedView
+} from '../services/savedViewService.js';
+import { protect } from '../utils/auth.js';
+import { asyncHandler, AppError } from '../utils/errorHandler.js';
+import { validatePagination, paginate } from '../utils/pagination.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @desc    Get the user's saved views and the views shared in their projects
+// @route   GET /api/views?entity=&project_id=&limit=&cursor=
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateSavedViewList(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { items: views, pagination } = paginate(
+    await listSavedViews(req.user, { entity: value.entity, projectId: value.project_id }),
+    { sort: [{ field: 'name', direction: 'asc' }], limit: value.limit, cursor: value.cursor }
+  );
+
+  res.json({
+    success: true,
+    data: { views, pagination }
+  });
+}));
+
+// @desc    Save a task or meeting view
+// @route   POST /api/views
+// @access  Private (project members for shared views)
+router.post('/', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validateSavedView(req.body);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  if (value.project_id) {
+    await loadAccessibleProject(value.project_id, req.user);
+  }
+
+  const view = await savedViewRepository.create({ ...value, created_by: req.user.id });
+
+  logger.info(`Saved view created: ${view.id} by user: ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: { view }
+  });
+}));
+
+// @desc    Get a saved view
+// @route   GET /api/views/:id
+// @access  Private (author, or project members for shared views)
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const { view } = await getAccessibleSavedView(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { view }
+  });
+}));
+
+// @desc    Run a saved view: the tasks or meetings matching its filters, in its sort order and columns
+// @route   GET /api/views/:id/results?limit=&cursor=
+// @access  Private (author, or project members for shared views)
+router.get('/:id/results', protect, asyncHandler(async (req, res) => {
+  const { error, value } = validatePagination(req.query);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const { view } = await getAccessibleSavedView(req.params.id, req.user);
+
+  const { items, pagination } = await runSavedView(view, req.user, { limit: value.limit, cursor: value.cursor });
+
+  res.json({
+    success: true,
+    data: { view, items, pagination }
+  });
+}));
+
+// @desc    Update a saved view's name, filters, sort or columns
+// @route   PUT /api/views/:id
+// @access  Private (author, or project creator or admin for shared views)
+router.put('/:id', protect, asyncHandler(async (req, res) => {
+  const { view, project } = await getAccessibleSavedView(req.params.id, req.user);
+  assertCanManageSavedView(view, project, req.user);
+
+  const { error, value } = validateSavedViewUpdate(req.body, view.entity);
+
+  if (error) {
+    throw new AppError(error.details.map(detail => detail.message).join(', '), 400);
+  }
+
+  const updatedView = await savedViewRepository.update(view.id, value);
+
+  logger.info(`Saved view updated: ${view.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { view: updatedView }
+  });
+}));
+
+// @desc    Delete a saved view
+// @route   DELETE /api/views/:id
+// @access  Private (author, or project creator or admin for shared views)
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const { view, project } = await getAccessibleSavedView(req.params.id, req.user);
+  assertCanManageSavedView(view, project, req.user);
+
+  await savedViewRepository.delete(view.id);
+
+  logger.info(`Saved view deleted: ${view.id} by user: ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { message: 'Saved view deleted successfully' }
+  });
+}));
+
+export default router;
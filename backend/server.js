@@ -13,6 +13,12 @@ import authRoutes from './routes/authRoutes.js';
 import projectRoutes from './routes/projectRoutes.js';
 import meetingRoutes from './routes/meetingRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import viewRoutes from './routes/viewRoutes.js';
+
+// Import services
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
 
 // Import utilities
 import logger from './utils/logger.js';
@@ -69,6 +75,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -95,16 +104,21 @@ app.listen(PORT, () => {
   logger.info(`🚀 AI MeetMind API Server running on port ${PORT}`);
   logger.info(`📝 Environment: ${process.env.NODE_ENV}`);
   logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  // Start background job worker (resumes jobs interrupted by a restart)
+  startJobWorker();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  stopJobWorker();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  stopJobWorker();
   process.exit(0);
 });
 
@@ -0,0 +1,66 @@
+import { projectRepository, meetingRepository, taskRepository } from '../repositories/index.js';
+import { ADMIN_ROLES, canAccessProject } from '../models/projectModel.js';
+import { AppError } from '../utils/errorHandler.js';
+
+// Loaders for records a request works on, checked against the user's access.
+// Projects are open to their members and admins (canAccessProject); meetings
+// and tasks inherit the access of the project they belong to.
+
+// Load a project and verify the user has access to it
+export const loadAccessibleProject = async (projectId, user) => {
+  const project = await projectRepository.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (!canAccessProject(project, user)) {
+    throw new AppError('Access denied to this project', 403);
+  }
+
+  return project;
+};
+
+// Load a meeting and verify the user has access to its project
+export const loadAccessibleMeeting = async (meetingId, user) => {
+  const meeting = await meetingRepository.findById(meetingId);
+
+  if (!meeting) {
+    throw new AppError('Meeting not found', 404);
+  }
+
+  const project = await projectRepository.findById(meeting.project_id);
+
+  if (!project || !canAccessProject(project, user)) {
+    throw new AppError('Access denied to this meeting', 403);
+  }
+
+  return { meeting, project };
+};
+
+// A task the user may see: members of its project, or its owner and admins
+// for tasks outside a project
+export const loadAccessibleTask = async (taskId, user) => {
+  const task = await taskRepository.findById(taskId);
+
+  if (!task) {
+    throw new AppError('Task not found', 404);
+  }
+
+  const project = task.team ? await projectRepository.findById(task.team) : null;
+  const canAccess = project
+    ? canAccessProject(project, user)
+    : task.owner_id === user.id || ADMIN_ROLES.includes(user.role);
+
+  if (!canAccess) {
+    throw new AppError('Access denied to this task', 403);
+  }
+
+  return { task, project };
+};
+
+export default {
+  loadAccessibleProject,
+  loadAccessibleMeeting,
+  loadAccessibleTask,
+};
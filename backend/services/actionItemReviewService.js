@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { meetingRepository } from '../repositories/index.js';
+import { PROPOSAL_STATUS } from '../models/meetingModel.js';
+import { getPriorityRank, NOT_SPECIFIED, isSpecified } from '../models/taskModel.js';
+import { AppError } from '../utils/errorHandler.js';
+import { createTasksFromActionItems } from './taskService.js';
+import logger from '../utils/logger.js';
+
+// Review stage between AI extraction and task creation.
+// Extracted action items are stored on the meeting as draft proposals;
+// reviewers edit, merge or reject them, and only approved proposals are
+// turned into tasks.
+
+const ACTION_ITEM_FIELDS = ['task', 'assignee', 'deadline', 'priority', 'category'];
+
+const generateProposalId = () => `prop_${crypto.randomBytes(6).toString('hex')}`;
+
+const createProposal = (item, source = 'ai') => {
+  const now = new Date().toISOString();
+
+  return {
+    id: generateProposalId(),
+    task: item.task,
+    assignee: item.assignee || NOT_SPECIFIED,
+    deadline: item.deadline || NOT_SPECIFIED,
+    priority: item.priority,
+    category: item.category,
+    status: PROPOSAL_STATUS.DRAFT,
+    source,
+    created_at: now,
+    updated_at: now,
+  };
+};
+
+// The action item shape expected by createTasksFromActionItems
+export const toActionItem = (proposal) => {
+  return Object.fromEntries(ACTION_ITEM_FIELDS.map(field => [field, proposal[field]]));
+};
+
+// Proposals that still describe work for the meeting (not rejected or folded into another)
+export const getActiveProposals = (proposals = []) => {
+  return proposals.filter(proposal => [PROPOSAL_STATUS.DRAFT, PROPOSAL_STATUS.APPROVED].includes(proposal.status));
+};
+
+// Replace a meeting's drafts with newly extracted items.
+// Approved proposals already have tasks and are kept; rejected and merged
+// ones are dropped (earlier versions keep them in the meeting history).
+export const storeExtractedProposals = async (meeting, actionItems) => {
+  const approved = (meeting.action_item_proposals || [])
+    .filter(proposal => proposal.status === PROPOSAL_STATUS.APPROVED);
+
+  const proposals = [...approved, ...actionItems.map(item => createProposal(item))];
+
+  await meetingRepository.update(meeting.id, { action_item_proposals: proposals });
+  logger.info(`Stored ${actionItems.length} draft action items for review on meeting ${meeting.id}`);
+
+  return proposals;
+};
+
+export const listProposals = (meeting, status) => {
+  const proposals = meeting.action_item_proposals || [];
+  return status ? proposals.filter(proposal => proposal.status === status) : proposals;
+};
+
+const findDraft = (proposals, proposalId) => {
+  const proposal = proposals.find(candidate => candidate.id === proposalId);
+
+  if (!proposal) {
+    throw new AppError(`Action item proposal not found: ${proposalId}`, 404);
+  }
+
+  if (proposal.status !== PROPOSAL_STATUS.DRAFT) {
+    throw new AppError(`Action item proposal ${proposalId} is already ${proposal.status}`, 409);
+  }
+
+  return proposal;
+};
+
+const saveProposals = async (meetingId, proposals) => {
+  const meeting = await meetingRepository.update(meetingId, { action_item_proposals: proposals });
+  return meeting.action_item_proposals;
+};
+
+// Edit a draft's fields
+export const updateProposal = async (meeting, proposalId, updates, userId) => {
+  const proposals = listProposals(meeting).map(proposal => ({ ...proposal }));
+  const proposal = findDraft(proposals, proposalId);
+
+  Object.assign(proposal, updates, {
+    edited_by: userId,
+    updated_at: new Date().toISOString(),
+  });
+
+  await saveProposals(meeting.id, proposals);
+  logger.info(`Action item proposal ${proposalId} edited on meeting ${meeting.id} by ${userId}`);
+
+  return proposal;
+};
+
+// Fold several drafts into a single new draft
+export const mergeProposals = async (meeting, proposalIds, overrides, userId) => {
+  const proposals = listProposals(meeting).map(proposal => ({ ...proposal }));
+  const sources = proposalIds.map(id => findDraft(proposals, id));
+
+  const highestPriority = sources
+    .map(source => source.priority)
+    .filter(Boolean)
+    .sort((a, b) => getPriorityRank(b) - getPriorityRank(a))[0];
+
+  const merged = createProposal({
+    task: overrides.task || [...new Set(sources.map(source => source.task))].join('; ').slice(0, 255),
+    assignee: overrides.assignee || sources.map(source => source.assignee).find(isSpecified),
+    deadline: overrides.deadline || sources.map(source => source.deadline).find(isSpecified),
+    priority: overrides.priority || highestPriority,
+    category: overrides.category || sources.map(source => source.category).find(Boolean),
+  }, 'merge');
+  merged.merged_from = proposalIds;
+  merged.edited_by = userId;
+
+  const now = new Date().toISOString();
+  sources.forEach(source => {
+    source.status = PROPOSAL_STATUS.MERGED;
+    source.merged_into = merged.id;
+    source.reviewed_by = userId;
+    source.reviewed_at = now;
+    source.updated_at = now;
+  });
+
+  await saveProposals(meeting.id, [...proposals, merged]);
+  logger.info(`Merged ${proposalIds.length} action item proposals into ${merged.id} on meeting ${meeting.id} by ${userId}`);
+
+  return merged;
+};
+
+export const rejectProposal = async (meeting, proposalId, reason, userId) => {
+  const proposals = listProposals(meeting).map(proposal => ({ ...proposal }));
+  const proposal = findDraft(proposals, proposalId);
+  const now = new Date().toISOString();
+
+  Object.assign(proposal, {
+    status: PROPOSAL_STATUS.REJECTED,
+    rejection_reason: reason || null,
+    reviewed_by: userId,
+    reviewed_at: now,
+    updated_at: now,
+  });
+
+  await saveProposals(meeting.id, proposals);
+  logger.info(`Action item proposal ${proposalId} rejected on meeting ${meeting.id} by ${userId}`);
+
+  return proposal;
+};
+
+// Turn drafts into tasks; every draft is approved when no ids are given
+export const approveProposals = async (meeting, proposalIds, userId) => {
+  const proposals = listProposals(meeting).map(proposal => ({ ...proposal }));
+  const selected = proposalIds
+    ? proposalIds.map(id => findDraft(proposals, id))
+    : proposals.filter(proposal => proposal.status === PROPOSAL_STATUS.DRAFT);
+
+  if (selected.length === 0) {
+    throw new AppError('No draft action items to approve', 400);
+  }
+
+  const tasks = await createTasksFromActionItems(selected.map(toActionItem), meeting.id, meeting.project_id, {
+    participants: meeting.participants,
+    meetingDate: meeting.date,
+    createdBy: userId,
+  });
+
+  const now = new Date().toISOString();
+  selected.forEach((proposal, index) => {
+    Object.assign(proposal, {
+      status: PROPOSAL_STATUS.APPROVED,
+      task_id: tasks[index]?.id || null,
+      reviewed_by: userId,
+      reviewed_at: now,
+      updated_at: now,
+    });
+  });
+
+  const taskIds = tasks.map(task => task.id);
+  await meetingRepository.update(meeting.id, {
+    action_item_proposals: proposals,
+    action_points: [...new Set([...(meeting.action_points || []), ...taskIds])],
+  });
+
+  logger.info(`Approved ${selected.length} action item proposals on meeting ${meeting.id} by ${userId}`);
+
+  return { proposals: selected, tasks };
+};
+
+export default {
+  toActionItem,
+  getActiveProposals,
+  storeExtractedProposals,
+  listProposals,
+  updateProposal,
+  mergeProposals,
+  rejectProposal,
+  approveProposals,
+};
@@ -0,0 +1,84 @@
+// AI provider registry
+// Selects the provider from the AI_PROVIDER environment variable:
+//   openai - OpenAI API (requires OPENAI_API_KEY)
+//   local  - any OpenAI-compatible endpoint (AI_LOCAL_BASE_URL)
+//   mock   - deterministic fixtures, no network (AI_MOCK_FIXTURES_DIR)
+// When AI_PROVIDER is not set, mock is used under NODE_ENV=test, otherwise openai.
+// Every provider implements transcribe(file, options), diarize(file), complete(request)
+// and embed(texts).
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const AI_PROVIDERS = {
+  OPENAI: 'openai',
+  LOCAL: 'local',
+  MOCK: 'mock'
+};
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/ai');
+
+export const getAIProviderName = () => {
+  const configured = process.env.AI_PROVIDER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'test' ? AI_PROVIDERS.MOCK : AI_PROVIDERS.OPENAI;
+};
+
+let provider = null;
+
+// Created lazily so environment variables loaded at startup are honoured
+export const getAIProvider = () => {
+  if (provider) return provider;
+
+  const providerName = getAIProviderName();
+
+  switch (providerName) {
+    case AI_PROVIDERS.OPENAI:
+      provider = createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        models: {
+          transcribe: process.env.OPENAI_TRANSCRIBE_MODEL,
+          diarize: process.env.OPENAI_DIARIZE_MODEL,
+          chat: process.env.OPENAI_CHAT_MODEL,
+          embedding: process.env.OPENAI_EMBEDDING_MODEL,
+        },
+      });
+      break;
+    case AI_PROVIDERS.LOCAL:
+      provider = createOpenAIProvider({
+        name: AI_PROVIDERS.LOCAL,
+        apiKey: process.env.AI_LOCAL_API_KEY,
+        baseURL: process.env.AI_LOCAL_BASE_URL,
+        requireApiKey: false,
+        models: {
+          transcribe: process.env.AI_LOCAL_TRANSCRIBE_MODEL,
+          diarize: process.env.AI_LOCAL_DIARIZE_MODEL || null,
+          chat: process.env.AI_LOCAL_CHAT_MODEL,
+          embedding: process.env.AI_LOCAL_EMBEDDING_MODEL,
+        },
+      });
+      break;
+    case AI_PROVIDERS.MOCK:
+      provider = createMockProvider({
+        fixturesDir: process.env.AI_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+      });
+      break;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${providerName}". Expected one of: ${Object.values(AI_PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+};
+
+export default {
+  AI_PROVIDERS,
+  getAIProviderName,
+  getAIProvider
+};
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Deterministic mock provider for CI and offline development.
+// Responses come from JSON fixtures so the full upload-to-tasks flow runs
+// without network access:
+//   transcription.json                 - default transcription result
+//   transcriptions/<recording>.json    - per-recording override (by file name without extension)
+//   diarization.json                   - speaker turns for the default transcription
+//   diarizations/<recording>.json      - per-recording speaker turns
+//   completions.json                   - completion text keyed by call purpose
+// Embeddings are derived from the text itself (feature hashing), so equal
+// text always gets equal vectors and similar text gets similar ones.
+
+const EMBEDDING_DIMENSIONS = 256;
+
+const readJson = (filePath) => {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const hashToken = (token) => crypto.createHash('md5').update(token).digest().readUInt32LE(0);
+
+const embedText = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const tokens = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const token of tokens) {
+    const hash = hashToken(token);
+    vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+export const createMockProvider = ({ fixturesDir }) => {
+  const fixture = (...segments) => readJson(path.join(fixturesDir, ...segments));
+
+  return {
+    name: 'mock',
+
+    isConfigured: () => fs.existsSync(fixturesDir),
+
+    transcribe: async (file) => {
+      const recordingName = path.parse(file.originalname || '').name;
+      const transcription = (recordingName && fixture('transcriptions', `${recordingName}.json`))
+        || fixture('transcription.json');
+
+      if (!transcription) {
+        throw new Error(`No transcription fixture found in ${fixturesDir}`);
+      }
+
+      return transcription;
+    },
+
+    // Without a diarization fixture the recording is treated as undiarized.
+    // The default turns only describe the default transcription.
+    diarize: async (file) => {
+      const recordingName = path.parse(file.originalname || '').name;
+      const hasOwnTranscription = recordingName && fixture('transcriptions', `${recordingName}.json`);
+      const diarization = hasOwnTranscription
+        ? fixture('diarizations', `${recordingName}.json`)
+        : fixture('diarization.json');
+
+      return diarization?.segments || null;
+    },
+
+    complete: async ({ purpose = 'default' }) => {
+      const completions = fixture('completions.json') || {};
+      const response = completions[purpose] ?? completions.default;
+
+      if (response === undefined) {
+        throw new Error(`No completion fixture for purpose "${purpose}" in ${fixturesDir}`);
+      }
+
+      // Structured fixtures are stored as JSON and returned the way a model would
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+
+    embed: async (texts) => texts.map(embedText),
+  };
+};
+
+export default createMockProvider;
@@ -0,0 +1,87 @@
+import OpenAI, { toFile } from 'openai';
+
+// OpenAI provider. Also used for any OpenAI-compatible endpoint (Ollama,
+// LocalAI, vLLM, faster-whisper-server, ...) by passing a baseURL and the
+// model names that endpoint serves.
+
+export const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  models = {},
+  requireApiKey = true,
+}) => {
+  const client = new OpenAI({
+    apiKey: apiKey || 'not-needed',
+    ...(baseURL && { baseURL }),
+  });
+
+  const transcribeModel = models.transcribe || 'whisper-1';
+  const chatModel = models.chat || 'gpt-4';
+  const embeddingModel = models.embedding || 'text-embedding-3-small';
+  // Speaker diarization needs a model that supports it; OpenAI-compatible
+  // servers only diarize when one is configured
+  const diarizeModel = models.diarize === undefined ? 'gpt-4o-transcribe-diarize' : models.diarize;
+
+  return {
+    name,
+
+    isConfigured: () => (requireApiKey ? !!apiKey : !!baseURL),
+
+    // file is multer-style: { buffer, originalname, mimetype }
+    transcribe: async (file, { language } = {}) => {
+      const transcription = await client.audio.transcriptions.create({
+        file: await toFile(file.buffer, file.originalname, { type: file.mimetype }),
+        model: transcribeModel,
+        ...(language && { language }),
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word', 'segment']
+      });
+
+      return {
+        text: transcription.text,
+        duration: transcription.duration,
+        language: transcription.language,
+        segments: transcription.segments,
+        words: transcription.words
+      };
+    },
+
+    // Speaker turns ({ speaker, start, end }), or null when no diarization model is available
+    diarize: async (file) => {
+      if (!diarizeModel) return null;
+
+      const diarization = await client.audio.transcriptions.create({
+        file: await toFile(file.buffer, file.originalname, { type: file.mimetype }),
+        model: diarizeModel,
+        response_format: 'diarized_json',
+        chunking_strategy: 'auto'
+      });
+
+      return diarization.segments.map(({ speaker, start, end }) => ({ speaker, start, end }));
+    },
+
+    // purpose labels the call for logging and fixtures; it is not sent upstream
+    complete: async ({ messages, temperature, maxTokens }) => {
+      const completion = await client.chat.completions.create({
+        model: chatModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return completion.choices[0].message.content;
+    },
+
+    embed: async (texts) => {
+      const response = await client.embeddings.create({
+        model: embeddingModel,
+        input: texts
+      });
+
+      return response.data.map(item => item.embedding);
+    },
+  };
+};
+
+export default createOpenAIProvider;
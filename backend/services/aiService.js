@@ -1,46 +1,90 @@
-import OpenAI from 'openai';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errorHandler.js';
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+import { needsChunking, splitAudio, mergeTranscriptions, mergeDiarizations } from '../utils/audioChunker.js';
+import { estimateTokens, chunkText } from '../utils/textChunker.js';
+import { getAIProvider } from './aiProviders/index.js';
+import { validateActionItems, getPriorityRank, isSpecified } from '../models/taskModel.js';
+import { TEMPLATE_OUTPUT_FORMATS, DEFAULT_TEMPLATE_ID, getBuiltInTemplate } from '../models/templateModel.js';
+import { validateStructuredMom } from '../models/momModel.js';
+import { renderMom } from '../utils/momRenderer.js';
+import { AUTO_DETECT, getDefaultTranscriptionLanguage, normalizeLanguage, getLanguageName } from '../utils/languages.js';
+
+// Prompt budgets (estimated tokens). GPT-4 has an 8k context, so inputs above
+// maxInputTokens are split into chunkTokens pieces and processed map-reduce style.
+// Read on use so settings loaded from .env at startup are honoured.
+const getPromptBudget = () => ({
+  maxInputTokens: parseInt(process.env.AI_MAX_INPUT_TOKENS) || 5000,
+  chunkTokens: parseInt(process.env.AI_CHUNK_TOKENS) || 3000,
+  chunkOverlapTokens: parseInt(process.env.AI_CHUNK_OVERLAP_TOKENS) || 150,
 });
+const MAX_CONDENSE_ROUNDS = 3;
+
+// Check if the configured AI provider (see aiProviders/index.js) is usable
+export const isAIConfigured = () => {
+  return getAIProvider().isConfigured();
+};
 
-// Check if OpenAI is configured
-export const isOpenAIConfigured = () => {
-  return !!process.env.OPENAI_API_KEY;
+// Send a single file (at most 25MB) to the transcription model.
+// "auto" sends no language so the model detects it.
+const transcribeFile = (audioFile, language) => {
+  return getAIProvider().transcribe(audioFile, {
+    language: language === AUTO_DETECT ? undefined : language
+  });
 };
 
-// Transcribe audio using Whisper
-export const transcribeAudio = async (audioFile) => {
+// Prompt line asking for output in a given language; empty when none is set
+const outputLanguageInstruction = (outputLanguage) => {
+  const languageName = getLanguageName(outputLanguage);
+  return languageName
+    ? `Write your response in ${languageName}, whatever language the meeting was held in. Keep names of people, products and companies as they are.`
+    : '';
+};
+
+// Transcribe audio with the configured provider (Whisper by default)
+// audioFile is a multer-style file: { buffer, originalname, mimetype }
+// language is an ISO 639-1 code or "auto" to detect the spoken language.
+// Recordings over the 25MB Whisper limit are split into overlapping chunks,
+// transcribed one by one and stitched back onto a single timeline.
+export const transcribeAudio = async (audioFile, { language = getDefaultTranscriptionLanguage() } = {}) => {
   try {
-    if (!isOpenAIConfigured()) {
-      throw new AppError('OpenAI API not configured', 500);
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
     }
 
-    logger.info('Starting audio transcription with Whisper');
+    if (!needsChunking(audioFile)) {
+      logger.info(`Starting audio transcription with Whisper (language: ${language})`);
+      const transcription = await transcribeFile(audioFile, language);
+      logger.info('Audio transcription completed successfully');
+      return transcription;
+    }
 
-    const transcription = await openai.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-      language: 'en', // Can be made configurable
-      response_format: 'verbose_json',
-      timestamp_granularities: ['word', 'segment']
-    });
+    const chunks = await splitAudio(audioFile);
+    logger.info(`Recording exceeds 25MB, transcribing in ${chunks.length} chunks`);
+
+    // With auto-detect, later chunks use the language detected in the first one
+    // so a quiet or noisy chunk is not transcribed in a different language
+    let chunkLanguage = language;
+    const results = [];
+    for (const [index, chunk] of chunks.entries()) {
+      logger.info(`Transcribing chunk ${index + 1}/${chunks.length} (${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s)`);
+      const transcription = await transcribeFile(chunk, chunkLanguage);
+      results.push({ chunk, transcription });
+
+      if (chunkLanguage === AUTO_DETECT) {
+        chunkLanguage = normalizeLanguage(transcription.language) || AUTO_DETECT;
+      }
+    }
 
     logger.info('Audio transcription completed successfully');
 
-    return {
-      text: transcription.text,
-      duration: transcription.duration,
-      language: transcription.language,
-      segments: transcription.segments,
-      words: transcription.words
-    };
+    return mergeTranscriptions(results);
   } catch (error) {
     logger.error('Error in audio transcription:', error);
-    
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     if (error.response?.status === 429) {
       throw new AppError('OpenAI API rate limit exceeded. Please try again later.', 429);
     } else if (error.response?.status === 401) {
@@ -53,42 +97,251 @@ export const transcribeAudio = async (audioFile) => {
   }
 };
 
+// Speaker turns ({ speaker, start, end }) for a recording, or null when the
+// provider cannot diarize it. Recordings over the 25MB limit are diarized in
+// the same chunks as transcription; speaker labels are carried across chunks
+// through the audio consecutive chunks share.
+export const diarizeAudio = async (audioFile) => {
+  try {
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
+    }
+
+    const chunks = needsChunking(audioFile) ? await splitAudio(audioFile) : [{ ...audioFile, start: 0 }];
+    logger.info(chunks.length > 1
+      ? `Recording exceeds 25MB, diarizing in ${chunks.length} chunks`
+      : 'Starting speaker diarization');
+
+    const results = [];
+    for (const chunk of chunks) {
+      const chunkTurns = await getAIProvider().diarize(chunk);
+
+      if (!chunkTurns) {
+        logger.warn(`AI provider "${getAIProvider().name}" has no diarization model configured`);
+        return null;
+      }
+
+      results.push({ chunk, turns: chunkTurns });
+    }
+
+    const turns = mergeDiarizations(results);
+
+    logger.info(`Speaker diarization completed with ${new Set(turns.map(turn => turn.speaker)).size} speakers`);
+    return turns;
+  } catch (error) {
+    logger.error('Error in speaker diarization:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.response?.status === 429) {
+      throw new AppError('OpenAI API rate limit exceeded. Please try again later.', 429);
+    }
+
+    throw new AppError('Failed to diarize audio', 500);
+  }
+};
+
+// Map step: condensed notes for one part of a long meeting
+const takeChunkNotes = async (chunk, index, total, meetingTitle) => {
+  const prompt = `
+This is part ${index + 1} of ${total} of a long meeting${meetingTitle ? ` titled "${meetingTitle}"` : ''}.
+Take concise but complete notes on this part only. Include:
+- Key discussion points
+- Decisions made
+- Action items, with the responsible person and deadline if mentioned
+- Open questions, risks and any mention of the next meeting
+
+Keep names, numbers and dates exactly as stated. Do not invent content.
+
+Content:
+${chunk}
+`;
+
+  return getAIProvider().complete({
+    purpose: 'chunk_notes',
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a meticulous note taker condensing one section of a long meeting so it can be combined with notes from the other sections.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    temperature: 0.2,
+    maxTokens: 800
+  });
+};
+
+// Reduce text that does not fit in a single prompt to ordered notes that do.
+// Notes are condensed again if the first pass is still too long.
+const condenseLongText = async (text, meetingTitle) => {
+  const { maxInputTokens, chunkTokens, chunkOverlapTokens } = getPromptBudget();
+  let condensed = text;
+
+  for (let round = 1; round <= MAX_CONDENSE_ROUNDS && estimateTokens(condensed) > maxInputTokens; round++) {
+    const chunks = chunkText(condensed, { maxTokens: chunkTokens, overlapTokens: chunkOverlapTokens });
+    logger.info(`Condensing long content in ${chunks.length} chunks (round ${round})`);
+
+    // Sequential to stay within rate limits
+    const notes = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkNotes = await takeChunkNotes(chunk, index, chunks.length, meetingTitle);
+      notes.push(`Part ${index + 1}:\n${chunkNotes}`);
+    }
+
+    condensed = notes.join('\n\n');
+  }
+
+  return condensed;
+};
+
+// Re-ask budget for replies that are not valid JSON
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Pull a JSON value out of a model reply, tolerating markdown fences and
+// prose around it. Throws SyntaxError when nothing usable is found.
+const parseJsonReply = (reply = '') => {
+  const text = reply.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+};
+
+// Request a JSON reply; parse turns the reply into the result and throws
+// SyntaxError when it is unusable, in which case the reply is sent back to
+// the model with the error for repair
+const completeJson = async ({ purpose, messages, temperature, maxTokens }, parse) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await getAIProvider().complete({ purpose, messages, temperature, maxTokens });
+
+    try {
+      return parse(response);
+    } catch (error) {
+      if (!(error instanceof SyntaxError) || attempt >= MAX_REPAIR_ATTEMPTS) {
+        throw error;
+      }
+
+      logger.warn(`${purpose} reply could not be used (${error.message}), asking the model to repair it`);
+      messages = [
+        ...messages,
+        { role: 'assistant', content: response },
+        {
+          role: 'user',
+          content: `Your reply could not be parsed: ${error.message}. Reply again with only the JSON object in the requested format, with no markdown or explanation.`
+        }
+      ];
+    }
+  }
+};
+
+// Format line for the free-text content of MOM template sections
+const momFormatInstruction = (outputFormat) => {
+  return outputFormat === TEMPLATE_OUTPUT_FORMATS.PLAIN_TEXT
+    ? 'Write "content" as plain text without Markdown, using "-" for bullet points.'
+    : 'Write "content" in Markdown (bullet points, bold) without headings; section titles are added for you.';
+};
+
+// Numbered section list for a MOM template
+const momSectionList = (sections) => {
+  return sections
+    .map((section, index) => `${index + 1}. ${section.title}${section.instructions ? ` (${section.instructions})` : ''}`)
+    .join('\n');
+};
+
+// Models often return plain strings where an object is expected
+const STRUCTURED_MOM_ITEM_KEYS = { decisions: 'decision', discussion_points: 'topic', risks: 'risk' };
+
+// Validate a structured MOM reply; schema errors are raised as SyntaxError
+// so the model is asked to repair them like unparseable JSON
+const parseStructuredMomReply = (reply) => {
+  const parsed = parseJsonReply(reply);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new SyntaxError('Reply is not a JSON object');
+  }
+
+  for (const [field, key] of Object.entries(STRUCTURED_MOM_ITEM_KEYS)) {
+    if (Array.isArray(parsed[field])) {
+      parsed[field] = parsed[field].map(item => (typeof item === 'string' ? { [key]: item } : item));
+    }
+  }
+
+  const { error, value } = validateStructuredMom(parsed);
+  if (error) {
+    throw new SyntaxError(error.details.map(detail => detail.message).join(', '));
+  }
+
+  return value;
+};
+
 // Generate Minutes of Meeting (MOM) from transcript
-export const generateMOM = async (transcript, meetingTitle, participants = []) => {
+// outputLanguage (ISO 639-1) sets the language of the minutes; template
+// (see templateModel.js) sets the sections, extra instructions and format.
+// Returns { mom, structured }: the structured MOM (see momModel.js) and the
+// MOM rendered from it in the template's output format.
+export const generateMOM = async (transcript, meetingTitle, participants = [], {
+  outputLanguage,
+  template = getBuiltInTemplate(DEFAULT_TEMPLATE_ID)
+} = {}) => {
   try {
-    if (!isOpenAIConfigured()) {
-      throw new AppError('OpenAI API not configured', 500);
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
     }
 
-    logger.info('Generating Minutes of Meeting from transcript');
+    logger.info(`Generating Minutes of Meeting from transcript with template ${template.id}`);
+
+    // Long meetings are summarised from per-chunk notes instead of the raw transcript
+    const isLong = estimateTokens(transcript) > getPromptBudget().maxInputTokens;
+    const content = isLong ? await condenseLongText(transcript, meetingTitle) : transcript;
 
     const prompt = `
-Please create comprehensive Minutes of Meeting (MOM) from the following meeting transcript.
+Please create comprehensive Minutes of Meeting (MOM) from the following meeting ${isLong ? 'notes' : 'transcript'}.
 
 Meeting Title: ${meetingTitle}
 Participants: ${participants.length > 0 ? participants.join(', ') : 'Not specified'}
 
-Transcript:
-${transcript}
+${isLong ? 'Meeting Notes (taken in order from consecutive parts of a long transcript):' : 'Transcript:'}
+${content}
+
+Please write the MOM in the following JSON format:
+{
+  "overview": "Short summary of the meeting's purpose and outcome",
+  "attendees": ["Name of each person who attended"],
+  "discussion_points": [{ "topic": "Topic discussed", "summary": "What was said about it" }],
+  "decisions": [{ "decision": "What was decided", "rationale": "Why, if mentioned", "owner": "Who made or owns the decision, if mentioned" }],
+  "risks": [{ "risk": "Risk, blocker or open issue raised", "mitigation": "How it will be handled, if mentioned" }],
+  "next_steps": ["Next step agreed"],
+  "next_meeting": "When and why the group meets next, or null if not mentioned",
+  "sections": [{ "title": "Section title", "field": "Field shown in this section, or null", "content": "Section text when field is null" }]
+}
 
-Please format the MOM with the following structure:
-1. Meeting Overview
-2. Attendees
-3. Key Discussion Points
-4. Decisions Made
-5. Action Items (with responsible persons if mentioned)
-6. Next Steps
-7. Next Meeting (if mentioned)
+Fill "sections" with one entry per section of the following structure, in the same order:
+${momSectionList(template.sections)}
 
-Make it professional, concise, and well-organized.
+When a section shows one of the fields above (for example "Decisions Made" shows "decisions"), set "field" to that field name and leave "content" empty. Otherwise set "field" to null and write the section in "content".
+Only record decisions that were actually agreed, not proposals that were discussed.
+
+${template.instructions || ''}
+${momFormatInstruction(template.output_format)}
+${outputLanguageInstruction(outputLanguage)}
+Keep the JSON keys and "field" values in English. Return only the JSON object, no additional text.
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
+    const structured = await completeJson({
+      purpose: 'mom',
       messages: [
         {
           role: 'system',
-          content: 'You are a professional meeting secretary who creates detailed and well-structured Minutes of Meeting. Focus on clarity, accuracy, and actionable items.'
+          content: 'You are a professional meeting secretary who creates detailed and well-structured Minutes of Meeting. Focus on clarity, accuracy, and actionable items. Return only valid JSON.'
         },
         {
           role: 'user',
@@ -96,13 +349,14 @@ Make it professional, concise, and well-organized.
         }
       ],
       temperature: 0.3,
-      max_tokens: 2000
-    });
+      maxTokens: 2500
+    }, parseStructuredMomReply);
 
-    const mom = completion.choices[0].message.content;
-    logger.info('MOM generation completed successfully');
+    const mom = renderMom(structured, { title: meetingTitle, outputFormat: template.output_format });
 
-    return mom;
+    logger.info(`MOM generation completed successfully (${structured.decisions.length} decisions)`);
+
+    return { mom, structured };
   } catch (error) {
     logger.error('Error generating MOM:', error);
     
@@ -114,18 +368,58 @@ Make it professional, concise, and well-organized.
   }
 };
 
-// Extract action items from transcript or MOM
-export const extractActionItems = async (text, context = 'transcript') => {
-  try {
-    if (!isOpenAIConfigured()) {
-      throw new AppError('OpenAI API not configured', 500);
-    }
+// Pull the action item list out of a model reply
+const parseActionItemsReply = (reply) => {
+  const parsed = parseJsonReply(reply);
+  const items = Array.isArray(parsed) ? parsed : parsed?.action_items;
+  if (!Array.isArray(items)) {
+    throw new SyntaxError('Reply does not contain an "action_items" array');
+  }
 
-    logger.info('Extracting action items from text');
+  return items;
+};
 
-    const prompt = `
-Analyze the following ${context} and extract all action items, tasks, and follow-ups mentioned.
+// Models often return null/empty fields or capitalised priorities
+const normalizeActionItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (value === null || value === undefined) continue;
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (trimmed === '') continue;
+    normalized[key] = key === 'priority' && typeof trimmed === 'string' ? trimmed.toLowerCase() : trimmed;
+  }
+  return normalized;
+};
+
+// Validate against actionItemsArraySchema, keeping valid items and reporting
+// the invalid ones individually instead of failing the whole extraction
+const validateExtractedActionItems = (items) => {
+  const normalized = items.map(normalizeActionItem);
+  const { error, value } = validateActionItems(normalized);
+
+  const errorsByIndex = new Map();
+  for (const detail of error?.details || []) {
+    const index = detail.path[0];
+    errorsByIndex.set(index, [...(errorsByIndex.get(index) || []), detail.message]);
+  }
+
+  return {
+    actionItems: value.filter((item, index) => !errorsByIndex.has(index)),
+    validationErrors: [...errorsByIndex].map(([index, messages]) => ({
+      index,
+      item: items[index],
+      errors: messages,
+    })),
+  };
+};
 
+// Single extraction request; part describes the chunk when text was split
+const requestActionItems = async (text, context, part = null) => {
+  const prompt = `
+Analyze the following ${context} and extract all action items, tasks, and follow-ups mentioned.
+${part ? `\nThis is part ${part.index + 1} of ${part.total} of a long meeting. Only extract items from this part.\n` : ''}
 ${context === 'transcript' ? 'Meeting Transcript:' : 'Meeting Content:'}
 ${text}
 
@@ -152,28 +446,98 @@ Focus on:
 Return only the JSON object, no additional text.
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert at identifying and extracting action items from meeting content. Return only valid JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.2,
-      max_tokens: 1500
-    });
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are an expert at identifying and extracting action items from meeting content. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+
+  return completeJson({
+    purpose: 'action_items',
+    messages,
+    temperature: 0.2,
+    maxTokens: 1500
+  }, reply => validateExtractedActionItems(parseActionItemsReply(reply)));
+};
 
-    const response = completion.choices[0].message.content;
-    const actionItems = JSON.parse(response);
-    
-    logger.info(`Extracted ${actionItems.action_items.length} action items`);
+const taskWords = (task = '') => new Set(
+  task.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 2)
+);
+
+// Jaccard similarity of the significant words in two task descriptions
+const taskSimilarity = (a, b) => {
+  const wordsA = taskWords(a);
+  const wordsB = taskWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Items from overlapping or related chunks often repeat; merge near-duplicates,
+// keeping the more detailed description and any assignee/deadline either copy has
+const dedupeActionItems = (items, threshold = 0.6) => {
+  const merged = [];
+
+  for (const item of items) {
+    const existing = merged.find(candidate => taskSimilarity(candidate.task, item.task) >= threshold);
+
+    if (!existing) {
+      merged.push({ ...item });
+      continue;
+    }
+
+    if ((item.task || '').length > (existing.task || '').length) existing.task = item.task;
+    if (!isSpecified(existing.assignee) && isSpecified(item.assignee)) existing.assignee = item.assignee;
+    if (!isSpecified(existing.deadline) && isSpecified(item.deadline)) existing.deadline = item.deadline;
+    if (getPriorityRank(item.priority) > getPriorityRank(existing.priority)) {
+      existing.priority = item.priority;
+    }
+    if (!existing.category && item.category) existing.category = item.category;
+  }
+
+  return merged;
+};
 
-    return actionItems.action_items;
+// Extract action items from transcript or MOM
+// Long text is split into chunks, extracted per chunk and de-duplicated.
+// Returns { actionItems, validationErrors }: items that fail actionItemsArraySchema
+// are reported individually with their errors rather than failing the extraction.
+export const extractActionItems = async (text, context = 'transcript') => {
+  try {
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
+    }
+
+    logger.info('Extracting action items from text');
+
+    const { maxInputTokens, chunkTokens, chunkOverlapTokens } = getPromptBudget();
+    if (estimateTokens(text) <= maxInputTokens) {
+      const result = await requestActionItems(text, context);
+      logger.info(`Extracted ${result.actionItems.length} action items (${result.validationErrors.length} invalid)`);
+      return result;
+    }
+
+    const chunks = chunkText(text, { maxTokens: chunkTokens, overlapTokens: chunkOverlapTokens });
+    logger.info(`Extracting action items from ${chunks.length} chunks`);
+
+    const extracted = [];
+    const validationErrors = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const result = await requestActionItems(chunk, context, { index, total: chunks.length });
+      extracted.push(...result.actionItems);
+      validationErrors.push(...result.validationErrors.map(itemError => ({ ...itemError, part: index + 1 })));
+    }
+
+    const actionItems = dedupeActionItems(extracted);
+    logger.info(`Extracted ${actionItems.length} action items (${extracted.length - actionItems.length} duplicates merged, ${validationErrors.length} invalid)`);
+
+    return { actionItems, validationErrors };
   } catch (error) {
     logger.error('Error extracting action items:', error);
     
@@ -186,14 +550,17 @@ Return only the JSON object, no additional text.
 };
 
 // Generate email-ready summary
-export const generateEmailSummary = async (mom, actionItems = []) => {
+export const generateEmailSummary = async (mom, actionItems = [], { outputLanguage } = {}) => {
   try {
-    if (!isOpenAIConfigured()) {
-      throw new AppError('OpenAI API not configured', 500);
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
     }
 
     logger.info('Generating email-ready summary');
 
+    // Very long minutes are condensed the same way as long transcripts
+    const momContent = estimateTokens(mom) > getPromptBudget().maxInputTokens ? await condenseLongText(mom) : mom;
+
     const actionItemsText = actionItems.length > 0 
       ? actionItems.map(item => `- ${item.task} (Assignee: ${item.assignee}, Deadline: ${item.deadline})`).join('\n')
       : 'No specific action items identified.';
@@ -202,7 +569,7 @@ export const generateEmailSummary = async (mom, actionItems = []) => {
 Create a concise, email-ready summary from the following Minutes of Meeting.
 
 Minutes of Meeting:
-${mom}
+${momContent}
 
 Action Items:
 ${actionItemsText}
@@ -215,10 +582,11 @@ Please create a professional email summary that includes:
 
 Keep it concise (under 300 words) and suitable for sending to stakeholders who may not have attended the meeting.
 Use a professional but friendly tone.
+${outputLanguageInstruction(outputLanguage)}
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
+    const summary = await getAIProvider().complete({
+      purpose: 'email_summary',
       messages: [
         {
           role: 'system',
@@ -230,10 +598,9 @@ Use a professional but friendly tone.
         }
       ],
       temperature: 0.3,
-      max_tokens: 800
+      maxTokens: 800
     });
 
-    const summary = completion.choices[0].message.content;
     logger.info('Email summary generation completed successfully');
 
     return summary;
@@ -248,6 +615,146 @@ Use a professional but friendly tone.
   }
 };
 
+// Translate meeting text (transcript, MOM or summary) into another language.
+// Long text is translated chunk by chunk, without overlap, and joined back.
+export const translateText = async (text, targetLanguage, { sourceLanguage } = {}) => {
+  try {
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
+    }
+
+    const targetName = getLanguageName(targetLanguage);
+    if (!targetName) {
+      throw new AppError(`Unsupported translation language: ${targetLanguage}`, 400);
+    }
+
+    const sourceName = getLanguageName(sourceLanguage);
+    const { chunkTokens } = getPromptBudget();
+    const chunks = estimateTokens(text) > chunkTokens
+      ? chunkText(text, { maxTokens: chunkTokens, overlapTokens: 0 })
+      : [text];
+
+    logger.info(`Translating ${chunks.length} chunk(s) into ${targetName}`);
+
+    // Sequential to stay within rate limits
+    const translated = [];
+    for (const chunk of chunks) {
+      translated.push(await getAIProvider().complete({
+        purpose: 'translation',
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a professional translator of business meeting records. Translate faithfully without adding, dropping or summarising content.'
+          },
+          {
+            role: 'user',
+            content: `
+Translate the following text${sourceName ? ` from ${sourceName}` : ''} into ${targetName}.
+Keep the markdown formatting, line breaks, names of people, products and companies, numbers and dates as they are.
+Reply with the translation only.
+
+Text:
+${chunk}
+`
+          }
+        ],
+        temperature: 0.2,
+        maxTokens: 4000
+      }));
+    }
+
+    logger.info('Translation completed successfully');
+
+    return translated.map(part => part.trim()).join('\n\n');
+  } catch (error) {
+    logger.error('Error translating text:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.response?.status === 429) {
+      throw new AppError('OpenAI API rate limit exceeded. Please try again later.', 429);
+    }
+
+    throw new AppError('Failed to translate text', 500);
+  }
+};
+
+// Answer a question about a project from retrieved sources.
+// sources are { label, heading, text }; the answer cites them by label, e.g. [S2].
+// history holds the conversation's earlier { role, content } messages.
+export const answerQuestion = async (question, sources, history = []) => {
+  try {
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
+    }
+
+    logger.info(`Answering project question from ${sources.length} sources`);
+
+    const prompt = `
+Answer the question using only the sources below, taken from this project's meeting transcripts, minutes, decision log and tasks.
+
+Sources:
+${sources.map(source => `[${source.label}] ${source.heading}\n${source.text}`).join('\n\n')}
+
+Question: ${question}
+
+Cite the sources you use by their labels in square brackets, e.g. [S1] or [S1][S3], right after the statement they support.
+If the sources do not answer the question, say so plainly instead of guessing.
+When sources disagree, prefer the most recent meeting, and mention when a decision was superseded or reverted.
+`;
+
+    const answer = await getAIProvider().complete({
+      purpose: 'chat',
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a project assistant that answers questions about a team\'s meetings and tasks. Be concise and factual, and only state what the sources support.'
+        },
+        ...history,
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.2,
+      maxTokens: 800
+    });
+
+    logger.info('Project question answered successfully');
+
+    return answer;
+  } catch (error) {
+    logger.error('Error answering question:', error);
+
+    if (error.response?.status === 429) {
+      throw new AppError('OpenAI API rate limit exceeded. Please try again later.', 429);
+    }
+
+    throw new AppError('Failed to answer question', 500);
+  }
+};
+
+// Embed texts for semantic search; returns one vector per input text
+export const createEmbeddings = async (texts) => {
+  try {
+    if (!isAIConfigured()) {
+      throw new AppError(`AI provider "${getAIProvider().name}" is not configured`, 500);
+    }
+
+    return await getAIProvider().embed(texts);
+  } catch (error) {
+    logger.error('Error creating embeddings:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    throw new AppError('Failed to create embeddings', 500);
+  }
+};
+
 // Process complete meeting (transcription + analysis)
 export const processCompleteeMeeting = async (audioFile, meetingTitle, participants = []) => {
   try {
@@ -257,10 +764,10 @@ export const processCompleteeMeeting = async (audioFile, meetingTitle, participa
     const transcription = await transcribeAudio(audioFile);
 
     // Step 2: Generate MOM
-    const mom = await generateMOM(transcription.text, meetingTitle, participants);
+    const { mom } = await generateMOM(transcription.text, meetingTitle, participants);
 
     // Step 3: Extract action items
-    const actionItems = await extractActionItems(transcription.text);
+    const { actionItems } = await extractActionItems(transcription.text);
 
     // Step 4: Generate email summary
     const emailSummary = await generateEmailSummary(mom, actionItems);
@@ -282,10 +789,14 @@ export const processCompleteeMeeting = async (audioFile, meetingTitle, participa
 };
 
 export default {
-  isOpenAIConfigured,
+  isAIConfigured,
   transcribeAudio,
+  diarizeAudio,
   generateMOM,
   extractActionItems,
   generateEmailSummary,
+  translateText,
+  answerQuestion,
+  createEmbeddings,
   processCompleteeMeeting
 };
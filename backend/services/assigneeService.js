@@ -0,0 +1,144 @@
+import { getUsersByIds, findUsersByReferences } from './userService.js';
+import logger from '../utils/logger.js';
+
+// Resolves free-text assignees from action items ("John", "j.smith", "Priya S.")
+// to user accounts. Candidates are the project's members and the meeting's
+// participants; matches below the threshold, or too close to call between two
+// people, are left for the project admin to assign.
+
+// Read on use so a threshold loaded from .env at startup is honoured
+const getMatchThreshold = () => parseFloat(process.env.ASSIGNEE_MATCH_THRESHOLD) || 0.75;
+const AMBIGUITY_MARGIN = 0.1;
+const MAX_SUGGESTIONS = 3;
+const MIN_SUGGESTION_SCORE = 0.4;
+
+const UNSPECIFIED = ['', 'not specified', 'unassigned', 'none', 'n/a', 'tbd'];
+
+const normalizeName = (value = '') => {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9@.\s_-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const nameTokens = (value = '') => normalizeName(value).split(/[\s._-]+/).filter(Boolean);
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 0 : 1 - levenshtein(a, b) / length;
+};
+
+// How well one query token matches one name token: exact, initial ("J."), or close spelling
+const tokenScore = (queryToken, nameToken) => {
+  if (queryToken === nameToken) return 1;
+  if (queryToken.length === 1) return nameToken.startsWith(queryToken) ? 0.7 : 0;
+  if (queryToken.length >= 4) {
+    const score = similarity(queryToken, nameToken);
+    return score >= 0.75 ? score * 0.9 : 0;
+  }
+  return 0;
+};
+
+// Confidence (0-1) that the free-text assignee refers to this user
+export const scoreCandidate = (assignee, user) => {
+  const query = normalizeName(assignee);
+  const name = normalizeName(user.name);
+  const email = normalizeName(user.email);
+
+  if (!query) return 0;
+  if (query === name || query === email) return 1;
+
+  const emailLocal = email.split('@')[0];
+  if (emailLocal && nameTokens(query).join('') === nameTokens(emailLocal).join('')) return 0.95;
+
+  const queryTokens = nameTokens(query);
+  const userTokens = [...new Set([...nameTokens(name), ...nameTokens(emailLocal)])];
+
+  const matched = queryTokens.map(token => Math.max(0, ...userTokens.map(userToken => tokenScore(token, userToken))));
+  const tokenMatch = matched.reduce((sum, score) => sum + score, 0) / queryTokens.length;
+
+  // A first name alone ("John" for "John Smith") is a good but not certain match
+  const coverage = queryTokens.length / Math.max(nameTokens(name).length, queryTokens.length);
+  const tokenConfidence = tokenMatch * (0.8 + 0.2 * coverage);
+
+  return Math.max(tokenConfidence, similarity(query, name) * 0.85);
+};
+
+const isUnspecified = (assignee) => {
+  return !assignee || UNSPECIFIED.includes(normalizeName(assignee));
+};
+
+// Best user for a free-text assignee: { user_id, confidence, suggestions }
+export const matchAssignee = (assignee, candidates = []) => {
+  if (isUnspecified(assignee) || candidates.length === 0) {
+    return { user_id: null, confidence: 0, suggestions: [] };
+  }
+
+  const ranked = candidates
+    .map(user => ({ user_id: user.id, name: user.name, score: Number(scoreCandidate(assignee, user).toFixed(2)) }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  const isAmbiguous = runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+
+  // Two similarly good matches (e.g. two Johns) are never auto-assigned
+  const confidence = isAmbiguous ? Number((best.score / 2).toFixed(2)) : best.score;
+
+  return {
+    user_id: confidence >= getMatchThreshold() ? best.user_id : null,
+    confidence,
+    suggestions: ranked.filter(candidate => candidate.score >= MIN_SUGGESTION_SCORE).slice(0, MAX_SUGGESTIONS),
+  };
+};
+
+// Users an action item from this meeting may be assigned to
+export const getAssignmentCandidates = async (project, participants = []) => {
+  const [members, participantUsers] = await Promise.all([
+    project ? getUsersByIds([project.created_by, ...project.members]) : [],
+    findUsersByReferences(participants),
+  ]);
+
+  const users = new Map();
+  [...members, ...participantUsers].forEach(user => users.set(user.id, user));
+  return [...users.values()];
+};
+
+// Resolve every action item's assignee; results are in the same order as the items
+export const resolveAssignees = async (actionItems, { project, participants = [] } = {}) => {
+  const candidates = await getAssignmentCandidates(project, participants);
+
+  const resolutions = actionItems.map(item => matchAssignee(item.assignee, candidates));
+  const resolved = resolutions.filter(resolution => resolution.user_id).length;
+
+  logger.info(`Resolved ${resolved}/${actionItems.length} action item assignees against ${candidates.length} candidates`);
+  return resolutions;
+};
+
+export default {
+  scoreCandidate,
+  matchAssignee,
+  getAssignmentCandidates,
+  resolveAssignees,
+};
@@ -0,0 +1,144 @@
+import { chatConversationRepository } from '../repositories/index.js';
+import { CHAT_ROLES } from '../models/chatModel.js';
+import { retrieveProjectPassages, PASSAGE_TYPES } from './retrievalService.js';
+import { answerQuestion } from './aiService.js';
+import { formatTimestamp } from '../utils/transcriptFormats.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Project Q&A: each question is answered from the passages retrieved for it
+// (see retrievalService.js), and the answer's [S1]-style references are
+// returned as citations to meetings, transcript timestamps, decisions and
+// tasks. Conversations belong to one user and one project.
+
+const MAX_SOURCES = 8;
+const HISTORY_MESSAGES = 6; // Earlier messages sent along with a question
+const MAX_STORED_MESSAGES = 100;
+const EXCERPT_CHARS = 300;
+
+const NO_SOURCES_ANSWER = 'I could not find anything about that in this project\'s meetings, decisions or tasks.';
+
+const SOURCE_NAMES = {
+  [PASSAGE_TYPES.TRANSCRIPT]: 'Transcript',
+  [PASSAGE_TYPES.MOM]: 'Minutes',
+  [PASSAGE_TYPES.DECISION]: 'Decision log',
+  [PASSAGE_TYPES.TASK]: 'Task'
+};
+
+const hasTime = (seconds) => seconds !== null && seconds !== undefined;
+
+// hh:mm:ss into the recording
+const clockTime = (seconds) => formatTimestamp(seconds).split(',')[0];
+
+// Where a source comes from, shown to the model above its text
+const sourceHeading = (passage) => {
+  return [
+    SOURCE_NAMES[passage.type],
+    passage.meeting_title && `meeting "${passage.meeting_title}" on ${passage.meeting_date?.split('T')[0]}`,
+    hasTime(passage.start) && `at ${clockTime(passage.start)}`,
+  ].filter(Boolean).join(', ');
+};
+
+const toCitation = (passage, label) => ({
+  label,
+  type: passage.type,
+  meeting_id: passage.meeting_id || null,
+  meeting_title: passage.meeting_title || null,
+  start: passage.start ?? null,
+  end: passage.end ?? null,
+  timestamp: hasTime(passage.start) ? clockTime(passage.start) : null,
+  decision_id: passage.decision_id || null,
+  task_id: passage.task_id || null,
+  excerpt: passage.text.length > EXCERPT_CHARS ? `${passage.text.slice(0, EXCERPT_CHARS - 3)}...` : passage.text,
+});
+
+// Source labels referenced in an answer: [S1], [S1][S3] or [S1, S3]
+const citedLabels = (answer) => {
+  const labels = [...answer.matchAll(/\[([^\]]+)\]/g)]
+    .flatMap(match => match[1].split(/[,;\s]+/))
+    .filter(label => /^S\d+$/.test(label));
+
+  return new Set(labels);
+};
+
+// A conversation of the user in the project; others' conversations are reported as missing
+export const getConversation = async (conversationId, projectId, userId) => {
+  const conversation = await chatConversationRepository.findById(conversationId);
+
+  if (!conversation || conversation.project_id !== projectId || conversation.user_id !== userId) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  return conversation;
+};
+
+export const listConversations = async (projectId, userId) => {
+  const conversations = await chatConversationRepository.listByProjectAndUser(projectId, userId);
+
+  return conversations.map(conversation => ({
+    id: conversation.id,
+    title: conversation.title,
+    message_count: conversation.messages.length,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+  }));
+};
+
+export const deleteConversation = async (conversationId, projectId, userId) => {
+  const conversation = await getConversation(conversationId, projectId, userId);
+  await chatConversationRepository.delete(conversation.id);
+};
+
+// Answer a question about the project, continuing a conversation when one is given
+export const askProjectQuestion = async ({ project, userId, message, conversationId }) => {
+  const conversation = conversationId ? await getConversation(conversationId, project.id, userId) : null;
+  const earlier = conversation?.messages || [];
+
+  // Follow-ups ("who owns that?") are retrieved together with the previous question
+  const previousQuestion = [...earlier].reverse().find(item => item.role === CHAT_ROLES.USER)?.content;
+  const passages = await retrieveProjectPassages(project.id, previousQuestion ? `${message}\n${previousQuestion}` : message, {
+    limit: MAX_SOURCES,
+  });
+
+  const sources = passages.map((passage, index) => ({ label: `S${index + 1}`, passage }));
+
+  const answer = sources.length > 0
+    ? await answerQuestion(
+      message,
+      sources.map(({ label, passage }) => ({ label, heading: sourceHeading(passage), text: passage.text })),
+      earlier.slice(-HISTORY_MESSAGES).map(({ role, content }) => ({ role, content }))
+    )
+    : NO_SOURCES_ANSWER;
+
+  const cited = citedLabels(answer);
+  const citations = sources
+    .filter(({ label }) => cited.has(label))
+    .map(({ label, passage }) => toCitation(passage, label));
+
+  const now = new Date().toISOString();
+  const messages = [
+    ...earlier,
+    { role: CHAT_ROLES.USER, content: message, created_at: now },
+    { role: CHAT_ROLES.ASSISTANT, content: answer, citations, created_at: now },
+  ].slice(-MAX_STORED_MESSAGES);
+
+  const saved = conversation
+    ? await chatConversationRepository.update(conversation.id, { messages })
+    : await chatConversationRepository.create({
+      project_id: project.id,
+      user_id: userId,
+      title: message.length > 100 ? `${message.slice(0, 97)}...` : message,
+      messages,
+    });
+
+  logger.info(`Project question answered in conversation ${saved.id} (${sources.length} sources, ${citations.length} cited)`);
+
+  return { conversation_id: saved.id, answer, citations };
+};
+
+export default {
+  getConversation,
+  listConversations,
+  deleteConversation,
+  askProjectQuestion,
+};
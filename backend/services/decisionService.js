@@ -0,0 +1,254 @@
+import { projectRepository, meetingRepository, decisionRepository } from '../repositories/index.js';
+import { DECISION_STATUS, DECISION_SOURCE } from '../models/decisionModel.js';
+import { findSegmentForText } from '../utils/transcriptSegments.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Per-project decision register.
+// Decisions in a generated MOM (mom_structured.decisions) are copied into the
+// register with the transcript segment they were most likely made in; people
+// add decisions by hand and mark them superseded or reverted later on.
+
+const normalizeText = (text = '') => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Transcript position of a decision, when it can be found
+const locateInTranscript = (meeting, text) => {
+  const segment = findSegmentForText(meeting?.transcript_segments || [], text);
+
+  return {
+    transcript_timestamp: segment ? segment.start : null,
+    transcript_excerpt: segment ? segment.text.trim() : '',
+  };
+};
+
+// Copy a meeting's MOM decisions into the register after the MOM is generated.
+// Decisions already registered from an earlier MOM of the meeting are matched
+// by text and updated in place, keeping their status. Ones the new MOM no
+// longer contains are removed while still active and not referenced by
+// another decision; superseded and reverted ones stay as history.
+export const syncMeetingDecisions = async (meeting) => {
+  const decisions = meeting.mom_structured?.decisions || [];
+
+  const [meetingDecisions, projectDecisions] = await Promise.all([
+    decisionRepository.listByMeeting(meeting.id),
+    decisionRepository.listByProject(meeting.project_id),
+  ]);
+
+  const previous = new Map(meetingDecisions
+    .filter(decision => decision.source === DECISION_SOURCE.MOM)
+    .map(decision => [normalizeText(decision.decision), decision]));
+  const referenced = new Set(projectDecisions.map(decision => decision.superseded_by).filter(Boolean));
+
+  const synced = [];
+  for (const item of decisions) {
+    const key = normalizeText(item.decision);
+    const match = previous.get(key);
+    const fields = {
+      rationale: item.rationale,
+      owner: item.owner,
+      ...locateInTranscript(meeting, item.decision),
+    };
+
+    if (match) {
+      previous.delete(key);
+      synced.push(await decisionRepository.update(match.id, fields));
+    } else {
+      synced.push(await decisionRepository.create({
+        project_id: meeting.project_id,
+        meeting_id: meeting.id,
+        decision: item.decision,
+        source: DECISION_SOURCE.MOM,
+        decided_at: meeting.date,
+        ...fields,
+      }));
+    }
+  }
+
+  const dropped = [...previous.values()]
+    .filter(decision => decision.status === DECISION_STATUS.ACTIVE && !referenced.has(decision.id));
+  await Promise.all(dropped.map(decision => decisionRepository.delete(decision.id)));
+
+  logger.info(`Decision register synced for meeting ${meeting.id}: ${synced.length} decisions, ${dropped.length} removed`);
+
+  return synced;
+};
+
+// Case-insensitive match of every search word against a decision's text
+const matchesSearch = (decision, search) => {
+  const haystack = [
+    decision.decision,
+    decision.rationale,
+    decision.owner,
+    decision.status_note,
+    decision.transcript_excerpt,
+    decision.meeting_title,
+  ].join(' ').toLowerCase();
+
+  return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+};
+
+const filterDecisions = (decisions, { status, source, meeting_id: meetingId, owner, q, from, to } = {}) => {
+  return decisions.filter(decision => (
+    (!status || decision.status === status)
+    && (!source || decision.source === source)
+    && (!meetingId || decision.meeting_id === meetingId)
+    && (!owner || decision.owner.toLowerCase().includes(owner.toLowerCase()))
+    && (!from || new Date(decision.decided_at) >= new Date(from))
+    && (!to || new Date(decision.decided_at) <= new Date(to))
+    && (!q || matchesSearch(decision, q))
+  ));
+};
+
+// Register entries of a project with their meeting's title and date, newest first
+export const listProjectDecisions = async (projectId, filters = {}) => {
+  const [decisions, meetings] = await Promise.all([
+    decisionRepository.listByProject(projectId),
+    meetingRepository.listByProject(projectId),
+  ]);
+
+  const meetingsById = new Map(meetings.map(meeting => [meeting.id, meeting]));
+  const withMeetings = decisions.map(decision => ({
+    ...decision,
+    meeting_title: meetingsById.get(decision.meeting_id)?.title || null,
+    meeting_date: meetingsById.get(decision.meeting_id)?.date || null,
+  }));
+
+  return filterDecisions(withMeetings, filters);
+};
+
+// Register entries across all projects the user can access
+export const listDecisionsForUser = async (user, filters = {}) => {
+  const projects = await projectRepository.listForUser(user.role === 'super_admin' ? null : user.id);
+  const decisions = (await Promise.all(projects.map(project => listProjectDecisions(project.id, filters)))).flat();
+
+  return decisions.sort((a, b) => new Date(b.decided_at) - new Date(a.decided_at));
+};
+
+// A decision of the given project; status is the HTTP status when it is not there
+export const getProjectDecision = async (projectId, decisionId, status = 404) => {
+  const decision = await decisionRepository.findById(decisionId);
+
+  if (!decision || decision.project_id !== projectId) {
+    throw new AppError(`Decision not found: ${decisionId}`, status);
+  }
+
+  return decision;
+};
+
+// Add a decision by hand, optionally marking earlier decisions as superseded by it
+export const createDecision = async (project, { supersedes = [], ...data }, userId) => {
+  let meeting = null;
+
+  if (data.meeting_id) {
+    meeting = await meetingRepository.findById(data.meeting_id);
+
+    if (!meeting || meeting.project_id !== project.id) {
+      throw new AppError('Meeting not found in this project', 400);
+    }
+  }
+
+  const replaced = await Promise.all(supersedes.map(id => getProjectDecision(project.id, id, 400)));
+
+  const location = meeting && data.transcript_timestamp === undefined
+    ? locateInTranscript(meeting, data.decision)
+    : {};
+
+  const decision = await decisionRepository.create({
+    ...data,
+    ...location,
+    project_id: project.id,
+    source: DECISION_SOURCE.MANUAL,
+    decided_at: (data.decided_at || (meeting ? new Date(meeting.date) : new Date())).toISOString(),
+    created_by: userId,
+  });
+
+  await Promise.all(replaced.map(previous => decisionRepository.update(previous.id, {
+    status: DECISION_STATUS.SUPERSEDED,
+    superseded_by: decision.id,
+  })));
+
+  logger.info(`Decision ${decision.id} added to project ${project.id} by user: ${userId}${replaced.length ? `, superseding ${replaced.length}` : ''}`);
+
+  return decision;
+};
+
+// Edit a decision or change its status. Setting superseded_by marks it
+// superseded; moving it back to active or to reverted clears the link.
+export const updateDecision = async (project, decisionId, updates) => {
+  const decision = await getProjectDecision(project.id, decisionId);
+  const changes = { ...updates };
+
+  if (updates.superseded_by) {
+    if (updates.status && updates.status !== DECISION_STATUS.SUPERSEDED) {
+      throw new AppError('superseded_by can only be set on a superseded decision', 400);
+    }
+
+    // Follow the replacement chain so two decisions cannot supersede each other
+    let replacement = await getProjectDecision(project.id, updates.superseded_by, 400);
+    const seen = new Set();
+    while (replacement) {
+      if (replacement.id === decision.id) {
+        throw new AppError('A decision cannot be superseded by a decision it replaces', 400);
+      }
+      seen.add(replacement.id);
+      replacement = replacement.superseded_by && !seen.has(replacement.superseded_by)
+        ? await decisionRepository.findById(replacement.superseded_by)
+        : null;
+    }
+
+    changes.status = DECISION_STATUS.SUPERSEDED;
+  } else if (changes.status && changes.status !== DECISION_STATUS.SUPERSEDED) {
+    changes.superseded_by = null;
+  }
+
+  return decisionRepository.update(decision.id, changes);
+};
+
+// Remove a decision; decisions it superseded keep their status but lose the link
+export const deleteDecision = async (project, decisionId) => {
+  const decision = await getProjectDecision(project.id, decisionId);
+  const projectDecisions = await decisionRepository.listByProject(project.id);
+
+  await Promise.all(projectDecisions
+    .filter(other => other.superseded_by === decision.id)
+    .map(other => decisionRepository.update(other.id, { superseded_by: null })));
+
+  await decisionRepository.delete(decision.id);
+
+  return decision;
+};
+
+// Drop a deleted meeting from the register: decisions its MOM produced are
+// removed, ones logged by hand only lose the meeting link
+export const removeMeetingDecisions = async (meeting) => {
+  const [meetingDecisions, projectDecisions] = await Promise.all([
+    decisionRepository.listByMeeting(meeting.id),
+    decisionRepository.listByProject(meeting.project_id),
+  ]);
+
+  const removed = meetingDecisions.filter(decision => decision.source === DECISION_SOURCE.MOM);
+  const removedIds = new Set(removed.map(decision => decision.id));
+
+  await Promise.all([
+    ...projectDecisions
+      .filter(other => !removedIds.has(other.id) && removedIds.has(other.superseded_by))
+      .map(other => decisionRepository.update(other.id, { superseded_by: null })),
+    ...meetingDecisions
+      .filter(decision => !removedIds.has(decision.id))
+      .map(decision => decisionRepository.update(decision.id, { meeting_id: null })),
+  ]);
+  await Promise.all(removed.map(decision => decisionRepository.delete(decision.id)));
+
+  return removed;
+};
+
+export default {
+  syncMeetingDecisions,
+  removeMeetingDecisions,
+  listProjectDecisions,
+  listDecisionsForUser,
+  getProjectDecision,
+  createDecision,
+  updateDecision,
+  deleteDecision,
+};
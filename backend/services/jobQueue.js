@@ -0,0 +1,200 @@
+import { jobRepository } from '../repositories/index.js';
+import { JOB_STATUS, calculateBackoff } from '../models/jobModel.js';
+import logger from '../utils/logger.js';
+
+// Queue configuration, read on use so settings loaded from .env at startup are honoured
+const getQueueSettings = () => ({
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  backoffBase: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000,
+  backoffMax: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 15 * 60 * 1000,
+});
+
+// Registered handlers by job type: { run, onFailure }
+const handlers = new Map();
+
+let pollTimer = null;
+let isPolling = false;
+
+// Register the handler for a job type
+// run(job, context) does the work; onFailure(job, error) runs once retries are exhausted
+export const registerJobHandler = (type, run, { onFailure } = {}) => {
+  handlers.set(type, { run, onFailure });
+};
+
+// Add a job to the queue
+export const enqueueJob = async (type, payload, { maxAttempts = getQueueSettings().maxAttempts, checkpoints = {} } = {}) => {
+  const job = await jobRepository.create({
+    type,
+    payload,
+    checkpoints,
+    max_attempts: maxAttempts,
+  });
+
+  logger.info(`Job queued: ${job.id} (${type})`);
+
+  // Pick it up straight away when the worker is running
+  if (pollTimer) {
+    setImmediate(pollJobs);
+  }
+
+  return job;
+};
+
+export const getJob = async (jobId) => {
+  return jobRepository.findById(jobId);
+};
+
+// Build the context passed to job handlers
+const createJobContext = (job) => {
+  const checkpoints = { ...job.checkpoints };
+
+  return {
+    checkpoints,
+
+    hasCheckpoint: (step) => !!checkpoints[step],
+
+    getCheckpoint: (step) => checkpoints[step]?.data,
+
+    // Persist a completed step so a restarted job can skip it
+    checkpoint: async (step, data = null) => {
+      checkpoints[step] = {
+        completed_at: new Date().toISOString(),
+        data,
+      };
+      await jobRepository.update(job.id, { checkpoints });
+    },
+  };
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  if (!handler) {
+    logger.error(`No handler registered for job type: ${job.type}`);
+    await jobRepository.update(job.id, {
+      status: JOB_STATUS.FAILED,
+      last_error: `No handler registered for job type: ${job.type}`,
+      completed_at: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const attempts = job.attempts + 1;
+  const runningJob = await jobRepository.update(job.id, {
+    status: JOB_STATUS.RUNNING,
+    attempts,
+    started_at: new Date().toISOString(),
+  });
+
+  try {
+    logger.info(`Job started: ${job.id} (${job.type}), attempt ${attempts}/${job.max_attempts}`);
+
+    const result = await handler.run(runningJob, createJobContext(runningJob));
+
+    await jobRepository.update(job.id, {
+      status: JOB_STATUS.SUCCEEDED,
+      result: result ?? null,
+      last_error: null,
+      completed_at: new Date().toISOString(),
+    });
+
+    logger.info(`Job succeeded: ${job.id} (${job.type})`);
+  } catch (error) {
+    logger.error(`Job failed: ${job.id} (${job.type}), attempt ${attempts}:`, error);
+
+    if (attempts < job.max_attempts) {
+      const { backoffBase, backoffMax } = getQueueSettings();
+      const delay = calculateBackoff(attempts, backoffBase, backoffMax);
+
+      await jobRepository.update(job.id, {
+        status: JOB_STATUS.QUEUED,
+        last_error: error.message,
+        run_at: new Date(Date.now() + delay).toISOString(),
+      });
+
+      logger.info(`Job ${job.id} will retry in ${Math.round(delay / 1000)}s`);
+      return;
+    }
+
+    const failedJob = await jobRepository.update(job.id, {
+      status: JOB_STATUS.FAILED,
+      last_error: error.message,
+      completed_at: new Date().toISOString(),
+    });
+
+    if (handler.onFailure) {
+      try {
+        await handler.onFailure(failedJob, error);
+      } catch (hookError) {
+        logger.error(`Failure hook for job ${job.id} failed:`, hookError);
+      }
+    }
+  }
+};
+
+// Run due jobs one at a time
+export const pollJobs = async () => {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    let dueJobs = await jobRepository.listDue();
+
+    while (dueJobs.length > 0) {
+      await runJob(dueJobs[0]);
+      dueJobs = await jobRepository.listDue();
+    }
+  } catch (error) {
+    logger.error('Job polling failed:', error);
+  } finally {
+    isPolling = false;
+  }
+};
+
+// Jobs left running by a previous process are re-queued; their checkpoints are kept
+export const recoverInterruptedJobs = async () => {
+  const interrupted = await jobRepository.listByStatus(JOB_STATUS.RUNNING);
+
+  for (const job of interrupted) {
+    await jobRepository.update(job.id, {
+      status: JOB_STATUS.QUEUED,
+      run_at: new Date().toISOString(),
+    });
+    logger.info(`Recovered interrupted job: ${job.id} (${job.type})`);
+  }
+
+  return interrupted.length;
+};
+
+export const startJobWorker = async ({ pollInterval = getQueueSettings().pollInterval } = {}) => {
+  if (pollTimer) return;
+
+  try {
+    await recoverInterruptedJobs();
+  } catch (error) {
+    logger.error('Failed to recover interrupted jobs:', error);
+  }
+
+  pollTimer = setInterval(pollJobs, pollInterval);
+  setImmediate(pollJobs);
+
+  logger.info(`Job worker started (poll interval ${pollInterval}ms)`);
+};
+
+export const stopJobWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+export default {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  pollJobs,
+  recoverInterruptedJobs,
+  startJobWorker,
+  stopJobWorker,
+};
@@ -0,0 +1,433 @@
+import {
+  meetingRepository,
+  meetingVersionRepository,
+  meetingTranslationRepository,
+  jobRepository,
+  taskRepository
+} from '../repositories/index.js';
+import { JOB_TYPES, JOB_STATUS } from '../models/jobModel.js';
+import { AI_PROCESSING_STATUS } from '../models/meetingModel.js';
+import { AppError } from '../utils/errorHandler.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { transcribeAudio, diarizeAudio, generateMOM, extractActionItems, generateEmailSummary } from './aiService.js';
+import { resolveMomTemplate } from './templateService.js';
+import { syncMeetingDecisions, removeMeetingDecisions } from './decisionService.js';
+import { requestMeetingIndexing, removeMeetingFromIndex } from './searchService.js';
+import { storeExtractedProposals, getActiveProposals, toActionItem } from './actionItemReviewService.js';
+import { downloadFile, readFileLocally } from '../../config/googleCloudConfig.js';
+import { buildTranscriptSegments, getSpeakerLabels } from '../utils/transcriptSegments.js';
+import { AUTO_DETECT, getDefaultTranscriptionLanguage, normalizeLanguage } from '../utils/languages.js';
+import logger from '../utils/logger.js';
+
+// Pipeline steps, run in order and checkpointed individually.
+// Tasks are not created here: extracted action items are stored as draft
+// proposals and become tasks once a reviewer approves them.
+export const PIPELINE_STEPS = {
+  TRANSCRIBE: 'transcribe',
+  DIARIZE: 'diarize',
+  MOM: 'mom',
+  ACTION_ITEMS: 'action_items',
+  SUMMARY: 'summary'
+};
+
+// Where an uploaded recording was stored, so a job can reload it after a restart
+export const RECORDING_STORAGE = {
+  GCS: 'gcs',
+  LOCAL: 'local'
+};
+
+// Step status values; steps left out of a partial re-run are skipped
+export const STEP_STATUS = {
+  ...AI_PROCESSING_STATUS,
+  SKIPPED: 'skipped'
+};
+
+const ALL_STEPS = Object.values(PIPELINE_STEPS);
+
+// Requested steps start out pending, the rest are skipped
+const createInitialSteps = (steps = ALL_STEPS) => {
+  return Object.fromEntries(
+    ALL_STEPS.map(step => [step, { status: steps.includes(step) ? STEP_STATUS.PENDING : STEP_STATUS.SKIPPED }])
+  );
+};
+
+// Queue AI processing for a meeting and record the job on the meeting
+export const enqueueMeetingProcessing = async ({ meetingId, projectId, title, participants = [], recording, steps = ALL_STEPS }) => {
+  const job = await enqueueJob(JOB_TYPES.PROCESS_MEETING, {
+    meeting_id: meetingId,
+    project_id: projectId,
+    title,
+    participants,
+    recording,
+    steps,
+  });
+
+  await meetingRepository.update(meetingId, {
+    processing_status: AI_PROCESSING_STATUS.PENDING,
+    processing_step: null,
+    processing_error: null,
+    processing_steps: createInitialSteps(steps),
+    processing_started_at: null,
+    processing_completed_at: null,
+    processing_job_id: job.id,
+  });
+
+  return job;
+};
+
+// Recording location for a meeting; older meetings only have it on their first job
+const findRecording = async (meeting) => {
+  if (meeting.recording_file) {
+    return meeting.recording_file;
+  }
+
+  if (meeting.processing_job_id) {
+    const job = await jobRepository.findById(meeting.processing_job_id);
+    return job?.payload.recording || null;
+  }
+
+  return null;
+};
+
+// Re-run selected AI steps for an existing meeting, keeping current outputs as a prior version
+export const reprocessMeeting = async ({ meeting, steps, source, language, outputLanguage, templateId, userId }) => {
+  if ([AI_PROCESSING_STATUS.PENDING, AI_PROCESSING_STATUS.PROCESSING].includes(meeting.processing_status)) {
+    throw new AppError('Meeting is already being processed', 409);
+  }
+
+  // A new transcript replaces the segments, so speakers are labelled again
+  if (steps.includes(PIPELINE_STEPS.TRANSCRIBE) && !steps.includes(PIPELINE_STEPS.DIARIZE)) {
+    steps = [...steps, PIPELINE_STEPS.DIARIZE];
+  }
+
+  const useRecording = steps.includes(PIPELINE_STEPS.TRANSCRIBE) || steps.includes(PIPELINE_STEPS.DIARIZE);
+
+  if (source === 'transcript' && useRecording) {
+    throw new AppError('Transcription and diarization can only be re-run from the stored recording', 400);
+  }
+
+  if (source === 'recording' && !steps.includes(PIPELINE_STEPS.TRANSCRIBE)) {
+    throw new AppError('Re-running from the stored recording needs the transcribe step', 400);
+  }
+
+  if (!steps.includes(PIPELINE_STEPS.TRANSCRIBE) && steps.includes(PIPELINE_STEPS.DIARIZE) && !meeting.transcript_segments?.length) {
+    throw new AppError('No stored transcript segments available for this meeting. Include the transcribe step.', 400);
+  }
+
+  const recording = useRecording ? await findRecording(meeting) : null;
+
+  if (useRecording && !recording) {
+    throw new AppError('No stored recording available for this meeting', 400);
+  }
+
+  if (language && !steps.includes(PIPELINE_STEPS.TRANSCRIBE)) {
+    throw new AppError('A transcription language only applies when the transcribe step is re-run', 400);
+  }
+
+  if (outputLanguage && !steps.includes(PIPELINE_STEPS.MOM) && !steps.includes(PIPELINE_STEPS.SUMMARY)) {
+    throw new AppError('An output language only applies when the mom or summary step is re-run', 400);
+  }
+
+  if (templateId && !steps.includes(PIPELINE_STEPS.MOM)) {
+    throw new AppError('A MOM template only applies when the mom step is re-run', 400);
+  }
+
+  if (!useRecording && !meeting.transcript) {
+    throw new AppError('No stored transcript available for this meeting. Include the transcribe step.', 400);
+  }
+
+  const versions = await meetingVersionRepository.listByMeeting(meeting.id);
+  const version = await meetingVersionRepository.create({
+    meeting_id: meeting.id,
+    version: versions.length + 1,
+    transcript: meeting.transcript,
+    transcript_segments: meeting.transcript_segments,
+    speaker_map: meeting.speaker_map,
+    mom: meeting.mom,
+    mom_structured: meeting.mom_structured,
+    summary: meeting.summary,
+    action_points: meeting.action_points,
+    action_item_proposals: meeting.action_item_proposals,
+    reprocessed_steps: steps,
+    created_by: userId,
+  });
+
+  if (language || outputLanguage || templateId) {
+    await meetingRepository.update(meeting.id, {
+      ...(language && { language }),
+      ...(outputLanguage && { output_language: outputLanguage }),
+      ...(templateId && { template_id: templateId }),
+    });
+  }
+
+  const job = await enqueueMeetingProcessing({
+    meetingId: meeting.id,
+    projectId: meeting.project_id,
+    title: meeting.title,
+    participants: meeting.participants,
+    recording,
+    steps: ALL_STEPS.filter(step => steps.includes(step)),
+  });
+
+  logger.info(`Meeting ${meeting.id} queued for reprocessing (${steps.join(', ')}), previous outputs saved as version ${version.version}`);
+
+  return { job, version };
+};
+
+// Action items for a meeting whose extraction step is not being re-run:
+// its current proposals, or its tasks for meetings processed before the review step
+const loadExistingActionItems = async (meeting) => {
+  const proposals = getActiveProposals(meeting.action_item_proposals);
+  if (proposals.length > 0) {
+    return proposals.map(toActionItem);
+  }
+
+  const tasks = await taskRepository.list({ source_meeting: meeting.id });
+
+  return tasks.map(task => ({
+    task: task.name,
+    assignee: task.assignee_name || task.owner_id || 'Not specified',
+    deadline: task.deadline_text || task.deadline || 'Not specified',
+    priority: task.priority,
+  }));
+};
+
+// Language for the MOM and summary: the chosen output language, else the
+// language the meeting was held in. Null leaves it to the model.
+const resolveOutputLanguage = (meeting) => {
+  if (meeting.output_language) return meeting.output_language;
+  if (meeting.detected_language) return meeting.detected_language;
+  return meeting.language && meeting.language !== AUTO_DETECT ? meeting.language : null;
+};
+
+// Persists processing status and per-step timestamps on the meeting record
+const createStatusTracker = (meeting) => {
+  const steps = { ...createInitialSteps(ALL_STEPS), ...meeting.processing_steps };
+
+  const save = (fields = {}) => meetingRepository.update(meeting.id, {
+    ...fields,
+    processing_steps: steps,
+  });
+
+  return {
+    begin: () => save({
+      processing_status: AI_PROCESSING_STATUS.PROCESSING,
+      processing_started_at: meeting.processing_started_at || new Date().toISOString(),
+      processing_completed_at: null,
+    }),
+
+    startStep: (step) => {
+      steps[step] = { status: STEP_STATUS.PROCESSING, started_at: new Date().toISOString() };
+      return save({ processing_step: step, processing_error: null });
+    },
+
+    // Extra details shown with the step, saved when it completes
+    annotateStep: (step, details) => {
+      steps[step] = { ...steps[step], ...details };
+    },
+
+    completeStep: (step) => {
+      steps[step] = { ...steps[step], status: STEP_STATUS.COMPLETED, completed_at: new Date().toISOString() };
+      return save();
+    },
+
+    failStep: (step, error) => {
+      steps[step] = {
+        ...steps[step],
+        status: STEP_STATUS.FAILED,
+        failed_at: new Date().toISOString(),
+        error: error.message,
+      };
+      return save({ processing_error: error.message });
+    },
+
+    finish: () => save({
+      processing_status: AI_PROCESSING_STATUS.COMPLETED,
+      processing_step: null,
+      processing_error: null,
+      processing_completed_at: new Date().toISOString(),
+    }),
+  };
+};
+
+// Load the recording back from storage as a multer-style file
+const loadRecording = async (recording) => {
+  const buffer = recording.storage === RECORDING_STORAGE.GCS
+    ? await downloadFile(recording.path)
+    : await readFileLocally(recording.path);
+
+  return {
+    buffer,
+    originalname: recording.originalname,
+    mimetype: recording.mimetype,
+  };
+};
+
+// Job handler: transcribe, analyse and draft action items, skipping completed steps
+const processMeetingJob = async (job, context) => {
+  const { meeting_id: meetingId, project_id: projectId, title, participants, recording } = job.payload;
+  const requestedSteps = job.payload.steps || ALL_STEPS;
+
+  let meeting = await meetingRepository.findById(meetingId);
+  if (!meeting) {
+    logger.warn(`Meeting ${meetingId} no longer exists, skipping AI processing`);
+    return { skipped: true };
+  }
+
+  logger.info(`Starting AI processing for meeting: ${meetingId}`);
+
+  const tracker = createStatusTracker(meeting);
+  await tracker.begin();
+
+  // Run a requested step unless a previous attempt already checkpointed it
+  const runStep = async (step, fn) => {
+    if (!requestedSteps.includes(step) || context.hasCheckpoint(step)) return;
+
+    await tracker.startStep(step);
+    try {
+      const data = await fn();
+      await context.checkpoint(step, data ?? null);
+      await tracker.completeStep(step);
+    } catch (error) {
+      await tracker.failStep(step, error);
+      throw error;
+    }
+  };
+
+  // Step 1: Transcribe audio
+  await runStep(PIPELINE_STEPS.TRANSCRIBE, async () => {
+    const audioFile = await loadRecording(recording);
+    const language = meeting.language || getDefaultTranscriptionLanguage();
+    const transcription = await transcribeAudio(audioFile, { language });
+
+    meeting = await meetingRepository.update(meetingId, {
+      transcript: transcription.text,
+      detected_language: normalizeLanguage(transcription.language) || (language !== AUTO_DETECT ? language : null),
+      transcript_segments: buildTranscriptSegments(transcription),
+      speaker_map: {},
+    });
+    return {
+      duration: transcription.duration,
+      language: transcription.language,
+    };
+  });
+
+  // Step 2: Label transcript segments by speaker.
+  // Diarization is best effort: when it is unavailable or fails the segments
+  // stay unlabelled and the rest of the pipeline carries on.
+  await runStep(PIPELINE_STEPS.DIARIZE, async () => {
+    let turns = null;
+
+    try {
+      turns = await diarizeAudio(await loadRecording(recording));
+      if (!turns) {
+        tracker.annotateStep(PIPELINE_STEPS.DIARIZE, { skipped: 'The AI provider has no diarization model configured' });
+      }
+    } catch (error) {
+      logger.warn(`Speaker diarization failed for meeting ${meetingId}: ${error.message}`);
+      tracker.annotateStep(PIPELINE_STEPS.DIARIZE, { error: error.message });
+    }
+
+    const segments = buildTranscriptSegments({ segments: meeting.transcript_segments }, turns || []);
+    meeting = await meetingRepository.update(meetingId, { transcript_segments: segments, speaker_map: {} });
+
+    const speakers = getSpeakerLabels(segments).length;
+    tracker.annotateStep(PIPELINE_STEPS.DIARIZE, { speakers });
+    return { speakers };
+  });
+
+  // Step 3: Generate MOM
+  await runStep(PIPELINE_STEPS.MOM, async () => {
+    const { mom, structured } = await generateMOM(meeting.transcript, title, participants, {
+      outputLanguage: resolveOutputLanguage(meeting),
+      template: await resolveMomTemplate(meeting.template_id),
+    });
+    meeting = await meetingRepository.update(meetingId, { mom, mom_structured: structured });
+    await syncMeetingDecisions(meeting);
+    tracker.annotateStep(PIPELINE_STEPS.MOM, { decisions: structured.decisions.length });
+  });
+
+  // Step 4: Extract action items as draft proposals for review
+  await runStep(PIPELINE_STEPS.ACTION_ITEMS, async () => {
+    const { actionItems, validationErrors } = await extractActionItems(meeting.transcript);
+    await storeExtractedProposals(meeting, actionItems);
+
+    // Items that failed validation are kept visible on the step rather than dropped silently
+    tracker.annotateStep(PIPELINE_STEPS.ACTION_ITEMS, { validation_errors: validationErrors });
+    return { action_items: actionItems, validation_errors: validationErrors };
+  });
+  const actionItems = requestedSteps.includes(PIPELINE_STEPS.ACTION_ITEMS)
+    ? context.getCheckpoint(PIPELINE_STEPS.ACTION_ITEMS).action_items
+    : await loadExistingActionItems(meeting);
+
+  // Step 5: Generate email summary
+  await runStep(PIPELINE_STEPS.SUMMARY, async () => {
+    const summary = await generateEmailSummary(meeting.mom, actionItems, {
+      outputLanguage: resolveOutputLanguage(meeting),
+    });
+    meeting = await meetingRepository.update(meetingId, { summary });
+  });
+
+  await tracker.finish();
+  logger.info(`AI processing completed for meeting: ${meetingId}`);
+
+  // Search passages come from the transcript (with speakers) and the MOM
+  if ([PIPELINE_STEPS.TRANSCRIBE, PIPELINE_STEPS.DIARIZE, PIPELINE_STEPS.MOM].some(step => requestedSteps.includes(step))) {
+    await requestMeetingIndexing(meetingId);
+  }
+
+  return {
+    meeting_id: meetingId,
+    steps: requestedSteps,
+    action_items: actionItems.length,
+  };
+};
+
+// Runs once all retries are exhausted
+const handleMeetingJobFailure = async (job, error) => {
+  const meetingId = job.payload.meeting_id;
+  logger.error(`AI processing failed for meeting ${meetingId}:`, error);
+
+  await meetingRepository.update(meetingId, {
+    processing_status: AI_PROCESSING_STATUS.FAILED,
+    processing_error: error.message,
+    processing_completed_at: new Date().toISOString(),
+  });
+};
+
+registerJobHandler(JOB_TYPES.PROCESS_MEETING, processMeetingJob, {
+  onFailure: handleMeetingJobFailure,
+});
+
+// Delete a meeting with everything kept for it: its jobs, earlier versions,
+// translations, register decisions and search passages. Draft action items
+// live on the meeting record; tasks already approved from it are kept.
+// A job running right now is left to finish and skips the missing meeting.
+export const deleteMeeting = async (meeting) => {
+  const [jobs, versions, translations] = await Promise.all([
+    jobRepository.listByMeeting(meeting.id),
+    meetingVersionRepository.listByMeeting(meeting.id),
+    meetingTranslationRepository.listByMeeting(meeting.id),
+  ]);
+
+  await meetingRepository.delete(meeting.id);
+
+  await Promise.all([
+    ...jobs.filter(job => job.status !== JOB_STATUS.RUNNING).map(job => jobRepository.delete(job.id)),
+    ...versions.map(version => meetingVersionRepository.delete(version.id)),
+    ...translations.map(translation => meetingTranslationRepository.delete(translation.id)),
+  ]);
+  await removeMeetingDecisions(meeting);
+  removeMeetingFromIndex(meeting.id);
+
+  logger.info(`Meeting ${meeting.id} deleted with ${jobs.length} jobs, ${versions.length} versions and ${translations.length} translations`);
+};
+
+export default {
+  PIPELINE_STEPS,
+  STEP_STATUS,
+  RECORDING_STORAGE,
+  enqueueMeetingProcessing,
+  reprocessMeeting,
+  deleteMeeting,
+};
@@ -0,0 +1,139 @@
+import { meetingRepository, decisionRepository } from '../repositories/index.js';
+import { getProjectTasks } from './taskService.js';
+import { chunkText } from '../utils/textChunker.js';
+import { applySpeakerMap } from '../utils/transcriptSegments.js';
+import { rankPassages } from '../utils/textSearch.js';
+
+// Retrieval over everything a project knows: meeting transcripts, MOMs,
+// the decision register and tasks, split into passages small enough to
+// quote in a prompt. Each passage keeps what is needed to cite it: the
+// meeting and, for transcripts, the time range it covers.
+
+export const PASSAGE_TYPES = {
+  TRANSCRIPT: 'transcript',
+  MOM: 'mom',
+  DECISION: 'decision',
+  TASK: 'task'
+};
+
+const PASSAGE_WORDS = 120;
+const PASSAGE_TOKENS = 200;
+
+const meetingInfo = (meeting) => ({
+  meeting_id: meeting.id,
+  meeting_title: meeting.title,
+  meeting_date: meeting.date,
+});
+
+// Consecutive transcript segments grouped into passages of about PASSAGE_WORDS words
+const transcriptPassages = (meeting) => {
+  const segments = applySpeakerMap(meeting.transcript_segments || [], meeting.speaker_map || {});
+
+  // Meetings transcribed before segments were stored have no timestamps
+  if (segments.length === 0) {
+    return chunkText(meeting.transcript || '', { maxTokens: PASSAGE_TOKENS, overlapTokens: 0 })
+      .map(text => ({ text, start: null, end: null }));
+  }
+
+  const passages = [];
+  let current = null;
+
+  for (const segment of segments) {
+    const speaker = segment.speaker_name || segment.speaker;
+    const line = speaker ? `${speaker}: ${segment.text.trim()}` : segment.text.trim();
+    const words = line.split(/\s+/).length;
+
+    if (!current || current.words + words > PASSAGE_WORDS) {
+      current = { lines: [], words: 0, start: segment.start, end: segment.end };
+      passages.push(current);
+    }
+
+    current.lines.push(line);
+    current.words += words;
+    current.end = segment.end;
+  }
+
+  return passages.map(passage => ({ text: passage.lines.join('\n'), start: passage.start, end: passage.end }));
+};
+
+// Transcript and MOM passages of a meeting
+export const buildMeetingPassages = (meeting) => [
+  ...transcriptPassages(meeting).map((passage, index) => ({
+    id: `${PASSAGE_TYPES.TRANSCRIPT}:${meeting.id}:${index}`,
+    type: PASSAGE_TYPES.TRANSCRIPT,
+    ...meetingInfo(meeting),
+    ...passage,
+  })),
+  ...chunkText(meeting.mom || '', { maxTokens: PASSAGE_TOKENS, overlapTokens: 0 }).map((text, index) => ({
+    id: `${PASSAGE_TYPES.MOM}:${meeting.id}:${index}`,
+    type: PASSAGE_TYPES.MOM,
+    ...meetingInfo(meeting),
+    text,
+  })),
+];
+
+const decisionPassage = (decision, meetingsById) => {
+  const meeting = meetingsById.get(decision.meeting_id);
+
+  return {
+    id: `${PASSAGE_TYPES.DECISION}:${decision.id}`,
+    type: PASSAGE_TYPES.DECISION,
+    decision_id: decision.id,
+    ...(meeting ? meetingInfo(meeting) : { meeting_id: decision.meeting_id }),
+    start: decision.transcript_timestamp,
+    text: [
+      `Decision (${decision.status}, ${decision.decided_at?.split('T')[0] || 'undated'}): ${decision.decision}`,
+      decision.rationale && `Rationale: ${decision.rationale}`,
+      decision.owner && `Owner: ${decision.owner}`,
+      decision.status_note && `Status note: ${decision.status_note}`,
+    ].filter(Boolean).join('\n'),
+  };
+};
+
+const taskPassage = (task, meetingsById) => {
+  const meetingId = Array.isArray(task.source_meeting) ? task.source_meeting[0] : task.source_meeting;
+  const meeting = meetingsById.get(meetingId);
+
+  return {
+    id: `${PASSAGE_TYPES.TASK}:${task.id}`,
+    type: PASSAGE_TYPES.TASK,
+    task_id: task.id,
+    ...(meeting ? meetingInfo(meeting) : { meeting_id: meetingId || null }),
+    text: [
+      `Task (${task.status}, ${task.priority} priority): ${task.name}`,
+      task.description,
+      `Assignee: ${task.assignee_name || task.owner_id || 'unassigned'}`,
+      task.deadline && `Deadline: ${task.deadline}`,
+    ].filter(Boolean).join('\n'),
+  };
+};
+
+// Every passage of a project
+export const buildProjectPassages = async (projectId) => {
+  const [meetings, decisions, tasks] = await Promise.all([
+    meetingRepository.listByProject(projectId),
+    decisionRepository.listByProject(projectId),
+    getProjectTasks(projectId),
+  ]);
+
+  const meetingsById = new Map(meetings.map(meeting => [meeting.id, meeting]));
+
+  return [
+    ...meetings.flatMap(buildMeetingPassages),
+    ...decisions.map(decision => decisionPassage(decision, meetingsById)),
+    ...tasks.map(task => taskPassage(task, meetingsById)),
+  ];
+};
+
+// Project passages most relevant to a query, best first
+export const retrieveProjectPassages = async (projectId, query, { limit = 8 } = {}) => {
+  const passages = await buildProjectPassages(projectId);
+  return rankPassages(passages, query, { limit });
+};
+
+export default {
+  PASSAGE_TYPES,
+  buildMeetingPassages,
+  buildProjectPassages,
+  retrieveProjectPassages,
+};
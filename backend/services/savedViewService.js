@@ -0,0 +1,139 @@
+import { savedViewRepository, projectRepository, meetingRepository } from '../repositories/index.js';
+import {
+  VIEW_ENTITIES,
+  VIEW_SCOPES,
+  DEFAULT_VIEW_SORT
+} from '../models/savedViewModel.js';
+import { ADMIN_ROLES, canAccessProject } from '../models/projectModel.js';
+import { filterMeetings } from '../models/meetingModel.js';
+import { filterTasks, TASK_PRIORITY_RANK } from '../models/taskModel.js';
+import { loadAccessibleProject } from './accessService.js';
+import { getUserTasks, getProjectTasks } from './taskService.js';
+import { paginate } from '../utils/pagination.js';
+import { AppError } from '../utils/errorHandler.js';
+
+// Saved task and meeting views.
+// A view stores list filters, a sort order and columns. Running it lists the
+// records its owner (or, for shared views, the project member running it)
+// can see: personal task views start from the user's own tasks, or from a
+// project's tasks when the filters name a project, and shared task views from
+// their project's tasks. Meeting views cover the view's project, the
+// project_id filter, or all the user's projects.
+
+const isAdmin = (user) => ADMIN_ROLES.includes(user.role);
+
+// Personal views are visible to their author, shared ones to project members
+const canViewSavedView = (view, project, user) => {
+  if (view.scope === VIEW_SCOPES.PROJECT) {
+    return !!project && canAccessProject(project, user);
+  }
+  return view.created_by === user.id;
+};
+
+// Views the user can see, optionally only those of one entity or project
+export const listSavedViews = async (user, { entity, projectId } = {}) => {
+  const projects = projectId
+    ? [await loadAccessibleProject(projectId, user)]
+    : await projectRepository.listForUser(isAdmin(user) ? null : user.id);
+
+  const [own, shared] = await Promise.all([
+    savedViewRepository.listByCreator(user.id),
+    Promise.all(projects.map(project => savedViewRepository.listSharedByProject(project.id))).then(lists => lists.flat()),
+  ]);
+
+  const views = new Map([...own, ...shared].map(view => [view.id, view]));
+
+  return [...views.values()].filter(view => (
+    (!entity || view.entity === entity)
+    && (!projectId || view.project_id === projectId)
+  ));
+};
+
+// A view the user may see, with its project for shared views
+export const getAccessibleSavedView = async (viewId, user) => {
+  const view = await savedViewRepository.findById(viewId);
+  const project = view?.project_id ? await projectRepository.findById(view.project_id) : null;
+
+  // Views of other users are reported as missing rather than forbidden
+  if (!view || !canViewSavedView(view, project, user)) {
+    throw new AppError('Saved view not found', 404);
+  }
+
+  return { view, project };
+};
+
+// Views are managed by their author; shared views also by the project creator or an admin
+export const assertCanManageSavedView = (view, project, user) => {
+  const isAuthor = view.created_by === user.id;
+  const isProjectManager = view.scope === VIEW_SCOPES.PROJECT
+    && (project?.created_by === user.id || isAdmin(user));
+
+  if (!isAuthor && !isProjectManager) {
+    throw new AppError('Access denied. Only the view author, project creator or admin can modify this view', 403);
+  }
+};
+
+// Tasks a task view lists before its filters apply
+const loadViewTasks = async (view, user) => {
+  const projectId = view.scope === VIEW_SCOPES.PROJECT ? view.project_id : view.filters.project;
+
+  if (!projectId) {
+    return getUserTasks(user.id);
+  }
+
+  await loadAccessibleProject(projectId, user);
+  return getProjectTasks(projectId);
+};
+
+// Meetings a meeting view lists before its filters apply
+const loadViewMeetings = async (view, user) => {
+  const projectId = view.scope === VIEW_SCOPES.PROJECT ? view.project_id : view.filters.project_id;
+
+  const projects = projectId
+    ? [await loadAccessibleProject(projectId, user)]
+    : await projectRepository.listForUser(isAdmin(user) ? null : user.id);
+
+  return (await Promise.all(projects.map(project => meetingRepository.listByProject(project.id)))).flat();
+};
+
+// One page of the records a view lists, with the view's columns (and id)
+export const runSavedView = async (view, user, { limit, cursor } = {}) => {
+  let records;
+  let sort = view.sort.length > 0 ? view.sort : DEFAULT_VIEW_SORT[view.entity];
+
+  if (view.entity === VIEW_ENTITIES.TASK) {
+    const filters = view.scope === VIEW_SCOPES.PROJECT ? { ...view.filters, project: view.project_id } : view.filters;
+
+    // Priorities sort by rank rather than by name
+    records = filterTasks(await loadViewTasks(view, user), filters)
+      .map(task => ({ ...task, priority_rank: TASK_PRIORITY_RANK[task.priority] || 0 }));
+    sort = sort.map(key => (key.field === 'priority' ? { ...key, field: 'priority_rank' } : key));
+  } else {
+    const filters = view.scope === VIEW_SCOPES.PROJECT ? { ...view.filters, project_id: view.project_id } : view.filters;
+
+    records = filterMeetings(await loadViewMeetings(view, user), filters)
+      .map(meeting => ({
+        ...meeting,
+        has_transcript: !!meeting.transcript,
+        has_mom: !!meeting.mom,
+        has_summary: !!meeting.summary,
+      }));
+  }
+
+  const { items, pagination } = paginate(records, { sort, limit, cursor });
+
+  return {
+    items: items.map(record => Object.fromEntries([
+      ['id', record.id],
+      ...view.columns.map(column => [column, record[column] ?? null]),
+    ])),
+    pagination,
+  };
+};
+
+export default {
+  listSavedViews,
+  getAccessibleSavedView,
+  assertCanManageSavedView,
+  runSavedView,
+};
@@ -0,0 +1,272 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { meetingRepository, projectRepository } from '../repositories/index.js';
+import { JOB_TYPES } from '../models/jobModel.js';
+import { filterMeetings } from '../models/meetingModel.js';
+import { KEYWORD_SEARCH_TYPES } from '../models/searchModel.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { createEmbeddings } from './aiService.js';
+import { getAIProvider } from './aiProviders/index.js';
+import { buildMeetingPassages } from './retrievalService.js';
+import { getProjectTasks, getUserTasks } from './taskService.js';
+import { createVectorIndex } from '../utils/vectorIndex.js';
+import { highlightSnippet, highlightMatches } from '../utils/textSearch.js';
+import { createSearchMatcher } from '../utils/searchQuery.js';
+import { formatTimestamp } from '../utils/transcriptFormats.js';
+import { paginate } from '../utils/pagination.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Meeting, task and project search.
+// Semantic search: once a meeting is processed (or its transcript or MOM is
+// edited), an index job splits the transcript and MOM into the same passages
+// the project chat uses, embeds them and stores them in the local vector
+// index. Searches embed the query and rank the indexed passages by cosine
+// similarity.
+// Keyword search: meetings, tasks and projects the user can access are
+// matched against a query with phrase and boolean syntax (utils/searchQuery.js).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SEARCH_INDEX_PATH = path.join(__dirname, '../data/search-index.json');
+
+const EMBEDDING_BATCH_SIZE = 64;
+const MIN_SCORE = 0.1; // Passages less similar to the query are not results
+const MAX_RESULTS_PER_MEETING = 3;
+
+let vectorIndex = null;
+
+// Created lazily so SEARCH_INDEX_PATH loaded at startup is honoured
+const getVectorIndex = () => {
+  if (!vectorIndex) {
+    vectorIndex = createVectorIndex({
+      filePath: process.env.SEARCH_INDEX_PATH || DEFAULT_SEARCH_INDEX_PATH
+    });
+  }
+  return vectorIndex;
+};
+
+// Embed a meeting's passages and replace what the index holds for it
+export const indexMeeting = async (meeting) => {
+  const passages = buildMeetingPassages(meeting);
+
+  if (passages.length === 0) {
+    getVectorIndex().remove(meeting.id);
+    return 0;
+  }
+
+  const vectors = [];
+  for (let i = 0; i < passages.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = passages.slice(i, i + EMBEDDING_BATCH_SIZE);
+    vectors.push(...await createEmbeddings(batch.map(passage => passage.text)));
+  }
+
+  getVectorIndex().upsert(meeting.id, {
+    project_id: meeting.project_id,
+    provider: getAIProvider().name,
+    chunks: passages.map((passage, index) => ({
+      id: passage.id,
+      source: passage.type,
+      start: passage.start ?? null,
+      end: passage.end ?? null,
+      text: passage.text,
+      vector: vectors[index],
+    })),
+  });
+
+  logger.info(`Meeting ${meeting.id} indexed for search: ${passages.length} passages`);
+
+  return passages.length;
+};
+
+export const removeMeetingFromIndex = (meetingId) => {
+  return getVectorIndex().remove(meetingId);
+};
+
+// Queue (re)indexing of a meeting
+export const requestMeetingIndexing = (meetingId) => {
+  return enqueueJob(JOB_TYPES.INDEX_MEETING, { meeting_id: meetingId });
+};
+
+// Queue reindexing of every meeting of a project that has a transcript or MOM,
+// e.g. after switching AI provider or for meetings processed before indexing
+export const reindexProject = async (projectId) => {
+  const meetings = (await meetingRepository.listByProject(projectId))
+    .filter(meeting => meeting.transcript || meeting.mom);
+
+  await Promise.all(meetings.map(meeting => requestMeetingIndexing(meeting.id)));
+
+  logger.info(`Reindexing queued for ${meetings.length} meetings of project ${projectId}`);
+
+  return meetings.length;
+};
+
+// Indexed passages of the given projects most similar to the query, best first.
+// A meeting contributes at most MAX_RESULTS_PER_MEETING passages.
+export const semanticSearch = async ({ query, projectIds, source, limit = 10 }) => {
+  const [vector] = await createEmbeddings([query]);
+  const projects = new Set(projectIds);
+  const provider = getAIProvider().name;
+
+  // Vectors from another provider are not comparable with the query's
+  const matches = getVectorIndex().query(vector, {
+    minScore: MIN_SCORE,
+    filter: (document, chunk) => projects.has(document.project_id)
+      && document.provider === provider
+      && (!source || chunk.source === source),
+  });
+
+  const perMeeting = new Map();
+  const top = matches.filter(match => {
+    const count = perMeeting.get(match.document_id) || 0;
+    perMeeting.set(match.document_id, count + 1);
+    return count < MAX_RESULTS_PER_MEETING;
+  }).slice(0, limit);
+
+  const meetingIds = [...new Set(top.map(match => match.document_id))];
+  const meetings = new Map((await Promise.all(meetingIds.map(id => meetingRepository.findById(id))))
+    .filter(Boolean)
+    .map(meeting => [meeting.id, meeting]));
+
+  // Meetings deleted since they were indexed are left out
+  return top
+    .filter(match => meetings.has(match.document_id))
+    .map(({ document_id: meetingId, chunk, score }) => {
+      const meeting = meetings.get(meetingId);
+
+      return {
+        meeting_id: meeting.id,
+        meeting_title: meeting.title,
+        meeting_date: meeting.date,
+        project_id: meeting.project_id,
+        source: chunk.source,
+        start: chunk.start,
+        end: chunk.end,
+        timestamp: chunk.start !== null ? formatTimestamp(chunk.start).split(',')[0] : null,
+        score: Number(score.toFixed(4)),
+        ...highlightSnippet(chunk.text, query),
+      };
+    });
+};
+
+// Fields matched by keyword search per record type, with their score weight
+const KEYWORD_FIELDS = {
+  [KEYWORD_SEARCH_TYPES.MEETING]: [['title', 3], ['transcript', 1], ['mom', 1], ['summary', 1]],
+  [KEYWORD_SEARCH_TYPES.TASK]: [['name', 3], ['description', 1]],
+  [KEYWORD_SEARCH_TYPES.PROJECT]: [['name', 3]]
+};
+
+const withinDates = (date, { date_from: from, date_to: to }) => {
+  return (!from || new Date(date) >= new Date(from)) && (!to || new Date(date) <= new Date(to));
+};
+
+// Tasks of the projects, plus the user's own tasks outside any project
+const loadSearchableTasks = async (projects, user, projectId) => {
+  const projectTasks = (await Promise.all(projects.map(project => getProjectTasks(project.id)))).flat();
+  const ownTasks = projectId ? [] : (await getUserTasks(user.id)).filter(task => !task.team);
+
+  return [...new Map([...projectTasks, ...ownTasks].map(task => [task.id, task])).values()];
+};
+
+// Keyword search over the meetings, tasks and projects the user can access.
+// Meeting filters (dates, has_transcript, has_mom, has_summary) apply to
+// meetings; the date range also applies to when tasks and projects were
+// created, and project_id limits every type to one project. Results are
+// ranked by how often the query's words and phrases occur, title matches
+// counting triple, and come with a highlighted fragment per matching field.
+// They are returned a page at a time, see utils/pagination.js.
+export const keywordSearch = async ({ user, query, filters = {}, types = Object.values(KEYWORD_SEARCH_TYPES), limit, cursor }) => {
+  const matcher = createSearchMatcher(query);
+
+  if (!matcher || (matcher.terms.length === 0 && matcher.phrases.length === 0)) {
+    throw new AppError('The search query has no words to look for', 400);
+  }
+
+  const projects = (await projectRepository.listForUser(user.role === 'super_admin' ? null : user.id))
+    .filter(project => !filters.project_id || project.id === filters.project_id);
+
+  const [meetings, tasks] = await Promise.all([
+    types.includes(KEYWORD_SEARCH_TYPES.MEETING)
+      ? Promise.all(projects.map(project => meetingRepository.listByProject(project.id))).then(lists => filterMeetings(lists.flat(), filters))
+      : [],
+    types.includes(KEYWORD_SEARCH_TYPES.TASK)
+      ? loadSearchableTasks(projects, user, filters.project_id).then(list => list.filter(task => withinDates(task.created_at, filters)))
+      : [],
+  ]);
+
+  const candidates = [
+    ...meetings.map(meeting => ({
+      type: KEYWORD_SEARCH_TYPES.MEETING, record: meeting, title: meeting.title, project_id: meeting.project_id, date: meeting.date,
+    })),
+    ...tasks.map(task => ({
+      type: KEYWORD_SEARCH_TYPES.TASK, record: task, title: task.name, project_id: task.team || null, date: task.created_at, status: task.status,
+    })),
+    ...(types.includes(KEYWORD_SEARCH_TYPES.PROJECT) ? projects : [])
+      .filter(project => withinDates(project.created_at, filters))
+      .map(project => ({
+        type: KEYWORD_SEARCH_TYPES.PROJECT, record: project, title: project.name, project_id: project.id, date: project.created_at,
+      })),
+  ];
+
+  const results = candidates
+    .filter(({ type, record }) => matcher.matches(KEYWORD_FIELDS[type].map(([field]) => record[field]).filter(Boolean).join('\n')))
+    .map(({ type, record, ...result }) => {
+      const fields = KEYWORD_FIELDS[type]
+        .map(([field, weight]) => ({ field, weight, count: record[field] ? matcher.count(record[field]) : 0 }))
+        .filter(({ count }) => count > 0);
+
+      return {
+        type,
+        id: record.id,
+        ...result,
+        score: Number(fields.reduce((total, { weight, count }) => total + weight * (1 + Math.log(count)), 0).toFixed(4)),
+        matches: fields.map(({ field }) => ({ field, ...highlightMatches(record[field], matcher) })),
+      };
+    });
+
+  const counts = Object.fromEntries(types.map(type => [type, results.filter(result => result.type === type).length]));
+
+  const { items, pagination } = paginate(results, {
+    sort: [{ field: 'score', direction: 'desc' }, { field: 'date', direction: 'desc' }],
+    limit,
+    cursor,
+  });
+
+  return {
+    results: items,
+    counts,
+    pagination,
+  };
+};
+
+// Job handler: index a meeting, or drop it from the index when it is gone
+const indexMeetingJob = async (job) => {
+  const meetingId = job.payload.meeting_id;
+  const meeting = await meetingRepository.findById(meetingId);
+
+  if (!meeting) {
+    removeMeetingFromIndex(meetingId);
+    return { skipped: true };
+  }
+
+  return { meeting_id: meetingId, passages: await indexMeeting(meeting) };
+};
+
+// Runs once all retries are exhausted; whatever was indexed for the meeting before stays searchable
+const handleIndexJobFailure = async (job, error) => {
+  logger.error(`Search indexing failed for meeting ${job.payload.meeting_id}:`, error);
+};
+
+registerJobHandler(JOB_TYPES.INDEX_MEETING, indexMeetingJob, {
+  onFailure: handleIndexJobFailure,
+});
+
+export default {
+  indexMeeting,
+  removeMeetingFromIndex,
+  requestMeetingIndexing,
+  reindexProject,
+  semanticSearch,
+  keywordSearch,
+};
@@ -0,0 +1,238 @@
+import { taskCommentRepository, taskActivityRepository } from '../repositories/index.js';
+import { TASK_ACTIVITY_TYPES } from '../models/taskModel.js';
+import { ADMIN_ROLES } from '../models/projectModel.js';
+import { getUsersByIds } from './userService.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Task comments and activity timeline.
+// Comments are threaded one level deep: a reply to a reply joins the thread
+// of its top-level comment. @mentions name members of the task's project by
+// email, the part of the email before the @, full name without spaces, first
+// name (when no other member shares it) or user id, and are stored as user
+// ids. The task services record status changes, reassignments and edits
+// (including subtask and dependency changes) as activity; adding a comment
+// records a commented event.
+
+// Task fields whose changes are recorded, by the event they belong to
+const ACTIVITY_FIELDS = {
+  status: TASK_ACTIVITY_TYPES.STATUS_CHANGED,
+  owner_id: TASK_ACTIVITY_TYPES.ASSIGNED,
+  name: TASK_ACTIVITY_TYPES.UPDATED,
+  description: TASK_ACTIVITY_TYPES.UPDATED,
+  priority: TASK_ACTIVITY_TYPES.UPDATED,
+  deadline: TASK_ACTIVITY_TYPES.UPDATED,
+  parent_id: TASK_ACTIVITY_TYPES.UPDATED,
+  blocked_by: TASK_ACTIVITY_TYPES.UPDATED,
+};
+
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+// Add an event to a task's timeline. The timeline is secondary to the change
+// it describes, so a failure is logged rather than thrown.
+export const recordTaskActivity = async (taskId, { type, actorId = null, changes = {}, commentId = null }) => {
+  try {
+    return await taskActivityRepository.create({
+      task_id: taskId,
+      type,
+      actor_id: actorId,
+      changes,
+      comment_id: commentId,
+    });
+  } catch (error) {
+    logger.warn(`Failed to record ${type} activity for task ${taskId}: ${error.message}`);
+    return null;
+  }
+};
+
+// Record the changes an update made to a task, one event per kind of change
+export const recordTaskChanges = async (task, updatedTask, actorId) => {
+  const events = {};
+
+  Object.entries(ACTIVITY_FIELDS).forEach(([field, type]) => {
+    const from = task[field] ?? null;
+    const to = updatedTask[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      events[type] = { ...events[type], [field]: { from, to } };
+    }
+  });
+
+  return Promise.all(Object.entries(events).map(([type, changes]) => (
+    recordTaskActivity(task.id, { type, actorId, changes })
+  )));
+};
+
+export const listTaskActivity = async (taskId) => {
+  return taskActivityRepository.listByTask(taskId);
+};
+
+const compact = (value = '') => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Lookup of the names a project member can be mentioned by; names shared by
+// two members are left out
+const buildMentionLookup = (members) => {
+  const lookup = new Map();
+  const ambiguous = new Set();
+
+  const add = (key, memberId) => {
+    if (!key) return;
+    if (lookup.has(key) && lookup.get(key) !== memberId) ambiguous.add(key);
+    lookup.set(key, memberId);
+  };
+
+  members.forEach(({ id, name, email }) => {
+    add(id.toLowerCase(), id);
+    if (email) {
+      add(email.toLowerCase(), id);
+      add(compact(email.split('@')[0]), id);
+    }
+    if (name) {
+      add(compact(name), id);
+      add(compact(name.trim().split(/\s+/)[0]), id);
+    }
+  });
+
+  ambiguous.forEach(key => lookup.delete(key));
+  return lookup;
+};
+
+// User ids of the project members mentioned in a comment
+const resolveMentions = async (body, task, project) => {
+  const handles = [...body.matchAll(MENTION_PATTERN)].map(match => match[2].replace(/\.+$/, ''));
+  if (handles.length === 0) return [];
+
+  const memberIds = project
+    ? [...new Set([project.created_by, ...(project.members || [])].filter(Boolean))]
+    : [task.owner_id];
+  const users = new Map((await getUsersByIds(memberIds)).map(user => [user.id, user]));
+  const lookup = buildMentionLookup(memberIds.map(id => ({ id, ...users.get(id) })));
+
+  const mentioned = handles
+    .map(handle => lookup.get(handle.toLowerCase()) || lookup.get(compact(handle)))
+    .filter(Boolean);
+
+  return [...new Set(mentioned)];
+};
+
+// Comments of a task as threads: top-level comments, oldest first, with their replies
+export const listTaskComments = async (taskId) => {
+  const comments = await taskCommentRepository.listByTask(taskId);
+  const replies = comments.filter(comment => comment.parent_id);
+
+  return comments
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({
+      ...comment,
+      replies: replies.filter(reply => reply.parent_id === comment.id),
+    }));
+};
+
+// A comment of the given task; status is the HTTP status when it is not there
+const getTaskComment = async (taskId, commentId, status = 404) => {
+  const comment = await taskCommentRepository.findById(commentId);
+
+  if (!comment || comment.task_id !== taskId) {
+    throw new AppError(`Comment not found: ${commentId}`, status);
+  }
+
+  return comment;
+};
+
+export const addTaskComment = async (task, project, { body, parent_id: parentId }, userId) => {
+  let threadId = null;
+
+  if (parentId) {
+    const parent = await getTaskComment(task.id, parentId, 400);
+    threadId = parent.parent_id || parent.id;
+  }
+
+  const comment = await taskCommentRepository.create({
+    task_id: task.id,
+    parent_id: threadId,
+    author_id: userId,
+    body,
+    mentions: await resolveMentions(body, task, project),
+  });
+
+  await recordTaskActivity(task.id, {
+    type: TASK_ACTIVITY_TYPES.COMMENTED,
+    actorId: userId,
+    commentId: comment.id,
+  });
+
+  logger.info(`Comment ${comment.id} added to task ${task.id} by user: ${userId}${comment.mentions.length ? `, mentioning ${comment.mentions.length}` : ''}`);
+
+  return comment;
+};
+
+// Edit a comment; only its author can
+export const updateTaskComment = async (task, project, commentId, body, userId) => {
+  const comment = await getTaskComment(task.id, commentId);
+
+  if (comment.author_id !== userId) {
+    throw new AppError('Access denied. Only the comment author can edit this comment', 403);
+  }
+
+  if (comment.deleted) {
+    throw new AppError('Deleted comments cannot be edited', 400);
+  }
+
+  return taskCommentRepository.update(comment.id, {
+    body,
+    mentions: await resolveMentions(body, task, project),
+    edited_at: new Date().toISOString(),
+  });
+};
+
+// Remove a comment (author, project creator or admin). A comment with replies
+// keeps its place in the thread with its text removed.
+export const deleteTaskComment = async (task, project, commentId, user) => {
+  const comment = await getTaskComment(task.id, commentId);
+
+  const isAuthor = comment.author_id === user.id;
+  const isProjectCreator = project?.created_by === user.id;
+
+  if (!isAuthor && !isProjectCreator && !ADMIN_ROLES.includes(user.role)) {
+    throw new AppError('Access denied. Only the comment author, project creator or admin can delete this comment', 403);
+  }
+
+  const comments = comment.parent_id ? [] : await taskCommentRepository.listByTask(task.id);
+
+  if (comments.some(other => other.parent_id === comment.id)) {
+    await taskCommentRepository.update(comment.id, { body: '', mentions: [], deleted: true });
+  } else {
+    await taskCommentRepository.delete(comment.id);
+  }
+
+  return comment;
+};
+
+// Remove the comments and timeline of a deleted task; like recording, a
+// failure is logged rather than thrown
+export const deleteTaskHistory = async (taskId) => {
+  try {
+    const [comments, activity] = await Promise.all([
+      taskCommentRepository.listByTask(taskId),
+      taskActivityRepository.listByTask(taskId),
+    ]);
+
+    await Promise.all([
+      ...comments.map(comment => taskCommentRepository.delete(comment.id)),
+      ...activity.map(event => taskActivityRepository.delete(event.id)),
+    ]);
+  } catch (error) {
+    logger.warn(`Failed to remove the comments and activity of task ${taskId}: ${error.message}`);
+  }
+};
+
+export default {
+  recordTaskActivity,
+  recordTaskChanges,
+  listTaskActivity,
+  listTaskComments,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+  deleteTaskHistory,
+};
@@ -0,0 +1,229 @@
+import { taskRepository, projectRepository } from '../repositories/index.js';
+import { TASK_STATUS } from '../models/taskModel.js';
+import { ADMIN_ROLES } from '../models/projectModel.js';
+import { loadAccessibleTask } from './accessService.js';
+import { recordTaskChanges } from './taskActivityService.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Subtasks and task dependencies.
+// A task may have a parent (parent_id) and be blocked by other tasks
+// (blocked_by); "blocks" is the reverse of blocked_by. Both links stay within
+// one project, or among one owner's tasks outside a project. Neither may form
+// a cycle, and a task cannot be marked done while a task blocking it is
+// still open.
+
+// Done and cancelled tasks no longer block anything
+const isOpen = (task) => task.status !== TASK_STATUS.DONE && task.status !== TASK_STATUS.CANCELLED;
+
+const describe = (task) => `"${task.name}" (${task.id})`;
+
+// Tasks a task can be linked to: its project's tasks, or its owner's tasks outside a project
+const loadScopeTasks = async (task) => {
+  if (task.team) {
+    return taskRepository.list({ team: task.team });
+  }
+  return (await taskRepository.list({ owner_id: task.owner_id })).filter(other => !other.team);
+};
+
+const inSameScope = (task, other) => (
+  task.team ? other.team === task.team : !other.team && other.owner_id === task.owner_id
+);
+
+// Dependencies and subtasks are changed by the task owner, the project creator or an admin
+export const assertCanEditTaskLinks = async (task, user) => {
+  if (task.owner_id === user.id || ADMIN_ROLES.includes(user.role)) return;
+
+  const project = task.team ? await projectRepository.findById(task.team) : null;
+
+  if (project?.created_by !== user.id) {
+    throw new AppError('Access denied. Only the task owner, project creator or admin can change its dependencies', 403);
+  }
+};
+
+// A task that can be linked to the given task
+const getLinkableTask = async (task, otherId) => {
+  const other = await taskRepository.findById(otherId);
+
+  if (!other) {
+    throw new AppError(`Task not found: ${otherId}`, 400);
+  }
+
+  if (!inSameScope(task, other)) {
+    throw new AppError('Tasks can only be linked to tasks of the same project', 400);
+  }
+
+  return other;
+};
+
+// Path of blocked_by links from one task to another, or null
+const findBlockingPath = (fromId, toId, tasksById) => {
+  const visited = new Set();
+
+  const visit = (id) => {
+    if (id === toId) return [id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    for (const blockerId of tasksById.get(id)?.blocked_by || []) {
+      const path = visit(blockerId);
+      if (path) return [id, ...path];
+    }
+    return null;
+  };
+
+  return visit(fromId);
+};
+
+// Mark a task as blocked by another
+export const addTaskDependency = async (task, blockerId, userId) => {
+  if (blockerId === task.id) {
+    throw new AppError('A task cannot block itself', 400);
+  }
+
+  if (task.blocked_by.includes(blockerId)) {
+    throw new AppError('This dependency already exists', 409);
+  }
+
+  await getLinkableTask(task, blockerId);
+
+  // The blocker must not already wait, directly or through other tasks, on this task
+  const tasksById = new Map((await loadScopeTasks(task)).map(other => [other.id, other]));
+  const path = findBlockingPath(blockerId, task.id, tasksById);
+
+  if (path) {
+    const names = [...path, blockerId].map(id => tasksById.get(id)?.name || id);
+    throw new AppError(`This dependency would create a cycle: ${names.join(' → ')}`, 400);
+  }
+
+  const updatedTask = await taskRepository.update(task.id, { blocked_by: [...task.blocked_by, blockerId] });
+  await recordTaskChanges(task, updatedTask, userId);
+
+  logger.info(`Task ${task.id} is now blocked by ${blockerId}`);
+  return updatedTask;
+};
+
+export const removeTaskDependency = async (task, blockerId, userId) => {
+  if (!task.blocked_by.includes(blockerId)) {
+    throw new AppError('Dependency not found', 404);
+  }
+
+  const updatedTask = await taskRepository.update(task.id, {
+    blocked_by: task.blocked_by.filter(id => id !== blockerId),
+  });
+  await recordTaskChanges(task, updatedTask, userId);
+
+  logger.info(`Task ${task.id} is no longer blocked by ${blockerId}`);
+  return updatedTask;
+};
+
+// Parent of a task being created, which the user must have access to; the
+// subtask joins the parent's project when it names none. Returns the parent task.
+export const resolveParentForNewTask = async (parentId, taskData, user) => {
+  const { task: parent } = await loadAccessibleTask(parentId, user);
+
+  if (!inSameScope({ team: taskData.team || parent.team, owner_id: taskData.owner_id }, parent)) {
+    throw new AppError('Tasks can only be linked to tasks of the same project', 400);
+  }
+
+  return parent;
+};
+
+// Check a parent for a task: same project, and not the task or one of its subtasks.
+// Returns the parent task.
+export const assertValidParent = async (task, parentId) => {
+  if (parentId === task.id) {
+    throw new AppError('A task cannot be its own subtask', 400);
+  }
+
+  const parent = await getLinkableTask(task, parentId);
+
+  const seen = new Set();
+  let ancestor = parent;
+  while (ancestor?.parent_id && !seen.has(ancestor.id)) {
+    if (ancestor.parent_id === task.id) {
+      throw new AppError(`"${parent.name}" is a subtask of this task and cannot be its parent`, 400);
+    }
+    seen.add(ancestor.id);
+    ancestor = await taskRepository.findById(ancestor.parent_id);
+  }
+
+  return parent;
+};
+
+// Refuse to mark a task done while a task blocking it is open
+export const assertCanClose = async (task) => {
+  if (task.blocked_by.length === 0) return;
+
+  const blockers = await Promise.all(task.blocked_by.map(id => taskRepository.findById(id)));
+  const openBlockers = blockers.filter(blocker => blocker && isOpen(blocker));
+
+  if (openBlockers.length > 0) {
+    throw new AppError(`Task is blocked by open tasks: ${openBlockers.map(describe).join(', ')}`, 409);
+  }
+};
+
+// Parent, subtasks, blockers and blocked tasks of a task
+export const getTaskLinks = async (task) => {
+  const scopeTasks = await loadScopeTasks(task);
+  const summary = ({ id, name, status, priority, owner_id, deadline }) => ({ id, name, status, priority, owner_id, deadline });
+
+  return {
+    parent: task.parent_id ? summary(scopeTasks.find(other => other.id === task.parent_id) || { id: task.parent_id }) : null,
+    subtasks: scopeTasks.filter(other => other.parent_id === task.id).map(summary),
+    blocked_by: scopeTasks.filter(other => task.blocked_by.includes(other.id)).map(summary),
+    blocks: scopeTasks.filter(other => other.blocked_by.includes(task.id)).map(summary),
+  };
+};
+
+// A project's tasks as a graph. Edges run from blocker to blocked task
+// ("blocks") and from parent to subtask ("subtask"); blocked marks tasks with
+// an open blocker.
+export const getProjectDependencyGraph = async (projectId) => {
+  const tasks = await taskRepository.list({ team: projectId });
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+  const edges = tasks.flatMap(task => [
+    ...task.blocked_by
+      .filter(blockerId => tasksById.has(blockerId))
+      .map(blockerId => ({ from: blockerId, to: task.id, type: 'blocks' })),
+    ...(tasksById.has(task.parent_id) ? [{ from: task.parent_id, to: task.id, type: 'subtask' }] : []),
+  ]);
+
+  const nodes = tasks.map(task => ({
+    id: task.id,
+    name: task.name,
+    status: task.status,
+    priority: task.priority,
+    owner_id: task.owner_id,
+    deadline: task.deadline,
+    parent_id: task.parent_id,
+    blocked: task.blocked_by.some(blockerId => tasksById.has(blockerId) && isOpen(tasksById.get(blockerId))),
+  }));
+
+  return { nodes, edges };
+};
+
+// Unlink a deleted task: its subtasks become top-level tasks and the tasks it blocked are freed
+export const detachDeletedTask = async (task) => {
+  const scopeTasks = await loadScopeTasks(task);
+
+  await Promise.all(scopeTasks
+    .filter(other => other.parent_id === task.id || other.blocked_by.includes(task.id))
+    .map(other => taskRepository.update(other.id, {
+      ...(other.parent_id === task.id && { parent_id: null }),
+      ...(other.blocked_by.includes(task.id) && { blocked_by: other.blocked_by.filter(id => id !== task.id) }),
+    })));
+};
+
+export default {
+  assertCanEditTaskLinks,
+  addTaskDependency,
+  removeTaskDependency,
+  resolveParentForNewTask,
+  assertValidParent,
+  assertCanClose,
+  getTaskLinks,
+  getProjectDependencyGraph,
+  detachDeletedTask,
+};
@@ -1,34 +1,22 @@
-import { getTable, TABLES, FIELDS, TASK_STATUS, TASK_PRIORITY, isAirtableConfigured } from '../../config/airtableConfig.js';
+import { FIELDS, TASK_STATUS, TASK_PRIORITY } from '../../config/airtableConfig.js';
+import { taskRepository, projectRepository } from '../repositories/index.js';
+import { isProjectMember } from '../models/projectModel.js';
+import { TASK_ACTIVITY_TYPES, isSpecified } from '../models/taskModel.js';
+import { resolveAssignees } from './assigneeService.js';
+import { recordTaskActivity, recordTaskChanges, deleteTaskHistory } from './taskActivityService.js';
+import { assertCanClose, assertValidParent, detachDeletedTask } from './taskDependencyService.js';
+import { parseDeadline } from '../utils/deadlineParser.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errorHandler.js';
 
 // Create a new task
-export const createTask = async (taskData) => {
+export const createTask = async (taskData, actorId = null) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
+    const task = await taskRepository.create(taskData);
+    await recordTaskActivity(task.id, { type: TASK_ACTIVITY_TYPES.CREATED, actorId });
 
-    const tasksTable = getTable(TABLES.TASKS);
-    
-    const record = await tasksTable.create([
-      {
-        fields: {
-          [FIELDS.TASKS.NAME]: taskData.name,
-          [FIELDS.TASKS.OWNER_ID]: taskData.owner_id,
-          [FIELDS.TASKS.STATUS]: taskData.status || TASK_STATUS.PENDING,
-          [FIELDS.TASKS.DEADLINE]: taskData.deadline,
-          [FIELDS.TASKS.SOURCE_MEETING]: taskData.source_meeting ? [taskData.source_meeting] : undefined,
-          [FIELDS.TASKS.TEAM]: taskData.team,
-          [FIELDS.TASKS.DESCRIPTION]: taskData.description,
-          [FIELDS.TASKS.PRIORITY]: taskData.priority || TASK_PRIORITY.MEDIUM,
-          [FIELDS.TASKS.CREATED_AT]: new Date().toISOString(),
-        }
-      }
-    ]);
-
-    logger.info(`Task created: ${record[0].id}`);
-    return formatTaskRecord(record[0]);
+    logger.info(`Task created: ${task.id}`);
+    return task;
   } catch (error) {
     logger.error('Error creating task:', error);
     throw new AppError('Failed to create task', 500);
@@ -36,75 +24,129 @@ export const createTask = async (taskData) => {
 };
 
 // Create multiple tasks from action items
-export const createTasksFromActionItems = async (actionItems, meetingId, projectId) => {
+// Free-text assignees are resolved to project members or meeting participants;
+// tasks without a confident match are flagged for the project admin to assign.
+// Deadline phrases are resolved against the meeting date in the project timezone.
+// createdBy is the user who approved the action items, for the activity timeline.
+export const createTasksFromActionItems = async (actionItems, meetingId, projectId, { participants = [], meetingDate, createdBy = null } = {}) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
     if (!actionItems || actionItems.length === 0) {
       return [];
     }
 
-    const tasksTable = getTable(TABLES.TASKS);
-    
-    const records = actionItems.map(item => ({
-      fields: {
-        [FIELDS.TASKS.NAME]: item.task,
-        [FIELDS.TASKS.OWNER_ID]: item.assignee !== 'Not specified' ? item.assignee : null,
-        [FIELDS.TASKS.STATUS]: TASK_STATUS.PENDING,
-        [FIELDS.TASKS.DEADLINE]: item.deadline !== 'Not specified' ? item.deadline : null,
-        [FIELDS.TASKS.SOURCE_MEETING]: meetingId ? [meetingId] : undefined,
-        [FIELDS.TASKS.TEAM]: projectId,
-        [FIELDS.TASKS.DESCRIPTION]: `Auto-generated from meeting action item: ${item.task}`,
-        [FIELDS.TASKS.PRIORITY]: item.priority || TASK_PRIORITY.MEDIUM,
-        [FIELDS.TASKS.CREATED_AT]: new Date().toISOString(),
-      }
+    const project = await projectRepository.findById(projectId);
+    const resolutions = await resolveAssignees(actionItems, { project, participants });
+
+    const tasks = await taskRepository.createMany(actionItems.map((item, index) => {
+      const resolution = resolutions[index];
+      const deadline = parseDeadline(item.deadline, {
+        referenceDate: meetingDate || new Date(),
+        timeZone: project?.timezone || undefined,
+      });
+
+      return {
+        name: item.task,
+        owner_id: resolution.user_id,
+        status: TASK_STATUS.PENDING,
+        deadline: deadline.date,
+        deadline_text: deadline.original,
+        deadline_needs_review: deadline.ambiguous,
+        deadline_note: deadline.reason,
+        source_meeting: meetingId,
+        team: projectId,
+        description: `Auto-generated from meeting action item: ${item.task}`,
+        priority: item.priority || TASK_PRIORITY.MEDIUM,
+        assignee_name: isSpecified(item.assignee) ? item.assignee : null,
+        assignee_confidence: resolution.confidence,
+        assignee_suggestions: resolution.suggestions,
+        needs_assignment: !resolution.user_id,
+      };
     }));
-
-    const createdRecords = await tasksTable.create(records);
     
-    logger.info(`Created ${createdRecords.length} tasks from action items`);
-    return createdRecords.map(formatTaskRecord);
+    await Promise.all(tasks.map(task => recordTaskActivity(task.id, {
+      type: TASK_ACTIVITY_TYPES.CREATED,
+      actorId: createdBy,
+      changes: { source_meeting: { from: null, to: meetingId } },
+    })));
+
+    const unassigned = tasks.filter(task => task.needs_assignment).length;
+    logger.info(`Created ${tasks.length} tasks from action items (${unassigned} need assignment)`);
+    return tasks;
   } catch (error) {
     logger.error('Error creating tasks from action items:', error);
     throw new AppError('Failed to create tasks from action items', 500);
   }
 };
 
-// Get tasks for a user
-export const getUserTasks = async (userId, filters = {}) => {
+// Get tasks waiting for the project admin to pick an assignee
+export const getUnassignedProjectTasks = async (projectId) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
+    return await taskRepository.list({
+      team: projectId,
+      needs_assignment: true,
+    }, [
+      { field: FIELDS.TASKS.CREATED_AT, direction: 'desc' }
+    ]);
+  } catch (error) {
+    logger.error('Error getting unassigned tasks:', error);
+    throw new AppError('Failed to retrieve unassigned tasks', 500);
+  }
+};
+
+// Assign a task to a project member, clearing it from the needs-assignment queue
+export const assignTask = async (taskId, ownerId, user) => {
+  try {
+    const task = await taskRepository.findById(taskId);
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
     }
 
-    const tasksTable = getTable(TABLES.TASKS);
-    
-    let filterFormula = `{${FIELDS.TASKS.OWNER_ID}} = '${userId}'`;
-    
-    // Add additional filters
-    if (filters.status) {
-      filterFormula += ` AND {${FIELDS.TASKS.STATUS}} = '${filters.status}'`;
+    const project = task.team ? await projectRepository.findById(task.team) : null;
+    const isCreator = project?.created_by === user.id;
+    const isAdmin = ['super_admin', 'project_admin'].includes(user.role);
+
+    if (!isCreator && !isAdmin) {
+      throw new AppError('Access denied. Only project creator or admin can assign tasks', 403);
     }
-    
-    if (filters.priority) {
-      filterFormula += ` AND {${FIELDS.TASKS.PRIORITY}} = '${filters.priority}'`;
+
+    if (project && !isProjectMember(project, ownerId)) {
+      throw new AppError('Assignee must be a member of the project', 400);
     }
 
-    if (filters.team) {
-      filterFormula += ` AND {${FIELDS.TASKS.TEAM}} = '${filters.team}'`;
+    const updatedTask = await taskRepository.update(taskId, {
+      owner_id: ownerId,
+      needs_assignment: false,
+      assignee_confidence: 1,
+      assignee_suggestions: [],
+    });
+    await recordTaskChanges(task, updatedTask, user.id);
+
+    logger.info(`Task ${taskId} assigned to ${ownerId} by ${user.id}`);
+    return updatedTask;
+  } catch (error) {
+    logger.error('Error assigning task:', error);
+
+    if (error instanceof AppError) {
+      throw error;
     }
 
-    const records = await tasksTable.select({
-      filterByFormula: filterFormula,
-      sort: [
-        { field: FIELDS.TASKS.DEADLINE, direction: 'asc' },
-        { field: FIELDS.TASKS.CREATED_AT, direction: 'desc' }
-      ]
-    }).all();
+    throw new AppError('Failed to assign task', 500);
+  }
+};
 
-    return records.map(formatTaskRecord);
+// Get tasks for a user
+export const getUserTasks = async (userId, filters = {}) => {
+  try {
+    return await taskRepository.list({
+      owner_id: userId,
+      status: filters.status,
+      priority: filters.priority,
+      team: filters.team,
+    }, [
+      { field: FIELDS.TASKS.DEADLINE, direction: 'asc' },
+      { field: FIELDS.TASKS.CREATED_AT, direction: 'desc' }
+    ]);
   } catch (error) {
     logger.error('Error getting user tasks:', error);
     throw new AppError('Failed to retrieve tasks', 500);
@@ -114,32 +156,14 @@ export const getUserTasks = async (userId, filters = {}) => {
 // Get tasks for a project
 export const getProjectTasks = async (projectId, filters = {}) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
-    const tasksTable = getTable(TABLES.TASKS);
-    
-    let filterFormula = `{${FIELDS.TASKS.TEAM}} = '${projectId}'`;
-    
-    // Add additional filters
-    if (filters.status) {
-      filterFormula += ` AND {${FIELDS.TASKS.STATUS}} = '${filters.status}'`;
-    }
-    
-    if (filters.assignee) {
-      filterFormula += ` AND {${FIELDS.TASKS.OWNER_ID}} = '${filters.assignee}'`;
-    }
-
-    const records = await tasksTable.select({
-      filterByFormula: filterFormula,
-      sort: [
-        { field: FIELDS.TASKS.PRIORITY, direction: 'desc' },
-        { field: FIELDS.TASKS.DEADLINE, direction: 'asc' }
-      ]
-    }).all();
-
-    return records.map(formatTaskRecord);
+    return await taskRepository.list({
+      team: projectId,
+      status: filters.status,
+      owner_id: filters.assignee,
+    }, [
+      { field: FIELDS.TASKS.PRIORITY, direction: 'desc' },
+      { field: FIELDS.TASKS.DEADLINE, direction: 'asc' }
+    ]);
   } catch (error) {
     logger.error('Error getting project tasks:', error);
     throw new AppError('Failed to retrieve project tasks', 500);
@@ -149,38 +173,35 @@ export const getProjectTasks = async (projectId, filters = {}) => {
 // Update task status
 export const updateTaskStatus = async (taskId, status, userId) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
-    const tasksTable = getTable(TABLES.TASKS);
-    
     // First, get the task to check ownership
-    const task = await tasksTable.find(taskId);
+    const task = await taskRepository.findById(taskId);
     
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
     // Check if user owns the task or is admin (this would need role checking)
-    if (task.fields[FIELDS.TASKS.OWNER_ID] !== userId) {
+    if (task.owner_id !== userId) {
       // In a real implementation, you'd check if user is admin here
       throw new AppError('Not authorized to update this task', 403);
     }
 
-    const updatedRecord = await tasksTable.update([
-      {
-        id: taskId,
-        fields: {
-          [FIELDS.TASKS.STATUS]: status,
-        }
-      }
-    ]);
+    if (status === TASK_STATUS.DONE) {
+      await assertCanClose(task);
+    }
+
+    const updatedTask = await taskRepository.update(taskId, { status });
+    await recordTaskChanges(task, updatedTask, userId);
 
     logger.info(`Task ${taskId} status updated to ${status}`);
-    return formatTaskRecord(updatedRecord[0]);
+    return updatedTask;
   } catch (error) {
     logger.error('Error updating task status:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     throw new AppError('Failed to update task status', 500);
   }
 };
@@ -188,43 +209,49 @@ export const updateTaskStatus = async (taskId, status, userId) => {
 // Update task details
 export const updateTask = async (taskId, updates, userId) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
-    const tasksTable = getTable(TABLES.TASKS);
-    
     // First, get the task to check ownership
-    const task = await tasksTable.find(taskId);
+    const task = await taskRepository.findById(taskId);
     
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
     // Check if user owns the task or is admin
-    if (task.fields[FIELDS.TASKS.OWNER_ID] !== userId) {
+    if (task.owner_id !== userId) {
       throw new AppError('Not authorized to update this task', 403);
     }
 
     const updateFields = {};
     
-    if (updates.name) updateFields[FIELDS.TASKS.NAME] = updates.name;
-    if (updates.status) updateFields[FIELDS.TASKS.STATUS] = updates.status;
-    if (updates.deadline) updateFields[FIELDS.TASKS.DEADLINE] = updates.deadline;
-    if (updates.description) updateFields[FIELDS.TASKS.DESCRIPTION] = updates.description;
-    if (updates.priority) updateFields[FIELDS.TASKS.PRIORITY] = updates.priority;
-
-    const updatedRecord = await tasksTable.update([
-      {
-        id: taskId,
-        fields: updateFields
-      }
-    ]);
+    if (updates.name) updateFields.name = updates.name;
+    if (updates.status) updateFields.status = updates.status;
+    if (updates.deadline) {
+      updateFields.deadline = updates.deadline;
+      updateFields.deadline_needs_review = false; // A person has now set the date
+    }
+    if (updates.description) updateFields.description = updates.description;
+    if (updates.priority) updateFields.priority = updates.priority;
+    if (updates.parent_id !== undefined && updates.parent_id !== task.parent_id) {
+      if (updates.parent_id) await assertValidParent(task, updates.parent_id);
+      updateFields.parent_id = updates.parent_id;
+    }
+
+    if (updateFields.status === TASK_STATUS.DONE) {
+      await assertCanClose(task);
+    }
+
+    const updatedTask = await taskRepository.update(taskId, updateFields);
+    await recordTaskChanges(task, updatedTask, userId);
 
     logger.info(`Task ${taskId} updated`);
-    return formatTaskRecord(updatedRecord[0]);
+    return updatedTask;
   } catch (error) {
     logger.error('Error updating task:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     throw new AppError('Failed to update task', 500);
   }
 };
@@ -232,25 +259,21 @@ export const updateTask = async (taskId, updates, userId) => {
 // Delete task
 export const deleteTask = async (taskId, userId) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
-    const tasksTable = getTable(TABLES.TASKS);
-    
     // First, get the task to check ownership
-    const task = await tasksTable.find(taskId);
+    const task = await taskRepository.findById(taskId);
     
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
     // Check if user owns the task or is admin
-    if (task.fields[FIELDS.TASKS.OWNER_ID] !== userId) {
+    if (task.owner_id !== userId) {
       throw new AppError('Not authorized to delete this task', 403);
     }
 
-    await tasksTable.destroy([taskId]);
+    await taskRepository.delete(taskId);
+    await detachDeletedTask(task);
+    await deleteTaskHistory(taskId);
     
     logger.info(`Task ${taskId} deleted`);
     return { success: true, message: 'Task deleted successfully' };
@@ -263,10 +286,6 @@ export const deleteTask = async (taskId, userId) => {
 // Get task statistics
 export const getTaskStatistics = async (userId, projectId = null) => {
   try {
-    if (!isAirtableConfigured()) {
-      throw new AppError('Airtable not configured', 500);
-    }
-
     const filters = projectId ? { team: projectId } : {};
     const tasks = await getUserTasks(userId, filters);
 
@@ -289,25 +308,11 @@ export const getTaskStatistics = async (userId, projectId = null) => {
   }
 };
 
-// Helper function to format task record
-const formatTaskRecord = (record) => {
-  return {
-    id: record.id,
-    name: record.fields[FIELDS.TASKS.NAME],
-    owner_id: record.fields[FIELDS.TASKS.OWNER_ID],
-    status: record.fields[FIELDS.TASKS.STATUS],
-    deadline: record.fields[FIELDS.TASKS.DEADLINE],
-    source_meeting: record.fields[FIELDS.TASKS.SOURCE_MEETING],
-    team: record.fields[FIELDS.TASKS.TEAM],
-    description: record.fields[FIELDS.TASKS.DESCRIPTION],
-    priority: record.fields[FIELDS.TASKS.PRIORITY],
-    created_at: record.fields[FIELDS.TASKS.CREATED_AT],
-  };
-};
-
 export default {
   createTask,
   createTasksFromActionItems,
+  getUnassignedProjectTasks,
+  assignTask,
   getUserTasks,
   getProjectTasks,
   updateTaskStatus,
@@ -0,0 +1,120 @@
+import { templateRepository, projectRepository } from '../repositories/index.js';
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  isBuiltInTemplateId,
+  getBuiltInTemplate
+} from '../models/templateModel.js';
+import { ADMIN_ROLES, canAccessProject } from '../models/projectModel.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// MOM templates: built-in templates from the model plus stored ones.
+// Stored templates are either global (no project_id, managed by admins) or
+// belong to one project and are visible to its members.
+
+const isAdmin = (user) => ADMIN_ROLES.includes(user.role);
+
+// Built-in or stored template by id, or null
+export const getTemplate = async (templateId) => {
+  if (isBuiltInTemplateId(templateId)) {
+    return getBuiltInTemplate(templateId);
+  }
+  return templateRepository.findById(templateId);
+};
+
+// Templates the user can see, optionally limited to those usable in one project
+export const listTemplatesForUser = async (user, { projectId, type } = {}) => {
+  const [stored, projects] = await Promise.all([
+    templateRepository.listAll(),
+    projectRepository.listForUser(isAdmin(user) ? null : user.id),
+  ]);
+
+  const accessibleProjectIds = new Set(projects.map(project => project.id));
+
+  const visible = stored.filter(template => {
+    if (!template.project_id) return true;
+    if (projectId) return template.project_id === projectId && accessibleProjectIds.has(projectId);
+    return accessibleProjectIds.has(template.project_id);
+  });
+
+  return [...BUILT_IN_TEMPLATES, ...visible].filter(template => !type || template.type === type);
+};
+
+// A template the user may view, with its project for project templates
+export const getAccessibleTemplate = async (templateId, user) => {
+  const template = await getTemplate(templateId);
+
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+
+  if (!template.project_id) {
+    return { template, project: null };
+  }
+
+  const project = await projectRepository.findById(template.project_id);
+
+  if (!project || !canAccessProject(project, user)) {
+    throw new AppError('Access denied to this template', 403);
+  }
+
+  return { template, project };
+};
+
+// Built-in templates are read-only; global templates are managed by admins;
+// project templates by their author, the project creator or an admin
+export const assertCanManageTemplate = (template, project, user) => {
+  if (template.built_in) {
+    throw new AppError('Built-in templates cannot be changed. Create a custom template instead.', 403);
+  }
+
+  if (isAdmin(user)) return;
+
+  const isAuthor = template.created_by === user.id;
+  const isProjectCreator = project?.created_by === user.id;
+
+  if (!template.project_id || (!isAuthor && !isProjectCreator)) {
+    throw new AppError('Access denied. Only the template author, project creator or admin can modify this template', 403);
+  }
+};
+
+// Check a template chosen for a meeting exists and may be used in its project
+export const assertTemplateUsableForProject = async (templateId, projectId) => {
+  const template = await getTemplate(templateId);
+
+  if (!template) {
+    throw new AppError(`Template not found: ${templateId}`, 400);
+  }
+
+  if (template.project_id && template.project_id !== projectId) {
+    throw new AppError('This template belongs to another project', 400);
+  }
+
+  return template;
+};
+
+// Template to write a meeting's MOM with; falls back to the default if it was deleted
+export const resolveMomTemplate = async (templateId) => {
+  if (!templateId) {
+    return getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+  }
+
+  const template = await getTemplate(templateId);
+
+  if (!template) {
+    logger.warn(`MOM template ${templateId} no longer exists, using the default template`);
+    return getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+  }
+
+  return template;
+};
+
+export default {
+  getTemplate,
+  listTemplatesForUser,
+  getAccessibleTemplate,
+  assertCanManageTemplate,
+  assertTemplateUsableForProject,
+  resolveMomTemplate,
+};
@@ -0,0 +1,143 @@
+import { meetingRepository, meetingTranslationRepository } from '../repositories/index.js';
+import { JOB_TYPES } from '../models/jobModel.js';
+import { AI_PROCESSING_STATUS } from '../models/meetingModel.js';
+import { AppError } from '../utils/errorHandler.js';
+import { AUTO_DETECT } from '../utils/languages.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { translateText } from './aiService.js';
+import logger from '../utils/logger.js';
+
+// Translations of a meeting's transcript, MOM and summary.
+// Each target language has one MeetingTranslations record next to the
+// meeting; translating again into the same language replaces it. The work
+// runs on the job queue, one checkpoint per translated field.
+
+// Language the meeting's outputs are written in, when known
+const getSourceLanguage = (meeting) => {
+  if (meeting.detected_language) return meeting.detected_language;
+  return meeting.language && meeting.language !== AUTO_DETECT ? meeting.language : null;
+};
+
+// A translation is stale once the meeting has been processed again after it
+export const isTranslationStale = (translation, meeting) => {
+  return !!(meeting.processing_completed_at && translation.updated_at
+    && translation.status === AI_PROCESSING_STATUS.COMPLETED
+    && new Date(meeting.processing_completed_at) > new Date(translation.updated_at));
+};
+
+// Queue translation of the given fields into a language
+export const requestTranslation = async ({ meeting, language, fields, userId }) => {
+  const sourceLanguage = getSourceLanguage(meeting);
+
+  if (language === sourceLanguage) {
+    throw new AppError(`Meeting is already in ${language}`, 400);
+  }
+
+  const translatable = fields.filter(field => meeting[field]);
+  if (translatable.length === 0) {
+    throw new AppError(`Nothing to translate: the meeting has no ${fields.join(', ')} yet`, 400);
+  }
+
+  const existing = await meetingTranslationRepository.findByMeetingAndLanguage(meeting.id, language);
+
+  if (existing && [AI_PROCESSING_STATUS.PENDING, AI_PROCESSING_STATUS.PROCESSING].includes(existing.status)) {
+    throw new AppError(`A ${language} translation is already in progress for this meeting`, 409);
+  }
+
+  const translation = existing
+    ? await meetingTranslationRepository.update(existing.id, {
+      status: AI_PROCESSING_STATUS.PENDING,
+      source_language: sourceLanguage,
+      translated_fields: [],
+      transcript: '',
+      mom: '',
+      summary: '',
+      error: null,
+      created_by: userId,
+    })
+    : await meetingTranslationRepository.create({
+      meeting_id: meeting.id,
+      language,
+      source_language: sourceLanguage,
+      created_by: userId,
+    });
+
+  const job = await enqueueJob(JOB_TYPES.TRANSLATE_MEETING, {
+    translation_id: translation.id,
+    meeting_id: meeting.id,
+    language,
+    fields: translatable,
+  });
+
+  logger.info(`Translation of meeting ${meeting.id} into ${language} queued (${translatable.join(', ')})`);
+
+  return meetingTranslationRepository.update(translation.id, { job_id: job.id });
+};
+
+export const listTranslations = (meetingId) => meetingTranslationRepository.listByMeeting(meetingId);
+
+// Completed translation of a meeting, or an error explaining why there is none
+export const getCompletedTranslation = async (meetingId, language) => {
+  const translation = await meetingTranslationRepository.findByMeetingAndLanguage(meetingId, language);
+
+  if (!translation) {
+    throw new AppError(`No ${language} translation for this meeting. Request one with POST /api/meetings/${meetingId}/translations`, 404);
+  }
+
+  if (translation.status !== AI_PROCESSING_STATUS.COMPLETED) {
+    throw new AppError(`The ${language} translation is ${translation.status}`, 409);
+  }
+
+  return translation;
+};
+
+// Job handler: translate each requested field, skipping checkpointed ones
+const translateMeetingJob = async (job, context) => {
+  const { translation_id: translationId, meeting_id: meetingId, language, fields } = job.payload;
+
+  const meeting = await meetingRepository.findById(meetingId);
+  if (!meeting) {
+    logger.warn(`Meeting ${meetingId} no longer exists, skipping translation`);
+    return { skipped: true };
+  }
+
+  await meetingTranslationRepository.update(translationId, { status: AI_PROCESSING_STATUS.PROCESSING });
+
+  for (const field of fields) {
+    if (context.hasCheckpoint(field)) continue;
+
+    const translated = await translateText(meeting[field], language, { sourceLanguage: getSourceLanguage(meeting) });
+    await meetingTranslationRepository.update(translationId, { [field]: translated });
+    await context.checkpoint(field);
+  }
+
+  await meetingTranslationRepository.update(translationId, {
+    status: AI_PROCESSING_STATUS.COMPLETED,
+    translated_fields: fields,
+  });
+
+  logger.info(`Meeting ${meetingId} translated into ${language}`);
+
+  return { meeting_id: meetingId, language, fields };
+};
+
+// Runs once all retries are exhausted
+const handleTranslationJobFailure = async (job, error) => {
+  logger.error(`Translation failed for meeting ${job.payload.meeting_id}:`, error);
+
+  await meetingTranslationRepository.update(job.payload.translation_id, {
+    status: AI_PROCESSING_STATUS.FAILED,
+    error: error.message,
+  });
+};
+
+registerJobHandler(JOB_TYPES.TRANSLATE_MEETING, translateMeetingJob, {
+  onFailure: handleTranslationJobFailure,
+});
+
+export default {
+  isTranslationStale,
+  requestTranslation,
+  listTranslations,
+  getCompletedTranslation,
+};
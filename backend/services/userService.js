@@ -0,0 +1,61 @@
+import { supabaseAdmin } from '../../config/supabaseConfig.js';
+import logger from '../utils/logger.js';
+
+// User profile lookups in the Supabase users table
+
+const USER_COLUMNS = 'id, name, email, role';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const selectUsers = async (column, values) => {
+  if (values.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select(USER_COLUMNS)
+    .in(column, values);
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+export const getUsersByIds = async (ids = []) => {
+  if (!supabaseAdmin) {
+    logger.warn('Supabase admin client not available, cannot look up users');
+    return [];
+  }
+
+  return selectUsers('id', [...new Set(ids.filter(Boolean))]);
+};
+
+// Users for a mixed list of ids, emails and exact names (e.g. meeting participants)
+export const findUsersByReferences = async (references = []) => {
+  if (!supabaseAdmin) {
+    logger.warn('Supabase admin client not available, cannot look up users');
+    return [];
+  }
+
+  const values = [...new Set(references.map(ref => String(ref).trim()).filter(Boolean))];
+  const ids = values.filter(value => UUID_PATTERN.test(value));
+  const emails = values.filter(value => EMAIL_PATTERN.test(value)).map(email => email.toLowerCase());
+  const names = values.filter(value => !ids.includes(value) && !EMAIL_PATTERN.test(value));
+
+  const results = await Promise.all([
+    selectUsers('id', ids),
+    selectUsers('email', emails),
+    selectUsers('name', names),
+  ]);
+
+  // De-duplicate users found by more than one reference
+  const users = new Map();
+  results.flat().forEach(user => users.set(user.id, user));
+  return [...users.values()];
+};
+
+export default {
+  getUsersByIds,
+  findUsersByReferences,
+};
@@ -0,0 +1,42 @@
+// Synthetic recordings for the audio chunking tests
+
+// Mono 16-bit PCM WAV of the given length, filled with silence
+export const makeWav = (seconds, { sampleRate = 8000 } = {}) => {
+  const dataSize = Math.round(seconds * sampleRate) * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+};
+
+// MPEG-1 Layer III frames at 128kbps and 44.1kHz: 417 bytes and 1152 samples each
+export const MP3_FRAME_BYTES = 417;
+export const MP3_FRAME_SECONDS = 1152 / 44100;
+
+export const makeMp3 = (frameCount, { id3 = false } = {}) => {
+  const frame = Buffer.alloc(MP3_FRAME_BYTES);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+
+  const tag = id3 ? Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0]) : Buffer.alloc(0);
+  return Buffer.concat([tag, ...Array(frameCount).fill(frame)]);
+};
+
+export default {
+  makeWav,
+  makeMp3,
+  MP3_FRAME_BYTES,
+  MP3_FRAME_SECONDS,
+};
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import request from 'supertest';
+import { TABLES } from '../../../config/airtableConfig.js';
+import { getDataDriver } from '../../repositories/index.js';
+import { pollJobs } from '../../services/jobQueue.js';
+import { authHeader } from './testApp.js';
+
+// Meeting helpers for route tests. Recordings are a few bytes: the mock AI
+// provider answers from fixtures whatever the audio holds.
+
+export const createProject = async (app, user, fields = {}) => {
+  const res = await request(app)
+    .post('/api/projects')
+    .set('Authorization', authHeader(user))
+    .send({ name: 'Checkout redesign', ...fields })
+    .expect(201);
+
+  return res.body.data.project;
+};
+
+// Upload a recording and return the queued meeting
+export const uploadMeeting = async (app, user, projectId, fields = {}, { filename = 'meeting.mp3' } = {}) => {
+  const req = request(app)
+    .post('/api/meetings/upload')
+    .set('Authorization', authHeader(user))
+    .field('project_id', projectId)
+    .attach('recording', Buffer.from('test audio'), { filename, contentType: 'audio/mpeg' });
+
+  Object.entries({ title: 'Sprint planning', ...fields }).forEach(([key, value]) => req.field(key, value));
+
+  const res = await req.expect(202);
+  return res.body.data.meeting;
+};
+
+// Upload a recording and run the AI pipeline on it
+export const uploadProcessedMeeting = async (app, user, projectId, fields = {}, options = {}) => {
+  const meeting = await uploadMeeting(app, user, projectId, fields, options);
+  await pollJobs();
+  return meeting;
+};
+
+// Delete the recordings uploads saved to disk
+export const removeUploadedRecordings = async () => {
+  const meetings = await getDataDriver().table(TABLES.MEETINGS).select();
+
+  meetings.forEach(({ fields }) => {
+    const recording = typeof fields.recording_file === 'string' ? JSON.parse(fields.recording_file) : fields.recording_file;
+    if (recording?.path) {
+      fs.rmSync(recording.path, { force: true });
+    }
+  });
+};
+
+export default {
+  createProject,
+  uploadMeeting,
+  uploadProcessedMeeting,
+  removeUploadedRecordings,
+};
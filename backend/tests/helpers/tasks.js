@@ -0,0 +1,18 @@
+import request from 'supertest';
+import { authHeader } from './testApp.js';
+
+// Task helpers for route tests
+
+export const createTask = async (app, user, fields = {}) => {
+  const res = await request(app)
+    .post('/api/tasks')
+    .set('Authorization', authHeader(user))
+    .send({ name: 'Fix checkout crash', ...fields })
+    .expect(201);
+
+  return res.body.data.task;
+};
+
+export default {
+  createTask,
+};
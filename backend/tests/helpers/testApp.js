@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+
+// Express app for route tests, with Supabase replaced by an in-memory users
+// table. A request signs in with `authHeader(user)`: the bearer token is the
+// user id. Import services and routes only after createTestApp() so they
+// get the stand-in rather than the real client.
+
+const users = new Map();
+
+const notFound = (message) => ({ data: null, error: new Error(message) });
+
+const usersTable = {
+  select: () => ({
+    eq: (column, value) => ({
+      single: async () => {
+        const user = [...users.values()].find(candidate => candidate[column] === value);
+        return user ? { data: user, error: null } : notFound('User not found');
+      },
+    }),
+    in: async (column, values) => ({
+      data: [...users.values()].filter(user => values.includes(user[column])),
+      error: null,
+    }),
+  }),
+};
+
+const supabaseAdmin = {
+  auth: {
+    getUser: async (token) => (
+      users.has(token)
+        ? { data: { user: { id: token, email: users.get(token).email } }, error: null }
+        : { data: { user: null }, error: new Error('Invalid token') }
+    ),
+  },
+  from: () => usersTable,
+};
+
+const supabase = {
+  auth: {
+    getUser: supabaseAdmin.auth.getUser,
+  },
+};
+
+// Register a user; role defaults to team_member
+export const addUser = ({ id, name = id, email = `${id}@example.com`, role = 'team_member' }) => {
+  const user = { id, name, email, role };
+  users.set(id, user);
+  return user;
+};
+
+export const authHeader = (user) => `Bearer ${user.id}`;
+
+export const createTestApp = async () => {
+  jest.unstable_mockModule('../../../config/supabaseConfig.js', () => ({
+    supabase,
+    supabaseAdmin,
+    createUsersTable: async () => {},
+    default: supabase,
+  }));
+
+  const { default: createApp } = await import('../../app.js');
+  return createApp();
+};
+
+export default {
+  addUser,
+  authHeader,
+  createTestApp,
+};
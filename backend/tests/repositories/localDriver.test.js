@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createLocalDriver } from '../../repositories/drivers/localDriver.js';
+
+describe('local data driver', () => {
+  let filePath;
+  let table;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `meetmind-driver-${crypto.randomUUID()}.json`);
+    table = createLocalDriver({ filePath }).table('Tasks');
+  });
+
+  afterEach(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it('creates records with generated ids and drops empty fields', async () => {
+    const [record] = await table.create([{ name: 'Write notes', owner_id: null, team: undefined }]);
+
+    expect(record.id).toMatch(/^rec[0-9a-f]{14}$/);
+    expect(record.fields).toEqual({ name: 'Write notes' });
+    expect(await table.find(record.id)).toEqual(record);
+    expect(await table.find('recmissing')).toBeNull();
+  });
+
+  it('persists the store so a new driver on the same file sees it', async () => {
+    const [record] = await table.create([{ name: 'Persisted' }]);
+
+    const reopened = createLocalDriver({ filePath }).table('Tasks');
+
+    expect((await reopened.find(record.id)).fields.name).toBe('Persisted');
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  it('filters on equality, contains, checkbox and or conditions', async () => {
+    await table.create([
+      { name: 'A', status: 'pending', members: ['u1', 'u2'], needs_assignment: true },
+      { name: 'B', status: 'done', members: ['u2'] },
+      { name: 'C', status: 'pending', description: 'budget review' },
+    ]);
+
+    const names = async (where) => (await table.select({ where })).map(record => record.fields.name);
+
+    expect(await names([{ field: 'status', value: 'pending' }])).toEqual(['A', 'C']);
+    expect(await names([{ field: 'members', op: 'contains', value: 'u1' }])).toEqual(['A']);
+    expect(await names([{ field: 'description', op: 'contains', value: 'budget' }])).toEqual(['C']);
+    expect(await names([{ field: 'needs_assignment', value: false }])).toEqual(['B', 'C']);
+    expect(await names([{ or: [{ field: 'status', value: 'done' }, { field: 'name', value: 'C' }] }])).toEqual(['B', 'C']);
+  });
+
+  it('sorts with empty values last in either direction', async () => {
+    await table.create([
+      { name: 'A', deadline: '2026-03-01' },
+      { name: 'B' },
+      { name: 'C', deadline: '2026-01-01' },
+    ]);
+
+    const sorted = async (direction) => (
+      (await table.select({ sort: [{ field: 'deadline', direction }] })).map(record => record.fields.name)
+    );
+
+    expect(await sorted('asc')).toEqual(['C', 'A', 'B']);
+    expect(await sorted('desc')).toEqual(['A', 'C', 'B']);
+  });
+
+  it('returns only the requested fields', async () => {
+    await table.create([{ name: 'A', status: 'pending' }]);
+
+    const [record] = await table.select({ fields: ['name'] });
+
+    expect(record.fields).toEqual({ name: 'A' });
+  });
+
+  it('clears fields updated to null and rejects unknown records', async () => {
+    const [record] = await table.create([{ name: 'A', parent_id: 'rec1' }]);
+
+    const updated = await table.update(record.id, { parent_id: null, status: 'done' });
+
+    expect(updated.fields).toEqual({ name: 'A', status: 'done' });
+    await expect(table.update('recmissing', { name: 'B' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('deletes records', async () => {
+    const [record] = await table.create([{ name: 'A' }]);
+
+    await table.destroy(record.id);
+    await table.destroy(record.id);
+
+    expect(await table.find(record.id)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DATA_DRIVERS,
+  getDataDriverName,
+  getDataDriver,
+  projectRepository,
+  taskRepository
+} from '../../repositories/index.js';
+
+describe('repository registry', () => {
+  const { DATA_DRIVER } = process.env;
+
+  afterEach(() => {
+    process.env.DATA_DRIVER = DATA_DRIVER;
+  });
+
+  it('selects the driver from DATA_DRIVER', () => {
+    process.env.DATA_DRIVER = ' Local ';
+    expect(getDataDriverName()).toBe(DATA_DRIVERS.LOCAL);
+
+    delete process.env.DATA_DRIVER;
+    expect(getDataDriverName()).toBe(DATA_DRIVERS.LOCAL); // Airtable is not configured
+
+    expect(getDataDriver().name).toBe('local');
+  });
+
+  it('stores and reads domain objects through the local driver', async () => {
+    const project = await projectRepository.create({ name: 'Apollo', created_by: 'u1', members: ['u1', 'u2'] });
+
+    expect(project).toMatchObject({ name: 'Apollo', created_by: 'u1', members: ['u1', 'u2'] });
+    expect(await projectRepository.listForUser('u2')).toEqual([project]);
+    expect(await projectRepository.listForUser('u3')).toEqual([]);
+
+    const task = await taskRepository.create({ name: 'Draft plan', owner_id: 'u2', team: project.id });
+    const updated = await taskRepository.update(task.id, { status: 'done' });
+
+    expect(updated).toMatchObject({ id: task.id, name: 'Draft plan', status: 'done' });
+    expect(await taskRepository.list({ team: project.id, status: 'done' })).toHaveLength(1);
+
+    await taskRepository.delete(task.id);
+    expect(await taskRepository.findById(task.id)).toBeNull();
+  });
+});
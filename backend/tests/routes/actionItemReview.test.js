@@ -0,0 +1,108 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { taskRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner', name: 'Olivia Owner' });
+const priya = addUser({ id: 'priya', name: 'Priya Patel' });
+
+afterAll(removeUploadedRecordings);
+
+const tasksFrom = async (meetingId) => {
+  const tasks = await taskRepository.list();
+  return tasks.filter(task => task.source_meeting?.includes(meetingId));
+};
+
+const proposalsOf = async (meetingId, user = owner, query = '') => {
+  const res = await request(app)
+    .get(`/api/meetings/${meetingId}/action-items${query}`)
+    .set('Authorization', authHeader(user))
+    .expect(200);
+  return res.body.data.proposals;
+};
+
+describe('action item review', () => {
+  it('keeps extracted action items as drafts until they are approved', async () => {
+    const project = await createProject(app, owner, { members: [priya.id] });
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    const drafts = await proposalsOf(meeting.id, priya);
+    expect(drafts.map(({ task, status }) => [task, status])).toEqual([
+      ['Finish the payment form validation', 'draft'],
+      ['Update the API documentation for the new endpoints', 'draft'],
+    ]);
+    expect(await tasksFrom(meeting.id)).toEqual([]);
+
+    await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/approve`)
+      .set('Authorization', authHeader(priya))
+      .send({})
+      .expect(403);
+
+    const approved = await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/approve`)
+      .set('Authorization', authHeader(owner))
+      .send({ proposal_ids: [drafts[0].id] })
+      .expect(200);
+
+    const [task] = approved.body.data.tasks;
+    expect(task).toMatchObject({ name: 'Finish the payment form validation', owner_id: priya.id, source_meeting: [meeting.id] });
+    expect(approved.body.data.proposals[0]).toMatchObject({ status: 'approved', task_id: task.id, reviewed_by: owner.id });
+    expect((await tasksFrom(meeting.id)).map(({ id }) => id)).toEqual([task.id]);
+
+    expect((await proposalsOf(meeting.id, owner, '?status=draft')).map(proposal => proposal.id)).toEqual([drafts[1].id]);
+
+    await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/${drafts[0].id}/reject`)
+      .set('Authorization', authHeader(owner))
+      .send({})
+      .expect(409);
+  });
+
+  it('edits, merges and rejects drafts', async () => {
+    const project = await createProject(app, owner, { members: [priya.id] });
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+    const [form, docs] = await proposalsOf(meeting.id);
+
+    const edited = await request(app)
+      .put(`/api/meetings/${meeting.id}/action-items/${docs.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ priority: 'urgent', assignee: 'Not specified' })
+      .expect(200);
+    expect(edited.body.data.proposal).toMatchObject({ priority: 'urgent', edited_by: owner.id });
+
+    const merged = await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/merge`)
+      .set('Authorization', authHeader(owner))
+      .send({ proposal_ids: [docs.id, form.id] })
+      .expect(201);
+
+    // The highest priority and the first specified assignee and deadline win
+    expect(merged.body.data.proposal).toMatchObject({
+      task: 'Update the API documentation for the new endpoints; Finish the payment form validation',
+      assignee: 'Priya',
+      deadline: 'next week',
+      priority: 'urgent',
+      source: 'merge',
+      merged_from: [docs.id, form.id],
+    });
+
+    const rejected = await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/${merged.body.data.proposal.id}/reject`)
+      .set('Authorization', authHeader(owner))
+      .send({ reason: 'Already tracked in Jira' })
+      .expect(200);
+    expect(rejected.body.data.proposal).toMatchObject({ status: 'rejected', rejection_reason: 'Already tracked in Jira' });
+
+    await request(app)
+      .post(`/api/meetings/${meeting.id}/action-items/approve`)
+      .set('Authorization', authHeader(owner))
+      .send({})
+      .expect(400);
+
+    expect((await proposalsOf(meeting.id)).map(proposal => proposal.status)).toEqual(['merged', 'merged', 'rejected']);
+  });
+});
@@ -0,0 +1,104 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const listDecisions = async (projectId, query = '', user = owner) => {
+  const res = await request(app)
+    .get(`/api/projects/${projectId}/decisions${query}`)
+    .set('Authorization', authHeader(user))
+    .expect(200);
+  return res.body.data.decisions;
+};
+
+const addDecision = (projectId, body, user = owner) => {
+  return request(app)
+    .post(`/api/projects/${projectId}/decisions`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+describe('decision register', () => {
+  it('registers MOM decisions with their meeting and transcript position', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { title: 'Checkout sync' });
+
+    const [decision] = await listDecisions(project.id);
+    expect(decision).toMatchObject({
+      decision: 'Drop the legacy PayPal flow and support only the new Stripe integration',
+      source: 'mom',
+      status: 'active',
+      owner: 'Priya',
+      meeting_id: meeting.id,
+      meeting_title: 'Checkout sync',
+    });
+    expect(typeof decision.transcript_timestamp).toBe('number');
+
+    await request(app)
+      .get(`/api/projects/${project.id}/decisions`)
+      .set('Authorization', authHeader(outsider))
+      .expect(403);
+  });
+
+  it('supersedes, filters and searches decisions', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const first = (await addDecision(project.id, { decision: 'Launch in March', owner: 'Dana' }).expect(201)).body.data.decision;
+    const second = (await addDecision(project.id, { decision: 'Launch in April', supersedes: [first.id] }, member).expect(201)).body.data.decision;
+
+    expect((await listDecisions(project.id, '?status=superseded')).map(({ id, superseded_by }) => [id, superseded_by]))
+      .toEqual([[first.id, second.id]]);
+    expect((await listDecisions(project.id, '?status=active')).map(({ id }) => id)).toEqual([second.id]);
+    expect((await listDecisions(project.id, '?q=launch%20march')).map(({ id }) => id)).toEqual([first.id]);
+    expect((await listDecisions(project.id, '?owner=dana')).map(({ id }) => id)).toEqual([first.id]);
+
+    // A decision cannot be superseded by one that replaces it
+    await request(app)
+      .put(`/api/projects/${project.id}/decisions/${second.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ superseded_by: first.id })
+      .expect(400);
+
+    const reverted = await request(app)
+      .put(`/api/projects/${project.id}/decisions/${first.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ status: 'reverted', status_note: 'Back on the table' })
+      .expect(200);
+    expect(reverted.body.data.decision).toMatchObject({ status: 'reverted' });
+    expect(reverted.body.data.decision.superseded_by ?? null).toBeNull();
+
+    await request(app)
+      .delete(`/api/projects/${project.id}/decisions/${first.id}`)
+      .set('Authorization', authHeader(member))
+      .expect(403);
+    await request(app)
+      .delete(`/api/projects/${project.id}/decisions/${second.id}`)
+      .set('Authorization', authHeader(member))
+      .expect(200);
+  });
+
+  it('lists decisions across the projects the user can access', async () => {
+    const mine = await createProject(app, member);
+    const theirs = await createProject(app, outsider);
+    const decision = (await addDecision(mine.id, { decision: 'Use Postgres' }, member).expect(201)).body.data.decision;
+    await addDecision(theirs.id, { decision: 'Use MySQL' }, outsider).expect(201);
+
+    const res = await request(app)
+      .get('/api/meetings/decisions?q=use')
+      .set('Authorization', authHeader(member))
+      .expect(200);
+    expect(res.body.data.decisions.map(({ id }) => id)).toEqual([decision.id]);
+
+    await request(app)
+      .get(`/api/meetings/decisions?project_id=${theirs.id}`)
+      .set('Authorization', authHeader(member))
+      .expect(403);
+  });
+});
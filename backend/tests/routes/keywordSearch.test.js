@@ -0,0 +1,92 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadMeeting, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { createTask } from '../helpers/tasks.js';
+import { meetingRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const keywordSearch = async (query, user = owner, status = 200) => {
+  const res = await request(app)
+    .get(`/api/search/keyword${query}`)
+    .set('Authorization', authHeader(user))
+    .expect(status);
+  return res.body.data;
+};
+
+const q = (text) => `?q=${encodeURIComponent(text)}`;
+
+describe('keyword search', () => {
+  it('matches meetings, tasks and projects with highlighted fragments', async () => {
+    const project = await createProject(app, owner, { name: 'Stripe migration' });
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { title: 'Checkout sync' });
+    const task = await createTask(app, owner, { name: 'Remove the PayPal button', team: project.id });
+
+    const { results, counts } = await keywordSearch(`${q('paypal')}&project_id=${project.id}`);
+    expect(counts).toEqual({ meeting: 1, task: 1, project: 0 });
+
+    // A title match counts triple, so the task ranks first
+    expect(results.map(({ type, id }) => [type, id])).toEqual([['task', task.id], ['meeting', meeting.id]]);
+    const [field] = results[0].matches;
+    expect(field.field).toBe('name');
+    expect(field.highlights.map(({ start, end }) => field.snippet.slice(start, end))).toEqual(['PayPal']);
+
+    const projects = await keywordSearch(`${q('stripe')}&types=project`);
+    expect(projects.results.map(({ type, id }) => [type, id])).toEqual([['project', project.id]]);
+  });
+
+  it('supports phrases and boolean operators', async () => {
+    const project = await createProject(app, owner);
+    await uploadProcessedMeeting(app, owner, project.id);
+    const scope = `&project_id=${project.id}&types=meeting`;
+
+    expect((await keywordSearch(`${q('"legacy paypal flow"')}${scope}`)).results).toHaveLength(1);
+    expect((await keywordSearch(`${q('"paypal legacy flow"')}${scope}`)).results).toHaveLength(0);
+    expect((await keywordSearch(`${q('adyen OR stripe')}${scope}`)).results).toHaveLength(1);
+    expect((await keywordSearch(`${q('stripe -paypal')}${scope}`)).results).toHaveLength(0);
+    await keywordSearch(q('the'), owner, 400);
+  });
+
+  it('applies the meeting filters and paginates', async () => {
+    const project = await createProject(app, owner);
+    const processed = await uploadProcessedMeeting(app, owner, project.id, { title: 'Planning one' });
+    await uploadProcessedMeeting(app, owner, project.id, { title: 'Planning two' });
+    const pending = await uploadMeeting(app, owner, project.id, { title: 'Planning three' });
+    // Uploads are dated now; backdate one meeting for the date filter
+    await meetingRepository.update(processed.id, { date: '2026-01-10T10:00:00Z' });
+    const scope = `&project_id=${project.id}&types=meeting`;
+
+    const all = await keywordSearch(`${q('planning')}${scope}`);
+    expect(all.results).toHaveLength(3);
+    expect((await keywordSearch(`${q('planning')}${scope}&has_transcript=false`)).results.map(({ id }) => id)).toEqual([pending.id]);
+    expect((await keywordSearch(`${q('planning')}${scope}&date_to=2026-01-31`)).results.map(({ id }) => id)).toEqual([processed.id]);
+
+    const first = await keywordSearch(`${q('planning')}${scope}&limit=2`);
+    expect(first.results).toHaveLength(2);
+    expect(first.pagination).toMatchObject({ limit: 2, total: 3 });
+    const second = await keywordSearch(`${q('planning')}${scope}&limit=2&cursor=${first.pagination.next_cursor}`);
+    expect(second.results).toHaveLength(1);
+    expect(second.pagination.next_cursor).toBeNull();
+    expect([...first.results, ...second.results].map(({ id }) => id)).toEqual(all.results.map(({ id }) => id));
+
+    // The project meeting list honours the same filters
+    const list = await request(app)
+      .get(`/api/meetings/project/${project.id}?has_mom=true&search=two`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(list.body.data.meetings.map(({ title }) => title)).toEqual(['Planning two']);
+  });
+
+  it('leaves out projects the user cannot access', async () => {
+    const project = await createProject(app, owner, { name: 'Confidential roadmap' });
+
+    expect((await keywordSearch(q('confidential'), outsider)).results).toEqual([]);
+    await keywordSearch(`${q('confidential')}&project_id=${project.id}`, outsider, 403);
+  });
+});
@@ -0,0 +1,82 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { createTask } from '../helpers/tasks.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+
+afterAll(removeUploadedRecordings);
+
+// Every page of a list route, following next_cursor
+const allPages = async (path, key, user, limit = 2) => {
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const separator = path.includes('?') ? '&' : '?';
+    const res = await request(app)
+      .get(`${path}${separator}limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`)
+      .set('Authorization', authHeader(user))
+      .expect(200);
+
+    pages.push({ ids: res.body.data[key].map(({ id }) => id), pagination: res.body.data.pagination });
+    cursor = res.body.data.pagination.next_cursor;
+  } while (cursor);
+
+  return pages;
+};
+
+describe('list pagination', () => {
+  it('pages through projects, newest first', async () => {
+    const projects = [];
+    for (const name of ['Alpha', 'Beta', 'Gamma']) {
+      projects.push(await createProject(app, owner, { name, members: [member.id] }));
+    }
+
+    const pages = await allPages('/api/projects', 'projects', member);
+    expect(pages.map(({ ids }) => ids)).toEqual([[projects[2].id, projects[1].id], [projects[0].id]]);
+    pages.forEach(({ pagination }) => expect(pagination).toMatchObject({ limit: 2, total: 3 }));
+  });
+
+  it('pages through a project\'s meetings and tasks', async () => {
+    const project = await createProject(app, owner);
+    const meetings = [];
+    for (const title of ['Kickoff', 'Design review', 'Retro']) {
+      meetings.push(await uploadMeeting(app, owner, project.id, { title }));
+    }
+    const tasks = {};
+    for (const priority of ['medium', 'urgent', 'low', 'high']) {
+      tasks[priority] = (await createTask(app, owner, { name: `A ${priority} task`, priority, team: project.id })).id;
+    }
+
+    const meetingPages = await allPages(`/api/meetings/project/${project.id}`, 'meetings', owner);
+    expect(meetingPages.flatMap(({ ids }) => ids).sort()).toEqual(meetings.map(({ id }) => id).sort());
+    expect(meetingPages.map(({ ids }) => ids.length)).toEqual([2, 1]);
+
+    // Project tasks come most urgent first, on either route
+    const byPriority = [[tasks.urgent, tasks.high], [tasks.medium, tasks.low]];
+    const taskPages = await allPages(`/api/tasks?project=${project.id}`, 'tasks', owner);
+    expect(taskPages.map(({ ids }) => ids)).toEqual(byPriority);
+    expect(taskPages[0].pagination.total).toBe(4);
+    expect((await allPages(`/api/tasks/project/${project.id}`, 'tasks', owner)).map(({ ids }) => ids)).toEqual(byPriority);
+  });
+
+  it('rejects invalid limits and cursors', async () => {
+    for (const query of ['limit=0', 'limit=101', 'cursor=garbage']) {
+      const res = await request(app)
+        .get(`/api/projects?${query}`)
+        .set('Authorization', authHeader(owner))
+        .expect(400);
+      expect(res.body.success).toBe(false);
+    }
+
+    await request(app)
+      .get('/api/tasks?cursor=garbage')
+      .set('Authorization', authHeader(owner))
+      .expect(400);
+  });
+});
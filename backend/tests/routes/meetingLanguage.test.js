@@ -0,0 +1,88 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll, afterEach, jest } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+import { meetingRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(removeUploadedRecordings);
+
+const transcriptionLanguages = (spy) => spy.mock.calls.map(([, options]) => options.language);
+
+const momPrompt = (spy) => spy.mock.calls.find(([request]) => request.purpose === 'mom')[0].messages[1].content;
+
+describe('transcription language', () => {
+  it('transcribes in English when nothing sets a language', async () => {
+    const transcribe = jest.spyOn(getAIProvider(), 'transcribe');
+
+    const project = await createProject(app, owner);
+    const { id } = await uploadProcessedMeeting(app, owner, project.id);
+
+    expect(transcriptionLanguages(transcribe)).toEqual(['en']);
+    expect(await meetingRepository.findById(id)).toMatchObject({ language: 'en', detected_language: 'en' });
+  });
+
+  it('uses DEFAULT_TRANSCRIPTION_LANGUAGE, falling back to English for an unknown code', async () => {
+    const transcribe = jest.spyOn(getAIProvider(), 'transcribe');
+    const project = await createProject(app, owner);
+
+    try {
+      process.env.DEFAULT_TRANSCRIPTION_LANGUAGE = 'French';
+      await uploadProcessedMeeting(app, owner, project.id);
+      process.env.DEFAULT_TRANSCRIPTION_LANGUAGE = 'klingon';
+      await uploadProcessedMeeting(app, owner, project.id);
+    } finally {
+      delete process.env.DEFAULT_TRANSCRIPTION_LANGUAGE;
+    }
+
+    expect(transcriptionLanguages(transcribe)).toEqual(['fr', 'en']);
+  });
+
+  it('uses the project language unless the upload overrides it', async () => {
+    const transcribe = jest.spyOn(getAIProvider(), 'transcribe');
+
+    const project = await createProject(app, owner, { language: 'es' });
+    await uploadProcessedMeeting(app, owner, project.id);
+    await uploadProcessedMeeting(app, owner, project.id, { language: 'hi' });
+
+    expect(transcriptionLanguages(transcribe)).toEqual(['es', 'hi']);
+  });
+
+  it('lets the model detect the language only when auto is chosen', async () => {
+    const transcribe = jest.spyOn(getAIProvider(), 'transcribe');
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    const project = await createProject(app, owner, { language: 'auto' });
+    const { id } = await uploadProcessedMeeting(app, owner, project.id);
+
+    // The mock transcript reports "english"; the MOM follows the detected language
+    expect(transcriptionLanguages(transcribe)).toEqual([undefined]);
+    expect(await meetingRepository.findById(id)).toMatchObject({ language: 'auto', detected_language: 'en' });
+    expect(momPrompt(complete)).toContain('Write your response in English');
+  });
+
+  it('writes the MOM in the chosen output language', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    const project = await createProject(app, owner, { output_language: 'de' });
+    await uploadProcessedMeeting(app, owner, project.id);
+
+    expect(momPrompt(complete)).toContain('Write your response in German');
+  });
+
+  it('rejects unsupported languages', async () => {
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader(owner))
+      .send({ name: 'Klingon sync', language: 'tlh' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,90 @@
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { pollJobs } from '../../services/jobQueue.js';
+import { meetingRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+
+const reprocess = (meetingId, body) => request(app)
+  .post(`/api/meetings/${meetingId}/reprocess`)
+  .set('Authorization', authHeader(owner))
+  .send(body);
+
+let project;
+
+beforeAll(async () => {
+  project = await createProject(app, owner);
+});
+
+afterAll(removeUploadedRecordings);
+
+describe('POST /api/meetings/:id/reprocess', () => {
+  it('re-runs only the selected steps and keeps the previous outputs as a version', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+    await meetingRepository.update(meeting.id, { mom: 'Edited MOM', summary: 'Edited summary' });
+
+    const res = await reprocess(meeting.id, { steps: ['mom'] }).expect(202);
+    expect(res.body.data.meeting).toMatchObject({ steps: ['mom'], previous_version: 1 });
+
+    await pollJobs();
+
+    const updated = await meetingRepository.findById(meeting.id);
+    expect(updated.mom).not.toBe('Edited MOM');
+    expect(updated.summary).toBe('Edited summary');
+    expect(updated.processing_steps.mom.status).toBe('completed');
+    expect(updated.processing_steps.transcribe.status).toBe('skipped');
+    expect(updated.processing_steps.summary.status).toBe('skipped');
+
+    const versions = await request(app)
+      .get(`/api/meetings/${meeting.id}/versions`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(versions.body.data.versions).toHaveLength(1);
+    expect(versions.body.data.versions[0]).toMatchObject({ version: 1, mom: 'Edited MOM', reprocessed_steps: ['mom'] });
+  });
+
+  it('adds diarization when transcription is re-run', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    const res = await reprocess(meeting.id, { steps: ['transcribe'] }).expect(202);
+
+    expect(res.body.data.meeting.steps).toEqual(['transcribe', 'diarize']);
+  });
+
+  it('rejects a recording source without the transcribe step', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    const res = await reprocess(meeting.id, { steps: ['mom', 'summary'], source: 'recording' }).expect(400);
+
+    expect(res.body.error.message).toBe('Re-running from the stored recording needs the transcribe step');
+    expect((await meetingRepository.findById(meeting.id)).processing_status).toBe('completed');
+  });
+
+  it('rejects a transcript source with the transcribe or diarize step', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    await reprocess(meeting.id, { steps: ['transcribe'], source: 'transcript' }).expect(400);
+    await reprocess(meeting.id, { steps: ['diarize'], source: 'transcript' }).expect(400);
+    await reprocess(meeting.id, { steps: ['mom'], source: 'transcript' }).expect(202);
+  });
+
+  it('rejects options that do not apply to the selected steps', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    await reprocess(meeting.id, { steps: ['mom'], language: 'es' }).expect(400);
+    await reprocess(meeting.id, { steps: ['action_items'], output_language: 'es' }).expect(400);
+    await reprocess(meeting.id, { steps: ['summary'], template_id: 'builtin-standup' }).expect(400);
+    await reprocess(meeting.id, { steps: ['unknown'] }).expect(400);
+  });
+
+  it('refuses to start while the meeting is still being processed', async () => {
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    await reprocess(meeting.id, { steps: ['summary'] }).expect(202);
+    await reprocess(meeting.id, { steps: ['summary'] }).expect(409);
+  });
+});
@@ -0,0 +1,81 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { pollJobs } from '../../services/jobQueue.js';
+import { meetingRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const outsider = addUser({ id: 'outsider' });
+
+const getStatus = async (meetingId, user = owner) => {
+  const res = await request(app)
+    .get(`/api/meetings/${meetingId}/status`)
+    .set('Authorization', authHeader(user));
+  return res;
+};
+
+afterAll(removeUploadedRecordings);
+
+describe('GET /api/meetings/:id/status', () => {
+  it('reports a queued meeting as pending with every step pending', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadMeeting(app, owner, project.id);
+
+    const res = await getStatus(meeting.id);
+
+    expect(res.status).toBe(200);
+    const { status } = res.body.data;
+    expect(status.processing_status).toBe('pending');
+    expect(status.current_step).toBeNull();
+    expect(Object.values(status.steps).map(step => step.status)).toEqual(Array(5).fill('pending'));
+    expect(status.job).toMatchObject({ id: meeting.job_id, status: 'queued', attempts: 0 });
+  });
+
+  it('reports each step completed with timestamps once the job has run', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadMeeting(app, owner, project.id);
+
+    await pollJobs();
+
+    const { status } = (await getStatus(meeting.id)).body.data;
+    expect(status.processing_status).toBe('completed');
+    expect(status.error).toBeNull();
+    expect(status.started_at).toBeTruthy();
+    expect(status.completed_at).toBeTruthy();
+    Object.values(status.steps).forEach(step => {
+      expect(step.status).toBe('completed');
+      expect(new Date(step.completed_at) >= new Date(step.started_at)).toBe(true);
+    });
+    expect(status.job).toMatchObject({ status: 'succeeded', attempts: 1, next_attempt_at: null });
+  });
+
+  it('reports the failed step and the next attempt while a job is retried', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadMeeting(app, owner, project.id);
+
+    // A recording that is no longer on disk fails the transcribe step
+    const stored = await meetingRepository.findById(meeting.id);
+    await removeUploadedRecordings();
+    expect(stored.recording_file.path).toBeTruthy();
+
+    await pollJobs();
+
+    const { status } = (await getStatus(meeting.id)).body.data;
+    expect(status.processing_status).toBe('processing');
+    expect(status.steps.transcribe.status).toBe('failed');
+    expect(status.error).toMatch(/ENOENT/);
+    expect(status.job.status).toBe('queued');
+    expect(status.job.next_attempt_at).toBeTruthy();
+  });
+
+  it('is only visible to project members', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadMeeting(app, owner, project.id);
+
+    expect((await getStatus(meeting.id, outsider)).status).toBe(403);
+    expect((await getStatus('recmissing')).status).toBe(404);
+  });
+});
@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll, afterEach, jest } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const outsider = addUser({ id: 'outsider' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(removeUploadedRecordings);
+
+const getTranscript = async (meetingId, user = owner) => {
+  const res = await request(app)
+    .get(`/api/meetings/${meetingId}/transcript`)
+    .set('Authorization', authHeader(user))
+    .expect(200);
+  return res.body.data.transcript;
+};
+
+describe('speaker-labelled transcripts', () => {
+  it('labels transcript segments by speaker and maps speakers to participants', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { participants: 'Priya, Marco, Dana' });
+
+    const transcript = await getTranscript(meeting.id);
+    expect(transcript.diarized).toBe(true);
+    expect(transcript.speakers.map(speaker => speaker.label)).toEqual(['SPEAKER_1', 'SPEAKER_2', 'SPEAKER_3']);
+    expect(transcript.segments[0]).toMatchObject({ id: 0, speaker: 'SPEAKER_1', start: 0, speaker_name: null });
+    expect(transcript.segments[0].words.length).toBeGreaterThan(0);
+
+    await request(app)
+      .put(`/api/meetings/${meeting.id}/speakers`)
+      .set('Authorization', authHeader(owner))
+      .send({ speakers: { SPEAKER_1: 'Zoe' } })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/meetings/${meeting.id}/speakers`)
+      .set('Authorization', authHeader(owner))
+      .send({ speakers: { SPEAKER_1: 'Priya', SPEAKER_2: 'Marco' } })
+      .expect(200);
+
+    const named = await getTranscript(meeting.id);
+    expect(named.speakers.map(({ label, name }) => [label, name])).toEqual([
+      ['SPEAKER_1', 'Priya'],
+      ['SPEAKER_2', 'Marco'],
+      ['SPEAKER_3', null],
+    ]);
+    expect(named.segments[0].speaker_name).toBe('Priya');
+
+    await request(app)
+      .get(`/api/meetings/${meeting.id}/transcript`)
+      .set('Authorization', authHeader(outsider))
+      .expect(403);
+  });
+
+  it('notes on the diarize step when the provider cannot diarize', async () => {
+    jest.spyOn(getAIProvider(), 'diarize').mockResolvedValue(null);
+
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    const transcript = await getTranscript(meeting.id);
+    expect(transcript.diarized).toBe(false);
+    expect(transcript.segments.every(segment => segment.speaker === null)).toBe(true);
+
+    const status = await request(app)
+      .get(`/api/meetings/${meeting.id}/status`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(status.body.data.status.steps.diarize).toMatchObject({
+      status: 'completed',
+      speakers: 0,
+      skipped: 'The AI provider has no diarization model configured',
+    });
+  });
+
+  it('exports the transcript as captions or text', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { title: 'Design review' });
+
+    const srt = await request(app)
+      .get(`/api/meetings/${meeting.id}/transcript?format=srt`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(srt.headers['content-type']).toBe('application/x-subrip; charset=utf-8');
+    expect(srt.headers['content-disposition']).toBe('attachment; filename="Design_review.srt"');
+    expect(srt.text).toMatch(/^1\n00:00:00,000 --> 00:00:0\d,\d{3}\nSPEAKER_1: Good morning/);
+
+    const vtt = await request(app)
+      .get(`/api/meetings/${meeting.id}/transcript?format=vtt`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(vtt.text.startsWith('WEBVTT')).toBe(true);
+
+    const txt = await request(app)
+      .get(`/api/meetings/${meeting.id}/transcript?format=txt`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(txt.text.startsWith('Design review\n')).toBe(true);
+
+    await request(app)
+      .get(`/api/meetings/${meeting.id}/transcript?format=docx`)
+      .set('Authorization', authHeader(owner))
+      .expect(400);
+  });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { pollJobs } from '../../services/jobQueue.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const requestTranslation = (meetingId, body, user = owner) => {
+  return request(app)
+    .post(`/api/meetings/${meetingId}/translations`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+const getMeeting = (meetingId, query = '') => {
+  return request(app)
+    .get(`/api/meetings/${meetingId}${query}`)
+    .set('Authorization', authHeader(owner));
+};
+
+describe('meeting translations', () => {
+  it('translates the transcript on the job queue and serves it with ?lang=', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+    const original = (await getMeeting(meeting.id).expect(200)).body.data.meeting;
+
+    const queued = await requestTranslation(meeting.id, { language: 'es', fields: ['transcript'] }).expect(202);
+    expect(queued.body.data.translation).toMatchObject({ language: 'es', status: 'pending' });
+
+    await getMeeting(meeting.id, '?lang=es').expect(409);
+    await requestTranslation(meeting.id, { language: 'es', fields: ['transcript'] }).expect(409);
+
+    await pollJobs();
+
+    const translated = (await getMeeting(meeting.id, '?lang=es').expect(200)).body.data.meeting;
+    expect(translated.transcript).toMatch(/^Buenos días a todos/);
+    expect(translated.mom).toBe(original.mom);
+    expect(translated.translation).toMatchObject({ language: 'es', source_language: 'en', fields: ['transcript'], stale: false });
+
+    // The original language is served as is
+    expect((await getMeeting(meeting.id, '?lang=en').expect(200)).body.data.meeting.transcript).toBe(original.transcript);
+
+    const listed = await request(app)
+      .get(`/api/meetings/${meeting.id}/translations`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(listed.body.data.translations.map(({ language, status }) => [language, status])).toEqual([['es', 'completed']]);
+  });
+
+  it('rejects translations it cannot make', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+
+    await requestTranslation(meeting.id, { language: 'en' }).expect(400);
+    await requestTranslation(meeting.id, { language: 'xx' }).expect(400);
+    await requestTranslation(meeting.id, { language: 'fr' }, outsider).expect(403);
+    await getMeeting(meeting.id, '?lang=fr').expect(404);
+  });
+});
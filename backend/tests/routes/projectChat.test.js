@@ -0,0 +1,96 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const ask = (projectId, body, user = owner) => {
+  return request(app)
+    .post(`/api/projects/${projectId}/chat`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+describe('project Q&A', () => {
+  it('answers from the project meetings with citations to them', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { title: 'Checkout sync' });
+
+    const res = await ask(project.id, { message: 'What did we decide about the PayPal flow?' }).expect(200);
+    const { conversation_id, answer, citations } = res.body.data;
+
+    expect(conversation_id).toBeTruthy();
+    expect(answer).toContain('[S1]');
+    expect(citations.map(({ label }) => label)).toEqual(['S1', 'S2']);
+    citations.forEach(citation => {
+      expect(citation.meeting_id).toBe(meeting.id);
+      expect(citation.excerpt).toBeTruthy();
+    });
+  });
+
+  it('continues conversations and keeps them to the user who asked', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    await uploadProcessedMeeting(app, owner, project.id);
+
+    const first = (await ask(project.id, { message: 'Who is working on the payment form?' }).expect(200)).body.data;
+    const followUp = (await ask(project.id, { message: 'By when?', conversation_id: first.conversation_id }).expect(200)).body.data;
+    expect(followUp.conversation_id).toBe(first.conversation_id);
+
+    const conversation = (await request(app)
+      .get(`/api/projects/${project.id}/chat/conversations/${first.conversation_id}`)
+      .set('Authorization', authHeader(owner))
+      .expect(200)).body.data.conversation;
+    expect(conversation.title).toBe('Who is working on the payment form?');
+    expect(conversation.messages.map(({ role }) => role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+
+    const list = (await request(app)
+      .get(`/api/projects/${project.id}/chat/conversations`)
+      .set('Authorization', authHeader(owner))
+      .expect(200)).body.data;
+    expect(list.conversations).toEqual([expect.objectContaining({ id: first.conversation_id, message_count: 4 })]);
+
+    // Another member of the project cannot read or continue the conversation
+    await request(app)
+      .get(`/api/projects/${project.id}/chat/conversations/${first.conversation_id}`)
+      .set('Authorization', authHeader(member))
+      .expect(404);
+    await ask(project.id, { message: 'And then?', conversation_id: first.conversation_id }, member).expect(404);
+
+    const memberList = (await request(app)
+      .get(`/api/projects/${project.id}/chat/conversations`)
+      .set('Authorization', authHeader(member))
+      .expect(200)).body.data;
+    expect(memberList.conversations).toEqual([]);
+
+    await request(app)
+      .delete(`/api/projects/${project.id}/chat/conversations/${first.conversation_id}`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    await request(app)
+      .get(`/api/projects/${project.id}/chat/conversations/${first.conversation_id}`)
+      .set('Authorization', authHeader(owner))
+      .expect(404);
+  });
+
+  it('says so when the project has nothing on the question', async () => {
+    const project = await createProject(app, owner);
+
+    const { answer, citations } = (await ask(project.id, { message: 'What did we decide about pricing?' }).expect(200)).body.data;
+    expect(answer).toMatch(/could not find anything/);
+    expect(citations).toEqual([]);
+  });
+
+  it('rejects outsiders and empty questions', async () => {
+    const project = await createProject(app, owner);
+
+    await ask(project.id, { message: 'What did we decide?' }, outsider).expect(403);
+    await ask(project.id, { message: '' }).expect(400);
+  });
+});
@@ -0,0 +1,32 @@
+import request from 'supertest';
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+describe('projects API on the local data store', () => {
+  it('requires a token', async () => {
+    await request(app).get('/api/projects').expect(401);
+  });
+
+  it('creates a project and lists it for its members only', async () => {
+    const created = await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader(owner))
+      .send({ name: 'Apollo', members: [member.id] })
+      .expect(201);
+
+    const { project } = created.body.data;
+    expect(project.members).toEqual([owner.id, member.id]);
+
+    const listed = await request(app).get('/api/projects').set('Authorization', authHeader(member)).expect(200);
+    expect(listed.body.data.projects.map(p => p.id)).toEqual([project.id]);
+
+    await request(app).get(`/api/projects/${project.id}`).set('Authorization', authHeader(outsider)).expect(403);
+    await request(app).get('/api/projects/recmissing').set('Authorization', authHeader(owner)).expect(404);
+  });
+});
@@ -0,0 +1,114 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadMeeting, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { createTask } from '../helpers/tasks.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const saveView = (body, user = owner) => {
+  return request(app)
+    .post('/api/views')
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+const runView = (viewId, user = owner, query = '') => {
+  return request(app)
+    .get(`/api/views/${viewId}/results${query}`)
+    .set('Authorization', authHeader(user));
+};
+
+describe('saved views', () => {
+  it('runs a task view with its filters, sort and columns', async () => {
+    const project = await createProject(app, owner);
+    const low = await createTask(app, owner, { name: 'Tidy the backlog', priority: 'low', team: project.id });
+    const urgent = await createTask(app, owner, { name: 'Fix checkout crash', priority: 'urgent', team: project.id });
+    const high = await createTask(app, owner, { name: 'Review the release notes', priority: 'high', team: project.id });
+    const done = await createTask(app, owner, { name: 'Done already', priority: 'urgent', team: project.id });
+    await request(app)
+      .patch(`/api/tasks/${done.id}/status`)
+      .set('Authorization', authHeader(owner))
+      .send({ status: 'done' })
+      .expect(200);
+
+    const view = (await saveView({
+      name: 'Open work by priority',
+      entity: 'task',
+      filters: { project: project.id, status: 'pending' },
+      sort: [{ field: 'priority', direction: 'desc' }],
+      columns: ['name', 'priority'],
+    }).expect(201)).body.data.view;
+    expect(view).toMatchObject({ scope: 'personal', created_by: owner.id });
+
+    const { items, pagination } = (await runView(view.id).expect(200)).body.data;
+    expect(items).toEqual([
+      { id: urgent.id, name: 'Fix checkout crash', priority: 'urgent' },
+      { id: high.id, name: 'Review the release notes', priority: 'high' },
+      { id: low.id, name: 'Tidy the backlog', priority: 'low' },
+    ]);
+    expect(pagination.total).toBe(3);
+
+    const page = (await runView(view.id, owner, '?limit=1').expect(200)).body.data;
+    expect(page.items.map(({ id }) => id)).toEqual([urgent.id]);
+    expect(page.pagination.next_cursor).toEqual(expect.any(String));
+  });
+
+  it('shares project views with members and keeps personal ones private', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const processed = await uploadProcessedMeeting(app, owner, project.id, { title: 'Planning' });
+    await uploadMeeting(app, owner, project.id, { title: 'Still processing' });
+
+    const shared = (await saveView({
+      name: 'Meetings with minutes',
+      entity: 'meeting',
+      scope: 'project',
+      project_id: project.id,
+      filters: { has_mom: true },
+    }).expect(201)).body.data.view;
+    const personal = (await saveView({ name: 'Mine', entity: 'task' }).expect(201)).body.data.view;
+
+    const { items } = (await runView(shared.id, member).expect(200)).body.data;
+    expect(items).toEqual([expect.objectContaining({ id: processed.id, title: 'Planning', has_mom: true })]);
+
+    const memberViews = (await request(app)
+      .get('/api/views')
+      .set('Authorization', authHeader(member))
+      .expect(200)).body.data.views;
+    expect(memberViews.map(({ id }) => id)).toEqual([shared.id]);
+
+    await request(app).get(`/api/views/${personal.id}`).set('Authorization', authHeader(member)).expect(404);
+    await runView(shared.id, outsider).expect(404);
+
+    // Members can run a shared view but only its author or the project creator can change it
+    await request(app)
+      .put(`/api/views/${shared.id}`)
+      .set('Authorization', authHeader(member))
+      .send({ name: 'Renamed' })
+      .expect(403);
+    const renamed = (await request(app)
+      .put(`/api/views/${shared.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ name: 'Renamed', columns: ['title'] })
+      .expect(200)).body.data.view;
+    expect(renamed).toMatchObject({ name: 'Renamed', columns: ['title'] });
+
+    await request(app).delete(`/api/views/${shared.id}`).set('Authorization', authHeader(owner)).expect(200);
+    await runView(shared.id, member).expect(404);
+  });
+
+  it('validates view settings against the entity', async () => {
+    const project = await createProject(app, owner);
+
+    await saveView({ name: 'Bad sort', entity: 'meeting', sort: [{ field: 'priority' }] }).expect(400);
+    await saveView({ name: 'Bad filter', entity: 'task', filters: { has_mom: true } }).expect(400);
+    await saveView({ name: 'No project', entity: 'task', scope: 'project' }).expect(400);
+    await saveView({ name: 'Not mine', entity: 'task', scope: 'project', project_id: project.id }, outsider).expect(403);
+  });
+});
@@ -0,0 +1,115 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import {
+  jobRepository,
+  meetingVersionRepository,
+  meetingTranslationRepository,
+  decisionRepository
+} from '../../repositories/index.js';
+import { pollJobs } from '../../services/jobQueue.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const outsider = addUser({ id: 'outsider' });
+
+afterAll(removeUploadedRecordings);
+
+const search = async (query, user = owner, status = 200) => {
+  const res = await request(app)
+    .get(`/api/search${query}`)
+    .set('Authorization', authHeader(user))
+    .expect(status);
+  return res.body.data?.results;
+};
+
+describe('semantic search', () => {
+  it('finds indexed transcript and MOM passages with highlighted snippets', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id, { title: 'Checkout sync' });
+
+    const results = await search(`?q=${encodeURIComponent('Stripe integration')}&project=${project.id}`);
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach(result => {
+      expect(result).toMatchObject({ meeting_id: meeting.id, meeting_title: 'Checkout sync', project_id: project.id });
+      expect(result.score).toBeGreaterThan(0);
+    });
+    expect(results.map(({ score }) => score)).toEqual([...results.map(({ score }) => score)].sort((a, b) => b - a));
+
+    const best = results[0];
+    expect(best.highlights.length).toBeGreaterThan(0);
+    best.highlights.forEach(({ start, end }) => {
+      expect(best.snippet.slice(start, end).toLowerCase()).toMatch(/stripe|integration/);
+    });
+
+    const moms = await search(`?q=${encodeURIComponent('Stripe integration')}&project=${project.id}&source=mom`);
+    expect(moms.length).toBeGreaterThan(0);
+    moms.forEach(result => {
+      expect(result.source).toBe('mom');
+      expect(result.timestamp).toBeNull();
+    });
+  });
+
+  it('keeps results to projects the user can access', async () => {
+    const project = await createProject(app, owner);
+    await uploadProcessedMeeting(app, owner, project.id);
+
+    await search(`?q=stripe&project=${project.id}`, outsider, 403);
+    expect(await search('?q=stripe', outsider)).toEqual([]);
+    await search('?q=', owner, 400);
+  });
+
+  it('drops a deleted meeting with its jobs, versions, translations and decisions', async () => {
+    const project = await createProject(app, owner);
+    const meeting = await uploadProcessedMeeting(app, owner, project.id);
+    const other = await uploadProcessedMeeting(app, owner, project.id, { title: 'Design review' });
+
+    await request(app)
+      .post(`/api/meetings/${meeting.id}/reprocess`)
+      .set('Authorization', authHeader(owner))
+      .send({ steps: ['mom'] })
+      .expect(202);
+    await pollJobs();
+    await request(app)
+      .post(`/api/meetings/${meeting.id}/translations`)
+      .set('Authorization', authHeader(owner))
+      .send({ language: 'es', fields: ['transcript'] })
+      .expect(202);
+
+    // A decision logged by hand against the meeting, superseding the MOM one
+    const [momDecision] = await decisionRepository.listByMeeting(meeting.id);
+    const manual = (await request(app)
+      .post(`/api/projects/${project.id}/decisions`)
+      .set('Authorization', authHeader(owner))
+      .send({ decision: 'Support Stripe and Adyen', meeting_id: meeting.id })
+      .expect(201)).body.data.decision;
+    await request(app)
+      .put(`/api/projects/${project.id}/decisions/${momDecision.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ superseded_by: manual.id })
+      .expect(200);
+
+    expect(await meetingVersionRepository.listByMeeting(meeting.id)).toHaveLength(1);
+    expect(await meetingTranslationRepository.listByMeeting(meeting.id)).toHaveLength(1);
+    expect((await jobRepository.listByMeeting(meeting.id)).length).toBeGreaterThan(0);
+
+    await request(app)
+      .delete(`/api/meetings/${meeting.id}`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+
+    expect(await jobRepository.listByMeeting(meeting.id)).toEqual([]);
+    expect(await meetingVersionRepository.listByMeeting(meeting.id)).toEqual([]);
+    expect(await meetingTranslationRepository.listByMeeting(meeting.id)).toEqual([]);
+    expect(await decisionRepository.findById(momDecision.id)).toBeNull();
+    expect(await decisionRepository.findById(manual.id)).toMatchObject({ id: manual.id, meeting_id: null });
+
+    // The other meeting's decision and search passages are untouched
+    expect(await decisionRepository.listByMeeting(other.id)).toHaveLength(1);
+    const results = await search(`?q=stripe&project=${project.id}`);
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.map(({ meeting_id }) => meeting_id)).toEqual(results.map(() => other.id));
+  });
+});
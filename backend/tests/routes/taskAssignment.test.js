@@ -0,0 +1,56 @@
+import request from 'supertest';
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject } from '../helpers/meetings.js';
+
+const app = await createTestApp();
+const { createTasksFromActionItems } = await import('../../services/taskService.js');
+
+const owner = addUser({ id: 'owner', name: 'Olivia Owner' });
+const member = addUser({ id: 'member', name: 'Marcus Lee' });
+const outsider = addUser({ id: 'outsider', name: 'Sam Stranger' });
+
+describe('needs-assignment queue', () => {
+  it('queues unresolved assignees until the project admin assigns them', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+
+    const [resolved, unresolved] = await createTasksFromActionItems([
+      { task: 'Update the pricing page', assignee: 'Marcus', deadline: 'Not specified', priority: 'high' },
+      { task: 'Email the vendor', assignee: 'John', deadline: 'Not specified', priority: 'medium' },
+    ], 'recmeeting', project.id);
+
+    expect(resolved).toMatchObject({ owner_id: member.id, needs_assignment: false, assignee_name: 'Marcus' });
+    expect(unresolved).toMatchObject({ needs_assignment: true, assignee_name: 'John' });
+    expect(unresolved.owner_id).toBeUndefined();
+
+    const queue = await request(app)
+      .get(`/api/projects/${project.id}/needs-assignment`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(queue.body.data.tasks.map(task => task.id)).toEqual([unresolved.id]);
+
+    await request(app)
+      .get(`/api/projects/${project.id}/needs-assignment`)
+      .set('Authorization', authHeader(member))
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/tasks/${unresolved.id}/assign`)
+      .set('Authorization', authHeader(owner))
+      .send({ owner_id: outsider.id })
+      .expect(400);
+
+    const assigned = await request(app)
+      .patch(`/api/tasks/${unresolved.id}/assign`)
+      .set('Authorization', authHeader(owner))
+      .send({ owner_id: member.id })
+      .expect(200);
+    expect(assigned.body.data.task).toMatchObject({ owner_id: member.id, needs_assignment: false });
+
+    const emptied = await request(app)
+      .get(`/api/projects/${project.id}/needs-assignment`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    expect(emptied.body.data.tasks).toEqual([]);
+  });
+});
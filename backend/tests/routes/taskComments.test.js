@@ -0,0 +1,127 @@
+import request from 'supertest';
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject } from '../helpers/meetings.js';
+import { createTask } from '../helpers/tasks.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner', name: 'Olivia Reyes' });
+const maya = addUser({ id: 'maya', name: 'Maya Patel', email: 'maya.patel@example.com' });
+const mark = addUser({ id: 'mark', name: 'Mark Chen', email: 'mchen@example.com' });
+const outsider = addUser({ id: 'outsider', name: 'Oscar Diaz' });
+
+const comment = (taskId, body, user = owner) => {
+  return request(app)
+    .post(`/api/tasks/${taskId}/comments`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+const listComments = async (taskId, user = owner) => {
+  const res = await request(app)
+    .get(`/api/tasks/${taskId}/comments`)
+    .set('Authorization', authHeader(user))
+    .expect(200);
+  return res.body.data.comments;
+};
+
+const listActivity = async (taskId) => {
+  const res = await request(app)
+    .get(`/api/tasks/${taskId}/activity`)
+    .set('Authorization', authHeader(owner))
+    .expect(200);
+  return res.body.data.activity;
+};
+
+describe('task comments', () => {
+  it('threads replies under their top-level comment and resolves @mentions', async () => {
+    const project = await createProject(app, owner, { members: [maya.id, mark.id] });
+    const task = await createTask(app, owner, { team: project.id });
+
+    const first = (await comment(task.id, { body: '@maya can you take this? cc @mchen and @nobody' }).expect(201)).body.data.comment;
+    expect(first.mentions).toEqual([maya.id, mark.id]);
+
+    const reply = (await comment(task.id, { body: 'On it, @Olivia', parent_id: first.id }, maya).expect(201)).body.data.comment;
+    expect(reply.mentions).toEqual([owner.id]);
+
+    // A reply to a reply joins the thread of the top-level comment
+    const nested = (await comment(task.id, { body: 'Thanks @maya.patel@example.com.', parent_id: reply.id }, mark).expect(201)).body.data.comment;
+    expect(nested).toMatchObject({ parent_id: first.id, mentions: [maya.id] });
+
+    const threads = await listComments(task.id, maya);
+    expect(threads).toHaveLength(1);
+    expect(threads[0].replies.map(({ id }) => id)).toEqual([reply.id, nested.id]);
+
+    await comment(task.id, { body: 'Let me in' }, outsider).expect(403);
+    await comment(task.id, { body: 'Lost', parent_id: 'recmissing' }).expect(400);
+    await comment(task.id, { body: '' }).expect(400);
+  });
+
+  it('lets authors edit their comments and keeps threads when a parent is deleted', async () => {
+    const project = await createProject(app, owner, { members: [maya.id, mark.id] });
+    const task = await createTask(app, owner, { team: project.id });
+    const first = (await comment(task.id, { body: 'First take' }, maya).expect(201)).body.data.comment;
+    await comment(task.id, { body: 'Agreed', parent_id: first.id }, mark).expect(201);
+
+    await request(app)
+      .put(`/api/tasks/${task.id}/comments/${first.id}`)
+      .set('Authorization', authHeader(mark))
+      .send({ body: 'Not mine' })
+      .expect(403);
+    const edited = (await request(app)
+      .put(`/api/tasks/${task.id}/comments/${first.id}`)
+      .set('Authorization', authHeader(maya))
+      .send({ body: 'Second take, @mark' })
+      .expect(200)).body.data.comment;
+    expect(edited).toMatchObject({ body: 'Second take, @mark', mentions: [mark.id] });
+    expect(edited.edited_at).toBeTruthy();
+
+    // Only the author, project creator or an admin can delete
+    await request(app).delete(`/api/tasks/${task.id}/comments/${first.id}`).set('Authorization', authHeader(mark)).expect(403);
+    await request(app).delete(`/api/tasks/${task.id}/comments/${first.id}`).set('Authorization', authHeader(owner)).expect(200);
+
+    const [thread] = await listComments(task.id);
+    expect(thread).toMatchObject({ id: first.id, body: '', deleted: true });
+    expect(thread.replies.map(({ body }) => body)).toEqual(['Agreed']);
+  });
+});
+
+describe('task activity', () => {
+  it('records creation, status changes, reassignments, edits and comments', async () => {
+    const project = await createProject(app, owner, { members: [maya.id] });
+    const task = await createTask(app, owner, { team: project.id, priority: 'medium' });
+
+    await request(app)
+      .patch(`/api/tasks/${task.id}/status`)
+      .set('Authorization', authHeader(owner))
+      .send({ status: 'in_progress' })
+      .expect(200);
+    await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ priority: 'urgent', name: 'Fix the checkout crash' })
+      .expect(200);
+    await comment(task.id, { body: 'Handing over' }).expect(201);
+    await request(app)
+      .patch(`/api/tasks/${task.id}/assign`)
+      .set('Authorization', authHeader(owner))
+      .send({ owner_id: maya.id })
+      .expect(200);
+
+    const activity = await listActivity(task.id);
+    expect(activity.map(({ type }) => type)).toEqual(['created', 'status_changed', 'updated', 'commented', 'assigned']);
+    expect(activity.every(({ actor_id }) => actor_id === owner.id)).toBe(true);
+    expect(activity[1].changes).toEqual({ status: { from: 'pending', to: 'in_progress' } });
+    expect(activity[2].changes).toEqual({
+      name: { from: 'Fix checkout crash', to: 'Fix the checkout crash' },
+      priority: { from: 'medium', to: 'urgent' },
+    });
+    expect(activity[4].changes).toEqual({ owner_id: { from: owner.id, to: maya.id } });
+
+    await request(app)
+      .get(`/api/tasks/${task.id}/activity`)
+      .set('Authorization', authHeader(outsider))
+      .expect(403);
+  });
+});
@@ -0,0 +1,94 @@
+import request from 'supertest';
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject } from '../helpers/meetings.js';
+import { createTask } from '../helpers/tasks.js';
+import { taskRepository } from '../../repositories/index.js';
+
+const app = await createTestApp();
+
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+// Create a task without expecting it to succeed
+const postTask = (body, user) => {
+  return request(app)
+    .post('/api/tasks')
+    .set('Authorization', authHeader(user))
+    .send(body);
+};
+
+const addDependency = (taskId, blockerId, user = owner) => {
+  return request(app)
+    .post(`/api/tasks/${taskId}/dependencies`)
+    .set('Authorization', authHeader(user))
+    .send({ blocked_by: blockerId });
+};
+
+describe('subtasks', () => {
+  it('creates subtasks in their parent\'s project', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const parent = await createTask(app, owner, { name: 'Launch checkout', team: project.id });
+
+    const subtask = await createTask(app, member, { name: 'Write release notes', parent_id: parent.id });
+    expect(subtask).toMatchObject({ parent_id: parent.id, team: project.id });
+
+    const links = (await request(app)
+      .get(`/api/tasks/${parent.id}/dependencies`)
+      .set('Authorization', authHeader(member))
+      .expect(200)).body.data;
+    expect(links.subtasks.map(({ id }) => id)).toEqual([subtask.id]);
+  });
+
+  it('refuses a parent the user cannot access', async () => {
+    const project = await createProject(app, owner);
+    const parent = await createTask(app, owner, { name: 'Confidential launch', team: project.id });
+
+    await postTask({ name: 'Sneak in', parent_id: parent.id }, outsider).expect(403);
+    await postTask({ name: 'Orphan', parent_id: 'recmissing' }, outsider).expect(404);
+
+    const tasks = await taskRepository.list({ team: project.id });
+    expect(tasks.map(({ id }) => id)).toEqual([parent.id]);
+  });
+});
+
+describe('task dependencies', () => {
+  it('links tasks, refuses cycles and keeps blocked tasks open', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const [design, build] = await Promise.all(['Design', 'Build'].map(name => createTask(app, owner, { name, team: project.id })));
+
+    const blocked = (await addDependency(build.id, design.id).expect(201)).body.data.task;
+    expect(blocked.blocked_by).toEqual([design.id]);
+
+    await addDependency(design.id, build.id).expect(400);
+    await addDependency(build.id, design.id, member).expect(403);
+
+    await request(app)
+      .patch(`/api/tasks/${build.id}/status`)
+      .set('Authorization', authHeader(owner))
+      .send({ status: 'done' })
+      .expect(409);
+
+    const graph = (await request(app)
+      .get(`/api/projects/${project.id}/dependency-graph`)
+      .set('Authorization', authHeader(member))
+      .expect(200)).body.data;
+    expect(graph.edges).toEqual([{ from: design.id, to: build.id, type: 'blocks' }]);
+
+    await request(app)
+      .delete(`/api/tasks/${build.id}/dependencies/${design.id}`)
+      .set('Authorization', authHeader(owner))
+      .expect(200);
+    await request(app)
+      .patch(`/api/tasks/${build.id}/status`)
+      .set('Authorization', authHeader(owner))
+      .send({ status: 'done' })
+      .expect(200);
+
+    await request(app)
+      .get(`/api/projects/${project.id}/dependency-graph`)
+      .set('Authorization', authHeader(outsider))
+      .expect(403);
+  });
+});
@@ -0,0 +1,101 @@
+import request from 'supertest';
+import { describe, it, expect, afterAll, afterEach, jest } from '@jest/globals';
+import { createTestApp, addUser, authHeader } from '../helpers/testApp.js';
+import { createProject, uploadProcessedMeeting, removeUploadedRecordings } from '../helpers/meetings.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+
+const app = await createTestApp();
+
+const admin = addUser({ id: 'admin', role: 'project_admin' });
+const owner = addUser({ id: 'owner' });
+const member = addUser({ id: 'member' });
+const outsider = addUser({ id: 'outsider' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(removeUploadedRecordings);
+
+const designReview = {
+  name: 'Design review',
+  sections: [{ title: 'Designs Shown' }, { title: 'Feedback', instructions: 'grouped by screen' }],
+  instructions: 'Name the screens exactly.',
+  output_format: 'plain_text',
+};
+
+const createTemplate = (user, body) => {
+  return request(app).post('/api/templates').set('Authorization', authHeader(user)).send(body);
+};
+
+const listTemplateIds = async (user, query = '') => {
+  const res = await request(app).get(`/api/templates${query}`).set('Authorization', authHeader(user)).expect(200);
+  return res.body.data.templates.map(template => template.id);
+};
+
+describe('MOM templates', () => {
+  it('lists built-in templates first and project templates to project members only', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const created = await createTemplate(owner, { ...designReview, project_id: project.id }).expect(201);
+    const { template } = created.body.data;
+    expect(template).toMatchObject({ type: 'custom', created_by: owner.id });
+
+    const memberIds = await listTemplateIds(member);
+    // Client call, Daily stand-up, General meeting, Interview, Retrospective
+    expect(memberIds.slice(0, 5)).toEqual([
+      'builtin_client_call', 'builtin_standup', 'builtin_general', 'builtin_interview', 'builtin_retro',
+    ]);
+    expect(memberIds).toContain(template.id);
+    expect(await listTemplateIds(member, '?type=standup')).toEqual(['builtin_standup']);
+    expect(await listTemplateIds(outsider)).not.toContain(template.id);
+
+    await request(app).get(`/api/templates/${template.id}`).set('Authorization', authHeader(outsider)).expect(403);
+  });
+
+  it('limits who can change templates', async () => {
+    const project = await createProject(app, owner, { members: [member.id] });
+    const { template } = (await createTemplate(owner, { ...designReview, project_id: project.id })).body.data;
+
+    await createTemplate(owner, designReview).expect(403);
+    await createTemplate(outsider, { ...designReview, project_id: project.id }).expect(403);
+    await createTemplate(admin, designReview).expect(201);
+
+    await request(app).put('/api/templates/builtin_general').set('Authorization', authHeader(admin)).send({ name: 'Mine' }).expect(403);
+    await request(app).put(`/api/templates/${template.id}`).set('Authorization', authHeader(member)).send({ name: 'Mine' }).expect(403);
+
+    const updated = await request(app)
+      .put(`/api/templates/${template.id}`)
+      .set('Authorization', authHeader(owner))
+      .send({ name: 'Design crit' })
+      .expect(200);
+    expect(updated.body.data.template.name).toBe('Design crit');
+
+    await request(app).delete(`/api/templates/${template.id}`).set('Authorization', authHeader(owner)).expect(200);
+    await request(app).get(`/api/templates/${template.id}`).set('Authorization', authHeader(owner)).expect(404);
+  });
+
+  it('writes the MOM with the template chosen on upload', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+    const project = await createProject(app, owner);
+    const other = await createProject(app, owner);
+    const { template } = (await createTemplate(owner, { ...designReview, project_id: project.id })).body.data;
+
+    await uploadProcessedMeeting(app, owner, project.id, { template_id: template.id });
+
+    const momRequest = complete.mock.calls.find(([req]) => req.purpose === 'mom')[0];
+    const prompt = momRequest.messages[1].content;
+    expect(prompt).toContain('1. Designs Shown\n2. Feedback (grouped by screen)');
+    expect(prompt).toContain('Name the screens exactly.');
+    expect(prompt).toContain('Write "content" as plain text without Markdown');
+
+    const rejected = await request(app)
+      .post('/api/meetings/upload')
+      .set('Authorization', authHeader(owner))
+      .field('project_id', other.id)
+      .field('title', 'Sprint planning')
+      .field('template_id', template.id)
+      .attach('recording', Buffer.from('test audio'), { filename: 'meeting.mp3', contentType: 'audio/mpeg' })
+      .expect(400);
+    expect(rejected.body.error.message).toBe('This template belongs to another project');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { extractActionItems } from '../../services/aiService.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+
+const reply = (items) => JSON.stringify({ action_items: items });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('action item extraction', () => {
+  it('accepts replies wrapped in markdown fences or prose', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete')
+      .mockResolvedValueOnce(`Here are the action items:\n\`\`\`json\n${reply([{ task: 'Ship the beta' }])}\n\`\`\`\nLet me know!`);
+
+    const { actionItems, validationErrors } = await extractActionItems('transcript');
+
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(actionItems).toEqual([{
+      task: 'Ship the beta',
+      assignee: 'Not specified',
+      deadline: 'Not specified',
+      priority: 'medium',
+      category: 'General',
+    }]);
+    expect(validationErrors).toEqual([]);
+  });
+
+  it('normalises empty fields and capitalised priorities', async () => {
+    jest.spyOn(getAIProvider(), 'complete')
+      .mockResolvedValueOnce(reply([{ task: ' Fix login ', assignee: null, deadline: '', priority: 'High' }]));
+
+    const { actionItems } = await extractActionItems('transcript');
+
+    expect(actionItems[0]).toMatchObject({ task: 'Fix login', assignee: 'Not specified', priority: 'high' });
+  });
+
+  it('asks the model to repair an unparseable reply', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete')
+      .mockResolvedValueOnce('Sure! I found two tasks.')
+      .mockResolvedValueOnce(reply([{ task: 'Write the release notes' }]));
+
+    const { actionItems } = await extractActionItems('transcript');
+
+    expect(actionItems.map(item => item.task)).toEqual(['Write the release notes']);
+    const repairMessages = complete.mock.calls[1][0].messages;
+    expect(repairMessages.at(-2)).toEqual({ role: 'assistant', content: 'Sure! I found two tasks.' });
+    expect(repairMessages.at(-1).content).toContain('Your reply could not be parsed');
+  });
+
+  it('fails once the repaired reply is still unusable', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete').mockResolvedValue('{"items": []}');
+
+    await expect(extractActionItems('transcript')).rejects.toThrow('Failed to extract action items');
+    expect(complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports invalid items individually and keeps the valid ones', async () => {
+    const items = [
+      { task: 'Book the venue', priority: 'low' },
+      { assignee: 'Sam' },
+      { task: 'Order swag', priority: 'whenever' },
+    ];
+    jest.spyOn(getAIProvider(), 'complete').mockResolvedValueOnce(reply(items));
+
+    const { actionItems, validationErrors } = await extractActionItems('transcript');
+
+    expect(actionItems.map(item => item.task)).toEqual(['Book the venue']);
+    expect(validationErrors).toEqual([
+      { index: 1, item: items[1], errors: ['"[1].task" is required'] },
+      { index: 2, item: items[2], errors: ['"[2].priority" must be one of [low, medium, high, urgent]'] },
+    ]);
+  });
+});
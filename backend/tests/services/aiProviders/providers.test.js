@@ -0,0 +1,159 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { AI_PROVIDERS, getAIProviderName, getAIProvider } from '../../../services/aiProviders/index.js';
+import { createMockProvider } from '../../../services/aiProviders/mockProvider.js';
+import { createOpenAIProvider } from '../../../services/aiProviders/openaiProvider.js';
+
+const audio = (originalname) => ({ buffer: Buffer.from('audio'), originalname, mimetype: 'audio/mpeg' });
+
+describe('provider registry', () => {
+  const { AI_PROVIDER } = process.env;
+
+  afterEach(() => {
+    process.env.AI_PROVIDER = AI_PROVIDER;
+  });
+
+  it('reads AI_PROVIDER and defaults to mock under test', () => {
+    process.env.AI_PROVIDER = ' Local ';
+    expect(getAIProviderName()).toBe(AI_PROVIDERS.LOCAL);
+
+    delete process.env.AI_PROVIDER;
+    expect(getAIProviderName()).toBe(AI_PROVIDERS.MOCK);
+  });
+
+  it('creates the configured provider once', () => {
+    expect(getAIProvider().name).toBe('mock');
+    expect(getAIProvider()).toBe(getAIProvider());
+    expect(getAIProvider().isConfigured()).toBe(true);
+  });
+});
+
+describe('mock provider', () => {
+  let fixturesDir;
+  let provider;
+
+  const writeFixture = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(fixturesDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(fixturesDir, file), JSON.stringify(data));
+  };
+
+  beforeAll(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetmind-fixtures-'));
+    writeFixture('transcription.json', { text: 'Default transcript' });
+    writeFixture('transcriptions/interview.json', { text: 'Interview transcript' });
+    writeFixture('diarization.json', { segments: [{ speaker: 'A', start: 0, end: 1 }] });
+    writeFixture('completions.json', { mom: { overview: 'Structured' }, chat: 'Answer', default: 'Fallback' });
+    provider = createMockProvider({ fixturesDir });
+  });
+
+  afterAll(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('returns the default or per-recording transcription', async () => {
+    expect((await provider.transcribe(audio('standup.mp3'))).text).toBe('Default transcript');
+    expect((await provider.transcribe(audio('interview.mp3'))).text).toBe('Interview transcript');
+  });
+
+  it('only diarizes recordings it has turns for', async () => {
+    expect(await provider.diarize(audio('standup.mp3'))).toEqual([{ speaker: 'A', start: 0, end: 1 }]);
+    expect(await provider.diarize(audio('interview.mp3'))).toBeNull();
+  });
+
+  it('answers completions by purpose, as text', async () => {
+    expect(await provider.complete({ purpose: 'chat' })).toBe('Answer');
+    expect(JSON.parse(await provider.complete({ purpose: 'mom' }))).toEqual({ overview: 'Structured' });
+    expect(await provider.complete({ purpose: 'other' })).toBe('Fallback');
+  });
+
+  it('embeds text deterministically as unit vectors', async () => {
+    const [first, again, related, unrelated] = await provider.embed([
+      'Stripe payment integration',
+      'Stripe payment integration',
+      'payment integration with Stripe today',
+      'quarterly hiring plan',
+    ]);
+
+    const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+    expect(first).toEqual(again);
+    expect(dot(first, first)).toBeCloseTo(1, 6);
+    expect(dot(first, related)).toBeGreaterThan(dot(first, unrelated));
+  });
+
+  it('reports missing fixtures', async () => {
+    const empty = createMockProvider({ fixturesDir: path.join(fixturesDir, 'missing') });
+
+    expect(empty.isConfigured()).toBe(false);
+    await expect(empty.transcribe(audio('a.mp3'))).rejects.toThrow('No transcription fixture found');
+    await expect(empty.complete({ purpose: 'mom' })).rejects.toThrow('No completion fixture for purpose "mom"');
+  });
+});
+
+// The SDK asks for base64 embeddings unless told otherwise
+const encodeEmbedding = (values, format) => (
+  format === 'base64' ? Buffer.from(new Float32Array(values).buffer).toString('base64') : values
+);
+
+describe('OpenAI-compatible provider', () => {
+  let server;
+  let baseURL;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body || '{}');
+        requests.push({ url: req.url, body: payload });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(req.url.endsWith('/embeddings')
+          ? { data: [{ index: 0, embedding: encodeEmbedding([0.5, 0.25], payload.encoding_format) }] }
+          : { choices: [{ message: { role: 'assistant', content: 'Local reply' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('needs an API key for OpenAI and a base URL for local endpoints', () => {
+    expect(createOpenAIProvider({}).isConfigured()).toBe(false);
+    expect(createOpenAIProvider({ apiKey: 'sk-test' }).isConfigured()).toBe(true);
+    expect(createOpenAIProvider({ name: 'local', requireApiKey: false }).isConfigured()).toBe(false);
+    expect(createOpenAIProvider({ name: 'local', requireApiKey: false, baseURL }).isConfigured()).toBe(true);
+  });
+
+  it('sends completions and embeddings to the configured models', async () => {
+    const provider = createOpenAIProvider({
+      name: 'local',
+      baseURL,
+      requireApiKey: false,
+      models: { chat: 'llama3', embedding: 'nomic-embed-text', diarize: null },
+    });
+
+    const reply = await provider.complete({
+      purpose: 'mom',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 0.2,
+      maxTokens: 100,
+    });
+    const vectors = await provider.embed(['Hello']);
+
+    expect(reply).toBe('Local reply');
+    expect(vectors).toEqual([[0.5, 0.25]]);
+    expect(requests.map(({ url, body }) => [url, body.model])).toEqual([
+      ['/v1/chat/completions', 'llama3'],
+      ['/v1/embeddings', 'nomic-embed-text'],
+    ]);
+    expect(requests[0].body).toMatchObject({ temperature: 0.2, max_tokens: 100 });
+    expect(requests[0].body.purpose).toBeUndefined();
+    expect(await provider.diarize(audio('a.mp3'))).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp, addUser } from '../helpers/testApp.js';
+
+// The users table is the test app's in-memory stand-in for Supabase
+await createTestApp();
+const { scoreCandidate, matchAssignee, resolveAssignees } = await import('../../services/assigneeService.js');
+
+const john = { id: 'u-john', name: 'John Smith', email: 'john.smith@example.com' };
+const johnny = { id: 'u-johnny', name: 'John Appleseed', email: 'japple@example.com' };
+const priya = { id: 'u-priya', name: 'Priya Sharma', email: 'priya@example.com' };
+const jose = { id: 'u-jose', name: 'José Álvarez', email: 'jalvarez@example.com' };
+
+describe('scoreCandidate', () => {
+  it('is certain about an exact name or email', () => {
+    expect(scoreCandidate('john smith', john)).toBe(1);
+    expect(scoreCandidate('John.Smith@example.com', john)).toBe(1);
+  });
+
+  it('matches the email handle, initials, accents and typos', () => {
+    expect(scoreCandidate('john.smith', john)).toBe(0.95);
+    expect(scoreCandidate('J. Smith', john)).toBeGreaterThan(0.75);
+    expect(scoreCandidate('Jose Alvarez', jose)).toBe(1);
+    expect(scoreCandidate('Priya Sharmma', priya)).toBeGreaterThan(0.75);
+  });
+
+  it('scores a first name alone below a full name', () => {
+    const firstName = scoreCandidate('Priya', priya);
+    expect(firstName).toBeGreaterThan(0.75);
+    expect(firstName).toBeLessThan(scoreCandidate('Priya Sharma', priya));
+  });
+
+  it('does not match other people', () => {
+    expect(scoreCandidate('Priya', john)).toBeLessThan(0.4);
+    expect(scoreCandidate('', john)).toBe(0);
+  });
+});
+
+describe('matchAssignee', () => {
+  it('assigns a confident match and ranks suggestions', () => {
+    const match = matchAssignee('Priya', [john, priya]);
+
+    expect(match.user_id).toBe(priya.id);
+    expect(match.suggestions.map(suggestion => suggestion.user_id)).toEqual([priya.id]);
+  });
+
+  it('never auto-assigns when two people match equally well', () => {
+    const match = matchAssignee('John', [john, johnny]);
+
+    expect(match.user_id).toBeNull();
+    expect(match.confidence).toBeLessThan(0.5);
+    expect(match.suggestions.map(suggestion => suggestion.user_id).sort()).toEqual([john.id, johnny.id].sort());
+  });
+
+  it('takes the auto-assign threshold from the environment', () => {
+    try {
+      process.env.ASSIGNEE_MATCH_THRESHOLD = '0.99';
+      expect(matchAssignee('Priya', [john, priya]).user_id).toBeNull();
+    } finally {
+      delete process.env.ASSIGNEE_MATCH_THRESHOLD;
+    }
+  });
+
+  it('leaves unspecified assignees unresolved', () => {
+    for (const assignee of ['Not specified', 'TBD', '', undefined]) {
+      expect(matchAssignee(assignee, [john])).toEqual({ user_id: null, confidence: 0, suggestions: [] });
+    }
+  });
+});
+
+describe('resolveAssignees', () => {
+  it('matches against project members and meeting participants', async () => {
+    const owner = addUser({ id: 'owner', name: 'Olivia Owner' });
+    const member = addUser({ id: 'member', name: 'Marcus Lee' });
+    const guest = addUser({ id: 'guest', name: 'Grace Hopper', email: 'grace@example.com' });
+    addUser({ id: 'stranger', name: 'Sam Stranger' });
+
+    const resolutions = await resolveAssignees(
+      [{ assignee: 'Marcus' }, { assignee: 'Grace' }, { assignee: 'Sam Stranger' }, { assignee: 'Not specified' }],
+      { project: { created_by: owner.id, members: [member.id] }, participants: [guest.email] }
+    );
+
+    expect(resolutions.map(resolution => resolution.user_id)).toEqual([member.id, guest.id, null, null]);
+  });
+});
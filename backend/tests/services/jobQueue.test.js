@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { jobRepository } from '../../repositories/index.js';
+import { JOB_STATUS, calculateBackoff } from '../../models/jobModel.js';
+import { registerJobHandler, enqueueJob, pollJobs, recoverInterruptedJobs } from '../../services/jobQueue.js';
+
+// Make a retried job due again without waiting for its backoff
+const makeDue = (job) => jobRepository.update(job.id, { run_at: new Date(Date.now() - 1000).toISOString() });
+
+describe('calculateBackoff', () => {
+  it('doubles the delay per attempt up to the maximum', () => {
+    expect([1, 2, 3, 4].map(attempt => calculateBackoff(attempt, 1000, 5000))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('job queue', () => {
+  it('runs queued jobs and stores their result', async () => {
+    const seen = [];
+    registerJobHandler('test.echo', async (job) => {
+      seen.push(job.payload);
+      return { echoed: job.payload.value };
+    });
+
+    const job = await enqueueJob('test.echo', { value: 42 });
+    expect(job.status).toBe(JOB_STATUS.QUEUED);
+
+    await pollJobs();
+
+    const finished = await jobRepository.findById(job.id);
+    expect(seen).toEqual([{ value: 42 }]);
+    expect(finished).toMatchObject({ status: JOB_STATUS.SUCCEEDED, attempts: 1, result: { echoed: 42 } });
+    expect(finished.completed_at).toBeTruthy();
+  });
+
+  it('retries with backoff, keeping checkpoints, then fails and runs the failure hook', async () => {
+    const runs = [];
+    const failures = [];
+
+    registerJobHandler('test.flaky', async (job, context) => {
+      runs.push(context.hasCheckpoint('first'));
+      if (!context.hasCheckpoint('first')) {
+        await context.checkpoint('first', { done: true });
+      }
+      throw new Error(`attempt ${job.attempts} failed`);
+    }, {
+      onFailure: async (job, error) => failures.push([job.status, error.message]),
+    });
+
+    const job = await enqueueJob('test.flaky', {}, { maxAttempts: 2 });
+
+    await pollJobs();
+    const retried = await jobRepository.findById(job.id);
+    expect(retried.status).toBe(JOB_STATUS.QUEUED);
+    expect(retried.last_error).toBe('attempt 1 failed');
+    expect(new Date(retried.run_at).getTime()).toBeGreaterThan(Date.now());
+    expect(retried.checkpoints.first.data).toEqual({ done: true });
+
+    // Not due yet: polling leaves it alone
+    await pollJobs();
+    expect(runs).toEqual([false]);
+
+    await makeDue(retried);
+    await pollJobs();
+
+    const failed = await jobRepository.findById(job.id);
+    expect(runs).toEqual([false, true]);
+    expect(failed).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 2, last_error: 'attempt 2 failed' });
+    expect(failures).toEqual([[JOB_STATUS.FAILED, 'attempt 2 failed']]);
+  });
+
+  it('fails jobs without a registered handler', async () => {
+    const job = await enqueueJob('test.unknown', {});
+
+    await pollJobs();
+
+    expect(await jobRepository.findById(job.id)).toMatchObject({
+      status: JOB_STATUS.FAILED,
+      last_error: 'No handler registered for job type: test.unknown',
+    });
+  });
+
+  it('re-queues jobs left running by a previous process', async () => {
+    const job = await jobRepository.create({ type: 'test.echo', payload: { value: 1 }, max_attempts: 3 });
+    await jobRepository.update(job.id, { status: JOB_STATUS.RUNNING, attempts: 1 });
+
+    expect(await recoverInterruptedJobs()).toBe(1);
+    expect((await jobRepository.findById(job.id)).status).toBe(JOB_STATUS.QUEUED);
+
+    await pollJobs();
+    expect(await jobRepository.findById(job.id)).toMatchObject({ status: JOB_STATUS.SUCCEEDED, attempts: 2 });
+  });
+
+  describe('settings', () => {
+    afterEach(() => {
+      delete process.env.JOB_MAX_ATTEMPTS;
+      delete process.env.JOB_BACKOFF_BASE_MS;
+    });
+
+    // .env is loaded after the modules are imported
+    it('reads the attempt and backoff settings when jobs are queued and retried', async () => {
+      process.env.JOB_MAX_ATTEMPTS = '5';
+      process.env.JOB_BACKOFF_BASE_MS = String(60 * 60 * 1000);
+      registerJobHandler('test.failing', async () => {
+        throw new Error('always fails');
+      });
+
+      const job = await enqueueJob('test.failing', {});
+      expect(job.max_attempts).toBe(5);
+
+      const before = Date.now();
+      await pollJobs();
+      const retried = await jobRepository.findById(job.id);
+      expect(new Date(retried.run_at).getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+    });
+  });
+});
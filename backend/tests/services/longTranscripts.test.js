@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { generateMOM, extractActionItems, generateEmailSummary } from '../../services/aiService.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+
+// About 7,500 estimated tokens: over the 5,000 token single-prompt budget
+const longTranscript = Array.from(
+  { length: 500 },
+  (_, index) => `Point ${index}: Priya walks the team through the checkout redesign.`
+).join(' ');
+
+const purposes = (spy) => spy.mock.calls.map(([request]) => request.purpose);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.AI_MAX_INPUT_TOKENS;
+});
+
+describe('long transcripts', () => {
+  it('writes the MOM of a short meeting from the transcript itself', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    await generateMOM('Short meeting transcript.', 'Standup');
+
+    expect(purposes(complete)).toEqual(['mom']);
+    expect(complete.mock.calls[0][0].messages[1].content).toContain('Short meeting transcript.');
+  });
+
+  it('takes the single-prompt budget from the environment', async () => {
+    process.env.AI_MAX_INPUT_TOKENS = '10000';
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    await generateMOM(longTranscript, 'Planning');
+
+    expect(purposes(complete)).toEqual(['mom']);
+  });
+
+  it('writes the MOM of a long meeting from per-chunk notes', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    const { structured } = await generateMOM(longTranscript, 'Planning', ['Priya']);
+
+    const notes = purposes(complete).filter(purpose => purpose === 'chunk_notes');
+    expect(notes.length).toBeGreaterThan(1);
+    expect(purposes(complete).at(-1)).toBe('mom');
+
+    const momPrompt = complete.mock.calls.at(-1)[0].messages[1].content;
+    expect(momPrompt).toContain('Meeting Notes (taken in order from consecutive parts of a long transcript)');
+    expect(momPrompt).toContain('Part 1:');
+    expect(momPrompt).not.toContain('Point 499');
+    expect(structured.decisions).toHaveLength(1);
+  });
+
+  it('extracts action items per chunk and merges near-duplicates', async () => {
+    const replies = [
+      { action_items: [{ task: 'Finish the payment form validation', assignee: 'Not specified', deadline: 'Friday', priority: 'medium' }] },
+      { action_items: [
+        { task: 'Finish the payment form validation work', assignee: 'Priya', deadline: 'Not specified', priority: 'high', category: 'Development' },
+        { task: 'Update the API documentation', assignee: 'Marco', deadline: 'next week', priority: 'low' },
+      ] },
+    ];
+    const complete = jest.spyOn(getAIProvider(), 'complete')
+      .mockImplementation(async () => JSON.stringify(replies[Math.min(complete.mock.calls.length - 1, 1)]));
+
+    const { actionItems, validationErrors } = await extractActionItems(longTranscript);
+
+    expect(complete.mock.calls.length).toBeGreaterThan(1);
+    expect(complete.mock.calls[0][0].messages[1].content).toMatch(/This is part 1 of \d+ of a long meeting/);
+    expect(validationErrors).toEqual([]);
+    expect(actionItems).toEqual([
+      {
+        task: 'Finish the payment form validation work',
+        assignee: 'Priya',
+        deadline: 'Friday',
+        priority: 'high',
+        category: 'General',
+      },
+      { task: 'Update the API documentation', assignee: 'Marco', deadline: 'next week', priority: 'low', category: 'General' },
+    ]);
+  });
+
+  it('condenses very long minutes before writing the email summary', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete');
+
+    await generateEmailSummary(longTranscript, []);
+
+    expect(purposes(complete).filter(purpose => purpose === 'chunk_notes').length).toBeGreaterThan(1);
+    expect(purposes(complete).at(-1)).toBe('email_summary');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { generateMOM } from '../../services/aiService.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('structured MOM generation', () => {
+  it('stores the MOM as structured fields with a rendered view', async () => {
+    const { mom, structured } = await generateMOM('Transcript', 'Sprint planning', ['Priya', 'Marco']);
+
+    expect(structured.decisions).toEqual([{
+      decision: 'Drop the legacy PayPal flow and support only the new Stripe integration',
+      rationale: 'Maintaining both payment flows slows down the redesign',
+      owner: 'Priya',
+    }]);
+    expect(structured.next_meeting).toBe('Next Tuesday at 10:00 to review progress');
+    expect(mom.startsWith('# Minutes of Meeting: Sprint planning\n\n## Meeting Overview')).toBe(true);
+    expect(mom).toContain('## Action Items\n- Priya: finish payment form validation by Friday.');
+  });
+
+  it('accepts plain strings where objects are expected', async () => {
+    jest.spyOn(getAIProvider(), 'complete').mockResolvedValueOnce(JSON.stringify({
+      overview: 'Short sync',
+      decisions: ['Freeze the API'],
+      risks: ['Vendor delay'],
+      extra: 'dropped',
+    }));
+
+    const { structured } = await generateMOM('Transcript', 'Sync');
+
+    expect(structured).toMatchObject({
+      decisions: [{ decision: 'Freeze the API', rationale: '', owner: '' }],
+      risks: [{ risk: 'Vendor delay', mitigation: '' }],
+      attendees: [],
+      next_meeting: null,
+    });
+    expect(structured.extra).toBeUndefined();
+  });
+
+  it('asks the model to repair a MOM that does not match the schema', async () => {
+    const complete = jest.spyOn(getAIProvider(), 'complete')
+      .mockResolvedValueOnce(JSON.stringify({ overview: 'Sync', decisions: [{ rationale: 'No decision text' }] }))
+      .mockResolvedValueOnce(JSON.stringify({ overview: 'Sync', decisions: [{ decision: 'Freeze the API' }] }));
+
+    const { structured } = await generateMOM('Transcript', 'Sync');
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(complete.mock.calls[1][0].messages.at(-1).content).toContain('"decisions[0].decision" is required');
+    expect(structured.decisions[0].decision).toBe('Freeze the API');
+  });
+});
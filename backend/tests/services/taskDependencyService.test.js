@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import { createTestApp } from '../helpers/testApp.js';
+import { taskRepository } from '../../repositories/index.js';
+
+// The activity timeline resolves users through the Supabase stand-in
+await createTestApp();
+const { addTaskDependency, assertValidParent, assertCanClose } = await import('../../services/taskDependencyService.js');
+
+const createTasks = (team, names) => taskRepository.createMany(names.map(name => ({ name, owner_id: 'owner', team })));
+
+// Reload a task, as the routes do before each change
+const reload = (task) => taskRepository.findById(task.id);
+
+describe('dependency cycles', () => {
+  it('refuses a dependency that closes a chain of blockers, naming the path', async () => {
+    const [design, build, ship] = await createTasks('recCycles', ['Design', 'Build', 'Ship']);
+
+    await addTaskDependency(build, design.id, 'owner');
+    await addTaskDependency(await reload(ship), build.id, 'owner');
+
+    await expect(addTaskDependency(await reload(design), ship.id, 'owner'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This dependency would create a cycle: Ship → Build → Design → Ship' });
+    await expect(addTaskDependency(await reload(design), design.id, 'owner'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'A task cannot block itself' });
+    await expect(addTaskDependency(await reload(ship), build.id, 'owner'))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    // A diamond is not a cycle
+    const updated = await addTaskDependency(await reload(ship), design.id, 'owner');
+    expect(updated.blocked_by).toEqual([build.id, design.id]);
+  });
+
+  it('only links tasks of the same project', async () => {
+    const [task] = await createTasks('recProjectA', ['Write specs']);
+    const [other] = await createTasks('recProjectB', ['Review specs']);
+
+    await expect(addTaskDependency(task, other.id, 'owner'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Tasks can only be linked to tasks of the same project' });
+    await expect(addTaskDependency(task, 'recmissing', 'owner'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a parent that is the task itself or one of its subtasks', async () => {
+    const [epic, story] = await createTasks('recParents', ['Epic', 'Story']);
+    const subtask = await taskRepository.create({ name: 'Subtask', owner_id: 'owner', team: 'recParents', parent_id: story.id });
+    await taskRepository.update(story.id, { parent_id: epic.id });
+
+    await expect(assertValidParent(epic, epic.id)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(assertValidParent(epic, subtask.id))
+      .rejects.toMatchObject({ statusCode: 400, message: '"Subtask" is a subtask of this task and cannot be its parent' });
+    expect((await assertValidParent(subtask, epic.id)).id).toBe(epic.id);
+  });
+});
+
+describe('assertCanClose', () => {
+  it('blocks closing while a blocker is open', async () => {
+    const [blocker, blocked] = await createTasks('recClose', ['Blocker', 'Blocked']);
+    await addTaskDependency(blocked, blocker.id, 'owner');
+
+    await expect(assertCanClose(await reload(blocked))).rejects.toMatchObject({ statusCode: 409 });
+
+    await taskRepository.update(blocker.id, { status: 'cancelled' });
+    await expect(assertCanClose(await reload(blocked))).resolves.toBeUndefined();
+  });
+});
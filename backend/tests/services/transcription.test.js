@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { transcribeAudio, diarizeAudio } from '../../services/aiService.js';
+import { getAIProvider } from '../../services/aiProviders/index.js';
+import { makeWav } from '../helpers/audio.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transcribeAudio', () => {
+  it('transcribes small recordings in one request', async () => {
+    const transcription = await transcribeAudio({ buffer: makeWav(1), originalname: 'meeting.wav', mimetype: 'audio/wav' });
+
+    expect(transcription.text).toMatch(/^Good morning everyone/);
+    expect(transcription.duration).toBe(42);
+  });
+
+  it('transcribes recordings over 25MB chunk by chunk on one timeline', async () => {
+    // 1,700 seconds of 8kHz audio is about 26MB: chunks start at 0s, 595s and 1,190s
+    const file = { buffer: makeWav(1700), originalname: 'meeting.wav', mimetype: 'audio/wav' };
+
+    const transcription = await transcribeAudio(file);
+
+    const starts = transcription.segments.map(segment => segment.start);
+    expect(starts).toEqual([...starts].sort((a, b) => a - b));
+    expect(starts.some(start => start >= 1190)).toBe(true);
+    expect(transcription.segments.map(segment => segment.id)).toEqual(starts.map((_, index) => index));
+    expect(transcription.duration).toBeCloseTo(1190 + 42, 0);
+  });
+});
+
+describe('diarizeAudio', () => {
+  it('diarizes small recordings in one request', async () => {
+    const diarize = jest.spyOn(getAIProvider(), 'diarize');
+
+    const turns = await diarizeAudio({ buffer: makeWav(1), originalname: 'meeting.wav', mimetype: 'audio/wav' });
+
+    expect(diarize).toHaveBeenCalledTimes(1);
+    expect(turns[0]).toEqual({ speaker: 'A', start: 0, end: 14.6 });
+  });
+
+  it('diarizes recordings over 25MB chunk by chunk with shared speaker labels', async () => {
+    // Each chunk hears its own two speakers; the second carries on from the previous chunk's last
+    const diarize = jest.spyOn(getAIProvider(), 'diarize').mockImplementation(async (chunk) => {
+      const length = chunk.end - chunk.start;
+      return [{ speaker: 'first', start: 0, end: length / 2 }, { speaker: 'second', start: length / 2, end: length }];
+    });
+
+    const turns = await diarizeAudio({ buffer: makeWav(1700), originalname: 'meeting.wav', mimetype: 'audio/wav' });
+
+    expect(diarize.mock.calls.map(([chunk]) => chunk.start)).toEqual([0, 595, 1190]);
+    expect(turns.map(({ speaker, start, end }) => [speaker, start, end])).toEqual([
+      ['SPEAKER_1', 0, 300],
+      ['SPEAKER_2', 300, 597.5],
+      ['SPEAKER_2', 597.5, 895],
+      ['SPEAKER_3', 895, 1192.5],
+      ['SPEAKER_3', 1192.5, 1445],
+      ['SPEAKER_4', 1445, 1700],
+    ]);
+  });
+
+  it('returns null when the provider cannot diarize', async () => {
+    jest.spyOn(getAIProvider(), 'diarize').mockResolvedValue(null);
+
+    expect(await diarizeAudio({ buffer: makeWav(1700), originalname: 'meeting.wav', mimetype: 'audio/wav' })).toBeNull();
+  });
+});
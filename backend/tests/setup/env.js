@@ -0,0 +1,30 @@
+// Environment for every test file: a fresh local JSON store and vector index
+// in the temp directory, the deterministic mock AI provider, and no Airtable,
+// Supabase admin or Google Cloud credentials.
+
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const runId = crypto.randomUUID();
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DRIVER = 'local';
+process.env.LOCAL_DATA_PATH = path.join(os.tmpdir(), `meetmind-test-${runId}.json`);
+process.env.SEARCH_INDEX_PATH = path.join(os.tmpdir(), `meetmind-test-${runId}-index.json`);
+process.env.AI_PROVIDER = 'mock';
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+[
+  'SUPABASE_SERVICE_KEY',
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'GOOGLE_CLOUD_PROJECT_ID',
+  'GOOGLE_CLOUD_BUCKET_NAME',
+  'OPENAI_API_KEY',
+  'DEFAULT_TRANSCRIPTION_LANGUAGE',
+  'DEFAULT_TIMEZONE',
+].forEach(name => delete process.env[name]);
@@ -0,0 +1,13 @@
+import fs from 'fs';
+import { afterAll } from '@jest/globals';
+import logger from '../../utils/logger.js';
+
+// Expected failures are part of the tests; keep their log lines out of the output
+logger.silent = true;
+
+afterAll(() => {
+  [process.env.LOCAL_DATA_PATH, process.env.SEARCH_INDEX_PATH].forEach(filePath => {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.tmp`, { force: true });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { needsChunking, splitAudio, mergeTranscriptions, mergeDiarizations, WHISPER_MAX_BYTES } from '../../utils/audioChunker.js';
+import { makeWav, makeMp3, MP3_FRAME_BYTES, MP3_FRAME_SECONDS } from '../helpers/audio.js';
+
+const segment = (start, end, text) => ({ start, end, text: ` ${text}` });
+
+describe('needsChunking', () => {
+  it('splits only recordings over the Whisper limit', () => {
+    expect(needsChunking({ buffer: Buffer.alloc(10) })).toBe(false);
+    expect(needsChunking({ buffer: Buffer.alloc(10) }, 5)).toBe(true);
+    expect(WHISPER_MAX_BYTES).toBe(25 * 1024 * 1024);
+  });
+});
+
+describe('splitAudio', () => {
+  it('splits WAV recordings into overlapping chunks that are valid WAV files', async () => {
+    const file = { buffer: makeWav(10), originalname: 'standup.wav', mimetype: 'audio/wav' };
+
+    const chunks = await splitAudio(file, { chunkSeconds: 4, overlapSeconds: 1 });
+
+    expect(chunks.map(({ start, end }) => [start, end])).toEqual([[0, 4], [3, 7], [6, 10]]);
+    expect(chunks.map(chunk => chunk.originalname)).toEqual(['standup-part1.wav', 'standup-part2.wav', 'standup-part3.wav']);
+    chunks.forEach(chunk => {
+      expect(chunk.mimetype).toBe('audio/wav');
+      expect(chunk.buffer.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(chunk.buffer.readUInt32LE(40)).toBe((chunk.end - chunk.start) * 16000);
+    });
+  });
+
+  describe('settings', () => {
+    afterEach(() => {
+      delete process.env.TRANSCRIBE_CHUNK_SECONDS;
+      delete process.env.TRANSCRIBE_CHUNK_OVERLAP_SECONDS;
+    });
+
+    it('defaults the chunk length and overlap from the environment', async () => {
+      process.env.TRANSCRIBE_CHUNK_SECONDS = '5';
+      process.env.TRANSCRIBE_CHUNK_OVERLAP_SECONDS = '2';
+      const file = { buffer: makeWav(10), originalname: 'standup.wav', mimetype: 'audio/wav' };
+
+      const chunks = await splitAudio(file);
+
+      expect(chunks.map(({ start, end }) => [start, end])).toEqual([[0, 5], [3, 8], [6, 10]]);
+    });
+  });
+
+  it('keeps WAV chunks under the byte limit', async () => {
+    const file = { buffer: makeWav(10), originalname: 'a.wav', mimetype: 'audio/wav' };
+
+    const chunks = await splitAudio(file, { maxBytes: 40 * 1024, chunkSeconds: 600, overlapSeconds: 0 });
+
+    expect(chunks.length).toBe(5);
+    chunks.forEach(chunk => expect(chunk.buffer.length).toBeLessThanOrEqual(40 * 1024));
+  });
+
+  it('splits MP3 recordings on frame boundaries, skipping an ID3 tag', async () => {
+    const file = { buffer: makeMp3(100, { id3: true }), originalname: 'call.mp3', mimetype: 'audio/mpeg' };
+
+    const chunks = await splitAudio(file, { chunkSeconds: 1, overlapSeconds: 0.2 });
+
+    expect(chunks.length).toBe(3);
+    expect(chunks[0].start).toBe(0);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.buffer[0]).toBe(0xff);
+      expect(chunk.buffer.length % MP3_FRAME_BYTES).toBe(0);
+      expect(chunk.end - chunk.start).toBeLessThanOrEqual(1);
+      if (index > 0) {
+        const overlap = chunks[index - 1].end - chunk.start;
+        expect(overlap).toBeGreaterThanOrEqual(0.2 - MP3_FRAME_SECONDS);
+        expect(overlap).toBeLessThanOrEqual(0.2 + MP3_FRAME_SECONDS);
+      }
+    });
+    expect(chunks[2].end).toBeCloseTo(100 * MP3_FRAME_SECONDS, 6);
+  });
+
+  it('rejects recordings it cannot read', async () => {
+    await expect(splitAudio({ buffer: Buffer.from('not audio'), mimetype: 'audio/wav' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(splitAudio({ buffer: Buffer.from('not audio'), mimetype: 'audio/mpeg' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('mergeTranscriptions', () => {
+  it('returns a single transcription unchanged', () => {
+    const transcription = { text: 'Hello', segments: [segment(0, 1, 'Hello')] };
+
+    expect(mergeTranscriptions([{ chunk: { start: 0, end: 1 }, transcription }])).toBe(transcription);
+  });
+
+  it('shifts chunks onto the original timeline and cuts overlaps at their midpoint', () => {
+    const merged = mergeTranscriptions([
+      {
+        chunk: { start: 0, end: 10 },
+        transcription: {
+          language: 'english',
+          segments: [segment(0, 4, 'One.'), segment(4, 7.5, 'Two.'), segment(8.5, 10, 'Three')],
+          words: [{ word: 'One', start: 0, end: 1 }, { word: 'Three', start: 8.5, end: 9 }],
+        },
+      },
+      {
+        chunk: { start: 8, end: 20 },
+        transcription: {
+          duration: 12,
+          segments: [segment(0.5, 2, 'Three again.'), segment(2, 6, 'Four.')],
+          words: [{ word: 'again', start: 0.9, end: 1.5 }, { word: 'Four', start: 2, end: 3 }],
+        },
+      },
+    ]);
+
+    // The overlap runs from 8s to 10s, so the cut is at 9s
+    expect(merged.segments.map(({ id, start, end, text }) => [id, start, end, text.trim()])).toEqual([
+      [0, 0, 4, 'One.'],
+      [1, 4, 7.5, 'Two.'],
+      [2, 8.5, 10, 'Three'],
+      [3, 10, 14, 'Four.'],
+    ]);
+    expect(merged.words.map(word => [word.word, word.start])).toEqual([['One', 0], ['Three', 8.5], ['Four', 10]]);
+    expect(merged.text).toBe('One. Two. Three Four.');
+    expect(merged.duration).toBe(20);
+    expect(merged.language).toBe('english');
+  });
+
+  it('falls back to the chunk text when there are no segments', () => {
+    const merged = mergeTranscriptions([
+      { chunk: { start: 0, end: 10 }, transcription: { text: 'First part.' } },
+      { chunk: { start: 9, end: 15 }, transcription: { text: 'Second part.' } },
+    ]);
+
+    expect(merged.text).toBe('First part. Second part.');
+    expect(merged.segments).toEqual([]);
+  });
+});
+
+describe('mergeDiarizations', () => {
+  const turn = (speaker, start, end) => ({ speaker, start, end });
+
+  it('returns a single diarization unchanged', () => {
+    const turns = [turn('A', 0, 5)];
+
+    expect(mergeDiarizations([{ chunk: { start: 0, end: 5 }, turns }])).toBe(turns);
+  });
+
+  it('carries speakers across chunks through the audio they share', () => {
+    const merged = mergeDiarizations([
+      { chunk: { start: 0, end: 10 }, turns: [turn('A', 0, 6), turn('B', 6, 10)] },
+      // Chunk labels are independent: here "A" is the first chunk's B
+      { chunk: { start: 8, end: 20 }, turns: [turn('A', 0, 2), turn('B', 2, 12)] },
+      { chunk: { start: 18, end: 25 }, turns: [turn('X', 0, 4), turn('Y', 4, 7)] },
+    ]);
+
+    // Overlaps are cut at 9s and 19s
+    expect(merged).toEqual([
+      turn('SPEAKER_1', 0, 6),
+      turn('SPEAKER_2', 6, 9),
+      turn('SPEAKER_2', 9, 10),
+      turn('SPEAKER_3', 10, 19),
+      turn('SPEAKER_3', 19, 22),
+      turn('SPEAKER_4', 22, 25),
+    ]);
+  });
+
+  it('pairs the speakers who overlap the longest', () => {
+    const merged = mergeDiarizations([
+      { chunk: { start: 0, end: 10 }, turns: [turn('A', 0, 5), turn('B', 5, 10)] },
+      { chunk: { start: 4, end: 14 }, turns: [turn('P', 0, 1.5), turn('Q', 1.5, 10)] },
+    ]);
+
+    // In the shared 4s-10s, Q talks over B for 4.5s and over A for 0.5s
+    expect(merged.map(({ speaker }) => speaker)).toEqual(['SPEAKER_1', 'SPEAKER_2', 'SPEAKER_2']);
+  });
+});
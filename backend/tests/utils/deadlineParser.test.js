@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { parseDeadline, isValidTimeZone, getDefaultTimeZone } from '../../utils/deadlineParser.js';
+
+// Wednesday 11 March 2026, mid-afternoon UTC
+const referenceDate = '2026-03-11T15:00:00Z';
+
+const dateOf = (phrase, options = {}) => parseDeadline(phrase, { referenceDate, ...options }).date;
+
+describe('parseDeadline', () => {
+  it.each([
+    ['2026-04-01', '2026-04-01'],
+    ['today', '2026-03-11'],
+    ['by EOD', '2026-03-11'],
+    ['tomorrow morning', '2026-03-12'],
+    ['the day after tomorrow', '2026-03-13'],
+    ['Friday', '2026-03-13'],
+    ['this coming Wednesday', '2026-03-11'],
+    ['Tuesday next week', '2026-03-17'],
+    ['end of week', '2026-03-13'],
+    ['end of next week', '2026-03-20'],
+    ['in two weeks', '2026-03-25'],
+    ['within 3 business days', '2026-03-16'],
+    ['couple of days from now', '2026-03-13'],
+    ['in 1 month', '2026-04-11'],
+    ['end of month', '2026-03-31'],
+    ['end of next month', '2026-04-30'],
+    ['end of February', '2027-02-28'],
+    ['EOQ', '2026-03-31'],
+    ['Q1', '2026-03-31'],
+    ['end of Q3', '2026-09-30'],
+    ['year end', '2026-12-31'],
+    ['before 20th March', '2026-03-20'],
+    ['March 2', '2027-03-02'],
+    ['Mon, April 6th, 2026', '2026-04-06'],
+    ['25/12', '2026-12-25'],
+    ['12/25/26', '2026-12-25'],
+  ])('resolves "%s" to %s', (phrase, expected) => {
+    expect(parseDeadline(phrase, { referenceDate })).toEqual({
+      date: expected,
+      original: phrase,
+      ambiguous: false,
+      reason: null,
+    });
+  });
+
+  it.each([
+    ['next Friday', '2026-03-20', 'could mean this coming friday'],
+    ['next week', '2026-03-20', 'assumed Friday'],
+    ['next month', '2026-04-30', 'assumed the last day of the month'],
+    ['end of sprint', '2026-03-25', 'assumed 14-day sprints'],
+    ['next sprint', '2026-04-08', 'assumed 14-day sprints'],
+    ['4/5', '2026-04-05', 'assumed month/day'],
+    ['ASAP', null, 'No specific date given'],
+    ['when the budget is approved', null, 'could not be understood'],
+  ])('flags "%s" for review with a best guess of %s', (phrase, expected, reason) => {
+    const deadline = parseDeadline(phrase, { referenceDate });
+
+    expect(deadline).toMatchObject({ date: expected, original: phrase, ambiguous: true });
+    expect(deadline.reason).toContain(reason);
+  });
+
+  it('treats missing deadlines as no deadline', () => {
+    for (const phrase of ['Not specified', 'TBD', '', undefined]) {
+      expect(parseDeadline(phrase, { referenceDate })).toEqual({ date: null, original: null, ambiguous: false, reason: null });
+    }
+  });
+
+  it('rejects impossible calendar dates', () => {
+    expect(parseDeadline('31/02', { referenceDate })).toMatchObject({ date: null, ambiguous: true });
+  });
+
+  it('resolves against the meeting day in the project timezone', () => {
+    // Still Wednesday in Los Angeles, already Thursday in Tokyo
+    const lateEvening = '2026-03-11T23:30:00Z';
+
+    expect(dateOf('tomorrow', { referenceDate: lateEvening, timeZone: 'America/Los_Angeles' })).toBe('2026-03-12');
+    expect(dateOf('tomorrow', { referenceDate: lateEvening, timeZone: 'Asia/Tokyo' })).toBe('2026-03-13');
+    expect(dateOf('tomorrow', { referenceDate: lateEvening, timeZone: 'Not/AZone' })).toBe('2026-03-12');
+  });
+
+  it('uses the configured sprint length', () => {
+    expect(dateOf('end of sprint', { sprintLengthDays: 7 })).toBe('2026-03-18');
+  });
+
+  describe('defaults from the environment', () => {
+    const lateEvening = '2026-03-11T23:30:00Z';
+
+    afterEach(() => {
+      delete process.env.DEFAULT_TIMEZONE;
+      delete process.env.DEFAULT_SPRINT_LENGTH_DAYS;
+    });
+
+    // .env is loaded after the modules are imported
+    it('reads DEFAULT_TIMEZONE and DEFAULT_SPRINT_LENGTH_DAYS on each call', () => {
+      process.env.DEFAULT_TIMEZONE = 'Asia/Tokyo';
+      process.env.DEFAULT_SPRINT_LENGTH_DAYS = '7';
+
+      expect(dateOf('tomorrow', { referenceDate: lateEvening })).toBe('2026-03-13');
+      expect(dateOf('end of sprint', { timeZone: 'UTC' })).toBe('2026-03-18');
+    });
+
+    it('falls back to UTC for an unknown DEFAULT_TIMEZONE', () => {
+      process.env.DEFAULT_TIMEZONE = 'Not/AZone';
+
+      expect(getDefaultTimeZone()).toBe('UTC');
+      expect(dateOf('tomorrow', { referenceDate: lateEvening })).toBe('2026-03-12');
+    });
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { renderMom } from '../../utils/momRenderer.js';
+import { validateStructuredMom } from '../../models/momModel.js';
+
+const mom = validateStructuredMom({
+  overview: 'Checkout planning.',
+  attendees: ['Priya', 'Marco'],
+  discussion_points: [{ topic: 'Validation', summary: 'Blocking the release.' }],
+  decisions: [{ decision: 'Ship Stripe only', rationale: 'Less to maintain', owner: 'Priya' }],
+  risks: [{ risk: 'Release slips' }],
+}).value;
+
+describe('renderMom', () => {
+  it('renders the default sections as Markdown', () => {
+    const rendered = renderMom(mom, { title: 'Sprint planning' });
+
+    expect(rendered.split('\n\n').slice(0, 4)).toEqual([
+      '# Minutes of Meeting: Sprint planning',
+      '## Meeting Overview\nCheckout planning.',
+      '## Attendees\n- Priya\n- Marco',
+      '## Key Discussion Points\n- **Validation**: Blocking the release.',
+    ]);
+    expect(rendered).toContain('## Decisions Made\n- Ship Stripe only (Priya)\n  Rationale: Less to maintain');
+    expect(rendered).toContain('## Risks and Open Issues\n- Release slips');
+    expect(rendered).toContain('## Next Steps\nNone recorded.');
+    expect(rendered.endsWith('## Next Meeting\nNone recorded.')).toBe(true);
+  });
+
+  it('follows template sections and renders plain text', () => {
+    const rendered = renderMom({
+      ...mom,
+      sections: [
+        { title: 'Who', field: 'attendees', content: '' },
+        { title: 'Feedback', field: null, content: 'Users liked the new form.' },
+        { title: 'Parking lot', field: null, content: '' },
+      ],
+    }, { outputFormat: 'plain_text' });
+
+    expect(rendered).toBe([
+      'MINUTES OF MEETING',
+      'WHO\n- Priya\n- Marco',
+      'FEEDBACK\nUsers liked the new form.',
+      'PARKING LOT\nNone recorded.',
+    ].join('\n\n'));
+  });
+});
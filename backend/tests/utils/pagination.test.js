@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import { paginate, validatePagination, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } from '../../utils/pagination.js';
+
+const items = [
+  { id: 'rec3', date: '2026-03-01' },
+  { id: 'rec1', date: '2026-03-02' },
+  { id: 'rec2', date: '2026-03-02' },
+  { id: 'rec4' },
+  { id: 'rec5', date: '2026-02-01' },
+];
+
+const byDate = [{ field: 'date', direction: 'desc' }];
+
+// Every page of a list, following next_cursor
+const allPages = (list, options) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = paginate(list, { ...options, cursor });
+    pages.push(page.items.map(({ id }) => id));
+    cursor = page.pagination.next_cursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('paginate', () => {
+  it('sorts on the sort keys with the id as tie-breaker and empty values last', () => {
+    expect(allPages(items, { sort: byDate, limit: 2 })).toEqual([['rec1', 'rec2'], ['rec3', 'rec5'], ['rec4']]);
+    expect(allPages(items, { sort: [{ field: 'date', direction: 'asc' }], limit: 10 })).toEqual([['rec5', 'rec3', 'rec1', 'rec2', 'rec4']]);
+  });
+
+  it('reports the total and a null next_cursor on the last page', () => {
+    const first = paginate(items, { sort: byDate, limit: 3 });
+    expect(first.pagination).toMatchObject({ limit: 3, total: 5 });
+    expect(first.pagination.next_cursor).toEqual(expect.any(String));
+
+    const last = paginate(items, { sort: byDate, limit: 3, cursor: first.pagination.next_cursor });
+    expect(last.items.map(({ id }) => id)).toEqual(['rec5', 'rec4']);
+    expect(last.pagination).toEqual({ limit: 3, total: 5, next_cursor: null });
+
+    expect(paginate([], { sort: byDate }).pagination).toEqual({ limit: DEFAULT_PAGE_LIMIT, total: 0, next_cursor: null });
+  });
+
+  it('pages past records whose sort values are empty', () => {
+    const undated = [{ id: 'rec1' }, { id: 'rec2', date: null }, { id: 'rec3' }];
+
+    expect(allPages(undated, { sort: byDate, limit: 1 })).toEqual([['rec1'], ['rec2'], ['rec3']]);
+  });
+
+  it('does not shift pages when records are added or removed in between', () => {
+    const first = paginate(items, { sort: byDate, limit: 2 });
+
+    const changed = [...items.filter(({ id }) => id !== 'rec1'), { id: 'rec0', date: '2026-04-01' }];
+    const next = paginate(changed, { sort: byDate, limit: 2, cursor: first.pagination.next_cursor });
+    expect(next.items.map(({ id }) => id)).toEqual(['rec3', 'rec5']);
+  });
+
+  it('rejects cursors it did not issue', () => {
+    expect(() => paginate(items, { sort: byDate, cursor: 'not-a-cursor' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    const otherSort = paginate(items, { limit: 1 }).pagination.next_cursor;
+    expect(() => paginate(items, { sort: byDate, cursor: otherSort })).toThrow('Invalid cursor');
+  });
+});
+
+describe('validatePagination', () => {
+  it('defaults the limit, caps it and leaves other keys to the route', () => {
+    expect(validatePagination({ status: 'pending' }).value).toEqual({ status: 'pending', limit: DEFAULT_PAGE_LIMIT });
+    expect(validatePagination({ limit: '10', cursor: 'abc' }).value).toMatchObject({ limit: 10, cursor: 'abc' });
+    expect(validatePagination({ limit: String(MAX_PAGE_LIMIT + 1) }).error).toBeDefined();
+    expect(validatePagination({ limit: '0' }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from '@jest/globals';
+import { createSearchMatcher } from '../../utils/searchQuery.js';
+
+const text = 'We decided to drop the legacy PayPal flow. Priya owns the follow-up on the Stripe integration.';
+
+const matches = (query, against = text) => createSearchMatcher(query).matches(against);
+
+describe('createSearchMatcher', () => {
+  it.each([
+    ['paypal stripe', true],
+    ['paypal adyen', false],
+    ['"legacy paypal flow"', true],
+    ['"paypal legacy flow"', false],
+    ['adyen OR stripe', true],
+    ['adyen OR braintree', false],
+    ['stripe -paypal', false],
+    ['stripe NOT adyen', true],
+    ['(adyen OR paypal) AND priya', true],
+    ['(adyen OR braintree) AND priya', false],
+    ['follow-up', true],
+    ['decide', true],
+    ['integrations', true],
+  ])('%s matches: %s', (query, expected) => {
+    expect(matches(query)).toBe(expected);
+  });
+
+  it('treats lower-case operators as ordinary words', () => {
+    expect(matches('stripe or adyen')).toBe(false);
+    expect(matches('stripe or adyen', 'Stripe or Adyen, whichever is cheaper')).toBe(true);
+  });
+
+  it('ignores stop words outside phrases and returns null for empty queries', () => {
+    expect(matches('the stripe')).toBe(true);
+    expect(createSearchMatcher('the')).toBeNull();
+    expect(createSearchMatcher('')).toBeNull();
+    expect(createSearchMatcher('-')).toBeNull();
+  });
+
+  it('forgives unbalanced quotes and parentheses', () => {
+    expect(matches('"stripe integration')).toBe(true);
+    expect(matches('(paypal OR adyen')).toBe(true);
+    expect(matches('stripe) priya')).toBe(true);
+  });
+
+  it('collects the wanted terms and phrases, leaving out negated ones', () => {
+    const matcher = createSearchMatcher('stripe "legacy flow" -paypal NOT (adyen OR braintree)');
+
+    expect(matcher.terms).toEqual(['stripe']);
+    expect(matcher.phrases).toEqual([['legacy', 'flow']]);
+  });
+
+  it('counts occurrences of the wanted terms and phrases', () => {
+    const matcher = createSearchMatcher('stripe "legacy flow"');
+
+    expect(matcher.count('Stripe, Stripe and the legacy flow')).toBe(3);
+    expect(matcher.count('Nothing relevant here')).toBe(0);
+  });
+});
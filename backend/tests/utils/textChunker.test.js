@@ -0,0 +1,50 @@
+import { describe, it, expect } from '@jest/globals';
+import { estimateTokens, chunkText } from '../../utils/textChunker.js';
+
+const sentence = (index) => `Sentence number ${index} talks about the checkout redesign.`;
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+});
+
+describe('chunkText', () => {
+  it('keeps short text in one chunk', () => {
+    expect(chunkText('Short text.')).toEqual(['Short text.']);
+    expect(chunkText('')).toEqual([]);
+  });
+
+  it('splits on paragraphs and sentences within the token budget', () => {
+    const text = Array.from({ length: 40 }, (_, index) => sentence(index)).join(' ');
+
+    const chunks = chunkText(text, { maxTokens: 100, overlapTokens: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(100));
+    expect(chunks.join(' ').replace(/\s+/g, ' ')).toBe(text);
+  });
+
+  it('repeats trailing context at the start of the next chunk', () => {
+    const text = Array.from({ length: 40 }, (_, index) => sentence(index)).join('\n\n');
+
+    const chunks = chunkText(text, { maxTokens: 100, overlapTokens: 20 });
+
+    chunks.slice(1).forEach((chunk, index) => {
+      const previousLast = chunks[index].split('\n\n').pop();
+      expect(chunk.startsWith(previousLast)).toBe(true);
+    });
+  });
+
+  it('splits a single overlong sentence on words', () => {
+    const text = Array(200).fill('word').join(' ');
+
+    const chunks = chunkText(text, { maxTokens: 50, overlapTokens: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(50));
+    expect(chunks.join(' ')).toBe(text);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import { formatTimestamp, toSrt, toVtt, toPlainText } from '../../utils/transcriptFormats.js';
+
+const segments = [
+  { start: 0, end: 2.5, text: 'Good morning.', speaker: 'SPEAKER_1', speaker_name: 'Priya' },
+  { start: 2.5, end: 4, text: 'Shall we start?', speaker: 'SPEAKER_1', speaker_name: 'Priya' },
+  { start: 4.2, end: 6, text: 'Yes, <finally> & now.', speaker: 'SPEAKER_2', speaker_name: null },
+];
+
+describe('formatTimestamp', () => {
+  it('formats hours, minutes, seconds and milliseconds', () => {
+    expect(formatTimestamp(3723.4567)).toBe('01:02:03,457');
+    expect(formatTimestamp(0.5, '.')).toBe('00:00:00.500');
+    expect(formatTimestamp(-1)).toBe('00:00:00,000');
+  });
+});
+
+describe('toSrt', () => {
+  it('writes numbered cues with speaker names', () => {
+    expect(toSrt(segments)).toBe([
+      '1\n00:00:00,000 --> 00:00:02,500\nPriya: Good morning.',
+      '2\n00:00:02,500 --> 00:00:04,000\nPriya: Shall we start?',
+      '3\n00:00:04,200 --> 00:00:06,000\nSPEAKER_2: Yes, <finally> & now.',
+    ].join('\n\n') + '\n');
+  });
+
+  it('splits long segments into caption-sized cues on word timestamps', () => {
+    const words = Array.from({ length: 20 }, (_, index) => ({ word: `word${index}`, start: index, end: index + 0.8 }));
+    const text = words.map(word => word.word).join(' ');
+
+    const cues = toSrt([{ start: 0, end: 20, text, words }]).trim().split('\n\n');
+
+    expect(cues).toHaveLength(3);
+    expect(cues[0]).toBe('1\n00:00:00,000 --> 00:00:06,800\nword0 word1 word2 word3 word4 word5 word6');
+    expect(cues[2]).toMatch(/^3\n00:00:14,000 --> 00:00:19,800\n/);
+  });
+});
+
+describe('toVtt', () => {
+  it('writes a WebVTT file with escaped voice tags', () => {
+    const vtt = toVtt(segments);
+
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:02.500\n<v Priya>Good morning.')).toBe(true);
+    expect(vtt).toContain('<v SPEAKER_2>Yes, &lt;finally&gt; &amp; now.');
+  });
+});
+
+describe('toPlainText', () => {
+  it('joins consecutive segments by the same speaker under a title header', () => {
+    expect(toPlainText(segments, { title: 'Standup', date: '2026-03-11T09:00:00Z' })).toBe([
+      'Standup\n2026-03-11',
+      '[00:00:00] Priya: Good morning. Shall we start?',
+      '[00:00:04] SPEAKER_2: Yes, <finally> & now.',
+    ].join('\n\n') + '\n');
+  });
+
+  it('omits speakers and the header when there are none', () => {
+    expect(toPlainText([{ start: 61, end: 62, text: 'Hello.' }])).toBe('[00:01:01] Hello.\n');
+  });
+});
@@ -0,0 +1,412 @@
+// Audio chunking helpers for recordings larger than the Whisper upload limit.
+// WAV and MP3 are split natively (sample/frame aligned); other containers are
+// transcoded to MP3 with ffmpeg first when it is available on the host.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { AppError } from './errorHandler.js';
+
+const execFileAsync = promisify(execFile);
+
+// Whisper rejects uploads over 25MB; keep a margin for multipart overhead
+export const WHISPER_MAX_BYTES = 25 * 1024 * 1024;
+const DEFAULT_MAX_CHUNK_BYTES = 24 * 1024 * 1024;
+
+// Chunk length and overlap, read on use so settings loaded from .env at startup are honoured
+const getDefaultChunkSeconds = () => parseInt(process.env.TRANSCRIBE_CHUNK_SECONDS) || 10 * 60;
+const getDefaultOverlapSeconds = () => parseFloat(process.env.TRANSCRIBE_CHUNK_OVERLAP_SECONDS) || 5;
+
+const WAV_MIMES = ['audio/wav', 'audio/x-wav', 'audio/wave'];
+const MP3_MIMES = ['audio/mpeg', 'audio/mp3'];
+
+// ---------------------------------------------------------------------------
+// WAV
+// ---------------------------------------------------------------------------
+
+const parseWav = (buffer) => {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let fmt = null;
+  let data = null;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const bodyStart = offset + 8;
+
+    if (id === 'fmt ') {
+      fmt = {
+        body: buffer.subarray(bodyStart, bodyStart + size),
+        byteRate: buffer.readUInt32LE(bodyStart + 8),
+        blockAlign: buffer.readUInt16LE(bodyStart + 12),
+      };
+    } else if (id === 'data') {
+      data = { start: bodyStart, size: Math.min(size, buffer.length - bodyStart) };
+      break;
+    }
+
+    // Chunks are word aligned
+    offset = bodyStart + size + (size % 2);
+  }
+
+  return fmt && data ? { fmt, data } : null;
+};
+
+const buildWav = (fmtBody, pcm) => {
+  const header = Buffer.alloc(12 + 8 + fmtBody.length + 8);
+  let offset = 0;
+
+  header.write('RIFF', offset); offset += 4;
+  header.writeUInt32LE(header.length - 8 + pcm.length, offset); offset += 4;
+  header.write('WAVE', offset); offset += 4;
+  header.write('fmt ', offset); offset += 4;
+  header.writeUInt32LE(fmtBody.length, offset); offset += 4;
+  fmtBody.copy(header, offset); offset += fmtBody.length;
+  header.write('data', offset); offset += 4;
+  header.writeUInt32LE(pcm.length, offset);
+
+  return Buffer.concat([header, pcm]);
+};
+
+const splitWav = (buffer, { maxBytes, chunkSeconds, overlapSeconds }) => {
+  const wav = parseWav(buffer);
+  if (!wav) {
+    throw new AppError('Unable to read WAV recording for chunking', 400);
+  }
+
+  const { fmt, data } = wav;
+  const alignToBlock = (bytes) => Math.floor(bytes / fmt.blockAlign) * fmt.blockAlign;
+
+  const chunkBytes = alignToBlock(Math.min(maxBytes - 1024, chunkSeconds * fmt.byteRate));
+  const overlapBytes = alignToBlock(overlapSeconds * fmt.byteRate);
+  const chunks = [];
+
+  for (let start = 0; start < data.size; start += chunkBytes - overlapBytes) {
+    const end = Math.min(start + chunkBytes, data.size);
+    const pcm = buffer.subarray(data.start + start, data.start + end);
+
+    chunks.push({
+      buffer: buildWav(fmt.body, pcm),
+      start: start / fmt.byteRate,
+      end: end / fmt.byteRate,
+    });
+
+    if (end === data.size) break;
+  }
+
+  return chunks;
+};
+
+// ---------------------------------------------------------------------------
+// MP3
+// ---------------------------------------------------------------------------
+
+const MP3_BITRATES = {
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+// Decode an MPEG audio frame header; returns null when the bytes are not a frame
+const parseMp3FrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const table = version === 1 ? `V1L${layer}` : layer === 1 ? 'V2L1' : 'V2L2';
+  const bitrate = MP3_BITRATES[table][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+
+  let samples;
+  let length;
+
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else if (layer === 2 || version === 1) {
+    samples = 1152;
+    length = Math.floor((144 * bitrate) / sampleRate) + padding;
+  } else {
+    samples = 576;
+    length = Math.floor((72 * bitrate) / sampleRate) + padding;
+  }
+
+  return { length, duration: samples / sampleRate };
+};
+
+// Size of a leading ID3v2 tag, if any
+const id3v2Size = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+const parseMp3Frames = (buffer) => {
+  const frames = [];
+  let offset = id3v2Size(buffer);
+  let time = 0;
+
+  while (offset < buffer.length) {
+    const header = parseMp3FrameHeader(buffer, offset);
+
+    if (!header || header.length <= 0) {
+      offset++; // Resynchronise on the next frame header
+      continue;
+    }
+
+    frames.push({ offset, length: header.length, start: time, duration: header.duration });
+    time += header.duration;
+    offset += header.length;
+  }
+
+  return frames;
+};
+
+const splitMp3 = (buffer, { maxBytes, chunkSeconds, overlapSeconds }) => {
+  const frames = parseMp3Frames(buffer);
+  if (frames.length === 0) {
+    throw new AppError('Unable to read MP3 recording for chunking', 400);
+  }
+
+  const chunks = [];
+  let first = 0;
+
+  while (first < frames.length) {
+    let last = first;
+    const chunkStartOffset = frames[first].offset;
+
+    // Grow the chunk until it hits the byte or duration budget
+    while (last + 1 < frames.length) {
+      const next = frames[last + 1];
+      const bytes = next.offset + next.length - chunkStartOffset;
+      const seconds = next.start + next.duration - frames[first].start;
+      if (bytes > maxBytes || seconds > chunkSeconds) break;
+      last++;
+    }
+
+    const end = frames[last].start + frames[last].duration;
+    chunks.push({
+      buffer: buffer.subarray(chunkStartOffset, frames[last].offset + frames[last].length),
+      start: frames[first].start,
+      end,
+    });
+
+    if (last === frames.length - 1) break;
+
+    // Step back so consecutive chunks overlap
+    let nextFirst = last + 1;
+    while (nextFirst - 1 > first && frames[nextFirst - 1].start >= end - overlapSeconds) {
+      nextFirst--;
+    }
+    first = nextFirst;
+  }
+
+  return chunks;
+};
+
+// ---------------------------------------------------------------------------
+// ffmpeg fallback for other containers (mp4, m4a, ogg, video)
+// ---------------------------------------------------------------------------
+
+const transcodeToMp3 = async (file) => {
+  const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'meetmind-audio-'));
+  const inputPath = path.join(dir, `input${path.extname(file.originalname || '')}`);
+  const outputPath = path.join(dir, 'output.mp3');
+
+  try {
+    await fs.promises.writeFile(inputPath, file.buffer);
+    // Mono 16kHz speech at 32kbps keeps an hour of audio around 14MB
+    await execFileAsync(ffmpegPath, ['-y', '-i', inputPath, '-vn', '-ac', '1', '-ar', '16000', '-b:a', '32k', outputPath]);
+    return await fs.promises.readFile(outputPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new AppError('Recording is larger than 25MB and ffmpeg is not available to split this format. Upload MP3 or WAV instead.', 400);
+    }
+    throw new AppError(`Failed to convert recording for transcription: ${error.message}`, 500);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+export const needsChunking = (file, maxBytes = WHISPER_MAX_BYTES) => {
+  return file.buffer.length > maxBytes;
+};
+
+// Split a multer-style file into overlapping chunks: [{ buffer, originalname, mimetype, start, end }]
+export const splitAudio = async (file, options = {}) => {
+  const settings = {
+    maxBytes: options.maxBytes || DEFAULT_MAX_CHUNK_BYTES,
+    chunkSeconds: options.chunkSeconds || getDefaultChunkSeconds(),
+    overlapSeconds: options.overlapSeconds ?? getDefaultOverlapSeconds(),
+  };
+  const baseName = path.parse(file.originalname || 'recording').name;
+
+  if (WAV_MIMES.includes(file.mimetype)) {
+    return splitWav(file.buffer, settings).map((chunk, index) => ({
+      ...chunk,
+      originalname: `${baseName}-part${index + 1}.wav`,
+      mimetype: 'audio/wav',
+    }));
+  }
+
+  const mp3Buffer = MP3_MIMES.includes(file.mimetype)
+    ? file.buffer
+    : await transcodeToMp3(file);
+
+  return splitMp3(mp3Buffer, settings).map((chunk, index) => ({
+    ...chunk,
+    originalname: `${baseName}-part${index + 1}.mp3`,
+    mimetype: 'audio/mpeg',
+  }));
+};
+
+// Stitch chunk transcriptions back together on the original timeline.
+// Each overlap is cut at its midpoint: earlier chunks keep what starts before
+// the cut, later chunks keep what starts after it.
+export const mergeTranscriptions = (results) => {
+  if (results.length === 1) {
+    return results[0].transcription;
+  }
+
+  const segments = [];
+  const words = [];
+  const texts = [];
+
+  results.forEach(({ chunk, transcription }, index) => {
+    const previous = results[index - 1];
+    const next = results[index + 1];
+    const from = previous ? (chunk.start + previous.chunk.end) / 2 : -Infinity;
+    const to = next ? (next.chunk.start + chunk.end) / 2 : Infinity;
+    const inRange = (start) => start >= from && start < to;
+
+    const chunkSegments = (transcription.segments || [])
+      .map(segment => ({ ...segment, start: segment.start + chunk.start, end: segment.end + chunk.start }))
+      .filter(segment => inRange(segment.start));
+
+    segments.push(...chunkSegments);
+    words.push(...(transcription.words || [])
+      .map(word => ({ ...word, start: word.start + chunk.start, end: word.end + chunk.start }))
+      .filter(word => inRange(word.start)));
+
+    // Without segment timings fall back to the chunk text as a whole
+    texts.push(transcription.segments ? chunkSegments.map(segment => segment.text.trim()).join(' ') : transcription.text);
+  });
+
+  const last = results[results.length - 1];
+
+  return {
+    text: texts.filter(Boolean).join(' ').trim(),
+    duration: last.chunk.start + (last.transcription.duration || last.chunk.end - last.chunk.start),
+    language: results[0].transcription.language,
+    segments: segments.map((segment, id) => ({ ...segment, id })),
+    words,
+  };
+};
+
+// Seconds of [start, end) that two turns share inside the window
+const sharedSeconds = (a, b, window) => {
+  return Math.max(0, Math.min(a.end, b.end, window.end) - Math.max(a.start, b.start, window.start));
+};
+
+// Stitch chunk diarizations ({ chunk, turns }) back onto one timeline.
+// Each chunk labels its speakers independently, so a chunk's labels are
+// matched to the previous chunk's through the audio they overlap on: pairs
+// that talk at the same time there are the same speaker. Speakers silent in
+// the overlap get a new label. Turns are then cut at the overlap midpoints.
+export const mergeDiarizations = (results) => {
+  if (results.length === 1) {
+    return results[0].turns;
+  }
+
+  const merged = [];
+  let previousTurns = [];
+  let speakerCount = 0;
+
+  results.forEach(({ chunk, turns }, index) => {
+    const previous = results[index - 1];
+    const next = results[index + 1];
+    const shifted = turns.map(turn => ({ ...turn, start: turn.start + chunk.start, end: turn.end + chunk.start }));
+
+    const shared = new Map();
+    if (previous) {
+      const window = { start: chunk.start, end: previous.chunk.end };
+      for (const turn of shifted) {
+        for (const earlier of previousTurns) {
+          const key = JSON.stringify([turn.speaker, earlier.speaker]);
+          shared.set(key, (shared.get(key) || 0) + sharedSeconds(turn, earlier, window));
+        }
+      }
+    }
+
+    // Pair the speakers who overlap the longest first
+    const labels = new Map();
+    const taken = new Set();
+    [...shared]
+      .filter(([, seconds]) => seconds > 0)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key]) => {
+        const [speaker, earlierLabel] = JSON.parse(key);
+        if (!labels.has(speaker) && !taken.has(earlierLabel)) {
+          labels.set(speaker, earlierLabel);
+          taken.add(earlierLabel);
+        }
+      });
+
+    const labelled = shifted.map(turn => {
+      if (!labels.has(turn.speaker)) {
+        labels.set(turn.speaker, `SPEAKER_${++speakerCount}`);
+      }
+      return { ...turn, speaker: labels.get(turn.speaker) };
+    });
+
+    const from = previous ? (chunk.start + previous.chunk.end) / 2 : -Infinity;
+    const to = next ? (next.chunk.start + chunk.end) / 2 : Infinity;
+    merged.push(...labelled
+      .map(turn => ({ ...turn, start: Math.max(turn.start, from), end: Math.min(turn.end, to) }))
+      .filter(turn => turn.end > turn.start));
+
+    previousTurns = labelled;
+  });
+
+  return merged.sort((a, b) => a.start - b.start);
+};
+
+export default {
+  WHISPER_MAX_BYTES,
+  needsChunking,
+  splitAudio,
+  mergeTranscriptions,
+  mergeDiarizations,
+};
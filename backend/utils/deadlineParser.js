@@ -0,0 +1,277 @@
+// Natural-language deadline parsing for AI-extracted action items.
+// Phrases such as "next Friday", "in two weeks" or "end of month" are resolved
+// against the meeting date, as seen in the project's timezone, to an ISO date
+// (YYYY-MM-DD). Phrases with more than one reasonable reading are resolved to
+// a best guess and flagged as ambiguous so a person can confirm them.
+
+// Defaults are read on use so settings loaded from .env at startup are honoured;
+// an unknown DEFAULT_TIMEZONE falls back to UTC
+export const getDefaultTimeZone = () => {
+  const configured = process.env.DEFAULT_TIMEZONE;
+  return configured && isValidTimeZone(configured) ? configured : 'UTC';
+};
+
+const getDefaultSprintLengthDays = () => parseInt(process.env.DEFAULT_SPRINT_LENGTH_DAYS) || 14;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ALIASES = { sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6 };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3
+};
+
+const UNSPECIFIED = ['', 'not specified', 'none', 'n/a', 'tbd', 'no deadline', 'unspecified'];
+
+// ---------------------------------------------------------------------------
+// Calendar helpers; dates are UTC midnights representing local calendar days
+// ---------------------------------------------------------------------------
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar day of an instant in the given timezone
+const toLocalDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return new Date(Date.UTC(part('year'), part('month') - 1, part('day')));
+};
+
+const makeDay = (year, monthIndex, day) => {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  // Reject overflow such as 30 February
+  return date.getUTCMonth() === ((monthIndex % 12) + 12) % 12 && date.getUTCDate() === day ? date : null;
+};
+
+const addDays = (day, count) => new Date(day.getTime() + count * 24 * 60 * 60 * 1000);
+
+const addMonths = (day, count) => {
+  const target = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + count, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(day.getUTCDate(), lastDay)));
+};
+
+const endOfMonth = (day, offset = 0) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + offset + 1, 0));
+
+const endOfQuarter = (day, quarter = Math.floor(day.getUTCMonth() / 3) + 1) => {
+  const end = new Date(Date.UTC(day.getUTCFullYear(), quarter * 3, 0));
+  return end < day ? new Date(Date.UTC(day.getUTCFullYear() + 1, quarter * 3, 0)) : end;
+};
+
+// Weeks start on Monday
+const startOfWeek = (day) => addDays(day, -((day.getUTCDay() + 6) % 7));
+
+const weekdayInWeek = (weekStart, weekday) => addDays(weekStart, (weekday + 6) % 7);
+
+// First occurrence of the weekday on or after the reference day
+const upcomingWeekday = (reference, weekday) => addDays(reference, (weekday - reference.getUTCDay() + 7) % 7);
+
+const formatDay = (day) => day.toISOString().slice(0, 10);
+
+const parseWeekday = (value) => {
+  const index = WEEKDAYS.indexOf(value);
+  return index !== -1 ? index : WEEKDAY_ALIASES[value];
+};
+
+// Callers only pass values the month pattern accepted, so the first three letters are enough
+const parseMonth = (value) => MONTHS.findIndex(month => month.startsWith(value.slice(0, 3)));
+
+const parseCount = (value) => (/^\d+$/.test(value) ? parseInt(value) : NUMBER_WORDS[value]);
+
+// Next occurrence of a month/day on or after the reference day when no year is given
+const upcomingDate = (reference, monthIndex, day, year) => {
+  if (year) return makeDay(year, monthIndex, day);
+
+  const thisYear = makeDay(reference.getUTCFullYear(), monthIndex, day);
+  if (thisYear && thisYear >= reference) return thisYear;
+  return makeDay(reference.getUTCFullYear() + 1, monthIndex, day);
+};
+
+const normalizeYear = (year) => {
+  if (!year) return null;
+  const value = parseInt(year);
+  return value < 100 ? 2000 + value : value;
+};
+
+// ---------------------------------------------------------------------------
+// Phrase rules: [pattern, resolve(match, context)] tried in order
+// ---------------------------------------------------------------------------
+
+const WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)';
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const COUNT_PATTERN = '(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|couple(?: of)?|few)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+const exact = (day) => ({ day, ambiguous: false });
+const guess = (day, reason) => ({ day, ambiguous: true, reason });
+
+const RULES = [
+  [/^(\d{4})-(\d{2})-(\d{2})(?:t.*)?$/, (m) => exact(makeDay(+m[1], +m[2] - 1, +m[3]))],
+
+  [/^(today|tonight|eod|end of (?:the )?day|cob|close of business)$/, (m, { reference }) => exact(reference)],
+
+  [/^(tomorrow|tmrw|tmr)(?: (?:morning|afternoon|evening|eod))?$/, (m, { reference }) => exact(addDays(reference, 1))],
+
+  [/^(?:the )?day after tomorrow$/, (m, { reference }) => exact(addDays(reference, 2))],
+
+  [new RegExp(`^(?:this |coming |this coming )?${WEEKDAY_PATTERN}$`), (m, { reference }) => {
+    return exact(upcomingWeekday(reference, parseWeekday(m[1])));
+  }],
+
+  [new RegExp(`^${WEEKDAY_PATTERN} (?:of )?next week$`), (m, { reference }) => {
+    return exact(weekdayInWeek(addDays(startOfWeek(reference), 7), parseWeekday(m[1])));
+  }],
+
+  [new RegExp(`^next ${WEEKDAY_PATTERN}$`), (m, { reference }) => {
+    const weekday = parseWeekday(m[1]);
+    return guess(
+      weekdayInWeek(addDays(startOfWeek(reference), 7), weekday),
+      `"next ${WEEKDAYS[weekday]}" could mean this coming ${WEEKDAYS[weekday]} or the one in the following week`
+    );
+  }],
+
+  [/^(?:(?:the )?end of (?:the |this )?week|eow|this week|later this week)$/, (m, { reference }) => {
+    const friday = weekdayInWeek(startOfWeek(reference), 5);
+    return exact(friday >= reference ? friday : addDays(friday, 7));
+  }],
+
+  [/^(?:the )?end of next week$/, (m, { reference }) => exact(weekdayInWeek(addDays(startOfWeek(reference), 7), 5))],
+
+  [/^next week$/, (m, { reference }) => {
+    return guess(weekdayInWeek(addDays(startOfWeek(reference), 7), 5), '"next week" has no specific day; assumed Friday');
+  }],
+
+  [new RegExp(`^(?:in|within) (?:the next )?${COUNT_PATTERN} (day|business day|working day|week|month)s?(?: time)?$|^${COUNT_PATTERN} (day|week|month)s? (?:from now|from today|later)$`), (m, { reference }) => {
+    const count = parseCount((m[1] || m[3]).replace(' of', ''));
+    const unit = m[2] || m[4];
+
+    if (unit === 'business day' || unit === 'working day') {
+      let day = reference;
+      for (let added = 0; added < count;) {
+        day = addDays(day, 1);
+        if (![0, 6].includes(day.getUTCDay())) added++;
+      }
+      return exact(day);
+    }
+    if (unit === 'week') return exact(addDays(reference, count * 7));
+    if (unit === 'month') return exact(addMonths(reference, count));
+    return exact(addDays(reference, count));
+  }],
+
+  [/^(?:(?:the )?end of (?:the |this )?month|eom)$/, (m, { reference }) => exact(endOfMonth(reference))],
+
+  [/^(?:the )?end of next month$/, (m, { reference }) => exact(endOfMonth(reference, 1))],
+
+  [/^next month$/, (m, { reference }) => {
+    return guess(endOfMonth(reference, 1), '"next month" has no specific day; assumed the last day of the month');
+  }],
+
+  [new RegExp(`^(?:the )?(?:end of|eo) ${MONTH_PATTERN}$`), (m, { reference }) => {
+    const monthIndex = parseMonth(m[1]);
+    const year = monthIndex < reference.getUTCMonth() ? reference.getUTCFullYear() + 1 : reference.getUTCFullYear();
+    return exact(new Date(Date.UTC(year, monthIndex + 1, 0)));
+  }],
+
+  [/^(?:(?:the )?end of (?:the |this )?quarter|eoq)$/, (m, { reference }) => exact(endOfQuarter(reference))],
+
+  [/^(?:(?:the )?end of )?q([1-4])$/, (m, { reference }) => exact(endOfQuarter(reference, +m[1]))],
+
+  [/^(?:(?:the )?end of (?:the |this )?year|eoy|year end)$/, (m, { reference }) => {
+    return exact(new Date(Date.UTC(reference.getUTCFullYear(), 11, 31)));
+  }],
+
+  [/sprint/, (m, { reference, sprintLengthDays }) => {
+    const offset = /next sprint/.test(m.input) ? sprintLengthDays * 2 : sprintLengthDays;
+    return guess(addDays(reference, offset), `Sprint dates are not known; assumed ${sprintLengthDays}-day sprints starting at the meeting`);
+  }],
+
+  [/^(asap|as soon as possible|soon|immediately|urgent(?:ly)?|right away|at the earliest)$/, () => {
+    return guess(null, 'No specific date given');
+  }],
+
+  [new RegExp(`^(?:${WEEKDAY_PATTERN},? )?(\\d{1,2})${ORDINAL} (?:of )?${MONTH_PATTERN},?(?: (\\d{4}))?$`), (m, { reference }) => {
+    return exact(upcomingDate(reference, parseMonth(m[3]), +m[2], normalizeYear(m[4])));
+  }],
+
+  [new RegExp(`^(?:${WEEKDAY_PATTERN},? )?${MONTH_PATTERN} (\\d{1,2})${ORDINAL},?(?: (\\d{4}))?$`), (m, { reference }) => {
+    return exact(upcomingDate(reference, parseMonth(m[2]), +m[3], normalizeYear(m[4])));
+  }],
+
+  [/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/, (m, { reference }) => {
+    const first = +m[1];
+    const second = +m[2];
+    const year = normalizeYear(m[3]);
+
+    if (first > 12) return exact(upcomingDate(reference, second - 1, first, year));
+    if (second > 12) return exact(upcomingDate(reference, first - 1, second, year));
+    if (first === second) return exact(upcomingDate(reference, first - 1, second, year));
+
+    return guess(
+      upcomingDate(reference, first - 1, second, year),
+      `"${m[0]}" could be month/day or day/month; assumed month/day`
+    );
+  }],
+];
+
+const normalizePhrase = (phrase) => {
+  return phrase
+    .toLowerCase()
+    .trim()
+    .replace(/[.!]+$/, '')
+    .replace(/^(?:by|before|on|due|until|till|no later than|deadline:?)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Resolve a deadline phrase.
+// Returns { date, original, ambiguous, reason }; date is YYYY-MM-DD or null.
+export const parseDeadline = (phrase, {
+  referenceDate = new Date(),
+  timeZone = getDefaultTimeZone(),
+  sprintLengthDays = getDefaultSprintLengthDays(),
+} = {}) => {
+  const original = typeof phrase === 'string' ? phrase.trim() : '';
+  const text = normalizePhrase(original);
+
+  if (UNSPECIFIED.includes(text)) {
+    return { date: null, original: null, ambiguous: false, reason: null };
+  }
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone();
+  const reference = toLocalDay(new Date(referenceDate), zone);
+
+  for (const [pattern, resolve] of RULES) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const { day, ambiguous, reason = null } = resolve(match, { reference, sprintLengthDays });
+
+    if (day === null && !ambiguous) {
+      break; // Matched the shape of a date but not a real one, e.g. 31/02
+    }
+
+    return { date: day ? formatDay(day) : null, original, ambiguous, reason };
+  }
+
+  return { date: null, original, ambiguous: true, reason: 'Deadline could not be understood' };
+};
+
+export default {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  parseDeadline,
+};
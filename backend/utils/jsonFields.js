@@ -0,0 +1,32 @@
+// Helpers for structured values stored in long text fields.
+// Airtable has no JSON column type, so objects and arrays are serialised
+// to strings on write and parsed back when records are read.
+
+export const parseJsonField = (value, fallback = null) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const stringifyJsonField = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return value === null ? null : JSON.stringify(value);
+};
+
+export default {
+  parseJsonField,
+  stringifyJsonField,
+};
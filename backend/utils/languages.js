@@ -0,0 +1,85 @@
+// Languages supported by Whisper, keyed by ISO 639-1 code.
+// Transcription accepts a code or "auto" (let the model detect the spoken
+// language); Whisper reports the detected language by name ("english"), so
+// normalizeLanguage accepts either form.
+
+import logger from './logger.js';
+
+export const AUTO_DETECT = 'auto';
+
+export const LANGUAGES = {
+  af: 'afrikaans', am: 'amharic', ar: 'arabic', as: 'assamese', az: 'azerbaijani',
+  ba: 'bashkir', be: 'belarusian', bg: 'bulgarian', bn: 'bengali', bo: 'tibetan',
+  br: 'breton', bs: 'bosnian', ca: 'catalan', cs: 'czech', cy: 'welsh',
+  da: 'danish', de: 'german', el: 'greek', en: 'english', es: 'spanish',
+  et: 'estonian', eu: 'basque', fa: 'persian', fi: 'finnish', fo: 'faroese',
+  fr: 'french', gl: 'galician', gu: 'gujarati', ha: 'hausa', haw: 'hawaiian',
+  he: 'hebrew', hi: 'hindi', hr: 'croatian', ht: 'haitian creole', hu: 'hungarian',
+  hy: 'armenian', id: 'indonesian', is: 'icelandic', it: 'italian', ja: 'japanese',
+  jw: 'javanese', ka: 'georgian', kk: 'kazakh', km: 'khmer', kn: 'kannada',
+  ko: 'korean', la: 'latin', lb: 'luxembourgish', ln: 'lingala', lo: 'lao',
+  lt: 'lithuanian', lv: 'latvian', mg: 'malagasy', mi: 'maori', mk: 'macedonian',
+  ml: 'malayalam', mn: 'mongolian', mr: 'marathi', ms: 'malay', mt: 'maltese',
+  my: 'myanmar', ne: 'nepali', nl: 'dutch', nn: 'nynorsk', no: 'norwegian',
+  oc: 'occitan', pa: 'punjabi', pl: 'polish', ps: 'pashto', pt: 'portuguese',
+  ro: 'romanian', ru: 'russian', sa: 'sanskrit', sd: 'sindhi', si: 'sinhala',
+  sk: 'slovak', sl: 'slovenian', sn: 'shona', so: 'somali', sq: 'albanian',
+  sr: 'serbian', su: 'sundanese', sv: 'swedish', sw: 'swahili', ta: 'tamil',
+  te: 'telugu', tg: 'tajik', th: 'thai', tk: 'turkmen', tl: 'tagalog',
+  tr: 'turkish', tt: 'tatar', uk: 'ukrainian', ur: 'urdu', uz: 'uzbek',
+  vi: 'vietnamese', yi: 'yiddish', yo: 'yoruba', zh: 'chinese'
+};
+
+const CODES_BY_NAME = Object.fromEntries(Object.entries(LANGUAGES).map(([code, name]) => [name, code]));
+
+export const isSupportedLanguage = (code) => {
+  return typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+};
+
+// A supported language code, or "auto"
+export const isTranscriptionLanguage = (value) => {
+  return value === AUTO_DETECT || isSupportedLanguage(value);
+};
+
+// ISO 639-1 code for a code or language name ("es", "Spanish"), or null
+export const normalizeLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  const key = value.trim().toLowerCase();
+  if (isSupportedLanguage(key)) return key;
+  return CODES_BY_NAME[key] || null;
+};
+
+// Transcription language used when neither the upload nor the project sets one.
+// English unless configured: auto-detect is opt-in (env, project or upload).
+// Read on use so settings loaded from .env at startup are honoured; an unknown
+// code is reported once and falls back to English.
+let warnedDefaultLanguage = null;
+export const getDefaultTranscriptionLanguage = () => {
+  const configured = process.env.DEFAULT_TRANSCRIPTION_LANGUAGE?.trim();
+  if (!configured) return 'en';
+  if (configured.toLowerCase() === AUTO_DETECT) return AUTO_DETECT;
+
+  const code = normalizeLanguage(configured);
+  if (!code && warnedDefaultLanguage !== configured) {
+    warnedDefaultLanguage = configured;
+    logger.warn(`DEFAULT_TRANSCRIPTION_LANGUAGE "${configured}" is not a supported language, using English`);
+  }
+  return code || 'en';
+};
+
+// Display name for prompts, e.g. "Haitian Creole"
+export const getLanguageName = (code) => {
+  const name = LANGUAGES[normalizeLanguage(code)];
+  return name ? name.replace(/\b\w/g, letter => letter.toUpperCase()) : null;
+};
+
+export default {
+  AUTO_DETECT,
+  LANGUAGES,
+  getDefaultTranscriptionLanguage,
+  isSupportedLanguage,
+  isTranscriptionLanguage,
+  normalizeLanguage,
+  getLanguageName,
+};
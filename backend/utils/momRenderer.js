@@ -0,0 +1,75 @@
+// Render a structured MOM (see models/momModel.js) as the readable MOM stored
+// on the meeting. Sections follow the template order; a section bound to a
+// structured field is rendered from that field, others use their own content.
+
+import { MOM_FIELDS } from '../models/momModel.js';
+import { TEMPLATE_OUTPUT_FORMATS } from '../models/templateModel.js';
+
+// Layout for MOMs without template sections
+const DEFAULT_SECTIONS = [
+  { title: 'Meeting Overview', field: MOM_FIELDS.OVERVIEW },
+  { title: 'Attendees', field: MOM_FIELDS.ATTENDEES },
+  { title: 'Key Discussion Points', field: MOM_FIELDS.DISCUSSION_POINTS },
+  { title: 'Decisions Made', field: MOM_FIELDS.DECISIONS },
+  { title: 'Risks and Open Issues', field: MOM_FIELDS.RISKS },
+  { title: 'Next Steps', field: MOM_FIELDS.NEXT_STEPS },
+  { title: 'Next Meeting', field: MOM_FIELDS.NEXT_MEETING }
+];
+
+const NOTHING_RECORDED = 'None recorded.';
+
+const bullets = (lines) => lines.map(line => `- ${line}`).join('\n');
+
+// Main line plus an indented detail line, e.g. a decision and its rationale
+const withDetail = (line, label, detail) => (detail ? `${line}\n  ${label}: ${detail}` : line);
+
+const renderField = (mom, field, markdown) => {
+  const value = mom[field];
+
+  switch (field) {
+    case MOM_FIELDS.ATTENDEES:
+    case MOM_FIELDS.NEXT_STEPS:
+      return value.length ? bullets(value) : NOTHING_RECORDED;
+    case MOM_FIELDS.DISCUSSION_POINTS:
+      return value.length
+        ? bullets(value.map(point => {
+          const topic = markdown ? `**${point.topic}**` : point.topic;
+          return point.summary ? `${topic}: ${point.summary}` : topic;
+        }))
+        : NOTHING_RECORDED;
+    case MOM_FIELDS.DECISIONS:
+      return value.length
+        ? bullets(value.map(item => withDetail(
+          item.owner ? `${item.decision} (${item.owner})` : item.decision,
+          'Rationale',
+          item.rationale
+        )))
+        : NOTHING_RECORDED;
+    case MOM_FIELDS.RISKS:
+      return value.length
+        ? bullets(value.map(item => withDetail(item.risk, 'Mitigation', item.mitigation)))
+        : NOTHING_RECORDED;
+    default:
+      return value || NOTHING_RECORDED;
+  }
+};
+
+// Markdown by default; plain text uses capitalised headings instead of #
+export const renderMom = (mom, { title, outputFormat = TEMPLATE_OUTPUT_FORMATS.MARKDOWN } = {}) => {
+  const markdown = outputFormat !== TEMPLATE_OUTPUT_FORMATS.PLAIN_TEXT;
+  const sections = mom.sections?.length ? mom.sections : DEFAULT_SECTIONS;
+
+  const heading = title ? `Minutes of Meeting: ${title}` : 'Minutes of Meeting';
+  const blocks = [markdown ? `# ${heading}` : heading.toUpperCase()];
+
+  for (const section of sections) {
+    const body = section.field ? renderField(mom, section.field, markdown) : (section.content || NOTHING_RECORDED);
+    blocks.push(`${markdown ? `## ${section.title}` : section.title.toUpperCase()}\n${body}`);
+  }
+
+  return blocks.join('\n\n');
+};
+
+export default {
+  renderMom,
+};
@@ -0,0 +1,99 @@
+// Cursor pagination for list routes.
+// A list is sorted on its sort keys with the record id as the final
+// tie-breaker, so the order is stable. The cursor holds the sort values and
+// id of the last item of a page; the next page starts right after that
+// position, so records added or removed in between do not shift pages.
+
+import Joi from 'joi';
+import { AppError } from './errorHandler.js';
+
+export const DEFAULT_PAGE_LIMIT = 25;
+export const MAX_PAGE_LIMIT = 100;
+
+// Query keys of a paginated route, for routes with their own filters schema
+export const paginationKeys = {
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).default(DEFAULT_PAGE_LIMIT),
+  cursor: Joi.string().max(1000)
+};
+
+// Pagination query validation for routes without a filters schema; other
+// query keys are left to the route
+export const paginationSchema = Joi.object(paginationKeys).unknown(true);
+
+export const validatePagination = (query) => {
+  return paginationSchema.validate(query, { abortEarly: false });
+};
+
+const isEmpty = (value) => value === undefined || value === null;
+
+// Empty values sort last whatever the direction, as in the data drivers
+const compareValues = (a, b, direction) => {
+  if (a === b || (isEmpty(a) && isEmpty(b))) return 0;
+  if (isEmpty(a)) return 1;
+  if (isEmpty(b)) return -1;
+  const result = a > b ? 1 : -1;
+  return direction === 'desc' ? -result : result;
+};
+
+const compareBy = (keys) => (a, b) => {
+  for (const { field, direction } of keys) {
+    const result = compareValues(a[field], b[field], direction);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+const encodeCursor = (item, keys) => {
+  return Buffer.from(JSON.stringify(keys.map(({ field }) => item[field] ?? null))).toString('base64url');
+};
+
+// The sort position a cursor points after, as an object with the sort fields
+const decodeCursor = (cursor, keys) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length !== keys.length) {
+    throw new AppError('Invalid cursor. Use the next_cursor of the previous page', 400);
+  }
+
+  return Object.fromEntries(keys.map(({ field }, index) => [field, values[index]]));
+};
+
+// One page of items. sort is [{ field, direction }]; the id is always added
+// last. Returns { items, pagination: { limit, total, next_cursor } }, where
+// next_cursor is null on the last page.
+export const paginate = (items, { sort = [], limit = DEFAULT_PAGE_LIMIT, cursor } = {}) => {
+  const keys = [...sort, { field: 'id', direction: 'asc' }];
+  const compare = compareBy(keys);
+  const sorted = [...items].sort(compare);
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, keys);
+    start = sorted.findIndex(item => compare(item, after) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const page = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+
+  return {
+    items: page,
+    pagination: {
+      limit,
+      total: sorted.length,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1], keys) : null,
+    },
+  };
+};
+
+export default {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  validatePagination,
+  paginate,
+};
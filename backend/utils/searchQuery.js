@@ -0,0 +1,197 @@
+// Keyword search query syntax:
+//   budget review                 both words (AND is implied)
+//   "budget review"               the exact phrase
+//   stripe OR paypal              either word
+//   -paypal, NOT paypal           without the word
+//   (stripe OR paypal) AND refund grouping
+// Operators are written in upper case; lower-case "and", "or" and "not" are
+// ordinary words. Words also match their other forms ("decide" finds
+// "decided"), and common words such as "the" are ignored outside phrases.
+// The parser is forgiving: unbalanced quotes and parentheses are closed or
+// dropped rather than rejected.
+
+import { tokenize, splitWords, stem } from './textSearch.js';
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+const lex = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-' && query[i + 1] && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else if (char === '"') {
+      const close = query.indexOf('"', i + 1);
+      const end = close === -1 ? query.length : close;
+      tokens.push({ type: 'phrase', value: query.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+      const word = query.slice(i, end);
+      tokens.push(OPERATORS.has(word) ? { type: word } : { type: 'word', value: word });
+      i = end;
+    }
+  }
+
+  return tokens;
+};
+
+// Single node for a group of children; empty groups disappear
+const combine = (type, children) => {
+  const nodes = children.filter(Boolean);
+  if (nodes.length === 0) return null;
+  return nodes.length === 1 ? nodes[0] : { type, children: nodes };
+};
+
+// A quoted phrase, or a word that splits into several ("follow-up"), must
+// match as a run of words; a lone stop word matches nothing and is dropped
+const textNode = (token) => {
+  const words = splitWords(token.value).map(({ word }) => word);
+
+  if (words.length === 0) return null;
+  if (words.length > 1) return { type: 'phrase', words };
+  if (token.type === 'word' && tokenize(words[0]).length === 0) return null;
+  return { type: 'term', word: words[0] };
+};
+
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) return null;
+
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek()?.type === ')') position++;
+      return node;
+    }
+
+    return token.type === 'word' || token.type === 'phrase' ? textNode(token) : null;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type !== 'NOT') return parsePrimary();
+
+    position++;
+    const child = parseUnary();
+    return child && { type: 'not', child };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+      } else {
+        children.push(parseUnary());
+      }
+    }
+    return combine('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  };
+
+  // Stray closing parentheses are skipped
+  const parts = [];
+  while (peek()) {
+    if (peek().type === ')') {
+      position++;
+    } else {
+      parts.push(parseOr());
+    }
+  }
+  return combine('and', parts);
+};
+
+// Word stems of a text, in order and as a set
+const prepareText = (text = '') => {
+  const stems = splitWords(text).map(({ word }) => stem(word));
+  return { stems, stemSet: new Set(stems) };
+};
+
+// Number of times a run of stems occurs in the text
+const countPhrase = (prepared, phraseStems) => {
+  let count = 0;
+  for (let i = 0; i + phraseStems.length <= prepared.stems.length; i++) {
+    if (phraseStems.every((phraseStem, offset) => prepared.stems[i + offset] === phraseStem)) count++;
+  }
+  return count;
+};
+
+const evaluate = (node, prepared) => {
+  switch (node.type) {
+    case 'term':
+      return prepared.stemSet.has(stem(node.word));
+    case 'phrase':
+      return countPhrase(prepared, node.words.map(stem)) > 0;
+    case 'and':
+      return node.children.every(child => evaluate(child, prepared));
+    case 'or':
+      return node.children.some(child => evaluate(child, prepared));
+    case 'not':
+      return !evaluate(node.child, prepared);
+    default:
+      return false;
+  }
+};
+
+// Terms and phrases a matching text may contain, i.e. those not negated
+const collectWanted = (node, negated = false, wanted = { terms: [], phrases: [] }) => {
+  if (node.type === 'term' && !negated) wanted.terms.push(node.word);
+  if (node.type === 'phrase' && !negated) wanted.phrases.push(node.words);
+  if (node.type === 'not') collectWanted(node.child, !negated, wanted);
+  (node.children || []).forEach(child => collectWanted(child, negated, wanted));
+  return wanted;
+};
+
+// Matcher for a search query, or null when the query has nothing to search for.
+// terms and phrases are the non-negated parts, used for scoring and highlighting.
+export const createSearchMatcher = (query = '') => {
+  const tree = parse(lex(query));
+  if (!tree) return null;
+
+  const wanted = collectWanted(tree);
+  const terms = [...new Set(wanted.terms)];
+  const phrases = wanted.phrases;
+
+  return {
+    terms,
+    phrases,
+
+    // Whether a text satisfies the whole query
+    matches: (text) => evaluate(tree, prepareText(text)),
+
+    // Occurrences of the wanted terms and phrases in a text
+    count: (text) => {
+      const prepared = prepareText(text);
+      const termCount = terms.reduce((total, term) => {
+        const termStem = stem(term);
+        return total + prepared.stems.filter(wordStem => wordStem === termStem).length;
+      }, 0);
+      return termCount + phrases.reduce((total, phrase) => total + countPhrase(prepared, phrase.map(stem)), 0);
+    },
+  };
+};
+
+export default {
+  createSearchMatcher,
+};
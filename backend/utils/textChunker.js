@@ -0,0 +1,90 @@
+// Token-aware text chunking for prompts that would overflow the model context.
+// Token counts are estimated (roughly 4 characters per token for English),
+// which is close enough for budgeting without pulling in a tokenizer.
+
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text = '') => {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+// Split into the largest units that fit: paragraphs, then sentences, then words
+const splitUnits = (text, maxTokens) => {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+  return paragraphs.flatMap(paragraph => {
+    if (estimateTokens(paragraph) <= maxTokens) return [paragraph];
+
+    const sentences = paragraph.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g)?.map(s => s.trim()).filter(Boolean) || [paragraph];
+
+    return sentences.flatMap(sentence => {
+      if (estimateTokens(sentence) <= maxTokens) return [sentence];
+
+      const words = sentence.split(/\s+/);
+      const maxChars = maxTokens * CHARS_PER_TOKEN;
+      const pieces = [];
+      let current = '';
+
+      for (const word of words) {
+        if (current && current.length + word.length + 1 > maxChars) {
+          pieces.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${word}` : word;
+      }
+      if (current) pieces.push(current);
+
+      return pieces;
+    });
+  });
+};
+
+// Split text into chunks of at most maxTokens, repeating roughly overlapTokens
+// of trailing context at the start of the next chunk
+export const chunkText = (text, { maxTokens = 3000, overlapTokens = 200 } = {}) => {
+  if (!text || estimateTokens(text) <= maxTokens) {
+    return text ? [text] : [];
+  }
+
+  const units = splitUnits(text, maxTokens - 1);
+  // Each unit also costs the paragraph separator it is joined with
+  const unitCost = (unit) => estimateTokens(unit) + 1;
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const unit of units) {
+    const unitTokens = unitCost(unit);
+
+    if (current.length > 0 && currentTokens + unitTokens > maxTokens) {
+      chunks.push(current.join('\n\n'));
+
+      // Carry trailing units forward as overlap
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const size = unitCost(current[i]);
+        if (overlapSize + size > overlapTokens || overlapSize + size + unitTokens > maxTokens) break;
+        overlap.unshift(current[i]);
+        overlapSize += size;
+      }
+
+      current = overlap;
+      currentTokens = overlapSize;
+    }
+
+    current.push(unit);
+    currentTokens += unitTokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join('\n\n'));
+  }
+
+  return chunks;
+};
+
+export default {
+  estimateTokens,
+  chunkText,
+};
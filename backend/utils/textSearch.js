@@ -0,0 +1,166 @@
+// Keyword ranking for retrieval over meeting passages.
+// Passages are scored with BM25: words that are rare across the passages
+// count for more, and long passages do not win just by being long.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 240;
+const SNIPPET_CONTEXT = 60; // Characters kept before the first highlighted word
+
+// Common words that say nothing about what a passage is about
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'but', 'not', 'you', 'your', 'our', 'ours', 'all', 'any',
+  'can', 'did', 'does', 'had', 'has', 'have', 'her', 'his', 'him', 'its', 'let', 'may', 'who', 'what',
+  'when', 'where', 'which', 'why', 'how', 'this', 'that', 'these', 'those', 'with', 'from', 'into',
+  'about', 'will', 'would', 'should', 'could', 'they', 'them', 'their', 'then', 'than', 'there',
+  'here', 'been', 'being', 'also', 'just', 'some', 'one', 'out', 'off', 'over', 'very'
+]);
+
+export const tokenize = (text = '') => {
+  return text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+};
+
+// Passages ({ text, ... }) matching the query, best first, each with a score
+export const rankPassages = (passages, query, { limit = 10 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || passages.length === 0) return [];
+
+  const documents = passages.map(passage => {
+    const tokens = tokenize(passage.text);
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return { passage, counts, length: tokens.length };
+  });
+
+  const averageLength = documents.reduce((total, doc) => total + doc.length, 0) / documents.length || 1;
+
+  const idf = new Map(queryTerms.map(term => {
+    const containing = documents.filter(doc => doc.counts.has(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return documents
+    .map(({ passage, counts, length }) => {
+      const score = queryTerms.reduce((total, term) => {
+        const frequency = counts.get(term) || 0;
+        if (!frequency) return total;
+        return total + idf.get(term) * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+      }, 0);
+      return { ...passage, score: Number(score.toFixed(4)) };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Crude stem so word forms match each other ("decide" finds "decided", "migrate" finds "migration")
+export const stem = (word) => {
+  const stemmed = word.replace(/(ions?|ing|ed|es|e|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Words of a text with their offsets, stop words included
+export const splitWords = (text = '') => {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+};
+
+// { start, end } offsets in text of words sharing a stem with any of the
+// terms, and of runs of words matching any of the phrases (arrays of words)
+const findMatches = (text, { terms = [], phrases = [] }) => {
+  const words = splitWords(text);
+  const stems = words.map(({ word }) => stem(word));
+  const termStems = new Set(terms.map(stem));
+
+  const matches = words
+    .filter((_, index) => termStems.has(stems[index]))
+    .map(({ start, end }) => ({ start, end }));
+
+  for (const phrase of phrases) {
+    const phraseStems = phrase.map(stem);
+    for (let i = 0; i + phraseStems.length <= stems.length; i++) {
+      if (phraseStems.every((phraseStem, offset) => stems[i + offset] === phraseStem)) {
+        matches.push({ start: words[i].start, end: words[i + phraseStems.length - 1].end });
+      }
+    }
+  }
+
+  // Sorted, with words inside a matched phrase merged into it
+  return matches
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .reduce((merged, match) => {
+      const last = merged[merged.length - 1];
+      if (last && match.start <= last.end) {
+        last.end = Math.max(last.end, match.end);
+      } else {
+        merged.push({ ...match });
+      }
+      return merged;
+    }, []);
+};
+
+// Excerpt of a text around its densest run of matches, with the matches as
+// { start, end } offsets into the snippet. Without any match the snippet is
+// the start of the text.
+const buildSnippet = (text, wanted, length) => {
+  const matches = findMatches(text, wanted);
+
+  let windowStart = 0;
+  let mostMatches = 0;
+  matches.forEach((match, index) => {
+    const start = Math.max(0, match.start - SNIPPET_CONTEXT);
+    const count = matches.slice(index).filter(other => other.end <= start + length).length;
+    if (count > mostMatches) {
+      mostMatches = count;
+      windowStart = start;
+    }
+  });
+
+  // Cut on whitespace so the snippet starts and ends with whole words
+  if (windowStart > 0) {
+    windowStart = text.lastIndexOf(' ', windowStart) + 1;
+  }
+  let windowEnd = Math.min(text.length, windowStart + length);
+  if (windowEnd < text.length) {
+    const space = text.lastIndexOf(' ', windowEnd);
+    if (space > windowStart) windowEnd = space;
+  }
+
+  const prefix = windowStart > 0 ? '...' : '';
+  const body = text.slice(windowStart, windowEnd).replace(/\s+/g, ' ').trim();
+  const suffix = windowEnd < text.length ? '...' : '';
+
+  return {
+    snippet: `${prefix}${body}${suffix}`,
+    highlights: findMatches(body, wanted).map(({ start, end }) => ({
+      start: start + prefix.length,
+      end: end + prefix.length,
+    })),
+  };
+};
+
+// Snippet of a text highlighting the words of a free-text query
+export const highlightSnippet = (text = '', query = '', { length = SNIPPET_LENGTH } = {}) => {
+  return buildSnippet(text, { terms: [...new Set(tokenize(query))] }, length);
+};
+
+// Snippet of a text highlighting the given terms and phrases
+export const highlightMatches = (text = '', { terms = [], phrases = [] } = {}, { length = SNIPPET_LENGTH } = {}) => {
+  return buildSnippet(text, { terms, phrases }, length);
+};
+
+export default {
+  tokenize,
+  stem,
+  splitWords,
+  rankPassages,
+  highlightSnippet,
+  highlightMatches,
+};
@@ -0,0 +1,126 @@
+// Transcript exports built from stored transcript segments:
+//   srt  - SubRip captions
+//   vtt  - WebVTT captions, speakers as <v> voice tags
+//   txt  - plain text paragraphs per speaker turn, ready to paste into a document
+//   json - the segments themselves
+// Captions follow the usual two-line limit: segments that are too long or
+// too slow to read are split into several cues on word timestamps.
+
+export const TRANSCRIPT_FORMATS = {
+  JSON: 'json',
+  SRT: 'srt',
+  VTT: 'vtt',
+  TXT: 'txt'
+};
+
+export const TRANSCRIPT_CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+const MAX_CUE_CHARS = 84; // Two lines of 42 characters
+const MAX_CUE_SECONDS = 7;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// hh:mm:ss followed by milliseconds (',' for SRT, '.' for WebVTT)
+export const formatTimestamp = (seconds, millisecondSeparator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisecondSeparator}${pad(totalMs % 1000, 3)}`;
+};
+
+const speakerOf = (segment) => segment.speaker_name || segment.speaker || null;
+
+// Split a segment into caption-sized cues using its word timestamps
+const segmentCues = (segment) => {
+  const fits = segment.text.length <= MAX_CUE_CHARS && segment.end - segment.start <= MAX_CUE_SECONDS;
+
+  if (fits || !segment.words?.length) {
+    return [{ start: segment.start, end: segment.end, text: segment.text, speaker: speakerOf(segment) }];
+  }
+
+  // Whisper words carry no punctuation; use the segment's own tokens when they line up
+  const tokens = segment.text.split(/\s+/);
+  const labels = tokens.length === segment.words.length ? tokens : segment.words.map(word => word.word);
+
+  const cues = [];
+  let current = null;
+
+  for (const [index, word] of segment.words.entries()) {
+    const label = labels[index];
+    const text = current ? `${current.text} ${label}` : label;
+    const tooLong = current && (text.length > MAX_CUE_CHARS || word.end - current.start > MAX_CUE_SECONDS);
+
+    if (!current || tooLong) {
+      current = { start: word.start, end: word.end, text: label, speaker: speakerOf(segment) };
+      cues.push(current);
+    } else {
+      current.text = text;
+      current.end = word.end;
+    }
+  }
+
+  return cues;
+};
+
+const toCues = (segments) => segments.flatMap(segmentCues);
+
+export const toSrt = (segments = []) => {
+  return toCues(segments)
+    .map((cue, index) => [
+      index + 1,
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+};
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toVtt = (segments = []) => {
+  const cues = toCues(segments).map(cue => [
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text),
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+// Consecutive segments by the same speaker are joined into one paragraph
+export const toPlainText = (segments = [], { title, date } = {}) => {
+  const paragraphs = [];
+
+  for (const segment of segments) {
+    const previous = paragraphs[paragraphs.length - 1];
+
+    if (previous && previous.speaker === speakerOf(segment)) {
+      previous.text = `${previous.text} ${segment.text}`;
+    } else {
+      paragraphs.push({ start: segment.start, speaker: speakerOf(segment), text: segment.text });
+    }
+  }
+
+  const header = [title, date && new Date(date).toISOString().split('T')[0]].filter(Boolean);
+  const body = paragraphs.map(paragraph => {
+    const timestamp = `[${formatTimestamp(paragraph.start).split(',')[0]}]`;
+    return paragraph.speaker
+      ? `${timestamp} ${paragraph.speaker}: ${paragraph.text}`
+      : `${timestamp} ${paragraph.text}`;
+  });
+
+  return [...(header.length ? [header.join('\n')] : []), ...body].join('\n\n') + '\n';
+};
+
+export default {
+  TRANSCRIPT_FORMATS,
+  TRANSCRIPT_CONTENT_TYPES,
+  formatTimestamp,
+  toSrt,
+  toVtt,
+  toPlainText,
+};
@@ -0,0 +1,155 @@
+// Structured transcripts: Whisper segments labelled with the speaker who said
+// them, each carrying its word-level timestamps.
+// Diarization returns speaker turns ({ speaker, start, end }) on the same
+// timeline as the transcription; each segment is given the speaker whose
+// turns overlap it the most. Raw provider labels ("A", "SPEAKER_00", ...)
+// are renamed SPEAKER_1, SPEAKER_2, ... in order of first appearance so
+// labels look the same whichever provider produced them.
+
+const SPEAKER_PREFIX = 'SPEAKER_';
+
+const roundTime = (seconds) => Number(seconds.toFixed(2));
+
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+// Speaker with the most talk time inside [start, end], or null when no turn overlaps
+const dominantSpeaker = (segment, turns) => {
+  const talkTime = new Map();
+
+  for (const turn of turns) {
+    const seconds = overlap(segment, turn);
+    if (seconds > 0) {
+      talkTime.set(turn.speaker, (talkTime.get(turn.speaker) || 0) + seconds);
+    }
+  }
+
+  let best = null;
+  for (const [speaker, seconds] of talkTime) {
+    if (!best || seconds > best.seconds) {
+      best = { speaker, seconds };
+    }
+  }
+
+  return best?.speaker ?? null;
+};
+
+// Segments that fall in a gap between turns take the nearest turn's speaker
+const nearestSpeaker = (segment, turns) => {
+  const midpoint = (segment.start + segment.end) / 2;
+  let nearest = null;
+
+  for (const turn of turns) {
+    const distance = midpoint < turn.start ? turn.start - midpoint : Math.max(0, midpoint - turn.end);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { speaker: turn.speaker, distance };
+    }
+  }
+
+  return nearest?.speaker ?? null;
+};
+
+// Group words by the segment their midpoint falls in; words and segments are in time order
+const groupWords = (segments, words) => {
+  const grouped = segments.map(() => []);
+  let index = 0;
+
+  for (const word of words) {
+    const midpoint = (word.start + word.end) / 2;
+    while (index < segments.length - 1 && midpoint >= segments[index].end) index++;
+
+    grouped[index].push({ word: word.word.trim(), start: roundTime(word.start), end: roundTime(word.end) });
+  }
+
+  return grouped;
+};
+
+// Structured segments ({ id, speaker, start, end, text, words }) from a transcription
+// and optional diarization turns; speaker is null when there are no turns.
+// Segments that already carry words (re-labelling stored segments) keep them.
+export const buildTranscriptSegments = (transcription, turns = []) => {
+  const segments = (transcription?.segments || [])
+    .map(segment => ({ ...segment, text: (segment.text || '').trim() }))
+    .filter(segment => segment.text);
+  const words = segments.length > 0 && transcription?.words?.length ? groupWords(segments, transcription.words) : null;
+  const labels = new Map();
+
+  const labelFor = (rawSpeaker) => {
+    if (rawSpeaker === null || rawSpeaker === undefined) return null;
+    if (!labels.has(rawSpeaker)) {
+      labels.set(rawSpeaker, `${SPEAKER_PREFIX}${labels.size + 1}`);
+    }
+    return labels.get(rawSpeaker);
+  };
+
+  return segments.map((segment, index) => ({
+    id: index,
+    speaker: turns.length > 0
+      ? labelFor(dominantSpeaker(segment, turns) ?? nearestSpeaker(segment, turns))
+      : null,
+    start: roundTime(segment.start),
+    end: roundTime(segment.end),
+    text: segment.text,
+    words: words ? words[index] : segment.words || [],
+  }));
+};
+
+// Speaker labels used in a transcript, in order of first appearance
+export const getSpeakerLabels = (segments = []) => {
+  return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+};
+
+// Segments with the participant each speaker label is mapped to
+export const applySpeakerMap = (segments = [], speakerMap = {}) => {
+  return segments.map(segment => ({
+    ...segment,
+    speaker_name: (segment.speaker && speakerMap[segment.speaker]) || null,
+  }));
+};
+
+// Per-speaker totals: { label, name, segments, talk_time }
+export const summarizeSpeakers = (segments = [], speakerMap = {}) => {
+  return getSpeakerLabels(segments).map(label => {
+    const spoken = segments.filter(segment => segment.speaker === label);
+
+    return {
+      label,
+      name: speakerMap[label] || null,
+      segments: spoken.length,
+      talk_time: roundTime(spoken.reduce((total, segment) => total + (segment.end - segment.start), 0)),
+    };
+  });
+};
+
+const significantWords = (text = '') => new Set(
+  text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(word => word.length > 2)
+);
+
+// Segment where a summarised statement (e.g. a MOM decision) was most likely
+// said: the one that, together with the next segment, contains the largest
+// share of the statement's words, preferring the segment that holds more of
+// them itself. Null when no segment reaches minScore.
+export const findSegmentForText = (segments = [], text, { minScore = 0.4 } = {}) => {
+  const target = significantWords(text);
+  if (target.size === 0) return null;
+
+  const share = (words) => [...target].filter(word => words.has(word)).length / target.size;
+
+  let best = null;
+  segments.forEach((segment, index) => {
+    const own = share(significantWords(segment.text));
+    const score = share(significantWords(`${segment.text} ${segments[index + 1]?.text || ''}`));
+    if (!best || score > best.score || (score === best.score && own > best.own)) {
+      best = { segment, score, own };
+    }
+  });
+
+  return best && best.score >= minScore ? best.segment : null;
+};
+
+export default {
+  buildTranscriptSegments,
+  getSpeakerLabels,
+  applySpeakerMap,
+  summarizeSpeakers,
+  findSegmentForText,
+};
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local vector index: embedded chunks of each document (a meeting) kept in
+// a single JSON file, searched by brute-force cosine similarity. Small
+// enough for a team's meetings without running a vector database.
+
+// Vectors are stored rounded; the lost precision does not change rankings
+const VECTOR_PRECISION = 6;
+
+const roundVector = (vector) => vector.map(value => Number(value.toFixed(VECTOR_PRECISION)));
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+export const createVectorIndex = ({ filePath }) => {
+  let store = null;
+
+  const load = () => {
+    if (store) return store;
+
+    store = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : { documents: {} };
+    return store;
+  };
+
+  // Write to a temp file first so a crash never leaves a truncated index
+  const persist = () => {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(store));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return {
+    get: (documentId) => load().documents[documentId] || null,
+
+    // Replace everything indexed for a document
+    // entry: { chunks: [{ id, vector, ... }], ...metadata }
+    upsert: (documentId, entry) => {
+      load().documents[documentId] = {
+        ...entry,
+        chunks: entry.chunks.map(chunk => ({ ...chunk, vector: roundVector(chunk.vector) })),
+        indexed_at: new Date().toISOString(),
+      };
+      persist();
+    },
+
+    remove: (documentId) => {
+      if (!load().documents[documentId]) return false;
+      delete store.documents[documentId];
+      persist();
+      return true;
+    },
+
+    // Chunks closest to the vector, best first: { document_id, document, chunk, score }.
+    // filter(document, chunk) limits the chunks searched; chunks embedded
+    // with vectors of another size (a different model) are never compared.
+    query: (vector, { filter = () => true, limit = Infinity, minScore = 0 } = {}) => {
+      const matches = [];
+
+      for (const [documentId, document] of Object.entries(load().documents)) {
+        for (const chunk of document.chunks) {
+          if (chunk.vector.length !== vector.length || !filter(document, chunk)) continue;
+
+          const score = cosineSimilarity(vector, chunk.vector);
+          if (score >= minScore) {
+            matches.push({ document_id: documentId, document, chunk, score });
+          }
+        }
+      }
+
+      return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+  };
+};
+
+export default {
+  cosineSimilarity,
+  createVectorIndex,
+};
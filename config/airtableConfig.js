@@ -21,7 +21,16 @@ if (AIRTABLE_API_KEY && AIRTABLE_BASE_ID) {
 export const TABLES = {
   PROJECTS: 'Projects',
   MEETINGS: 'Meetings',
-  TASKS: 'Tasks'
+  TASKS: 'Tasks',
+  JOBS: 'Jobs',
+  MEETING_VERSIONS: 'MeetingVersions',
+  MEETING_TRANSLATIONS: 'MeetingTranslations',
+  TEMPLATES: 'Templates',
+  DECISIONS: 'Decisions',
+  CHAT_CONVERSATIONS: 'ChatConversations',
+  SAVED_VIEWS: 'SavedViews',
+  TASK_COMMENTS: 'TaskComments',
+  TASK_ACTIVITY: 'TaskActivity'
 };
 
 // Airtable field mappings
@@ -31,17 +40,37 @@ export const FIELDS = {
     CREATED_BY: 'created_by',
     MEMBERS: 'members',
     MEETINGS: 'meetings',
+    TIMEZONE: 'timezone',
+    LANGUAGE: 'language',
+    OUTPUT_LANGUAGE: 'output_language',
     CREATED_AT: 'created_at'
   },
   MEETINGS: {
     PROJECT_ID: 'project_id',
     TITLE: 'title',
     DATE: 'date',
+    PARTICIPANTS: 'participants',
     RECORDING_URL: 'recording_url',
+    RECORDING_FILE: 'recording_file',
     TRANSCRIPT: 'transcript',
     MOM: 'mom',
+    MOM_STRUCTURED: 'mom_structured',
     ACTION_POINTS: 'action_points',
     SUMMARY: 'summary',
+    PROCESSING_STATUS: 'processing_status',
+    PROCESSING_STEP: 'processing_step',
+    PROCESSING_ERROR: 'processing_error',
+    PROCESSING_STEPS: 'processing_steps',
+    PROCESSING_STARTED_AT: 'processing_started_at',
+    PROCESSING_COMPLETED_AT: 'processing_completed_at',
+    PROCESSING_JOB_ID: 'processing_job_id',
+    ACTION_ITEM_PROPOSALS: 'action_item_proposals',
+    TRANSCRIPT_SEGMENTS: 'transcript_segments',
+    SPEAKER_MAP: 'speaker_map',
+    LANGUAGE: 'language',
+    DETECTED_LANGUAGE: 'detected_language',
+    OUTPUT_LANGUAGE: 'output_language',
+    TEMPLATE_ID: 'template_id',
     CREATED_AT: 'created_at'
   },
   TASKS: {
@@ -49,10 +78,132 @@ export const FIELDS = {
     OWNER_ID: 'owner_id',
     STATUS: 'status',
     DEADLINE: 'deadline',
+    DEADLINE_TEXT: 'deadline_text',
+    DEADLINE_NEEDS_REVIEW: 'deadline_needs_review',
+    DEADLINE_NOTE: 'deadline_note',
     SOURCE_MEETING: 'source_meeting',
     TEAM: 'team',
     DESCRIPTION: 'description',
     PRIORITY: 'priority',
+    ASSIGNEE_NAME: 'assignee_name',
+    ASSIGNEE_CONFIDENCE: 'assignee_confidence',
+    ASSIGNEE_SUGGESTIONS: 'assignee_suggestions',
+    NEEDS_ASSIGNMENT: 'needs_assignment',
+    PARENT_ID: 'parent_id',
+    BLOCKED_BY: 'blocked_by',
+    CREATED_AT: 'created_at'
+  },
+  JOBS: {
+    TYPE: 'type',
+    STATUS: 'status',
+    PAYLOAD: 'payload',
+    ATTEMPTS: 'attempts',
+    MAX_ATTEMPTS: 'max_attempts',
+    RUN_AT: 'run_at',
+    LAST_ERROR: 'last_error',
+    CHECKPOINTS: 'checkpoints',
+    RESULT: 'result',
+    STARTED_AT: 'started_at',
+    COMPLETED_AT: 'completed_at',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  MEETING_VERSIONS: {
+    MEETING_ID: 'meeting_id',
+    VERSION: 'version',
+    TRANSCRIPT: 'transcript',
+    TRANSCRIPT_SEGMENTS: 'transcript_segments',
+    SPEAKER_MAP: 'speaker_map',
+    MOM: 'mom',
+    MOM_STRUCTURED: 'mom_structured',
+    SUMMARY: 'summary',
+    ACTION_POINTS: 'action_points',
+    ACTION_ITEM_PROPOSALS: 'action_item_proposals',
+    REPROCESSED_STEPS: 'reprocessed_steps',
+    CREATED_BY: 'created_by',
+    CREATED_AT: 'created_at'
+  },
+  MEETING_TRANSLATIONS: {
+    MEETING_ID: 'meeting_id',
+    LANGUAGE: 'language',
+    SOURCE_LANGUAGE: 'source_language',
+    STATUS: 'status',
+    TRANSLATED_FIELDS: 'translated_fields',
+    TRANSCRIPT: 'transcript',
+    MOM: 'mom',
+    SUMMARY: 'summary',
+    ERROR: 'error',
+    JOB_ID: 'job_id',
+    CREATED_BY: 'created_by',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  TEMPLATES: {
+    NAME: 'name',
+    TYPE: 'type',
+    DESCRIPTION: 'description',
+    PROJECT_ID: 'project_id',
+    SECTIONS: 'sections',
+    INSTRUCTIONS: 'instructions',
+    OUTPUT_FORMAT: 'output_format',
+    CREATED_BY: 'created_by',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  DECISIONS: {
+    PROJECT_ID: 'project_id',
+    MEETING_ID: 'meeting_id',
+    DECISION: 'decision',
+    RATIONALE: 'rationale',
+    OWNER: 'owner',
+    STATUS: 'status',
+    STATUS_NOTE: 'status_note',
+    SUPERSEDED_BY: 'superseded_by',
+    SOURCE: 'source',
+    TRANSCRIPT_TIMESTAMP: 'transcript_timestamp',
+    TRANSCRIPT_EXCERPT: 'transcript_excerpt',
+    DECIDED_AT: 'decided_at',
+    CREATED_BY: 'created_by',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  CHAT_CONVERSATIONS: {
+    PROJECT_ID: 'project_id',
+    USER_ID: 'user_id',
+    TITLE: 'title',
+    MESSAGES: 'messages',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  SAVED_VIEWS: {
+    NAME: 'name',
+    ENTITY: 'entity',
+    SCOPE: 'scope',
+    PROJECT_ID: 'project_id',
+    FILTERS: 'filters',
+    SORT: 'sort',
+    COLUMNS: 'columns',
+    CREATED_BY: 'created_by',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  TASK_COMMENTS: {
+    TASK_ID: 'task_id',
+    PARENT_ID: 'parent_id',
+    AUTHOR_ID: 'author_id',
+    BODY: 'body',
+    MENTIONS: 'mentions',
+    DELETED: 'deleted',
+    EDITED_AT: 'edited_at',
+    CREATED_AT: 'created_at',
+    UPDATED_AT: 'updated_at'
+  },
+  TASK_ACTIVITY: {
+    TASK_ID: 'task_id',
+    TYPE: 'type',
+    ACTOR_ID: 'actor_id',
+    CHANGES: 'changes',
+    COMMENT_ID: 'comment_id',
     CREATED_AT: 'created_at'
   }
 };
@@ -92,6 +243,9 @@ export const AIRTABLE_SCHEMA = {
       { name: 'created_by', type: 'singleLineText', required: true },
       { name: 'members', type: 'multipleSelects' },
       { name: 'meetings', type: 'multipleRecordLinks', linkedTable: 'Meetings' },
+      { name: 'timezone', type: 'singleLineText' },
+      { name: 'language', type: 'singleLineText' },
+      { name: 'output_language', type: 'singleLineText' },
       { name: 'created_at', type: 'dateTime', required: true }
     ]
   },
@@ -100,11 +254,28 @@ export const AIRTABLE_SCHEMA = {
       { name: 'project_id', type: 'multipleRecordLinks', linkedTable: 'Projects', required: true },
       { name: 'title', type: 'singleLineText', required: true },
       { name: 'date', type: 'dateTime', required: true },
+      { name: 'participants', type: 'longText' },
       { name: 'recording_url', type: 'url' },
+      { name: 'recording_file', type: 'longText' },
       { name: 'transcript', type: 'longText' },
       { name: 'mom', type: 'longText' },
+      { name: 'mom_structured', type: 'longText' },
       { name: 'action_points', type: 'multipleRecordLinks', linkedTable: 'Tasks' },
       { name: 'summary', type: 'longText' },
+      { name: 'processing_status', type: 'singleSelect', options: ['pending', 'processing', 'completed', 'failed'] },
+      { name: 'processing_step', type: 'singleLineText' },
+      { name: 'processing_error', type: 'longText' },
+      { name: 'processing_steps', type: 'longText' },
+      { name: 'processing_started_at', type: 'dateTime' },
+      { name: 'processing_completed_at', type: 'dateTime' },
+      { name: 'processing_job_id', type: 'singleLineText' },
+      { name: 'action_item_proposals', type: 'longText' },
+      { name: 'transcript_segments', type: 'longText' },
+      { name: 'speaker_map', type: 'longText' },
+      { name: 'language', type: 'singleLineText' },
+      { name: 'detected_language', type: 'singleLineText' },
+      { name: 'output_language', type: 'singleLineText' },
+      { name: 'template_id', type: 'singleLineText' },
       { name: 'created_at', type: 'dateTime', required: true }
     ]
   },
@@ -114,10 +285,150 @@ export const AIRTABLE_SCHEMA = {
       { name: 'owner_id', type: 'singleLineText', required: true },
       { name: 'status', type: 'singleSelect', options: Object.values(TASK_STATUS), required: true },
       { name: 'deadline', type: 'date' },
+      { name: 'deadline_text', type: 'singleLineText' },
+      { name: 'deadline_needs_review', type: 'checkbox' },
+      { name: 'deadline_note', type: 'singleLineText' },
       { name: 'source_meeting', type: 'multipleRecordLinks', linkedTable: 'Meetings' },
       { name: 'team', type: 'singleLineText' },
       { name: 'description', type: 'longText' },
       { name: 'priority', type: 'singleSelect', options: Object.values(TASK_PRIORITY) },
+      { name: 'assignee_name', type: 'singleLineText' },
+      { name: 'assignee_confidence', type: 'number' },
+      { name: 'assignee_suggestions', type: 'longText' },
+      { name: 'needs_assignment', type: 'checkbox' },
+      { name: 'parent_id', type: 'singleLineText' },
+      { name: 'blocked_by', type: 'longText' },
+      { name: 'created_at', type: 'dateTime', required: true }
+    ]
+  },
+  Jobs: {
+    fields: [
+      { name: 'type', type: 'singleLineText', required: true },
+      { name: 'status', type: 'singleSelect', options: ['queued', 'running', 'succeeded', 'failed'], required: true },
+      { name: 'payload', type: 'longText' },
+      { name: 'attempts', type: 'number' },
+      { name: 'max_attempts', type: 'number' },
+      { name: 'run_at', type: 'dateTime' },
+      { name: 'last_error', type: 'longText' },
+      { name: 'checkpoints', type: 'longText' },
+      { name: 'result', type: 'longText' },
+      { name: 'started_at', type: 'dateTime' },
+      { name: 'completed_at', type: 'dateTime' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  MeetingVersions: {
+    fields: [
+      { name: 'meeting_id', type: 'singleLineText', required: true },
+      { name: 'version', type: 'number', required: true },
+      { name: 'transcript', type: 'longText' },
+      { name: 'transcript_segments', type: 'longText' },
+      { name: 'speaker_map', type: 'longText' },
+      { name: 'mom', type: 'longText' },
+      { name: 'mom_structured', type: 'longText' },
+      { name: 'summary', type: 'longText' },
+      { name: 'action_points', type: 'longText' },
+      { name: 'action_item_proposals', type: 'longText' },
+      { name: 'reprocessed_steps', type: 'longText' },
+      { name: 'created_by', type: 'singleLineText' },
+      { name: 'created_at', type: 'dateTime', required: true }
+    ]
+  },
+  MeetingTranslations: {
+    fields: [
+      { name: 'meeting_id', type: 'singleLineText', required: true },
+      { name: 'language', type: 'singleLineText', required: true },
+      { name: 'source_language', type: 'singleLineText' },
+      { name: 'status', type: 'singleSelect', options: ['pending', 'processing', 'completed', 'failed'], required: true },
+      { name: 'translated_fields', type: 'longText' },
+      { name: 'transcript', type: 'longText' },
+      { name: 'mom', type: 'longText' },
+      { name: 'summary', type: 'longText' },
+      { name: 'error', type: 'longText' },
+      { name: 'job_id', type: 'singleLineText' },
+      { name: 'created_by', type: 'singleLineText' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  Templates: {
+    fields: [
+      { name: 'name', type: 'singleLineText', required: true },
+      { name: 'type', type: 'singleSelect', options: ['general', 'standup', 'retro', 'client_call', 'interview', 'custom'], required: true },
+      { name: 'description', type: 'longText' },
+      { name: 'project_id', type: 'singleLineText' },
+      { name: 'sections', type: 'longText', required: true },
+      { name: 'instructions', type: 'longText' },
+      { name: 'output_format', type: 'singleSelect', options: ['markdown', 'plain_text'] },
+      { name: 'created_by', type: 'singleLineText' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  Decisions: {
+    fields: [
+      { name: 'project_id', type: 'singleLineText', required: true },
+      { name: 'meeting_id', type: 'singleLineText' },
+      { name: 'decision', type: 'longText', required: true },
+      { name: 'rationale', type: 'longText' },
+      { name: 'owner', type: 'singleLineText' },
+      { name: 'status', type: 'singleSelect', options: ['active', 'superseded', 'reverted'], required: true },
+      { name: 'status_note', type: 'longText' },
+      { name: 'superseded_by', type: 'singleLineText' },
+      { name: 'source', type: 'singleSelect', options: ['mom', 'manual'] },
+      { name: 'transcript_timestamp', type: 'number' },
+      { name: 'transcript_excerpt', type: 'longText' },
+      { name: 'decided_at', type: 'dateTime' },
+      { name: 'created_by', type: 'singleLineText' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  ChatConversations: {
+    fields: [
+      { name: 'project_id', type: 'singleLineText', required: true },
+      { name: 'user_id', type: 'singleLineText', required: true },
+      { name: 'title', type: 'singleLineText' },
+      { name: 'messages', type: 'longText' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  SavedViews: {
+    fields: [
+      { name: 'name', type: 'singleLineText', required: true },
+      { name: 'entity', type: 'singleSelect', options: ['task', 'meeting'], required: true },
+      { name: 'scope', type: 'singleSelect', options: ['personal', 'project'], required: true },
+      { name: 'project_id', type: 'singleLineText' },
+      { name: 'filters', type: 'longText' },
+      { name: 'sort', type: 'longText' },
+      { name: 'columns', type: 'longText' },
+      { name: 'created_by', type: 'singleLineText', required: true },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  TaskComments: {
+    fields: [
+      { name: 'task_id', type: 'singleLineText', required: true },
+      { name: 'parent_id', type: 'singleLineText' },
+      { name: 'author_id', type: 'singleLineText', required: true },
+      { name: 'body', type: 'longText' },
+      { name: 'mentions', type: 'longText' },
+      { name: 'deleted', type: 'checkbox' },
+      { name: 'edited_at', type: 'dateTime' },
+      { name: 'created_at', type: 'dateTime', required: true },
+      { name: 'updated_at', type: 'dateTime' }
+    ]
+  },
+  TaskActivity: {
+    fields: [
+      { name: 'task_id', type: 'singleLineText', required: true },
+      { name: 'type', type: 'singleSelect', options: ['created', 'status_changed', 'assigned', 'updated', 'commented'], required: true },
+      { name: 'actor_id', type: 'singleLineText' },
+      { name: 'changes', type: 'longText' },
+      { name: 'comment_id', type: 'singleLineText' },
       { name: 'created_at', type: 'dateTime', required: true }
     ]
   }
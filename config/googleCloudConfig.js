@@ -104,6 +104,17 @@ export const getSignedUrl = async (fileName, action = 'read', expiresIn = 7 * 24
   return signedUrl;
 };
 
+export const downloadFile = async (fileName) => {
+  if (!isGCSConfigured()) {
+    throw new Error('Google Cloud Storage not configured');
+  }
+
+  const file = bucket.file(fileName);
+  const [contents] = await file.download();
+
+  return contents;
+};
+
 // Local storage fallback
 export const saveFileLocally = async (file, fileName, folder = 'uploads') => {
   const fs = await import('fs');
@@ -124,5 +135,10 @@ export const saveFileLocally = async (file, fileName, folder = 'uploads') => {
   };
 };
 
+export const readFileLocally = async (localPath) => {
+  const fs = await import('fs');
+  return fs.promises.readFile(localPath);
+};
+
 export { storage, bucket };
-export default { storage, bucket, isGCSConfigured, uploadFile, deleteFile, getSignedUrl, saveFileLocally };
+export default { storage, bucket, isGCSConfigured, uploadFile, deleteFile, getSignedUrl, downloadFile, saveFileLocally, readFileLocally };
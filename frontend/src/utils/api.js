@@ -70,6 +70,19 @@ api.interceptors.response.use(
   }
 );
 
+// Query string of the given parameters, leaving out empty ones; arrays are
+// sent comma-separated. Returns '' when no parameter is set.
+const toQuery = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
 // Auth API calls
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
@@ -83,19 +96,46 @@ export const authAPI = {
 
 // Projects API calls
 export const projectsAPI = {
-  getAll: () => api.get('/projects'),
+  getAll: (pagination = {}) => api.get(`/projects${toQuery(pagination)}`),
   getById: (id) => api.get(`/projects/${id}`),
   create: (projectData) => api.post('/projects', projectData),
   update: (id, projectData) => api.put(`/projects/${id}`, projectData),
   delete: (id) => api.delete(`/projects/${id}`),
   addMember: (id, memberId) => api.post(`/projects/${id}/members`, { member_id: memberId }),
   removeMember: (id, memberId) => api.delete(`/projects/${id}/members/${memberId}`),
+  getNeedsAssignment: (id, pagination = {}) => api.get(`/projects/${id}/needs-assignment${toQuery(pagination)}`),
+  getDependencyGraph: (id) => api.get(`/projects/${id}/dependency-graph`),
+  getDecisions: (id, filters = {}) => api.get(`/projects/${id}/decisions${toQuery(filters)}`),
+  createDecision: (id, decisionData) => api.post(`/projects/${id}/decisions`, decisionData),
+  updateDecision: (id, decisionId, updates) => api.put(`/projects/${id}/decisions/${decisionId}`, updates),
+  deleteDecision: (id, decisionId) => api.delete(`/projects/${id}/decisions/${decisionId}`),
+  chat: (id, message, conversationId) => api.post(`/projects/${id}/chat`, {
+    message,
+    ...(conversationId && { conversation_id: conversationId })
+  }),
+  getConversations: (id, pagination = {}) => api.get(`/projects/${id}/chat/conversations${toQuery(pagination)}`),
+  getConversation: (id, conversationId) => api.get(`/projects/${id}/chat/conversations/${conversationId}`),
+  deleteConversation: (id, conversationId) => api.delete(`/projects/${id}/chat/conversations/${conversationId}`),
 };
 
 // Meetings API calls
 export const meetingsAPI = {
-  getById: (id) => api.get(`/meetings/${id}`),
-  getByProject: (projectId) => api.get(`/meetings/project/${projectId}`),
+  getById: (id, lang) => api.get(`/meetings/${id}${lang ? `?lang=${lang}` : ''}`),
+  getStatus: (id) => api.get(`/meetings/${id}/status`),
+  reprocess: (id, options = {}) => api.post(`/meetings/${id}/reprocess`, options),
+  getVersions: (id) => api.get(`/meetings/${id}/versions`),
+  getTranslations: (id) => api.get(`/meetings/${id}/translations`),
+  translate: (id, language, fields) => api.post(`/meetings/${id}/translations`, { language, ...(fields && { fields }) }),
+  getTranscript: (id) => api.get(`/meetings/${id}/transcript`),
+  exportTranscript: (id, format) => api.get(`/meetings/${id}/transcript?format=${format}`, { responseType: 'blob' }),
+  updateSpeakers: (id, speakers) => api.put(`/meetings/${id}/speakers`, { speakers }),
+  getActionItems: (id, status) => api.get(`/meetings/${id}/action-items${status ? `?status=${status}` : ''}`),
+  updateActionItem: (id, proposalId, updates) => api.put(`/meetings/${id}/action-items/${proposalId}`, updates),
+  mergeActionItems: (id, proposalIds, overrides = {}) => api.post(`/meetings/${id}/action-items/merge`, { proposal_ids: proposalIds, ...overrides }),
+  rejectActionItem: (id, proposalId, reason) => api.post(`/meetings/${id}/action-items/${proposalId}/reject`, { reason }),
+  approveActionItems: (id, proposalIds) => api.post(`/meetings/${id}/action-items/approve`, proposalIds ? { proposal_ids: proposalIds } : {}),
+  getByProject: (projectId, filters = {}) => api.get(`/meetings/project/${projectId}${toQuery(filters)}`),
+  getDecisions: (filters = {}) => api.get(`/meetings/decisions${toQuery(filters)}`),
   upload: (formData) => {
     return api.post('/meetings/upload', formData, {
       headers: {
@@ -110,44 +150,71 @@ export const meetingsAPI = {
 
 // Tasks API calls
 export const tasksAPI = {
-  getAll: (filters = {}) => {
-    const params = new URLSearchParams();
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        params.append(key, value);
-      }
-    });
-    return api.get(`/tasks?${params.toString()}`);
-  },
+  getAll: (filters = {}) => api.get(`/tasks${toQuery(filters)}`),
   getById: (id) => api.get(`/tasks/${id}`),
-  getByProject: (projectId, filters = {}) => {
-    const params = new URLSearchParams();
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        params.append(key, value);
-      }
-    });
-    return api.get(`/tasks/project/${projectId}?${params.toString()}`);
-  },
+  getByProject: (projectId, filters = {}) => api.get(`/tasks/project/${projectId}${toQuery(filters)}`),
   create: (taskData) => api.post('/tasks', taskData),
   update: (id, taskData) => api.put(`/tasks/${id}`, taskData),
   updateStatus: (id, status) => api.patch(`/tasks/${id}/status`, { status }),
+  assign: (id, ownerId) => api.patch(`/tasks/${id}/assign`, { owner_id: ownerId }),
   delete: (id) => api.delete(`/tasks/${id}`),
-  getStats: (projectId = null) => {
-    const params = projectId ? `?project=${projectId}` : '';
-    return api.get(`/tasks/stats/overview${params}`);
-  },
-  getOverdue: (projectId = null) => {
-    const params = projectId ? `?project=${projectId}` : '';
-    return api.get(`/tasks/overdue/list${params}`);
-  },
-  getDueSoon: (projectId = null, days = 7) => {
-    const params = new URLSearchParams();
-    if (projectId) params.append('project', projectId);
-    params.append('days', days);
-    return api.get(`/tasks/due-soon/list?${params.toString()}`);
-  },
+  getStats: (projectId = null) => api.get(`/tasks/stats/overview${toQuery({ project: projectId })}`),
+  getOverdue: (projectId = null, pagination = {}) => api.get(`/tasks/overdue/list${toQuery({ ...pagination, project: projectId })}`),
+  getDueSoon: (projectId = null, days = 7, pagination = {}) => api.get(`/tasks/due-soon/list${toQuery({ ...pagination, project: projectId, days })}`),
   bulkUpdateStatus: (taskIds, status) => api.patch('/tasks/bulk/status', { task_ids: taskIds, status }),
+  getComments: (id, pagination = {}) => api.get(`/tasks/${id}/comments${toQuery(pagination)}`),
+  addComment: (id, body, parentId) => api.post(`/tasks/${id}/comments`, {
+    body,
+    ...(parentId && { parent_id: parentId })
+  }),
+  updateComment: (id, commentId, body) => api.put(`/tasks/${id}/comments/${commentId}`, { body }),
+  deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`),
+  getActivity: (id, pagination = {}) => api.get(`/tasks/${id}/activity${toQuery(pagination)}`),
+  getDependencies: (id) => api.get(`/tasks/${id}/dependencies`),
+  addDependency: (id, blockedBy) => api.post(`/tasks/${id}/dependencies`, { blocked_by: blockedBy }),
+  removeDependency: (id, blockerId) => api.delete(`/tasks/${id}/dependencies/${blockerId}`),
+};
+
+// MOM templates API
+export const templatesAPI = {
+  getAll: (filters = {}) => api.get(`/templates${toQuery(filters)}`),
+  getById: (id) => api.get(`/templates/${id}`),
+  create: (templateData) => api.post('/templates', templateData),
+  update: (id, templateData) => api.put(`/templates/${id}`, templateData),
+  delete: (id) => api.delete(`/templates/${id}`),
+};
+
+// Search API calls
+export const searchAPI = {
+  semantic: (query, filters = {}) => api.get(`/search${toQuery({ q: query, ...filters })}`),
+  keyword: (query, filters = {}) => api.get(`/search/keyword${toQuery({ q: query, ...filters })}`),
+  reindex: (projectId) => api.post('/search/reindex', { project_id: projectId }),
+};
+
+// Saved views API calls
+export const viewsAPI = {
+  getAll: (filters = {}) => api.get(`/views${toQuery(filters)}`),
+  getById: (id) => api.get(`/views/${id}`),
+  create: (viewData) => api.post('/views', viewData),
+  update: (id, viewData) => api.put(`/views/${id}`, viewData),
+  delete: (id) => api.delete(`/views/${id}`),
+  run: (id, pagination = {}) => api.get(`/views/${id}/results${toQuery(pagination)}`),
+};
+
+// Pagination helper: list helpers take { limit, cursor } with their filters.
+// Fetches every page of a list, e.g.
+// fetchAllPages((pagination) => tasksAPI.getAll({ status, ...pagination }), 'tasks')
+export const fetchAllPages = async (fetchPage, key, limit = 100) => {
+  const items = [];
+  let cursor;
+
+  do {
+    const { data } = (await fetchPage({ limit, cursor })).data;
+    items.push(...data[key]);
+    cursor = data.pagination.next_cursor;
+  } while (cursor);
+
+  return items;
 };
 
 // Utility functions